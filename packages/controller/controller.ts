@@ -32,6 +32,7 @@ const { ConsoleTransport, levels, logger } = lib;
 
 import Controller from "./src/Controller";
 import UserManager from "./src/UserManager";
+import type { Storage } from "./src/storage";
 import { version } from "./package.json";
 
 // globals
@@ -110,10 +111,23 @@ void new lib.Gauge(
 async function handleBootstrapCommand(
 	args: any,
 	controllerConfig: lib.ControllerConfig
+): Promise<void> {
+	let storage = await Controller.openStorage(controllerConfig);
+	try {
+		await handleBootstrapSubCommand(args, controllerConfig, storage);
+	} finally {
+		await storage.close();
+	}
+}
+
+async function handleBootstrapSubCommand(
+	args: any,
+	controllerConfig: lib.ControllerConfig,
+	storage: Storage,
 ): Promise<void> {
 	let subCommand = args._[1];
 	let userManager = new UserManager(controllerConfig);
-	await userManager.load(path.join(controllerConfig.get("controller.database_directory"), "users.json"));
+	await userManager.load(storage);
 	if (subCommand === "create-admin") {
 		if (!args.name) {
 			logger.error("name cannot be blank");
@@ -129,7 +143,7 @@ async function handleBootstrapCommand(
 		let adminRole = lib.ensureDefaultAdminRole(userManager.roles);
 		admin.roleIds.add(adminRole.id);
 		admin.isAdmin = true;
-		await userManager.save(path.join(controllerConfig.get("controller.database_directory"), "users.json"));
+		await storage.transaction(transaction => userManager.save(transaction));
 
 	} else if (subCommand === "generate-user-token") {
 		let user = userManager.users.get(args.name);
@@ -1,9 +1,20 @@
 import { bootstrap } from "./controller";
+export { default as AuditLog } from "./src/AuditLog";
+export type { AuditLogFilter } from "./src/AuditLog";
+export { default as BackupStore } from "./src/BackupStore";
 export { default as Controller } from "./src/Controller";
 export { default as ControllerUser } from "./src/ControllerUser";
 export { default as ControlConnection } from "./src/ControlConnection";
+export { default as HostInfo } from "./src/HostInfo";
 export { default as InstanceInfo } from "./src/InstanceInfo";
+export type { PlacementCandidate, PlacementStrategy } from "./src/placement";
+export {
+	Storage, StorageTransaction, MemoryStorageBackend, JsonStorageBackend, SqliteStorageBackend, KeyValueStore,
+} from "./src/storage";
+export type { StorageBackend, StorageMigration, StorageWrite, KeyValueStoreOptions } from "./src/storage";
 export { default as BaseControllerPlugin } from "./src/BaseControllerPlugin";
+export { default as TaskScheduler } from "./src/TaskScheduler";
+export { default as WebhookDispatcher } from "./src/WebhookDispatcher";
 export { default as UserManager } from "./src/UserManager";
 export { default as WsServer } from "./src/WsServer";
 
@@ -0,0 +1,170 @@
+import fs from "fs-extra";
+import path from "path";
+
+import * as lib from "@clusterio/lib";
+const { logger } = lib;
+
+const auditFileGlob = /^audit-(\d{4}-\d{2}-\d{2})\.log$/;
+
+export interface AuditLogFilter {
+	/** Maximum number of entries to return. */
+	limit: number;
+	/** Return entries in ascending or descending date order. */
+	order: "asc" | "desc";
+	user?: string;
+	action?: string;
+	target?: string;
+	result?: lib.AuditResult;
+	sinceMs?: number;
+	untilMs?: number;
+}
+
+function fileDate(timeMs: number) {
+	return new Date(timeMs).toISOString().slice(0, 10);
+}
+
+/**
+ * Replace passwords and secrets in the data of a request with a placeholder
+ *
+ * @param data - Data sent with a request.
+ * @returns copy of data with the value of properties with password or
+ *     secret in their name redacted, as well as values set for config
+ *     fields or props with password, secret or token in their name.
+ */
+export function redactParameters(data: unknown): unknown {
+	if (Array.isArray(data)) {
+		return data.map(redactParameters);
+	}
+	if (typeof data !== "object" || data === null) {
+		return data;
+	}
+	let { field, prop } = data as { field?: unknown, prop?: unknown };
+	let sensitiveField = [field, prop].some(name => typeof name === "string" && /password|secret|token/i.test(name));
+	return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+		key,
+		(/password|secret/i.test(key) || sensitiveField && key === "value") && value !== undefined
+			? "[redacted]" : redactParameters(value),
+	]));
+}
+
+/**
+ * Append-only log of requests made by users of the cluster
+ *
+ * Entries are stored as lines of JSON in one file per UTC day named
+ * audit-YYYY-MM-DD.log.  Files older than the retention period are removed
+ * when the day changes.
+ * @alias module:controller/src/AuditLog
+ */
+export default class AuditLog {
+	private _writing = Promise.resolve();
+	private _lastDate: string | null = null;
+
+	constructor(
+		public directory: string,
+		/** Days to keep entries for, or null to keep them forever */
+		public retentionDays: number | null = null,
+	) { }
+
+	static async fromDirectory(directory: string, retentionDays: number | null = null) {
+		await fs.ensureDir(directory);
+		return new this(directory, retentionDays);
+	}
+
+	/**
+	 * Append an entry to the audit log
+	 *
+	 * Entries are written in the order they are added.
+	 *
+	 * @param entry - Entry to append.
+	 * @returns promise resolving when the entry has been written.
+	 */
+	add(entry: lib.AuditLogEntry) {
+		let date = fileDate(entry.timestampMs);
+		let rotated = this._lastDate !== null && this._lastDate !== date;
+		this._lastDate = date;
+		this._writing = this._writing.then(async () => {
+			if (rotated) {
+				await this.prune(entry.timestampMs);
+			}
+			await fs.appendFile(path.join(this.directory, `audit-${date}.log`), `${JSON.stringify(entry)}\n`);
+		}).catch(err => {
+			logger.error(`Error writing audit log:\n${err.stack}`);
+		});
+		return this._writing;
+	}
+
+	/**
+	 * Remove log files older than the retention period
+	 *
+	 * @param nowMs - Current time in milliseconds since the Unix epoch.
+	 * @returns number of files removed.
+	 */
+	async prune(nowMs = Date.now()) {
+		if (this.retentionDays === null) {
+			return 0;
+		}
+		let oldestKept = fileDate(nowMs - this.retentionDays * 24 * 60 * 60e3);
+		let removed = 0;
+		for (let file of await fs.readdir(this.directory)) {
+			let match = auditFileGlob.exec(file);
+			if (match && match[1] < oldestKept) {
+				await fs.remove(path.join(this.directory, file));
+				removed += 1;
+			}
+		}
+		return removed;
+	}
+
+	/**
+	 * Query entries in the audit log
+	 *
+	 * @param filter - Filter to select entries with.
+	 * @returns entries matching the filter.
+	 */
+	async query(filter: AuditLogFilter) {
+		await this._writing;
+		let files = (await fs.readdir(this.directory)).filter(file => {
+			let match = auditFileGlob.exec(file);
+			return match
+				&& (filter.sinceMs === undefined || match[1] >= fileDate(filter.sinceMs))
+				&& (filter.untilMs === undefined || match[1] <= fileDate(filter.untilMs));
+		});
+		files.sort();
+		if (filter.order === "desc") {
+			files.reverse();
+		}
+
+		let entries: lib.AuditLogEntry[] = [];
+		for (let file of files) {
+			let content = await fs.readFile(path.join(this.directory, file), "utf8");
+			let lines = content.split("\n").filter(line => line.length);
+			if (filter.order === "desc") {
+				lines.reverse();
+			}
+			for (let line of lines) {
+				let entry = lib.AuditLogEntry.fromJSON(JSON.parse(line));
+				if (
+					(filter.user === undefined || entry.user === filter.user)
+					&& (filter.action === undefined || entry.action === filter.action)
+					&& (filter.target === undefined || entry.target === filter.target)
+					&& (filter.result === undefined || entry.result === filter.result)
+					&& (filter.sinceMs === undefined || entry.timestampMs >= filter.sinceMs)
+					&& (filter.untilMs === undefined || entry.timestampMs < filter.untilMs)
+				) {
+					entries.push(entry);
+					if (entries.length >= filter.limit) {
+						return entries;
+					}
+				}
+			}
+		}
+		return entries;
+	}
+
+	/**
+	 * Wait for pending writes to finish
+	 */
+	async close() {
+		await this._writing;
+	}
+}
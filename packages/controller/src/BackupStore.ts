@@ -0,0 +1,165 @@
+import fs from "fs-extra";
+import path from "path";
+import stream from "stream";
+import util from "util";
+import { Static } from "@sinclair/typebox";
+
+import * as lib from "@clusterio/lib";
+
+const pipeline = util.promisify(stream.pipeline);
+
+export interface BackupStoreEvents {
+	/** A backup was created or deleted */
+	change: (backup: lib.SaveBackup) => void;
+}
+
+/**
+ * Storage for backups of instance saves on the controller
+ *
+ * Save files are stored by their hash in the objects directory so that
+ * identical saves are only stored once, with an index of the backups made
+ * kept alongside them.
+ * @alias module:controller/src/BackupStore
+ */
+export default class BackupStore extends lib.TypedEventEmitter<keyof BackupStoreEvents, BackupStoreEvents> {
+	constructor(
+		public directory: string,
+		/** Mapping of backup id to backup */
+		public backups = new Map<number, lib.SaveBackup>(),
+	) {
+		super();
+	}
+
+	static async fromDirectory(directory: string) {
+		await fs.ensureDir(path.join(directory, "objects"));
+		let json: Static<typeof lib.SaveBackup.jsonSchema>[];
+		try {
+			json = JSON.parse(await fs.readFile(path.join(directory, "index.json"), { encoding: "utf8" }));
+		} catch (err: any) {
+			if (err.code !== "ENOENT") {
+				throw err;
+			}
+			json = [];
+		}
+		return new this(directory, new Map(json.map(b => lib.SaveBackup.fromJSON(b)).map(b => [b.id, b])));
+	}
+
+	// Writes of the index are serialised as they share the same temporary file.
+	private _serialSave = new lib.AsyncSerialMergingCallback(async () => {
+		await lib.safeOutputFile(
+			path.join(this.directory, "index.json"), JSON.stringify([...this.backups.values()], null, "\t")
+		);
+	});
+
+	async save() {
+		await this._serialSave.invoke();
+	}
+
+	/**
+	 * Path to the stored save file of a backup
+	 *
+	 * @param backup - Backup to get path of.
+	 * @returns path to save file.
+	 */
+	filePath(backup: lib.SaveBackup) {
+		return path.join(this.directory, "objects", `${backup.hash}.zip`);
+	}
+
+	/**
+	 * Backups of an instance
+	 *
+	 * @param instanceId - ID of instance to get backups of.
+	 * @returns backups of the instance, newest first.
+	 */
+	instanceBackups(instanceId: number) {
+		return [...this.backups.values()]
+			.filter(backup => backup.instanceId === instanceId)
+			.sort((a, b) => b.createdAtMs - a.createdAtMs || b.id - a.id);
+	}
+
+	/**
+	 * Store a new backup of a save
+	 *
+	 * If the content is identical to the latest backup of the same save of
+	 * the instance no new backup is made and the latest one is returned.
+	 *
+	 * @param instanceId - Instance the save is from.
+	 * @param name - Name of the save.
+	 * @param mtimeMs - Modification time of the save on the host.
+	 * @param content - Stream of the save file.
+	 * @returns the backup of the save.
+	 */
+	async add(instanceId: number, name: string, mtimeMs: number, content: NodeJS.ReadableStream) {
+		let tempName = `${Date.now()}-${Math.random().toString(16).slice(2)}.tmp`;
+		let tempPath = path.join(this.directory, "objects", tempName);
+		let hash: string;
+		let size: number;
+		try {
+			await pipeline(content, fs.createWriteStream(tempPath));
+			hash = await lib.hashFile(tempPath);
+			size = (await fs.stat(tempPath)).size;
+		} catch (err) {
+			await fs.remove(tempPath);
+			throw err;
+		}
+
+		let latest = this.instanceBackups(instanceId).find(backup => backup.name === name);
+		if (latest && latest.hash === hash) {
+			await fs.remove(tempPath);
+			return latest;
+		}
+
+		let objectPath = path.join(this.directory, "objects", `${hash}.zip`);
+		if (await fs.pathExists(objectPath)) {
+			await fs.remove(tempPath);
+		} else {
+			await fs.rename(tempPath, objectPath);
+		}
+
+		// The id must be picked and stored without awaiting in between, or
+		// backups added at the same time could be given the same id.
+		let id = Math.max(0, ...this.backups.keys()) + 1;
+		let backup = new lib.SaveBackup(id, instanceId, name, hash, size, mtimeMs, Date.now());
+		this.backups.set(id, backup);
+		await this.save();
+		this.emit("change", backup);
+		return backup;
+	}
+
+	/**
+	 * Delete a backup
+	 *
+	 * The stored save file is removed once no backups refer to it.
+	 *
+	 * @param id - ID of backup to delete.
+	 */
+	async delete(id: number) {
+		let backup = this.backups.get(id);
+		if (!backup) {
+			throw new Error(`Backup with ID ${id} does not exist`);
+		}
+
+		this.backups.delete(id);
+		await this.save();
+		if (![...this.backups.values()].some(other => other.hash === backup!.hash)) {
+			await fs.remove(this.filePath(backup));
+		}
+		backup.isDeleted = true;
+		this.emit("change", backup);
+	}
+
+	/**
+	 * Delete the oldest backups of an instance
+	 *
+	 * @param instanceId - Instance to delete backups of.
+	 * @param keep - Number of newest backups to keep.
+	 * @returns the backups deleted.
+	 */
+	async prune(instanceId: number, keep: number) {
+		let pruned = this.instanceBackups(instanceId).slice(Math.max(0, keep));
+		for (let backup of pruned) {
+			await this.delete(backup.id);
+		}
+		return pruned;
+	}
+}
@@ -6,6 +6,7 @@ import type Controller from "./Controller";
 import type InstanceInfo from "./InstanceInfo";
 import type ControlConnection from "./ControlConnection";
 import type HostConnection from "./HostConnection";
+import { KeyValueStore, type KeyValueStoreOptions } from "./storage";
 
 /**
  * Base class for controller plugins
@@ -26,6 +27,15 @@ export default class BaseControllerPlugin {
 	 */
 	logger: Logger;
 
+	/**
+	 * Stores opened by this plugin by name
+	 *
+	 * Changes to these are saved automatically when the controller saves
+	 * its data, after {@link BaseControllerPlugin.onSaveData} has been
+	 * invoked.
+	 */
+	stores = new Map<string, KeyValueStore<any>>();
+
 	constructor(
 		public info: PluginNodeEnvInfo,
 		public controller: Controller,
@@ -40,12 +50,34 @@ export default class BaseControllerPlugin {
 	 */
 	async init() { }
 
+	/**
+	 * Open a persistent key-value store for this plugin
+	 *
+	 * The store is kept in the `<plugin>.<name>` table of the controller
+	 * storage.  Pending migrations are run before the values are loaded,
+	 * and changes made to it are saved with the controller's autosave.
+	 *
+	 * @param name - Name of the store, unique within this plugin.
+	 * @param options - Migrations and deserialisation of values.
+	 * @returns the loaded store.
+	 */
+	async openStore<V>(name: string, options: KeyValueStoreOptions<V> = {}): Promise<KeyValueStore<V>> {
+		if (this.stores.has(name)) {
+			throw new Error(`Store ${name} is already open`);
+		}
+		let store = new KeyValueStore<V>(this.controller.storage, `${this.info.name}.${name}`, options);
+		await store.load();
+		this.stores.set(name, store);
+		return store;
+	}
+
 	/**
 	 * Called when the controller saves data in memory to disk
 	 *
 	 * Invoked on the configured controller.autosave_interval by the
 	 * controller and intended to be used to flush any in memory data that
-	 * has changed to disk.
+	 * has changed to disk.  Stores opened with {@link
+	 * BaseControllerPlugin.openStore} are saved after this returns.
 	 *
 	 * This will also be called during graceful shutdown after {@link
 	 * BaseControllerPlugin.onShutdown} have been invoked and all links have
@@ -1,10 +1,10 @@
+import crypto from "crypto";
 import type WsServerConnector from "./WsServerConnector";
 
-import events from "events";
-
 import * as lib from "@clusterio/lib";
 const { logFilter, logger } = lib;
 
+import { redactParameters } from "./AuditLog";
 import BaseConnection from "./BaseConnection";
 import ControllerUser from "./ControllerUser";
 import * as routes from "./routes";
@@ -12,6 +12,96 @@ import Controller from "./Controller";
 
 const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
 
+/**
+ * Determine what a request acts on
+ *
+ * Requests sent to the controller acting on a host or instance are
+ * identified by the hostId or instanceId field in their data.
+ *
+ * @param message - Request to get the target of.
+ * @returns address of the controller, host or instance acted on.
+ */
+function requestTarget(message: lib.MessageRequest) {
+	if (message.dst.type === lib.Address.instance || message.dst.type === lib.Address.host) {
+		return new lib.Address(message.dst.type, message.dst.id);
+	}
+	let data = message.data as { instanceId?: unknown, hostId?: unknown } | undefined;
+	if (typeof data?.instanceId === "number") {
+		return new lib.Address(lib.Address.instance, data.instanceId);
+	}
+	if (typeof data?.hostId === "number") {
+		return new lib.Address(lib.Address.host, data.hostId);
+	}
+	return new lib.Address(lib.Address.controller, 0);
+}
+
+/**
+ * Determine the instances a request acts on
+ *
+ * In addition to the target given by {@link requestTarget}, requests
+ * acting on several instances list them in an instanceIds field, and save
+ * transfers in the sourceInstanceId and targetInstanceId fields.
+ *
+ * @param message - Request to get the instances of.
+ * @returns IDs of instances acted on.
+ */
+function requestInstanceIds(message: lib.MessageRequest) {
+	let instanceIds = new Set<number>();
+	let target = requestTarget(message);
+	if (target.type === lib.Address.instance) {
+		instanceIds.add(target.id);
+	}
+	let data = message.data as {
+		instanceIds?: unknown, sourceInstanceId?: unknown, targetInstanceId?: unknown,
+	} | undefined;
+	for (let id of [data?.sourceInstanceId, data?.targetInstanceId]) {
+		if (typeof id === "number") {
+			instanceIds.add(id);
+		}
+	}
+	if (data?.instanceIds instanceof Array) {
+		for (let id of data.instanceIds) {
+			if (typeof id === "number") {
+				instanceIds.add(id);
+			}
+		}
+	}
+	return [...instanceIds];
+}
+
+/**
+ * Describe what a request acts on for the audit log
+ *
+ * @param message - Request to describe the target of.
+ * @returns target string for the audit log.
+ */
+function auditTarget(message: lib.MessageRequest) {
+	let target = requestTarget(message);
+	if (target.type === lib.Address.instance) {
+		return `instance:${target.id}`;
+	}
+	if (target.type === lib.Address.host) {
+		return `host:${target.id}`;
+	}
+	return "controller";
+}
+
+/**
+ * Check if a user has a permission
+ *
+ * @param user - User to check.
+ * @param permission - Permission to check for.
+ * @returns true if checkPermission passes for the permission.
+ */
+function userHasPermission(user: ControllerUser, permission: string) {
+	try {
+		user.checkPermission(permission);
+		return true;
+	} catch (err: any) {
+		return false;
+	}
+}
+
 const queryLogTime = new lib.Summary(
 	"clusterio_controller_query_log_duration_seconds",
 	"Time in seconds log queries took to execute."
@@ -34,16 +124,23 @@ export default class ControlConnection extends BaseConnection {
 	};
 
 	ws_dumper: ((...args: any[]) => void) | null = null;
+	/** Audit log entries for requests awaiting a response by request id */
+	private _pendingAudits = new Map<number, lib.AuditLogEntry>();
 	declare connector: WsServerConnector;
+	/** User permissions are checked against, limited by the API token if one is used */
+	permissionUser: ControllerUser;
 
 	constructor(
 		registerData: { version: string },
 		connector: WsServerConnector,
 		controller: Controller,
 		public user: ControllerUser, // The user making this connection.
-		public id: number
+		public id: number,
+		/** API token the connection was authenticated with */
+		public apiToken?: lib.UserApiToken,
 	) {
 		super(connector, controller);
+		this.permissionUser = apiToken ? user.withApiToken(apiToken) : user;
 
 		this._version = registerData.version;
 
@@ -58,6 +155,15 @@ export default class ControlConnection extends BaseConnection {
 			if (this.ws_dumper) {
 				this._controller.debugEvents.off("message", this.ws_dumper);
 			}
+			for (let audit of this._pendingAudits.values()) {
+				audit.result = "error";
+				audit.error = "Connection closed before a response was sent";
+				this._writeAudit(audit);
+			}
+			this._pendingAudits.clear();
+		});
+		this.connector.on("response", (message: lib.MessageResponse | lib.MessageResponseError) => {
+			this._completeAudit(message);
 		});
 
 		for (let event of ["connect", "drop", "resume", "close"] as const) {
@@ -70,10 +176,12 @@ export default class ControlConnection extends BaseConnection {
 
 		this.handle(lib.ControllerStopRequest, this.handleControllerStopRequest.bind(this));
 		this.handle(lib.ControllerRestartRequest, this.handleControllerRestartRequest.bind(this));
+		this.handle(lib.ControllerCancelRestartRequest, this.handleControllerCancelRestartRequest.bind(this));
 		this.handle(lib.ControllerConfigGetRequest, this.handleControllerConfigGetRequest.bind(this));
 		this.handle(lib.ControllerConfigSetFieldRequest, this.handleControllerConfigSetFieldRequest.bind(this));
 		this.handle(lib.ControllerConfigSetPropRequest, this.handleControllerConfigSetPropRequest.bind(this));
 		this.handle(lib.HostRevokeTokensRequest, this.handleHostRevokeTokensRequest.bind(this));
+		this.handle(lib.HostDrainRequest, this.handleHostDrainRequest.bind(this));
 		this.handle(lib.HostListRequest, this.handleHostListRequest.bind(this));
 		this.handle(lib.HostGenerateTokenRequest, this.handleHostGenerateTokenRequest.bind(this));
 		this.handle(lib.HostConfigCreateRequest, this.handleHostConfigCreateRequest.bind(this));
@@ -85,10 +193,14 @@ export default class ControlConnection extends BaseConnection {
 		this.handle(lib.InstanceConfigSetFieldRequest, this.handleInstanceConfigSetFieldRequest.bind(this));
 		this.handle(lib.InstanceConfigSetPropRequest, this.handleInstanceConfigSetPropRequest.bind(this));
 		this.handle(lib.InstanceAssignRequest, this.handleInstanceAssignRequest.bind(this));
+		this.handle(lib.InstanceMigrateRequest, this.handleInstanceMigrateRequest.bind(this));
+		this.handle(lib.FactorioUpgradeStartRequest, this.handleFactorioUpgradeStartRequest.bind(this));
+		this.handle(lib.InstanceBroadcastRconRequest, this.handleInstanceBroadcastRconRequest.bind(this));
 		this.handle(lib.InstanceSaveDetailsListRequest, this.handleInstanceSaveDetailsListRequest.bind(this));
 		this.handle(lib.InstanceRenameSaveRequest, controller.sendRequestToHostByInstanceId.bind(controller));
 		this.handle(lib.InstanceCopySaveRequest, controller.sendRequestToHostByInstanceId.bind(controller));
 		this.handle(lib.InstanceDeleteSaveRequest, controller.sendRequestToHostByInstanceId.bind(controller));
+		this.handle(lib.InstanceSavePruneRequest, controller.sendRequestToHostByInstanceId.bind(controller));
 		this.handle(lib.InstanceDownloadSaveRequest, this.handleInstanceDownloadSaveRequest.bind(this));
 		this.handle(lib.InstanceTransferSaveRequest, this.handleInstanceTransferSaveRequest.bind(this));
 		this.handle(lib.ModPackListRequest, this.handleModPackListRequest.bind(this));
@@ -99,8 +211,23 @@ export default class ControlConnection extends BaseConnection {
 		this.handle(lib.ModListRequest, this.handleModListRequest.bind(this));
 		this.handle(lib.ModSearchRequest, this.handleModSearchRequest.bind(this));
 		this.handle(lib.ModDeleteRequest, this.handleModDeleteRequest.bind(this));
+		this.handle(lib.ScheduledTaskListRequest, this.handleScheduledTaskListRequest.bind(this));
+		this.handle(lib.ScheduledTaskCreateRequest, this.handleScheduledTaskCreateRequest.bind(this));
+		this.handle(lib.ScheduledTaskUpdateRequest, this.handleScheduledTaskUpdateRequest.bind(this));
+		this.handle(lib.ScheduledTaskDeleteRequest, this.handleScheduledTaskDeleteRequest.bind(this));
+		this.handle(lib.ScheduledTaskRunRequest, this.handleScheduledTaskRunRequest.bind(this));
+		this.handle(lib.WebhookListRequest, this.handleWebhookListRequest.bind(this));
+		this.handle(lib.WebhookCreateRequest, this.handleWebhookCreateRequest.bind(this));
+		this.handle(lib.WebhookUpdateRequest, this.handleWebhookUpdateRequest.bind(this));
+		this.handle(lib.WebhookDeleteRequest, this.handleWebhookDeleteRequest.bind(this));
+		this.handle(lib.WebhookTestRequest, this.handleWebhookTestRequest.bind(this));
+		this.handle(lib.SaveBackupListRequest, this.handleSaveBackupListRequest.bind(this));
+		this.handle(lib.SaveBackupCreateRequest, this.handleSaveBackupCreateRequest.bind(this));
+		this.handle(lib.SaveBackupRestoreRequest, this.handleSaveBackupRestoreRequest.bind(this));
+		this.handle(lib.SaveBackupDeleteRequest, this.handleSaveBackupDeleteRequest.bind(this));
 		this.handle(lib.LogSetSubscriptionsRequest, this.handleLogSetSubscriptionsRequest.bind(this));
 		this.handle(lib.LogQueryRequest, this.handleLogQueryRequest.bind(this));
+		this.handle(lib.AuditLogQueryRequest, this.handleAuditLogQueryRequest.bind(this));
 		this.handle(lib.PermissionListRequest, this.handlePermissionListRequest.bind(this));
 		this.handle(lib.RoleListRequest, this.handleRoleListRequest.bind(this));
 		this.handle(lib.RoleCreateRequest, this.handleRoleCreateRequest.bind(this));
@@ -111,11 +238,19 @@ export default class ControlConnection extends BaseConnection {
 		this.handle(lib.UserListRequest, this.handleUserListRequest.bind(this));
 		this.handle(lib.UserCreateRequest, this.handleUserCreateRequest.bind(this));
 		this.handle(lib.UserRevokeTokenRequest, this.handleUserRevokeTokenRequest.bind(this));
+		this.handle(lib.UserSetPasswordRequest, this.handleUserSetPasswordRequest.bind(this));
+		this.handle(lib.UserRconHistoryGetRequest, this.handleUserRconHistoryGetRequest.bind(this));
+		this.handle(lib.UserRconHistoryAddRequest, this.handleUserRconHistoryAddRequest.bind(this));
+		this.handle(lib.UserApiTokenListRequest, this.handleUserApiTokenListRequest.bind(this));
+		this.handle(lib.UserApiTokenCreateRequest, this.handleUserApiTokenCreateRequest.bind(this));
+		this.handle(lib.UserApiTokenRevokeRequest, this.handleUserApiTokenRevokeRequest.bind(this));
 		this.handle(lib.UserUpdateRolesRequest, this.handleUserUpdateRolesRequest.bind(this));
 		this.handle(lib.UserSetAdminRequest, this.handleUserSetAdminRequest.bind(this));
 		this.handle(lib.UserSetBannedRequest, this.handleUserSetBannedRequest.bind(this));
 		this.handle(lib.UserSetWhitelistedRequest, this.handleUserSetWhitelistedRequest.bind(this));
 		this.handle(lib.UserDeleteRequest, this.handleUserDeleteRequest.bind(this));
+		this.handle(lib.UserListImportRequest, this.handleUserListImportRequest.bind(this));
+		this.handle(lib.UserListExportRequest, this.handleUserListExportRequest.bind(this));
 		this.handle(lib.DebugDumpWsRequest, this.handleDebugDumpWsRequest.bind(this));
 	}
 
@@ -130,15 +265,75 @@ export default class ControlConnection extends BaseConnection {
 		message: lib.MessageRequest | lib.MessageEvent,
 		entry: lib.RequestEntry | lib.EventEntry
 	) {
+		let audit = this._startAudit(message, entry);
 		try {
 			this.checkPermission(message, entry);
 		} catch (err: any) {
+			if (audit) {
+				audit.result = "denied";
+			}
 			this.connector.sendResponseError(new lib.ResponseError(err.message, err.code), message.src);
 			logger.audit(`Permission denied for ${message.name} by ${this.user.name} from ${this.connector.dst}`);
 			throw err;
 		}
 	}
 
+	/**
+	 * Start recording a permission checked request to the audit log
+	 *
+	 * The entry is written once the response to the request is sent.
+	 *
+	 * @param message - Message received.
+	 * @param entry - Request or Event entry for the message.
+	 * @returns entry pending a response, or undefined if not recorded.
+	 */
+	_startAudit(
+		message: lib.MessageRequest | lib.MessageEvent,
+		entry: lib.RequestEntry | lib.EventEntry
+	) {
+		if (
+			!this._controller.auditLog
+			|| message.type !== "request"
+			|| (entry as lib.RequestEntry).Request.permission === null
+			|| message.src.requestId === undefined
+		) {
+			return undefined;
+		}
+		let audit = new lib.AuditLogEntry(
+			Date.now(),
+			this.user.name,
+			message.name,
+			auditTarget(message as lib.MessageRequest),
+			redactParameters(message.data),
+			"success",
+		);
+		this._pendingAudits.set(message.src.requestId, audit);
+		return audit;
+	}
+
+	_completeAudit(message: lib.MessageResponse | lib.MessageResponseError) {
+		let requestId = message.dst.requestId;
+		let audit = requestId === undefined ? undefined : this._pendingAudits.get(requestId);
+		if (!audit) {
+			return;
+		}
+		this._pendingAudits.delete(requestId!);
+		if (message.type === "responseError") {
+			if (audit.result !== "denied") {
+				audit.result = "error";
+			}
+			audit.error = (message as lib.MessageResponseError).data.message;
+		}
+		this._writeAudit(audit);
+	}
+
+	_writeAudit(audit: lib.AuditLogEntry) {
+		if (this._controller.auditLog) {
+			// Errors are logged by the audit log
+			this._controller.auditLog.add(audit);
+		}
+	}
+
 	checkPermission(
 		message: lib.MessageRequest | lib.MessageEvent,
 		entry: lib.RequestEntry | lib.EventEntry
@@ -156,31 +351,162 @@ export default class ControlConnection extends BaseConnection {
 			return;
 		}
 
-		if (typeof permission === "string") {
-			this.user.checkPermission(permission);
-			return;
+		if (this.apiToken) {
+			this.checkApiTokenScope(message);
 		}
 
-		if (typeof permission === "function") {
-			permission(this.user, message);
-			return;
+		// Check the permission for each instance acted on to apply the
+		// instance scope of the user's roles.
+		let users = [this.permissionUser];
+		if (message.type === "request") {
+			let instanceIds = requestInstanceIds(message as lib.MessageRequest);
+			if (instanceIds.length) {
+				users = instanceIds.map(id => this.permissionUser.forInstance(
+					this._controller.instances.get(id) ?? { id, tags: [] }
+				));
+			}
+		}
+
+		for (let user of users) {
+			if (typeof permission === "string") {
+				user.checkPermission(permission);
+			} else if (typeof permission === "function") {
+				permission(user, message);
+			} else {
+				throw new Error("Should be unreachable");
+			}
+		}
+	}
+
+	/**
+	 * Check if a permission is granted for an instance on this connection
+	 *
+	 * @param instance - Instance to check the permission for.
+	 * @param permission - Permission to check.
+	 * @returns true if both the instance scope of the user's roles and the
+	 *     API token of the connection allows the permission for the instance.
+	 */
+	canAccessInstance(instance: lib.InstanceScopeTarget, permission: string) {
+		if (this.apiToken?.instanceIds && !this.apiToken.instanceIds.includes(instance.id)) {
+			return false;
+		}
+		return userHasPermission(this.permissionUser.forInstance(instance), permission);
+	}
+
+	/**
+	 * Leave out instances the permission is not granted for on this connection
+	 *
+	 * @param instances - Instance details to filter.
+	 * @param permission - Permission needed to see an instance.
+	 * @returns instances the permission is granted for.
+	 */
+	filterInstanceDetails(instances: lib.InstanceDetails[], permission: string) {
+		return instances.filter(instance => this.canAccessInstance(instance, permission));
+	}
+
+	/**
+	 * Leave out saves of instances the permission is not granted for on this connection
+	 *
+	 * @param saves - Save details to filter.
+	 * @param permission - Permission needed to see the saves of an instance.
+	 * @returns saves of instances the permission is granted for.
+	 */
+	filterSaveDetails(saves: lib.SaveDetails[], permission: string) {
+		return saves.filter(save => this.canAccessInstance(
+			this._controller.instances.get(save.instanceId) ?? { id: save.instanceId, tags: [] }, permission
+		));
+	}
+
+	/**
+	 * Check that a message is allowed by the API token of the connection
+	 *
+	 * Also records the API token as being used.
+	 *
+	 * @param message - Message to check.
+	 * @throws {module:lib.PermissionError} if the token has expired or the
+	 *     request acts on an instance outside the scope of the token.
+	 */
+	checkApiTokenScope(message: lib.MessageRequest | lib.MessageEvent) {
+		let apiToken = this.apiToken!;
+		if (apiToken.isExpired()) {
+			throw new lib.PermissionError("API token has expired");
+		}
+		apiToken.lastUsedAtMs = Date.now();
+		this._controller.userManager.dirty = true;
+
+		if (message.type === "request" && apiToken.instanceIds) {
+			let request = message as lib.MessageRequest;
+			if (this.requestActsOnAllInstances(request)) {
+				throw new lib.PermissionError("Acting on all instances is outside the scope of the API token");
+			}
+			let instanceIds = requestInstanceIds(request).concat(this.requestReferencedInstanceIds(request));
+			if (instanceIds.some(id => !apiToken.instanceIds!.includes(id))) {
+				throw new lib.PermissionError("Instance is outside the scope of the API token");
+			}
 		}
+	}
 
-		throw new Error("Should be unreachable");
+	/**
+	 * Check if a request may act on instances it does not name
+	 *
+	 * @param request - Request to check.
+	 * @returns true if the request acts on all instances or all instances
+	 *     of a host.
+	 */
+	requestActsOnAllInstances(request: lib.MessageRequest) {
+		let data = request.data as { action?: unknown } | undefined;
+		return request.name === lib.HostDrainRequest.name && data?.action !== "none";
+	}
+
+	/**
+	 * Determine the instances acted on through objects a request refers to
+	 *
+	 * @param request - Request to get the instances of.
+	 * @returns IDs of the current instances of the scheduled task run,
+	 *     updated or deleted, or of the instance the restored backup was
+	 *     taken from.
+	 */
+	requestReferencedInstanceIds(request: lib.MessageRequest) {
+		let data = request.data as { id?: unknown } | undefined;
+		if (typeof data?.id !== "number") {
+			return [];
+		}
+		if ([
+			lib.ScheduledTaskRunRequest.name,
+			lib.ScheduledTaskUpdateRequest.name,
+			lib.ScheduledTaskDeleteRequest.name,
+		].includes(request.name)) {
+			return this._controller.scheduledTasks.get(data.id)?.instanceIds ?? [];
+		}
+		if (request.name === lib.SaveBackupRestoreRequest.name) {
+			let backup = this._controller.backupStore.backups.get(data.id);
+			return backup ? [backup.instanceId] : [];
+		}
+		return [];
 	}
 
 	async handleControllerStopRequest() {
 		this._controller.stop();
 	}
 
-	async handleControllerRestartRequest() {
+	async handleControllerRestartRequest(request: lib.ControllerRestartRequest) {
 		if (!this._controller.canRestart) {
 			throw new lib.RequestError("Cannot restart, controller does not have a process monitor to restart it.");
 		}
+		if (request.delaySeconds > 0 && !await this._controller.announceRestart(request.delaySeconds)) {
+			throw new lib.RequestError("Restart was cancelled");
+		}
 		this._controller.shouldRestart = true;
 		this._controller.stop();
 	}
 
+	async handleControllerCancelRestartRequest() {
+		if (!this._controller.restartCountdown) {
+			throw new lib.RequestError("Controller is not counting down to restart");
+		}
+		this._controller.restartCountdown.cancelled = true;
+	}
+
 	async handleControllerConfigGetRequest() {
 		return this._controller.config.toRemote("control");
 	}
@@ -210,6 +536,11 @@ export default class ControlConnection extends BaseConnection {
 		this._controller.hostsUpdated([host]);
 	}
 
+	async handleHostDrainRequest(request: lib.HostDrainRequest) {
+		let { hostId, draining, action, countdownSeconds, targetHostId } = request;
+		await this._controller.hostDrain(hostId, draining, action, countdownSeconds, targetHostId);
+	}
+
 	async handleHostListRequest(): Promise<lib.HostDetails[]> {
 		return [...this._controller.hosts.values()].map(host => host.toHostDetails());
 	}
@@ -233,7 +564,7 @@ export default class ControlConnection extends BaseConnection {
 			hostConfig.set("host.name", request.name);
 		}
 		if (request.generateToken) {
-			this.user.checkPermission("core.host.generate_token");
+			this.permissionUser.checkPermission("core.host.generate_token");
 			hostConfig.set("host.controller_token", this._controller.generateHostToken(hostConfig.get("host.id")));
 		}
 		return hostConfig.toJSON();
@@ -244,7 +575,10 @@ export default class ControlConnection extends BaseConnection {
 	}
 
 	async handleInstanceDetailsListRequest() {
-		return [...this._controller.instances.values()].map(instance => instance.toInstanceDetails());
+		return this.filterInstanceDetails(
+			[...this._controller.instances.values()].map(instance => instance.toInstanceDetails()),
+			"core.instance.list",
+		);
 	}
 
 	async handleInstanceCreateRequest(request: lib.InstanceCreateRequest) {
@@ -285,11 +619,41 @@ export default class ControlConnection extends BaseConnection {
 	}
 
 	async handleInstanceAssignRequest(request: lib.InstanceAssignRequest) {
-		await this._controller.instanceAssign(request.instanceId, request.hostId);
+		let hostId = request.hostId;
+		if (request.auto) {
+			let instance = this._controller.getRequestInstance(request.instanceId);
+			hostId = await this._controller.selectHost(instance, request.strategy);
+		}
+		await this._controller.instanceAssign(request.instanceId, hostId);
+	}
+
+	async handleInstanceMigrateRequest(request: lib.InstanceMigrateRequest) {
+		return await this._controller.instanceMigrate(request.instanceId, request.hostId);
+	}
+
+	async handleFactorioUpgradeStartRequest(request: lib.FactorioUpgradeStartRequest) {
+		return await this._controller.factorioUpgrade(request.instanceIds, request.version, request.parallel);
+	}
+
+	async handleInstanceBroadcastRconRequest(request: lib.InstanceBroadcastRconRequest) {
+		// Instances given by id are checked in checkPermission, this leaves
+		// out those outside the instance scope of the user's roles and of the
+		// API token when sending to all instances.
+		return await this._controller.broadcastRcon(request.command, request.instanceIds, request.tags, instance => {
+			if (this.apiToken?.instanceIds && !this.apiToken.instanceIds.includes(instance.id)) {
+				return false;
+			}
+			try {
+				this.permissionUser.checkPermission("core.instance.send_rcon", instance);
+				return true;
+			} catch (err: any) {
+				return false;
+			}
+		});
 	}
 
 	async handleInstanceSaveDetailsListRequest() {
-		return [...this._controller.saves.values()];
+		return this.filterSaveDetails([...this._controller.saves.values()], "core.instance.save.list");
 	}
 
 	async handleInstanceDownloadSaveRequest(request: lib.InstanceDownloadSaveRequest) {
@@ -346,32 +710,9 @@ export default class ControlConnection extends BaseConnection {
 			throw new lib.RequestError("Target host is not connected to the controller");
 		}
 
-		// Create stream to proxy from target to source
-		let stream = await routes.createProxyStream(this._controller.app);
-		stream.events.on("timeout", () => {
-			if (stream.source) {
-				stream.source.destroy();
-			}
-			stream.events.emit("error", new lib.RequestError("Timed out establishing transfer stream"));
-		});
-
-		// Ignore errors if not listening for them to avoid crash.
-		stream.events.on("error", () => { /* ignore */ });
-
-		// Establish push from source host to stream, this is done first to
-		// ensure the file size is known prior to the target host pull.
-		await Promise.all([
-			this._controller.sendTo(
-				{ hostId: sourceHostId },
-				new lib.InstancePushSaveRequest(request.sourceInstanceId, stream.id, request.sourceName),
-			),
-			events.once(stream.events, "source"),
-		]);
-
-		// Establish pull from target host to stream and wait for completion.
-		let storedName = await this._controller.sendTo(
-			{ hostId: targetHostId },
-			new lib.InstancePullSaveRequest(request.targetInstanceId, stream.id, request.targetName),
+		let storedName = await this._controller.transferSaveBetweenHosts(
+			sourceHostId, request.sourceInstanceId, request.sourceName,
+			targetHostId, request.targetInstanceId, request.targetName,
 		);
 
 		// Delete source save if this is not a copy
@@ -522,6 +863,162 @@ export default class ControlConnection extends BaseConnection {
 		await this._controller.modStore.deleteMod(request.name, request.version);
 	}
 
+	validateScheduledTask(request: lib.ScheduledTaskCreateRequest | lib.ScheduledTaskUpdateRequest) {
+		try {
+			// eslint-disable-next-line no-new
+			new lib.CronSchedule(request.cron);
+		} catch (err: any) {
+			throw new lib.RequestError(`Invalid cron expression: ${err.message}`);
+		}
+		for (let instanceId of request.instanceIds) {
+			this._controller.getRequestInstance(instanceId);
+		}
+		if (["create_save", "send_rcon"].includes(request.action) && !request.argument) {
+			throw new lib.RequestError(`Action ${request.action} requires an argument`);
+		}
+	}
+
+	async handleScheduledTaskListRequest() {
+		return [...this._controller.scheduledTasks.values()];
+	}
+
+	async handleScheduledTaskCreateRequest(request: lib.ScheduledTaskCreateRequest) {
+		this.validateScheduledTask(request);
+		let id = Math.max(0, ...this._controller.scheduledTasks.keys()) + 1;
+		let task = new lib.ScheduledTask(
+			id, request.name, request.cron, request.action, request.instanceIds, request.argument, request.enabled
+		);
+		this._controller.taskScheduler.updateNextRun(task);
+		this._controller.scheduledTasks.set(id, task);
+		this._controller.scheduledTasksUpdated([task]);
+		return id;
+	}
+
+	async handleScheduledTaskUpdateRequest(request: lib.ScheduledTaskUpdateRequest) {
+		let task = this._controller.scheduledTasks.get(request.id);
+		if (!task) {
+			throw new lib.RequestError(`Scheduled task with ID ${request.id} does not exist`);
+		}
+		this.validateScheduledTask(request);
+		task.name = request.name;
+		task.cron = request.cron;
+		task.action = request.action;
+		task.instanceIds = request.instanceIds;
+		task.argument = request.argument;
+		task.enabled = request.enabled;
+		this._controller.taskScheduler.updateNextRun(task);
+		this._controller.scheduledTasksUpdated([task]);
+	}
+
+	async handleScheduledTaskDeleteRequest(request: lib.ScheduledTaskDeleteRequest) {
+		let task = this._controller.scheduledTasks.get(request.id);
+		if (!task) {
+			throw new lib.RequestError(`Scheduled task with ID ${request.id} does not exist`);
+		}
+		task.isDeleted = true;
+		this._controller.scheduledTasks.delete(request.id);
+		this._controller.scheduledTasksUpdated([task]);
+	}
+
+	async handleScheduledTaskRunRequest(request: lib.ScheduledTaskRunRequest) {
+		let task = this._controller.scheduledTasks.get(request.id);
+		if (!task) {
+			throw new lib.RequestError(`Scheduled task with ID ${request.id} does not exist`);
+		}
+		this._controller.taskScheduler.checkPermission(task, this.permissionUser);
+		return await this._controller.taskScheduler.runTask(task);
+	}
+
+	validateWebhook(request: lib.WebhookCreateRequest | lib.WebhookUpdateRequest) {
+		if (!request.name) {
+			throw new lib.RequestError("Webhook name cannot be empty");
+		}
+		let url: URL;
+		try {
+			url = new URL(request.url);
+		} catch (err: any) {
+			throw new lib.RequestError(`Invalid URL: ${request.url}`);
+		}
+		if (!["http:", "https:"].includes(url.protocol)) {
+			throw new lib.RequestError("Webhook URL must use http or https");
+		}
+		if (!request.events.length) {
+			throw new lib.RequestError("Webhook must be subscribed to at least one event");
+		}
+	}
+
+	getRequestWebhook(id: number) {
+		let webhook = this._controller.webhooks.get(id);
+		if (!webhook) {
+			throw new lib.RequestError(`Webhook with ID ${id} does not exist`);
+		}
+		return webhook;
+	}
+
+	async handleWebhookListRequest() {
+		return [...this._controller.webhooks.values()];
+	}
+
+	async handleWebhookCreateRequest(request: lib.WebhookCreateRequest) {
+		this.validateWebhook(request);
+		let id = Math.max(0, ...this._controller.webhooks.keys()) + 1;
+		let webhook = new lib.Webhook(
+			id,
+			request.name,
+			request.url,
+			request.events,
+			request.secret || crypto.randomBytes(32).toString("hex"),
+			request.enabled,
+		);
+		this._controller.webhooks.set(id, webhook);
+		this._controller.webhooksUpdated([webhook]);
+		return new lib.WebhookCreateRequest.Response(id, webhook.secret);
+	}
+
+	async handleWebhookUpdateRequest(request: lib.WebhookUpdateRequest) {
+		let webhook = this.getRequestWebhook(request.id);
+		this.validateWebhook(request);
+		webhook.name = request.name;
+		webhook.url = request.url;
+		webhook.events = request.events;
+		if (request.secret) {
+			webhook.secret = request.secret;
+		}
+		webhook.enabled = request.enabled;
+		this._controller.webhooksUpdated([webhook]);
+	}
+
+	async handleWebhookDeleteRequest(request: lib.WebhookDeleteRequest) {
+		let webhook = this.getRequestWebhook(request.id);
+		webhook.isDeleted = true;
+		this._controller.webhooks.delete(request.id);
+		this._controller.webhooksUpdated([webhook]);
+	}
+
+	async handleWebhookTestRequest(request: lib.WebhookTestRequest) {
+		let webhook = this.getRequestWebhook(request.id);
+		return await this._controller.webhookDispatcher.deliver(webhook, "ping", { webhookId: webhook.id }, false);
+	}
+
+	async handleSaveBackupListRequest() {
+		return [...this._controller.backupStore.backups.values()];
+	}
+
+	async handleSaveBackupCreateRequest(request: lib.SaveBackupCreateRequest) {
+		return await this._controller.backupSave(request.instanceId, request.name);
+	}
+
+	async handleSaveBackupRestoreRequest(request: lib.SaveBackupRestoreRequest) {
+		return await this._controller.restoreSaveBackup(request.id, request.instanceId, request.name);
+	}
+
+	async handleSaveBackupDeleteRequest(request: lib.SaveBackupDeleteRequest) {
+		if (!this._controller.backupStore.backups.has(request.id)) {
+			throw new lib.RequestError(`Backup with ID ${request.id} does not exist`);
+		}
+		await this._controller.backupStore.delete(request.id);
+	}
+
 	async handleLogSetSubscriptionsRequest(request: lib.LogSetSubscriptionsRequest) {
 		this.logSubscriptions = {
 			all: request.all || false,
@@ -572,6 +1069,13 @@ export default class ControlConnection extends BaseConnection {
 		return { log };
 	}
 
+	async handleAuditLogQueryRequest(request: lib.AuditLogQueryRequest) {
+		if (!this._controller.auditLog) {
+			throw new lib.RequestError("Audit log is not available");
+		}
+		return await this._controller.auditLog.query(request);
+	}
+
 	async handlePermissionListRequest() {
 		return [...lib.permissions.values()];
 	}
@@ -591,7 +1095,7 @@ export default class ControlConnection extends BaseConnection {
 	}
 
 	async handleRoleUpdateRequest(request: lib.RoleUpdateRequest) {
-		let { id, name, description, permissions } = request;
+		let { id, name, description, permissions, instanceIds, instanceTags } = request;
 		let role = this._controller.userManager.roles.get(id);
 		if (!role) {
 			throw new lib.RequestError(`Role with ID ${id} does not exist`);
@@ -600,6 +1104,8 @@ export default class ControlConnection extends BaseConnection {
 		role.name = name;
 		role.description = description;
 		role.permissions = new Set(permissions);
+		role.instanceIds = instanceIds;
+		role.instanceTags = instanceTags;
 		this._controller.rolePermissionsUpdated(role);
 	}
 
@@ -653,7 +1159,7 @@ export default class ControlConnection extends BaseConnection {
 			throw new lib.RequestError(`User '${request.name}' does not exist`);
 		}
 		if (user.name !== this.user.name) {
-			this.user.checkPermission("core.user.revoke_other_token");
+			this.permissionUser.checkPermission("core.user.revoke_other_token");
 		}
 
 		user.invalidateToken();
@@ -665,6 +1171,110 @@ export default class ControlConnection extends BaseConnection {
 		this._controller.usersUpdated([user]);
 	}
 
+	/**
+	 * Get user to manage API tokens of
+	 *
+	 * @param name - Name of user.
+	 * @returns the user.
+	 * @throws {module:lib.RequestError} if the user does not exist.
+	 * @throws {module:lib.PermissionError} if the user is not the user of
+	 *     this connection and managing other users' tokens is not permitted.
+	 */
+	_getApiTokenUser(name: string) {
+		let user = this._controller.userManager.users.get(name);
+		if (!user) {
+			throw new lib.RequestError(`User '${name}' does not exist`);
+		}
+		if (user.name !== this.user.name) {
+			this.permissionUser.checkPermission("core.user.manage_other_api_tokens");
+		}
+		return user;
+	}
+
+	async handleUserSetPasswordRequest(request: lib.UserSetPasswordRequest) {
+		let user = this._controller.userManager.users.get(request.name);
+		if (!user) {
+			throw new lib.RequestError(`User '${request.name}' does not exist`);
+		}
+		if (user.name !== this.user.name) {
+			this.permissionUser.checkPermission("core.user.set_other_password");
+			// The password allows logging in as the user, which must not
+			// give access to more than this user already has.
+			for (let permission of lib.permissions.keys()) {
+				if (userHasPermission(user, permission) && !userHasPermission(this.permissionUser, permission)) {
+					throw new lib.PermissionError("Cannot set the password of a user with permissions you do not have");
+				}
+			}
+		} else if (user.passwordHash && !await user.verifyPassword(request.currentPassword ?? "")) {
+			throw new lib.RequestError("Current password is incorrect");
+		}
+		if (request.password !== undefined && request.password.length < ControllerUser.minPasswordLength) {
+			throw new lib.RequestError(
+				`Password must be at least ${ControllerUser.minPasswordLength} characters long`
+			);
+		}
+
+		await user.setPassword(request.password);
+		for (let controlConnection of this._controller.wsServer.controlConnections.values()) {
+			if (controlConnection !== this && controlConnection.user === user && !controlConnection.apiToken) {
+				controlConnection.connector.terminate();
+			}
+		}
+		this._controller.usersUpdated([user]);
+	}
+
+	async handleUserRconHistoryGetRequest() {
+		return this.user.rconHistory;
+	}
+
+	async handleUserRconHistoryAddRequest(request: lib.UserRconHistoryAddRequest) {
+		if (!request.command.trim()) {
+			throw new lib.RequestError("Command cannot be empty");
+		}
+		this.user.addRconCommand(request.command);
+		this._controller.userManager.dirty = true;
+		return this.user.rconHistory;
+	}
+
+	async handleUserApiTokenListRequest(request: lib.UserApiTokenListRequest) {
+		let user = this._getApiTokenUser(request.name);
+		return [...user.apiTokens.values()];
+	}
+
+	async handleUserApiTokenCreateRequest(request: lib.UserApiTokenCreateRequest) {
+		let user = this._getApiTokenUser(request.name);
+		if (this.apiToken) {
+			throw new lib.RequestError("API tokens cannot be created using an API token");
+		}
+		if (!request.tokenName) {
+			throw new lib.RequestError("Token name cannot be empty");
+		}
+		if (request.expiresAtMs !== undefined && request.expiresAtMs <= Date.now()) {
+			throw new lib.RequestError("Expiry date must be in the future");
+		}
+		for (let instanceId of request.instanceIds ?? []) {
+			this._controller.getRequestInstance(instanceId);
+		}
+
+		let [apiToken, token] = this._controller.userManager.createApiToken(
+			user, request.tokenName, request.permissions, request.instanceIds, request.expiresAtMs,
+		);
+		return new lib.UserApiTokenCreateRequest.Response(apiToken, token);
+	}
+
+	async handleUserApiTokenRevokeRequest(request: lib.UserApiTokenRevokeRequest) {
+		let user = this._getApiTokenUser(request.name);
+		if (!user.apiTokens.delete(request.id)) {
+			throw new lib.RequestError(`API token ${request.id} does not exist`);
+		}
+		this._controller.userManager.dirty = true;
+		for (let controlConnection of this._controller.wsServer.controlConnections.values()) {
+			if (controlConnection.apiToken?.id === request.id) {
+				controlConnection.connector.terminate();
+			}
+		}
+	}
+
 	async handleUserUpdateRolesRequest(request: lib.UserUpdateRolesRequest) {
 		let user = this._controller.userManager.users.get(request.name);
 		if (!user) {
@@ -687,7 +1297,7 @@ export default class ControlConnection extends BaseConnection {
 		let user = this._controller.userManager.users.get(name);
 		if (!user) {
 			if (create) {
-				this.user.checkPermission("core.user.create");
+				this.permissionUser.checkPermission("core.user.create");
 				user = this._controller.userManager.createUser(name);
 			} else {
 				throw new lib.RequestError(`User '${name}' does not exist`);
@@ -700,19 +1310,21 @@ export default class ControlConnection extends BaseConnection {
 	}
 
 	async handleUserSetBannedRequest(request: lib.UserSetBannedRequest) {
-		let { name, create, banned, reason } = request;
+		let { name, create, banned, reason, durationMs } = request;
+		if (durationMs !== undefined && durationMs <= 0) {
+			throw new lib.RequestError("Ban duration must be positive");
+		}
 		let user = this._controller.userManager.users.get(name);
 		if (!user) {
 			if (create) {
-				this.user.checkPermission("core.user.create");
+				this.permissionUser.checkPermission("core.user.create");
 				user = this._controller.userManager.createUser(name);
 			} else {
 				throw new lib.RequestError(`User '${name}' does not exist`);
 			}
 		}
 
-		user.isBanned = banned;
-		user.banReason = reason;
+		user.setBanned(banned, reason, this.user.name, durationMs ? Date.now() + durationMs : 0);
 		this._controller.usersUpdated([user]);
 		this._controller.sendTo("allInstances", new lib.InstanceBanlistUpdateEvent(name, banned, reason));
 	}
@@ -722,7 +1334,7 @@ export default class ControlConnection extends BaseConnection {
 		let user = this._controller.userManager.users.get(name);
 		if (!user) {
 			if (create) {
-				this.user.checkPermission("core.user.create");
+				this.permissionUser.checkPermission("core.user.create");
 				user = this._controller.userManager.createUser(name);
 			} else {
 				throw new lib.RequestError(`User '${name}' does not exist`);
@@ -756,6 +1368,15 @@ export default class ControlConnection extends BaseConnection {
 		}
 	}
 
+	async handleUserListImportRequest(request: lib.UserListImportRequest) {
+		let { list, entries, create, overwrite, dryRun } = request;
+		return this._controller.importUserList(list, entries, { create, overwrite, dryRun }, this.user.name);
+	}
+
+	async handleUserListExportRequest(request: lib.UserListExportRequest) {
+		return this._controller.exportUserList(request.list);
+	}
+
 	async handleDebugDumpWsRequest(request: lib.DebugDumpWsRequest) {
 		this.ws_dumper = data => {
 			if (this.connector.connected) {
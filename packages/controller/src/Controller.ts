@@ -20,12 +20,23 @@ import HttpCloser from "./HttpCloser";
 import InstanceInfo from "./InstanceInfo";
 import * as metrics from "./metrics";
 import * as routes from "./routes";
+import * as gateway from "./gateway";
+import * as oidc from "./oidc";
+import type ControlConnection from "./ControlConnection";
 import ControllerUser from "./ControllerUser";
 import UserManager from "./UserManager";
 import WsServer from "./WsServer";
 import HostConnection from "./HostConnection";
 import HostInfo from "./HostInfo";
+import TaskScheduler from "./TaskScheduler";
+import WebhookDispatcher from "./WebhookDispatcher";
+import AuditLog from "./AuditLog";
+import BackupStore from "./BackupStore";
 import BaseControllerPlugin from "./BaseControllerPlugin";
+import { MemoryStorageBackend, Storage, StorageTransaction, createStorageBackend } from "./storage";
+import {
+	builtinPlacementStrategies, countFreePorts, type PlacementCandidate, type PlacementStrategy,
+} from "./placement";
 
 const endpointDurationSummary = new Summary(
 	"clusterio_controller_http_endpoint_duration_seconds",
@@ -63,6 +74,10 @@ export default class Controller {
 	savesDirty = false;
 	/** True if {@link Controller.modPacks} has changed since last time it was saved */
 	modPacksDirty = false;
+	/** True if {@link Controller.scheduledTasks} has changed since last time it was saved */
+	scheduledTasksDirty = false;
+	/** True if {@link Controller.webhooks} has changed since last time it was saved */
+	webhooksDirty = false;
 
 	httpServer: http.Server | null = null;
 	httpServerCloser: HttpCloser | null = null;
@@ -80,6 +95,18 @@ export default class Controller {
 
 	/** Event subscription controller */
 	subscriptions = new lib.SubscriptionController();
+	/** Runs scheduled tasks at their set times */
+	taskScheduler: TaskScheduler;
+	/** Delivers events to the configured webhooks */
+	webhookDispatcher: WebhookDispatcher;
+	/** Mapping of instance id to the latest migration of that instance */
+	instanceMigrations = new Map<number, lib.InstanceMigration>();
+	/** Mapping of upgrade id to Factorio upgrades started since the controller started */
+	factorioUpgrades = new Map<number, lib.FactorioUpgrade>();
+	/** Mapping of name to strategy for picking hosts to assign instances to */
+	placementStrategies = new Map<string, PlacementStrategy>(builtinPlacementStrategies);
+	/** Set while counting down to a restart, cancelled is set to true to abort it */
+	restartCountdown: { cancelled: boolean } | null = null;
 
 	// Possible states are new, starting, running, stopping, stopped
 	private _state: string = "new";
@@ -98,27 +125,32 @@ export default class Controller {
 	devMiddleware: any | null = null;
 
 	autosaveInterval?: ReturnType<typeof setInterval>;
+	backupInterval?: ReturnType<typeof setInterval>;
 	systemMetricsInterval?: ReturnType<typeof setInterval>;
+	banExpiryInterval?: ReturnType<typeof setInterval>;
 
 	logDirectory: string = "";
 	clusterLogIndex: lib.LogIndex | null = null;
+	/** Log of requests made by users, available after the controller has started */
+	auditLog: AuditLog | null = null;
 	clusterLogBuildInterval: ReturnType<typeof setInterval> | null = null;
 
 	static async bootstrap(config: lib.ControllerConfig) {
-		let databaseDirectory = config.get("controller.database_directory");
-		await fs.ensureDir(databaseDirectory);
-
-		const systems = await Controller.loadSystems(path.join(databaseDirectory, "systems.json"));
-		const hosts = await Controller.loadHosts(path.join(databaseDirectory, "hosts.json"));
-		const instances = await Controller.loadInstances(path.join(databaseDirectory, "instances.json"));
-		const saves = await Controller.loadSaves(path.join(databaseDirectory, "saves.json"));
-		const modPacks = await Controller.loadModPacks(path.join(databaseDirectory, "mod-packs.json"));
+		const storage = await Controller.openStorage(config);
+		const systems = await Controller.loadSystems(storage);
+		const hosts = await Controller.loadHosts(storage);
+		const instances = await Controller.loadInstances(storage);
+		const saves = await Controller.loadSaves(storage);
+		const modPacks = await Controller.loadModPacks(storage);
 		const userManager = new UserManager(config);
-		await userManager.load(path.join(databaseDirectory, "users.json"));
+		await userManager.load(storage);
+		const scheduledTasks = await Controller.loadScheduledTasks(storage);
 
 		let modsDirectory = config.get("controller.mods_directory");
 		await fs.ensureDir(modsDirectory);
 		const modStore = await lib.ModStore.fromDirectory(modsDirectory);
+		const backupStore = await BackupStore.fromDirectory(config.get("controller.backup_directory"));
+		const webhooks = await Controller.loadWebhooks(storage);
 
 		return [
 			systems,
@@ -128,6 +160,10 @@ export default class Controller {
 			modPacks,
 			modStore,
 			userManager,
+			scheduledTasks,
+			backupStore,
+			storage,
+			webhooks,
 		] as const;
 	}
 
@@ -155,6 +191,14 @@ export default class Controller {
 		public modStore = new lib.ModStore(config.get("controller.mods_directory"), new Map()),
 		/** User and roles manager for the cluster */
 		public userManager = new UserManager(config),
+		/** Mapping of scheduled task id to scheduled task */
+		public scheduledTasks = new Map<number, lib.ScheduledTask>(),
+		/** Backups of instance saves stored on the controller */
+		public backupStore = new BackupStore(config.get("controller.backup_directory")),
+		/** Storage the controller data is persisted to, also available to plugins */
+		public storage = new Storage(new MemoryStorageBackend()),
+		/** Mapping of webhook id to webhook */
+		public webhooks = new Map<number, lib.Webhook>(),
 	) {
 		this.clusterLogger = clusterLogger;
 		this.pluginInfos = pluginInfos;
@@ -167,21 +211,50 @@ export default class Controller {
 
 		this.trustedProxies = this.parseTrustedProxies();
 		this.wsServer = new WsServer(this);
+		this.taskScheduler = new TaskScheduler(this);
+		this.webhookDispatcher = new WebhookDispatcher(this);
 
 		this.modStore.on("change", mod => {
 			this.modsUpdated([mod]);
 		});
+		this.backupStore.on("change", backup => {
+			this.saveBackupsUpdated([backup]);
+		});
 
 		// Handle subscriptions for all internal properties
 		this.subscriptions.handle(lib.SystemInfoUpdateEvent, this.handleSystemInfoSubscription.bind(this));
 		this.subscriptions.handle(lib.HostUpdatesEvent, this.handleHostSubscription.bind(this));
-		this.subscriptions.handle(lib.InstanceDetailsUpdatesEvent, this.handleInstanceDetailsSubscription.bind(this));
+		// Instances and saves outside the instance scope of the subscriber are left out
+		this.subscriptions.handle(
+			lib.InstanceDetailsUpdatesEvent,
+			this.handleInstanceDetailsSubscription.bind(this),
+			(link, event) => {
+				const updates = (link as ControlConnection).filterInstanceDetails(
+					event.updates, lib.InstanceDetailsUpdatesEvent.permission
+				);
+				return updates.length ? new lib.InstanceDetailsUpdatesEvent(updates) : null;
+			},
+		);
 		this.subscriptions.handle(
-			lib.InstanceSaveDetailsUpdatesEvent, this.handleInstanceSaveDetailsSubscription.bind(this)
+			lib.InstanceMigrationUpdatesEvent, this.handleInstanceMigrationSubscription.bind(this)
+		);
+		this.subscriptions.handle(lib.FactorioUpgradeUpdatesEvent, this.handleFactorioUpgradeSubscription.bind(this));
+		this.subscriptions.handle(
+			lib.InstanceSaveDetailsUpdatesEvent,
+			this.handleInstanceSaveDetailsSubscription.bind(this),
+			(link, event) => {
+				const updates = (link as ControlConnection).filterSaveDetails(
+					event.updates, lib.InstanceSaveDetailsUpdatesEvent.permission
+				);
+				return updates.length ? new lib.InstanceSaveDetailsUpdatesEvent(updates) : null;
+			},
 		);
 		this.subscriptions.handle(lib.ModPackUpdatesEvent, this.handleModPackSubscription.bind(this));
 		this.subscriptions.handle(lib.ModUpdatesEvent, this.handleModSubscription.bind(this));
 		this.subscriptions.handle(lib.UserUpdatesEvent, this.handleUserSubscription.bind(this));
+		this.subscriptions.handle(lib.ScheduledTaskUpdatesEvent, this.handleScheduledTaskSubscription.bind(this));
+		this.subscriptions.handle(lib.SaveBackupUpdatesEvent, this.handleSaveBackupSubscription.bind(this));
+		this.subscriptions.handle(lib.WebhookUpdatesEvent, this.handleWebhookSubscription.bind(this));
 	}
 
 	async start(args: ControllerArgs) {
@@ -215,12 +288,17 @@ export default class Controller {
 			lib.directorySize(path.join(this.logDirectory, "cluster")),
 			lib.directorySize(path.join(this.logDirectory, "controller")),
 			lib.directorySize(path.join(this.logDirectory, "host")),
+			lib.directorySize(path.join(this.logDirectory, "audit")),
 		])).reduce((a, v) => a + v, 0);
 	}
 
 	async _startInternal(args: ControllerArgs) {
 		this.logDirectory = args.logDirectory;
 		this.clusterLogIndex = await lib.LogIndex.load(path.join(this.logDirectory, "cluster"));
+		this.auditLog = await AuditLog.fromDirectory(
+			path.join(this.logDirectory, "audit"), this.config.get("controller.audit_log_retention")
+		);
+		await this.auditLog.prune();
 
 		this.clusterLogBuildInterval = setInterval(() => {
 			if (this.clusterLogIndex) {
@@ -239,6 +317,11 @@ export default class Controller {
 		this.config.on("fieldChanged", (field, curr, prev) => {
 			if (field === "controller.autosave_interval") {
 				this.onAutosaveIntervalChanged();
+			} else if (field === "controller.backup_interval") {
+				this.onBackupIntervalChanged();
+			} else if (field === "controller.audit_log_retention" && this.auditLog) {
+				this.auditLog.retentionDays = curr as number | null;
+				this.auditLog.prune().catch(err => logger.error(`Error pruning audit log:\n${err.stack}`));
 			} else if (field === "controller.system_metrics_interval") {
 				this.onSystemMetricsIntervalChanged();
 			} else if (field === "controller.trusted_proxies") {
@@ -316,7 +399,12 @@ export default class Controller {
 		}
 
 		this.onAutosaveIntervalChanged();
+		this.onBackupIntervalChanged();
 		this.onSystemMetricsIntervalChanged();
+		this.taskScheduler.start();
+		this.webhookDispatcher.start();
+		this.liftExpiredBans();
+		this.banExpiryInterval = setInterval(() => { this.liftExpiredBans(); }, 10e3);
 
 		logger.info("Started controller");
 		this._state = "running";
@@ -397,6 +485,19 @@ export default class Controller {
 			this.autosaveInterval = undefined;
 		}
 
+		if (this.backupInterval) {
+			clearInterval(this.backupInterval);
+			this.backupInterval = undefined;
+		}
+
+		if (this.banExpiryInterval) {
+			clearInterval(this.banExpiryInterval);
+			this.banExpiryInterval = undefined;
+		}
+
+		this.taskScheduler.stop();
+		this.webhookDispatcher.stop();
+
 		if (this.clusterLogIndex) {
 			await this.clusterLogIndex.save();
 		}
@@ -408,6 +509,9 @@ export default class Controller {
 		await lib.invokeHook(this.plugins, "onShutdown");
 
 		await this.wsServer.stop();
+		if (this.auditLog) {
+			await this.auditLog.close();
+		}
 
 		let stopTasks = [];
 		logger.info("Stopping HTTP(S) server");
@@ -421,6 +525,7 @@ export default class Controller {
 
 		logger.info("Saving data");
 		await this.saveData();
+		await this.storage.close();
 		logger.info("Goodbye");
 	}
 
@@ -498,6 +603,19 @@ export default class Controller {
 		}
 	}
 
+	onBackupIntervalChanged() {
+		if (this.backupInterval) {
+			clearInterval(this.backupInterval);
+			this.backupInterval = undefined;
+		}
+		const backupIntervalMinutes = this.config.get("controller.backup_interval");
+		if (backupIntervalMinutes !== null && backupIntervalMinutes > 0) {
+			this.backupInterval = setInterval(() => {
+				this.backupInstances().catch(err => logger.error(`Unexpected error backing up saves:\n${err.stack}`));
+			}, backupIntervalMinutes * 60e3);
+		}
+	}
+
 	/**
 	 * Save all data currently in memory to disk
 	 *
@@ -522,75 +640,149 @@ export default class Controller {
 			await lib.safeOutputFile(this.configPath, JSON.stringify(this.config, null, "\t"));
 		}
 
-		let databaseDirectory = this.config.get("controller.database_directory");
-		if (this.systemsDirty) {
-			this.systemsDirty = false;
-			await Controller.saveSystems(path.join(databaseDirectory, "systems.json"), this.systems);
-		}
+		// Invoked first to let plugins update their stores before they are saved.
+		await lib.invokeHook(this.plugins, "onSaveData");
 
-		if (this.hostsDirty) {
-			this.hostsDirty = false;
-			await Controller.saveHosts(path.join(databaseDirectory, "hosts.json"), this.hosts);
-		}
+		await this.storage.transaction(async transaction => {
+			if (this.systemsDirty) {
+				this.systemsDirty = false;
+				await Controller.saveSystems(transaction, this.systems);
+			}
 
-		if (this.instancesDirty) {
-			this.instancesDirty = false;
-			await Controller.saveInstances(path.join(databaseDirectory, "instances.json"), this.instances);
-		}
+			if (this.hostsDirty) {
+				this.hostsDirty = false;
+				await Controller.saveHosts(transaction, this.hosts);
+			}
 
-		if (this.savesDirty) {
-			this.savesDirty = false;
-			await Controller.saveSaves(path.join(databaseDirectory, "saves.json"), this.saves);
-		}
+			if (this.instancesDirty) {
+				this.instancesDirty = false;
+				await Controller.saveInstances(transaction, this.instances);
+			}
 
-		if (this.modPacksDirty) {
-			this.modPacksDirty = false;
-			await Controller.saveModPacks(path.join(databaseDirectory, "mod-packs.json"), this.modPacks);
-		}
+			if (this.savesDirty) {
+				this.savesDirty = false;
+				await Controller.saveSaves(transaction, this.saves);
+			}
 
-		if (this.userManager.dirty) {
-			await this.userManager.save(path.join(databaseDirectory, "users.json"));
-		}
+			if (this.modPacksDirty) {
+				this.modPacksDirty = false;
+				await Controller.saveModPacks(transaction, this.modPacks);
+			}
 
-		await lib.invokeHook(this.plugins, "onSaveData");
-	}
+			if (this.userManager.dirty) {
+				await this.userManager.save(transaction);
+			}
 
-	static async loadSystems(filePath: string): Promise<Map<lib.SystemInfo["id"], lib.SystemInfo>> {
-		let json: Static<typeof lib.SystemInfo.jsonSchema>[];
-		try {
-			json = JSON.parse(await fs.readFile(filePath, { encoding: "utf8" }));
+			if (this.scheduledTasksDirty) {
+				this.scheduledTasksDirty = false;
+				await Controller.saveScheduledTasks(transaction, this.scheduledTasks);
+			}
 
-		} catch (err: any) {
-			if (err.code !== "ENOENT") {
-				throw err;
+			if (this.webhooksDirty) {
+				this.webhooksDirty = false;
+				await Controller.saveWebhooks(transaction, this.webhooks);
 			}
-			return new Map();
-		}
 
-		return new Map(json.map(m => lib.SystemInfo.fromJSON(m)).map(m => [m.id, m]));
+			for (let plugin of this.plugins.values()) {
+				for (let store of plugin.stores.values()) {
+					await store.save(transaction);
+				}
+			}
+		});
 	}
 
-	static async saveSystems(filePath: string, systems: Map<lib.SystemInfo["id"], lib.SystemInfo>) {
-		await lib.safeOutputFile(filePath, JSON.stringify([...systems.values()], null, "\t"));
+	/**
+	 * Open the storage configured for the controller
+	 *
+	 * Brings the controller data in the storage up to date, importing the
+	 * JSON database files used by earlier versions if present.
+	 *
+	 * @param config - Config of the controller.
+	 * @returns opened storage.
+	 */
+	static async openStorage(config: lib.ControllerConfig) {
+		let databaseDirectory = config.get("controller.database_directory");
+		await fs.ensureDir(databaseDirectory);
+		const storage = new Storage(createStorageBackend(config));
+		await storage.open();
+		await storage.migrate("controller", [
+			{
+				version: 1,
+				description: "Import JSON database files",
+				migrate: transaction => Controller.importJsonDatabase(transaction, databaseDirectory),
+			},
+		]);
+		return storage;
 	}
 
-	static async loadHosts(filePath: string): Promise<Map<number, HostInfo>> {
-		let serialized: [number, Static<typeof HostInfo.jsonSchema>][];
-		try {
-			serialized = JSON.parse(await fs.readFile(filePath, { encoding: "utf8" }));
-
-		} catch (err: any) {
-			if (err.code !== "ENOENT") {
-				throw err;
+	/**
+	 * Import the JSON database files from before the storage layer
+	 *
+	 * @param transaction - Transaction to write the imported records to.
+	 * @param databaseDirectory - Directory the files are in.
+	 */
+	static async importJsonDatabase(transaction: StorageTransaction, databaseDirectory: string) {
+		async function readFile(name: string) {
+			let filePath = path.join(databaseDirectory, name);
+			try {
+				let json = JSON.parse(await fs.readFile(filePath, { encoding: "utf8" }));
+				logger.info(`Importing ${filePath}, the file is no longer used after this`);
+				return json;
+			} catch (err: any) {
+				if (err.code !== "ENOENT") {
+					throw err;
+				}
+				return undefined;
 			}
-			return new Map();
 		}
 
-		// TODO: migrate remove after release.
-		if (serialized.length && !(serialized[0] instanceof Array)) {
-			return new Map(); // Discard old format.
+		for (let json of await readFile("systems.json") ?? []) {
+			transaction.set("systems", String(json.id), json);
+		}
+		let hosts = await readFile("hosts.json") ?? [];
+		if (hosts.length && hosts[0] instanceof Array) { // Old format without ids is discarded.
+			for (let [id, json] of hosts) {
+				transaction.set("hosts", String(id), json);
+			}
+		}
+		for (let json of await readFile("instances.json") ?? []) {
+			if (!json.config) { // migrate: from pre Alpha 14 format.
+				json = { config: json, status: "running" }; // Use running to force updatedAtMs
+			}
+			const instance = InstanceInfo.fromJSON(json, "controller");
+			transaction.set("instances", String(instance.id), instance);
 		}
+		for (let json of await readFile("saves.json") ?? []) {
+			transaction.set("saves", json.id, json);
+		}
+		for (let json of await readFile("mod-packs.json") ?? []) {
+			transaction.set("mod_packs", String(json.id), json);
+		}
+		let users = await readFile("users.json");
+		if (users) {
+			for (let json of users.roles) {
+				transaction.set("roles", String(json.id), json);
+			}
+			for (let json of users.users) {
+				transaction.set("users", json.name, json);
+			}
+		}
+		for (let json of await readFile("scheduled-tasks.json") ?? []) {
+			transaction.set("scheduled_tasks", String(json.id), json);
+		}
+	}
 
+	static async loadSystems(storage: Storage): Promise<Map<lib.SystemInfo["id"], lib.SystemInfo>> {
+		let json = await storage.load("systems") as Map<string, Static<typeof lib.SystemInfo.jsonSchema>>;
+		return new Map([...json.values()].map(m => lib.SystemInfo.fromJSON(m)).map(m => [m.id, m]));
+	}
+
+	static async saveSystems(transaction: StorageTransaction, systems: Map<lib.SystemInfo["id"], lib.SystemInfo>) {
+		await transaction.saveTable("systems", [...systems].map(([id, system]) => [String(id), system]));
+	}
+
+	static async loadHosts(storage: Storage): Promise<Map<number, HostInfo>> {
+		let serialized = await storage.load("hosts") as Map<string, Static<typeof HostInfo.jsonSchema>>;
 		const hosts = new Map();
 		for (let [id, json] of serialized) {
 			const host = HostInfo.fromJSON(json);
@@ -598,84 +790,72 @@ export default class Controller {
 				host.connected = false;
 				host.updatedAtMs = Date.now();
 			}
-			hosts.set(id, host);
+			hosts.set(Number(id), host);
 		}
 		return hosts;
 	}
 
-	static async saveHosts(filePath: string, hosts: Map<number, HostInfo>) {
-		await lib.safeOutputFile(filePath, JSON.stringify([...hosts.entries()], null, "\t"));
+	static async saveHosts(transaction: StorageTransaction, hosts: Map<number, HostInfo>) {
+		await transaction.saveTable("hosts", [...hosts].map(([id, host]) => [String(id), host]));
 	}
 
-	static async loadInstances(filePath: string): Promise<Map<number, InstanceInfo>> {
-		logger.info(`Loading ${filePath}`);
-
+	static async loadInstances(storage: Storage): Promise<Map<number, InstanceInfo>> {
+		let serialized = await storage.load("instances") as Map<string, Static<typeof InstanceInfo.jsonSchema>>;
 		let instances = new Map();
-		try {
-			let serialized = JSON.parse(
-				await fs.readFile(filePath, { encoding: "utf8" })
-			) as Static<typeof InstanceInfo.jsonSchema>[];
-			for (let json of serialized) {
-				if (!json.config) { // migrate: from pre Alpha 14 format.
-					json = { config: json as any, status: "running" }; // Use running to force updatedAtMs
-				}
-				const instance = InstanceInfo.fromJSON(json, "controller");
-				const status = instance.config.get("instance.assigned_host") === null ? "unassigned" : "unknown";
-				if (instance.status !== status) {
-					instance.status = status;
-					instance.updatedAtMs = Date.now();
-				}
-				instances.set(instance.id, instance);
+		for (let json of serialized.values()) {
+			const instance = InstanceInfo.fromJSON(json, "controller");
+			const status = instance.config.get("instance.assigned_host") === null ? "unassigned" : "unknown";
+			if (instance.status !== status) {
+				instance.status = status;
+				instance.updatedAtMs = Date.now();
 			}
-
-		} catch (err: any) {
-			if (err.code !== "ENOENT") {
-				throw err;
-			}
-			return new Map();
+			instances.set(instance.id, instance);
 		}
-
 		return instances;
 	}
 
-	static async saveInstances(filePath: string, instances: Map<number, InstanceInfo>) {
-		let serialized = [...instances.values()];
-		await lib.safeOutputFile(filePath, JSON.stringify(serialized, null, "\t"));
+	static async saveInstances(transaction: StorageTransaction, instances: Map<number, InstanceInfo>) {
+		await transaction.saveTable("instances", [...instances].map(([id, instance]) => [String(id), instance]));
 	}
 
-	static async loadSaves(filePath: string): Promise<Map<string, lib.SaveDetails>> {
-		let json: Static<typeof lib.SaveDetails.jsonSchema>[];
-		try {
-			json = JSON.parse(await fs.readFile(filePath, { encoding: "utf8" }));
-		} catch (err: any) {
-			if (err.code !== "ENOENT") {
-				throw err;
-			}
-			return new Map();
-		}
-		return new Map(json.map(s => lib.SaveDetails.fromJSON(s)).map(s => [s.id, s]));
+	static async loadSaves(storage: Storage): Promise<Map<string, lib.SaveDetails>> {
+		let json = await storage.load("saves") as Map<string, Static<typeof lib.SaveDetails.jsonSchema>>;
+		return new Map([...json.values()].map(s => lib.SaveDetails.fromJSON(s)).map(s => [s.id, s]));
 	}
 
-	static async saveSaves(filePath: string, saves: Map<string, lib.SaveDetails>) {
-		await lib.safeOutputFile(filePath, JSON.stringify([...saves.values()], null, "\t"));
+	static async saveSaves(transaction: StorageTransaction, saves: Map<string, lib.SaveDetails>) {
+		await transaction.saveTable("saves", saves);
 	}
 
+	static async loadModPacks(storage: Storage): Promise<Map<number, lib.ModPack>> {
+		let json = await storage.load("mod_packs") as Map<string, Static<typeof lib.ModPack.jsonSchema>>;
+		return new Map([...json.values()].map(e => lib.ModPack.fromJSON(e)).map(m => [m.id, m]));
+	}
 
-	static async loadModPacks(filePath: string): Promise<Map<number, lib.ModPack>> {
-		let json;
-		try {
-			json = JSON.parse(await fs.readFile(filePath, { encoding: "utf8" }));
-		} catch (err: any) {
-			if (err.code !== "ENOENT") {
-				throw err;
-			}
-			return new Map();
-		}
-		return new Map(json.map((e: any) => [e.id, lib.ModPack.fromJSON(e)]));
+	static async saveModPacks(transaction: StorageTransaction, modPacks: Map<number, lib.ModPack>) {
+		await transaction.saveTable("mod_packs", [...modPacks].map(([id, modPack]) => [String(id), modPack]));
+	}
+
+	static async loadScheduledTasks(storage: Storage): Promise<Map<number, lib.ScheduledTask>> {
+		let json = await storage.load("scheduled_tasks") as Map<string, Static<typeof lib.ScheduledTask.jsonSchema>>;
+		return new Map([...json.values()].map(t => lib.ScheduledTask.fromJSON(t)).map(t => [t.id, t]));
+	}
+
+	static async saveScheduledTasks(
+		transaction: StorageTransaction, scheduledTasks: Map<number, lib.ScheduledTask>
+	) {
+		await transaction.saveTable("scheduled_tasks", [...scheduledTasks].map(([id, task]) => [String(id), task]));
 	}
 
-	static async saveModPacks(filePath: string, modPacks: Map<number, lib.ModPack>) {
-		await lib.safeOutputFile(filePath, JSON.stringify([...modPacks.values()], null, "\t"));
+	static async loadWebhooks(storage: Storage): Promise<Map<number, lib.Webhook>> {
+		let json = await storage.load("webhooks") as Map<string, Static<typeof lib.Webhook.jsonSchema>>;
+		return new Map([...json.values()].map(w => lib.Webhook.fromJSON(w)).map(w => [w.id, w]));
+	}
+
+	static async saveWebhooks(transaction: StorageTransaction, webhooks: Map<number, lib.Webhook>) {
+		await transaction.saveTable(
+			"webhooks", [...webhooks].map(([id, webhook]) => [String(id), webhook.toJSON(true)])
+		);
 	}
 
 	static async loadJsonObject(filePath: string, throwOnMissing: boolean = false): Promise<any> {
@@ -741,6 +921,8 @@ export default class Controller {
 
 		// Add API routes
 		routes.addRouteHandlers(app);
+		gateway.addRouteHandlers(app);
+		oidc.addRouteHandlers(app);
 
 		// Add routes for the web interface
 		for (let route of routes.webRoutes) {
@@ -794,6 +976,285 @@ export default class Controller {
 		return hosts.length ? new lib.HostUpdatesEvent(hosts) : null;
 	}
 
+	/**
+	 * Start or stop draining a host for maintenance
+	 *
+	 * A draining host is not assigned new instances and does not auto
+	 * start its instances.  When starting a drain the instances running on
+	 * the host can be stopped or migrated to another host, optionally
+	 * after a countdown announced in-game.  Stopping the drain while the
+	 * countdown is running cancels it.
+	 *
+	 * @param hostId - ID of host to drain.
+	 * @param draining - True to start draining, false to stop.
+	 * @param action - What to do with the instances running on the host.
+	 * @param countdownSeconds - Seconds to count down before acting.
+	 * @param targetHostId -
+	 *     Host to migrate instances to, defaults to picking one with
+	 *     controller.placement_strategy for each instance.
+	 */
+	async hostDrain(
+		hostId: number,
+		draining: boolean,
+		action: lib.HostDrainAction = "none",
+		countdownSeconds = 0,
+		targetHostId?: number,
+	) {
+		let host = this.hosts.get(hostId);
+		if (!host) {
+			throw new lib.RequestError(`Host with ID ${hostId} does not exist`);
+		}
+		if (targetHostId === hostId) {
+			throw new lib.RequestError("Cannot migrate instances to the host being drained");
+		}
+
+		if (host.draining !== draining) {
+			host.draining = draining;
+			this.hostsUpdated([host]);
+			let connection = this.wsServer.hostConnections.get(hostId);
+			if (connection && !connection.connector.closing) {
+				connection.send(new lib.HostDrainingChangedEvent(draining));
+			}
+			logger.info(draining ? `Draining host ${host.name}` : `Stopped draining host ${host.name}`);
+		}
+		if (!draining || action === "none") {
+			return;
+		}
+
+		let instances = [...this.instances.values()].filter(
+			instance => instance.config.get("instance.assigned_host") === hostId && instance.status === "running"
+		);
+		if (!instances.length) {
+			return;
+		}
+
+		if (countdownSeconds > 0) {
+			let reason = action === "migrate" ? "moving to another server" : "shutting down for maintenance";
+			let completed = await this.announceCountdown(
+				instances.map(instance => instance.id),
+				countdownSeconds,
+				remaining => `Server is ${reason} in ${lib.formatCountdown(remaining)}`,
+				() => host!.draining,
+			);
+			if (!completed) {
+				throw new lib.RequestError("Drain was cancelled");
+			}
+		}
+
+		let errors: string[] = [];
+		for (let instance of instances) {
+			try {
+				if (action === "stop") {
+					await this.sendTo({ instanceId: instance.id }, new lib.InstanceStopRequest());
+				} else {
+					let target = targetHostId ?? await this.selectHost(instance, undefined, [hostId]);
+					await this.instanceMigrate(instance.id, target);
+				}
+			} catch (err: any) {
+				errors.push(`${instance.config.get("instance.name")}: ${err.message}`);
+			}
+		}
+		if (errors.length) {
+			throw new lib.RequestError(`Failed to ${action} instances: ${errors.join(", ")}`);
+		}
+	}
+
+	/**
+	 * Announce in-game that the controller is restarting
+	 *
+	 * Counts down the given number of seconds sending the
+	 * controller.restart_countdown_message to all running instances with
+	 * players online.  Returns immediately if no players are online.
+	 *
+	 * @param seconds - Length of countdown.
+	 * @returns false if the countdown was cancelled, true otherwise.
+	 */
+	async announceRestart(seconds: number) {
+		let online = new Set<number>();
+		for (let user of this.userManager.users.values()) {
+			user.instances.forEach(instanceId => online.add(instanceId));
+		}
+		let instanceIds = [...this.instances.values()]
+			.filter(instance => instance.status === "running" && online.has(instance.id))
+			.map(instance => instance.id);
+		if (!instanceIds.length) {
+			return true;
+		}
+		if (this.restartCountdown) {
+			throw new lib.RequestError("Controller is already counting down to restart");
+		}
+
+		let state = { cancelled: false };
+		this.restartCountdown = state;
+		logger.info(`Restarting in ${lib.formatCountdown(seconds)}`);
+		try {
+			await this.announceCountdown(
+				instanceIds,
+				seconds,
+				remaining => this.config.get("controller.restart_countdown_message")
+					.replace("{time}", lib.formatCountdown(remaining)),
+				() => !state.cancelled,
+			);
+		} finally {
+			this.restartCountdown = null;
+		}
+		if (state.cancelled) {
+			logger.info("Restart countdown cancelled");
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Announce a countdown in-game on instances
+	 *
+	 * @param instanceIds - Instances to announce countdown on.
+	 * @param seconds - Length of countdown.
+	 * @param message - Produces the message sent for the seconds remaining.
+	 * @param shouldContinue - Checked during the countdown, return false to cancel it.
+	 * @returns true if the countdown completed, false if it was cancelled.
+	 */
+	async announceCountdown(
+		instanceIds: number[],
+		seconds: number,
+		message: (remaining: number) => string,
+		shouldContinue: () => boolean,
+	) {
+		return await lib.countdown(seconds, async remaining => {
+			let rcon = new lib.InstanceSendRconRequest(message(remaining));
+			await Promise.all(instanceIds.map(async instanceId => {
+				try {
+					await this.sendTo({ instanceId }, rcon);
+				} catch (err: any) {
+					logger.warn(`Failed to announce countdown on instance ${instanceId}: ${err.message}`);
+				}
+			}));
+		}, shouldContinue);
+	}
+
+	/**
+	 * Send an RCON command to several instances in parallel
+	 *
+	 * @param command - Command to send.
+	 * @param instanceIds -
+	 *     Instances to send to, defaults to all running instances.
+	 * @param tags -
+	 *     If not empty, only send to instances with one of these tags.
+	 * @param include -
+	 *     Checked for each instance, return false to leave it out.
+	 * @returns the output or error of each instance sent to.
+	 */
+	async broadcastRcon(
+		command: string,
+		instanceIds?: number[],
+		tags: string[] = [],
+		include: (instance: InstanceInfo) => boolean = () => true,
+	) {
+		let instances: InstanceInfo[];
+		if (instanceIds) {
+			instances = instanceIds.map(instanceId => {
+				let instance = this.instances.get(instanceId);
+				if (!instance) {
+					throw new lib.RequestError(`Instance with ID ${instanceId} does not exist`);
+				}
+				return instance;
+			});
+		} else {
+			instances = [...this.instances.values()].filter(instance => instance.status === "running");
+		}
+		if (tags.length) {
+			instances = instances.filter(instance => tags.some(tag => instance.tags.includes(tag)));
+		}
+
+		let rcon = new lib.InstanceSendRconRequest(command);
+		return await Promise.all(instances.filter(include).map(async instance => {
+			if (instance.status !== "running") {
+				return new lib.InstanceRconResult(instance.id, undefined, "Instance is not running");
+			}
+			try {
+				let output = await this.sendTo({ instanceId: instance.id }, rcon);
+				return new lib.InstanceRconResult(instance.id, output);
+			} catch (err: any) {
+				return new lib.InstanceRconResult(instance.id, undefined, err.message);
+			}
+		}));
+	}
+
+	/**
+	 * Register a strategy for picking the host to assign instances to
+	 *
+	 * Registered strategies can be selected by name with the
+	 * controller.placement_strategy config or when assigning an instance.
+	 *
+	 * @param name - Name to register the strategy under.
+	 * @param strategy - Function picking between the candidate hosts.
+	 */
+	registerPlacementStrategy(name: string, strategy: PlacementStrategy) {
+		if (this.placementStrategies.has(name)) {
+			throw new Error(`Placement strategy ${name} is already registered`);
+		}
+		this.placementStrategies.set(name, strategy);
+	}
+
+	/**
+	 * Pick a host to assign an instance to
+	 *
+	 * Only hosts that are connected, not draining and have a free port in
+	 * their host.factorio_port_range are considered, unless the instance
+	 * has a fixed factorio.game_port in which case any free port is not
+	 * required.
+	 *
+	 * @param instance - Instance to pick host for.
+	 * @param strategyName -
+	 *     Name of placement strategy to use, defaults to
+	 *     controller.placement_strategy.
+	 * @param excludeHostIds - Hosts to not consider.
+	 * @returns ID of the host picked.
+	 * @throws {module:lib.RequestError} if no host is suitable.
+	 */
+	async selectHost(instance: InstanceInfo, strategyName?: string, excludeHostIds: number[] = []) {
+		strategyName = strategyName ?? this.config.get("controller.placement_strategy");
+		let strategy = this.placementStrategies.get(strategyName);
+		if (!strategy) {
+			throw new lib.RequestError(`Placement strategy ${strategyName} does not exist`);
+		}
+
+		let fixedPort = instance.config.get("factorio.game_port") !== null;
+		let candidates: PlacementCandidate[] = [];
+		for (let host of this.hosts.values()) {
+			let connection = this.wsServer.hostConnections.get(host.id);
+			if (excludeHostIds.includes(host.id) || host.draining || !connection || connection.connector.closing) {
+				continue;
+			}
+
+			let assigned = [...this.instances.values()].filter(
+				other => other !== instance && other.config.get("instance.assigned_host") === host.id
+			);
+			let freePorts: number;
+			try {
+				let hostConfig = lib.HostConfig.fromJSON(
+					await this.sendTo({ hostId: host.id }, new lib.HostConfigGetRequest()),
+					"controller",
+				);
+				freePorts = countFreePorts(hostConfig.get("host.factorio_port_range"), assigned);
+			} catch (err: any) {
+				logger.warn(`Failed to get config of host ${host.name} for placement: ${err.message}`);
+				continue;
+			}
+			if (!fixedPort && freePorts === 0) {
+				continue;
+			}
+
+			candidates.push({ host, system: this.systems.get(host.id), instanceCount: assigned.length, freePorts });
+		}
+
+		let selected = candidates.length ? strategy(instance, candidates) : undefined;
+		if (!selected) {
+			throw new lib.RequestError("No host available to assign the instance to");
+		}
+		return selected.host.id;
+	}
+
 	/**
 	 * Get instance by ID for a request
 	 *
@@ -905,6 +1366,9 @@ export default class Controller {
 		// Check if target host is connected
 		let newHostConnection: HostConnection | undefined;
 		if (hostId !== undefined) {
+			if (this.hosts.get(hostId)?.draining) {
+				throw new lib.RequestError("Target host is draining");
+			}
 			newHostConnection = this.wsServer.hostConnections.get(hostId);
 			if (!newHostConnection) {
 				// The case of the host not getting the assign instance message
@@ -942,6 +1406,333 @@ export default class Controller {
 		}
 	}
 
+	/**
+	 * Copy a save from an instance on one host to an instance on another
+	 *
+	 * Streams the save through the controller from the source host to the
+	 * target host.  If a save with the target name already exists on the
+	 * target instance the copy is given a new name.
+	 *
+	 * @param sourceHostId - ID of host to copy the save from.
+	 * @param sourceInstanceId - ID of instance to copy the save from.
+	 * @param sourceName - Name of save to copy.
+	 * @param targetHostId - ID of host to copy the save to.
+	 * @param targetInstanceId - ID of instance to copy the save to.
+	 * @param targetName - Name to store the copy as.
+	 * @returns the name the save was stored as on the target instance.
+	 */
+	async transferSaveBetweenHosts(
+		sourceHostId: number,
+		sourceInstanceId: number,
+		sourceName: string,
+		targetHostId: number,
+		targetInstanceId: number,
+		targetName: string,
+	): Promise<string> {
+		// Create stream to proxy from target to source
+		let proxyStream = await routes.createProxyStream(this.app);
+		proxyStream.events.on("timeout", () => {
+			if (proxyStream.source) {
+				proxyStream.source.destroy();
+			}
+			proxyStream.events.emit("error", new lib.RequestError("Timed out establishing transfer stream"));
+		});
+
+		// Ignore errors if not listening for them to avoid crash.
+		proxyStream.events.on("error", () => { /* ignore */ });
+
+		// Establish push from source host to stream, this is done first to
+		// ensure the file size is known prior to the target host pull.
+		await Promise.all([
+			this.sendTo(
+				{ hostId: sourceHostId },
+				new lib.InstancePushSaveRequest(sourceInstanceId, proxyStream.id, sourceName),
+			),
+			events.once(proxyStream.events, "source"),
+		]);
+
+		// Establish pull from target host to stream and wait for completion.
+		return await this.sendTo(
+			{ hostId: targetHostId },
+			new lib.InstancePullSaveRequest(targetInstanceId, proxyStream.id, targetName),
+		);
+	}
+
+	/**
+	 * Check that instances can be migrated between the given hosts
+	 *
+	 * @param sourceHostId - ID of host to migrate from.
+	 * @param targetHostId - ID of host to migrate to.
+	 * @returns connection to the target host.
+	 */
+	checkMigrationHosts(sourceHostId: number, targetHostId: number) {
+		let sourceHostConnection = this.wsServer.hostConnections.get(sourceHostId);
+		if (!sourceHostConnection || sourceHostConnection.connector.closing) {
+			throw new lib.RequestError("Source host is not connected to the controller");
+		}
+		let targetHostConnection = this.wsServer.hostConnections.get(targetHostId);
+		if (!targetHostConnection || targetHostConnection.connector.closing) {
+			throw new lib.RequestError("Target host is not connected to the controller");
+		}
+		if (this.hosts.get(targetHostId)?.draining) {
+			throw new lib.RequestError("Target host is draining");
+		}
+		return targetHostConnection;
+	}
+
+	/**
+	 * Move an instance and its saves to another host
+	 *
+	 * Stops the instance if it is running, copies all of its saves to the
+	 * target host, reassigns it and starts it again if it was running.  If
+	 * a step fails the copied saves are removed and the instance is put
+	 * back on the host it was on.  The saves are left in place on the
+	 * source host.
+	 *
+	 * @param instanceId - ID of instance to migrate.
+	 * @param hostId - ID of host to migrate instance to.
+	 * @returns the finished migration.
+	 */
+	async instanceMigrate(instanceId: number, hostId: number) {
+		let instance = this.getRequestInstance(instanceId);
+		let sourceHostId = instance.config.get("instance.assigned_host");
+		if (sourceHostId === null) {
+			throw new lib.RequestError("Instance is not assigned to a host");
+		}
+		if (sourceHostId === hostId) {
+			throw new lib.RequestError("Instance is already assigned to the target host");
+		}
+		let targetHostConnection = this.checkMigrationHosts(sourceHostId, hostId);
+		let previous = this.instanceMigrations.get(instanceId);
+		if (previous && !["completed", "failed"].includes(previous.status)) {
+			throw new lib.RequestError("Instance is already being migrated");
+		}
+		if (!["stopped", "running"].includes(instance.status)) {
+			throw new lib.RequestError(`Instance cannot be migrated while ${instance.status}`);
+		}
+
+		let instanceName = instance.config.get("instance.name");
+		let migration = new lib.InstanceMigration(
+			instanceId, sourceHostId, hostId, "stopping", instance.status === "running", 0, 0, Date.now(),
+		);
+		this.instanceMigrationsUpdated([migration]);
+		logger.info(`Migrating instance ${instanceName} from host ${sourceHostId} to host ${hostId}`);
+
+		let targetAssigned = false;
+		let reassigned = false;
+		let transferred: string[] = [];
+		try {
+			if (migration.wasRunning) {
+				await this.sendTo({ instanceId }, new lib.InstanceStopRequest());
+			}
+
+			let saves: lib.SaveDetails[] = await this.sendTo({ instanceId }, new lib.InstanceSaveDetailsListRequest());
+			saves = saves.filter(save => save.type === "file");
+			migration.status = "transferring";
+			migration.totalSaves = saves.length;
+			this.instanceMigrationsUpdated([migration]);
+
+			// The target host needs to know of the instance to receive saves
+			// for it, the assigned host stays the same until all are copied.
+			await targetHostConnection.send(
+				new lib.InstanceAssignInternalRequest(instanceId, instance.config.toRemote("host"))
+			);
+			targetAssigned = true;
+			for (let save of saves) {
+				transferred.push(await this.transferSaveBetweenHosts(
+					sourceHostId, instanceId, save.name, hostId, instanceId, save.name,
+				));
+				migration.transferredSaves += 1;
+				this.instanceMigrationsUpdated([migration]);
+			}
+
+			migration.status = "assigning";
+			this.instanceMigrationsUpdated([migration]);
+			await this.instanceAssign(instanceId, hostId);
+			reassigned = true;
+
+			if (migration.wasRunning) {
+				migration.status = "starting";
+				this.instanceMigrationsUpdated([migration]);
+				await this.sendTo({ instanceId }, new lib.InstanceStartRequest());
+			}
+
+		} catch (err: any) {
+			logger.error(`Migrating instance ${instanceName} failed, rolling back: ${err.message}`);
+			migration.status = "rolling_back";
+			migration.error = err.message;
+			this.instanceMigrationsUpdated([migration]);
+			try {
+				for (let name of transferred) {
+					try {
+						await this.sendTo({ hostId }, new lib.InstanceDeleteSaveRequest(instanceId, name));
+					} catch (deleteErr: any) {
+						logger.warn(`Failed to remove copy of ${name} from host ${hostId}: ${deleteErr.message}`);
+					}
+				}
+				if (reassigned) {
+					await this.instanceAssign(instanceId, sourceHostId);
+				} else if (targetAssigned) {
+					await this.sendTo({ hostId }, new lib.InstanceUnassignInternalRequest(instanceId));
+				}
+				if (migration.wasRunning) {
+					await this.sendTo({ instanceId }, new lib.InstanceStartRequest());
+				}
+			} catch (rollbackErr: any) {
+				logger.error(`Rolling back migration of instance ${instanceName} failed: ${rollbackErr.message}`);
+				migration.error += `, rollback failed: ${rollbackErr.message}`;
+			}
+			migration.status = "failed";
+			this.instanceMigrationsUpdated([migration]);
+			throw err;
+		}
+
+		migration.status = "completed";
+		this.instanceMigrationsUpdated([migration]);
+		logger.info(`Migrated instance ${instanceName} to host ${hostId}`);
+		return migration;
+	}
+
+	instanceMigrationsUpdated(migrations: lib.InstanceMigration[]) {
+		const now = Date.now();
+		for (const migration of migrations) {
+			migration.updatedAtMs = now;
+			this.instanceMigrations.set(migration.instanceId, migration);
+		}
+		this.subscriptions.broadcast(new lib.InstanceMigrationUpdatesEvent(migrations));
+	}
+
+	async handleInstanceMigrationSubscription(request: lib.SubscriptionRequest) {
+		const migrations = [...this.instanceMigrations.values()].filter(
+			migration => migration.updatedAtMs > request.lastRequestTimeMs,
+		);
+		return migrations.length ? new lib.InstanceMigrationUpdatesEvent(migrations) : null;
+	}
+
+	/**
+	 * Change the Factorio version of instances, restarting them as needed
+	 *
+	 * Instances are upgraded `parallel` at a time.  Running instances are
+	 * stopped, have factorio.version changed and are started again, which
+	 * must leave them running for the upgrade to continue.  Other instances
+	 * only have their config changed.  If upgrading an instance fails no
+	 * further instances are upgraded and the upgrade ends as failed.
+	 *
+	 * @param instanceIds - IDs of instances to upgrade in the order given.
+	 * @param version - Version to set factorio.version to.
+	 * @param parallel - Number of instances to upgrade at the same time.
+	 * @returns the finished upgrade.
+	 */
+	async factorioUpgrade(instanceIds: number[], version: string, parallel = 1) {
+		if ([...this.factorioUpgrades.values()].some(upgrade => upgrade.status === "running")) {
+			throw new lib.RequestError("A Factorio upgrade is already in progress");
+		}
+		if (!instanceIds.length) {
+			throw new lib.RequestError("No instances to upgrade");
+		}
+		if (parallel < 1) {
+			throw new lib.RequestError("Parallel upgrades must be at least 1");
+		}
+		if (!version) {
+			throw new lib.RequestError("Version must not be empty");
+		}
+		for (let instanceId of new Set(instanceIds)) {
+			let instance = this.getRequestInstance(instanceId);
+			if (!["stopped", "running", "unassigned", "unknown"].includes(instance.status)) {
+				throw new lib.RequestError(
+					`Instance ${instance.config.get("instance.name")} cannot be upgraded while ${instance.status}`
+				);
+			}
+			let host = this.hosts.get(instance.config.get("instance.assigned_host")!);
+			if (version !== "latest" && host && host.factorioVersions.length
+				&& !host.factorioVersions.includes(version)) {
+				throw new lib.RequestError(`Factorio ${version} is not installed on host ${host.name}`);
+			}
+		}
+
+		let upgrade = new lib.FactorioUpgrade(
+			Math.max(0, ...this.factorioUpgrades.keys()) + 1,
+			version,
+			parallel,
+			"running",
+			[...new Set(instanceIds)].map(instanceId => new lib.FactorioUpgradeInstance(instanceId, "pending")),
+			Date.now(),
+		);
+		this.factorioUpgradesUpdated([upgrade]);
+		logger.info(`Upgrading ${upgrade.instances.length} instance(s) to Factorio ${version}`);
+
+		let queue = [...upgrade.instances];
+		let halted = false;
+		const worker = async () => {
+			while (!halted && queue.length) {
+				let entry = queue.shift()!;
+				try {
+					await this.factorioUpgradeInstance(upgrade, entry);
+				} catch (err: any) {
+					let instanceName = this.instances.get(entry.instanceId)?.config.get("instance.name");
+					logger.error(`Upgrading instance ${instanceName} failed, halting upgrade: ${err.message}`);
+					halted = true;
+					entry.status = "failed";
+					entry.error = err.message;
+					upgrade.error = `Upgrading instance ${instanceName} failed: ${err.message}`;
+					this.factorioUpgradesUpdated([upgrade]);
+				}
+			}
+		};
+		await Promise.all(Array.from({ length: Math.min(parallel, queue.length) }, worker));
+
+		for (let entry of queue) {
+			entry.status = "skipped";
+		}
+		upgrade.status = halted ? "failed" : "completed";
+		this.factorioUpgradesUpdated([upgrade]);
+		if (!halted) {
+			logger.info(`Upgraded ${upgrade.instances.length} instance(s) to Factorio ${version}`);
+		}
+		return upgrade;
+	}
+
+	private async factorioUpgradeInstance(upgrade: lib.FactorioUpgrade, entry: lib.FactorioUpgradeInstance) {
+		let instance = this.getRequestInstance(entry.instanceId);
+		let instanceId = instance.id;
+		let wasRunning = instance.status === "running";
+		if (wasRunning) {
+			entry.status = "stopping";
+			this.factorioUpgradesUpdated([upgrade]);
+			await this.sendTo({ instanceId }, new lib.InstanceStopRequest());
+		}
+
+		instance.config.set("factorio.version", upgrade.version);
+		await this.instanceConfigUpdated(instance);
+
+		if (wasRunning) {
+			entry.status = "starting";
+			this.factorioUpgradesUpdated([upgrade]);
+			await this.sendTo({ instanceId }, new lib.InstanceStartRequest());
+			if (instance.status !== "running") {
+				throw new lib.RequestError(`Instance is ${instance.status} after starting`);
+			}
+		}
+		entry.status = "completed";
+		this.factorioUpgradesUpdated([upgrade]);
+	}
+
+	factorioUpgradesUpdated(upgrades: lib.FactorioUpgrade[]) {
+		const now = Date.now();
+		for (const upgrade of upgrades) {
+			upgrade.updatedAtMs = now;
+			this.factorioUpgrades.set(upgrade.id, upgrade);
+		}
+		this.subscriptions.broadcast(new lib.FactorioUpgradeUpdatesEvent(upgrades));
+	}
+
+	async handleFactorioUpgradeSubscription(request: lib.SubscriptionRequest) {
+		const upgrades = [...this.factorioUpgrades.values()].filter(
+			upgrade => upgrade.updatedAtMs > request.lastRequestTimeMs,
+		);
+		return upgrades.length ? new lib.FactorioUpgradeUpdatesEvent(upgrades) : null;
+	}
+
 	/**
 	 * Delete an instance
 	 *
@@ -961,6 +1752,14 @@ export default class Controller {
 
 		this.clearSavesOfInstance(instanceId);
 
+		const tasks = [...this.scheduledTasks.values()].filter(task => task.instanceIds.includes(instanceId));
+		for (const task of tasks) {
+			task.instanceIds = task.instanceIds.filter(id => id !== instanceId);
+		}
+		if (tasks.length) {
+			this.scheduledTasksUpdated(tasks);
+		}
+
 		let prev = instance.status;
 		instance.status = "deleted";
 		instance.updatedAtMs = Date.now();
@@ -992,7 +1791,7 @@ export default class Controller {
 	addInstanceHooks(instance: InstanceInfo) {
 		instance.config.on("fieldChanged", (field: string, curr: any, prev: any) => {
 			instance.updatedAtMs = Date.now();
-			if (field === "instance.name") {
+			if (field === "instance.name" || field === "instance.tags") {
 				this.instanceDetailsUpdated([instance]);
 			}
 
@@ -1061,6 +1860,122 @@ export default class Controller {
 		}
 		this.userManager.dirty = true;
 		this.subscriptions.broadcast(new lib.UserUpdatesEvent(users));
+		this.webhookDispatcher.usersUpdated(users);
+	}
+
+	/**
+	 * Lift bans that have reached their expiry
+	 *
+	 * Records the expiry in the ban history of the users and removes them
+	 * from the banlist of all instances.
+	 *
+	 * @param now - Millisecond Unix timestamp to check expiry against.
+	 * @returns users that were unbanned.
+	 */
+	liftExpiredBans(now = Date.now()) {
+		const users = [...this.userManager.users.values()].filter(
+			user => user.isBanned && user.banExpiresAtMs && user.banExpiresAtMs <= now
+		);
+		if (!users.length) {
+			return users;
+		}
+
+		for (const user of users) {
+			logger.info(`Ban of ${user.name} has expired`);
+			user.setBanned(false, "");
+			this.sendTo("allInstances", new lib.InstanceBanlistUpdateEvent(user.name, false, ""));
+		}
+		this.usersUpdated(users);
+		return users;
+	}
+
+	/**
+	 * Add the users in a Factorio admin, ban or whitelist to the cluster
+	 *
+	 * Users already on the list are left as is, except for banned users
+	 * whose ban reason differs from the imported one or whose ban expires,
+	 * which are reported as conflicts and only replaced if overwrite is
+	 * set.  Users on the list are never removed.
+	 *
+	 * @param list - Type of list imported.
+	 * @param entries - Users on the imported list.
+	 * @param options - How to handle users.
+	 * @param options.create - Create users that do not exist.
+	 * @param options.overwrite - Replace conflicting bans.
+	 * @param options.dryRun - Report the outcome without changing users.
+	 * @param by - Name of user doing the import, recorded as the issuer of bans.
+	 * @returns the outcome for each entry.  For dry runs applied tells if
+	 *     the user would be changed.
+	 */
+	importUserList(
+		list: lib.UserListType,
+		entries: lib.UserListEntry[],
+		options: { create: boolean, overwrite: boolean, dryRun: boolean },
+		by: string,
+	) {
+		const results: lib.UserListImportResult[] = [];
+		const updated: ControllerUser[] = [];
+		for (const entry of entries) {
+			let user = this.userManager.users.get(entry.name);
+			let result: lib.UserListImportResult;
+			if (!user) {
+				result = new lib.UserListImportResult(entry.name, "create", options.create);
+			} else if (list === "adminlist") {
+				result = new lib.UserListImportResult(entry.name, user.isAdmin ? "unchanged" : "add", !user.isAdmin);
+			} else if (list === "whitelist") {
+				result = new lib.UserListImportResult(
+					entry.name, user.isWhitelisted ? "unchanged" : "add", !user.isWhitelisted
+				);
+			} else if (!user.isBanned) {
+				result = new lib.UserListImportResult(entry.name, "add", true);
+			} else if (user.banReason !== (entry.reason ?? "") || user.banExpiresAtMs) {
+				result = new lib.UserListImportResult(entry.name, "conflict", options.overwrite, user.banReason);
+			} else {
+				result = new lib.UserListImportResult(entry.name, "unchanged", false);
+			}
+			results.push(result);
+			if (!result.applied || options.dryRun) {
+				continue;
+			}
+
+			if (!user) {
+				user = this.userManager.createUser(entry.name);
+			}
+			if (list === "adminlist") {
+				user.isAdmin = true;
+				this.sendTo("allInstances", new lib.InstanceAdminlistUpdateEvent(user.name, true));
+			} else if (list === "whitelist") {
+				user.isWhitelisted = true;
+				this.sendTo("allInstances", new lib.InstanceWhitelistUpdateEvent(user.name, true));
+			} else {
+				user.setBanned(true, entry.reason ?? "", by);
+				this.sendTo("allInstances", new lib.InstanceBanlistUpdateEvent(user.name, true, user.banReason));
+			}
+			updated.push(user);
+		}
+
+		if (updated.length) {
+			this.usersUpdated(updated);
+		}
+		return results;
+	}
+
+	/**
+	 * List the users on one of the user lists of the cluster
+	 *
+	 * @param list - Type of list to export.
+	 * @returns users on the list sorted by name.
+	 */
+	exportUserList(list: lib.UserListType) {
+		const entries: lib.UserListEntry[] = [];
+		for (const user of this.userManager.users.values()) {
+			if (list === "adminlist" && user.isAdmin || list === "whitelist" && user.isWhitelisted) {
+				entries.push(new lib.UserListEntry(user.name));
+			} else if (list === "banlist" && user.isBanned) {
+				entries.push(new lib.UserListEntry(user.name, user.banReason || undefined));
+			}
+		}
+		return entries.sort((a, b) => (a.name < b.name ? -1 : Number(a.name > b.name)));
 	}
 
 	async handleUserSubscription(request: lib.SubscriptionRequest) {
@@ -1070,6 +1985,171 @@ export default class Controller {
 		return users.length ? new lib.UserUpdatesEvent(users) : null;
 	}
 
+	scheduledTasksUpdated(scheduledTasks: lib.ScheduledTask[]) {
+		const now = Date.now();
+		for (const task of scheduledTasks) {
+			task.updatedAtMs = now;
+		}
+		this.scheduledTasksDirty = true;
+		this.subscriptions.broadcast(new lib.ScheduledTaskUpdatesEvent(scheduledTasks));
+		this.taskScheduler.tasksChanged();
+	}
+
+	webhooksUpdated(webhooks: lib.Webhook[]) {
+		const now = Date.now();
+		for (const webhook of webhooks) {
+			webhook.updatedAtMs = now;
+		}
+		this.webhooksDirty = true;
+		this.subscriptions.broadcast(new lib.WebhookUpdatesEvent(webhooks));
+	}
+
+	/**
+	 * Back up a save of an instance to the controller
+	 *
+	 * Streams the save from the host the instance is assigned to into the
+	 * backup store and removes old backups of the instance exceeding the
+	 * configured number of backup versions.
+	 *
+	 * @param instanceId - ID of instance to back up save of.
+	 * @param name - Name of save to back up, defaults to the newest save.
+	 * @returns the backup of the save.
+	 */
+	async backupSave(instanceId: number, name?: string) {
+		this.getRequestInstance(instanceId);
+		let save: lib.SaveDetails | undefined;
+		if (name === undefined) {
+			for (let candidate of this.saves.values()) {
+				if (
+					candidate.instanceId === instanceId
+					&& candidate.type === "file"
+					&& candidate.name.endsWith(".zip")
+					&& !candidate.name.endsWith(".tmp.zip")
+					&& (!save || candidate.mtimeMs > save.mtimeMs)
+				) {
+					save = candidate;
+				}
+			}
+			if (!save) {
+				throw new lib.RequestError("Instance has no saves to back up");
+			}
+		} else {
+			save = this.saves.get(`${instanceId}/${name}`);
+			if (!save) {
+				throw new lib.RequestError(`Save ${name} does not exist`);
+			}
+		}
+
+		let proxyStream = await routes.createProxyStream(this.app);
+		let received = new Promise<NodeJS.ReadableStream>((resolve, reject) => {
+			proxyStream.events.on("source", () => resolve(proxyStream.source!));
+			proxyStream.events.on("timeout", () => reject(
+				new lib.RequestError("Timed out establishing stream from host")
+			));
+		});
+		received.catch(() => {});
+
+		let backup: lib.SaveBackup;
+		try {
+			await this.sendToHostByInstanceId(new lib.InstancePushSaveRequest(instanceId, proxyStream.id, save.name));
+			let content = await received;
+			proxyStream.flowing = true;
+			clearTimeout(proxyStream.timeout);
+			backup = await this.backupStore.add(instanceId, save.name, save.mtimeMs, content);
+		} finally {
+			proxyStream.events.emit("close");
+		}
+
+		await this.backupStore.prune(instanceId, this.config.get("controller.backup_versions"));
+		return backup;
+	}
+
+	/**
+	 * Back up the newest save of every instance with a connected host
+	 */
+	async backupInstances() {
+		for (let instance of this.instances.values()) {
+			let hostId = instance.config.get("instance.assigned_host");
+			if (hostId === null || !this.wsServer.hostConnections.has(hostId)) {
+				continue;
+			}
+			if (![...this.saves.values()].some(save => save.instanceId === instance.id)) {
+				continue;
+			}
+
+			try {
+				await this.backupSave(instance.id);
+			} catch (err: any) {
+				let instanceName = instance.config.get("instance.name");
+				logger.error(`Error backing up save of instance ${instanceName}: ${err.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Restore a backup as a save on an instance
+	 *
+	 * @param id - ID of backup to restore.
+	 * @param instanceId -
+	 *     ID of instance to restore to, defaults to the instance the backup
+	 *     was made from.
+	 * @param name - Name to restore the save as, defaults to the name it had.
+	 * @returns the name the save was stored as on the instance.
+	 */
+	async restoreSaveBackup(id: number, instanceId?: number, name?: string) {
+		let backup = this.backupStore.backups.get(id);
+		if (!backup) {
+			throw new lib.RequestError(`Backup with ID ${id} does not exist`);
+		}
+		let targetInstanceId = instanceId ?? backup.instanceId;
+		this.getRequestInstance(targetInstanceId);
+
+		let proxyStream = await routes.createProxyStream(this.app);
+		let content = fs.createReadStream(this.backupStore.filePath(backup));
+		proxyStream.source = content;
+		proxyStream.mime = "application/zip";
+		proxyStream.size = String(backup.size);
+		proxyStream.events.on("timeout", () => content.destroy());
+		try {
+			return await this.sendToHostByInstanceId(
+				new lib.InstancePullSaveRequest(targetInstanceId, proxyStream.id, name ?? backup.name)
+			);
+		} catch (err) {
+			proxyStream.events.emit("close");
+			content.destroy();
+			throw err;
+		}
+	}
+
+	saveBackupsUpdated(backups: lib.SaveBackup[]) {
+		const now = Date.now();
+		for (const backup of backups) {
+			backup.updatedAtMs = now;
+		}
+		this.subscriptions.broadcast(new lib.SaveBackupUpdatesEvent(backups));
+	}
+
+	async handleSaveBackupSubscription(request: lib.SubscriptionRequest) {
+		const backups = [...this.backupStore.backups.values()].filter(
+			backup => backup.updatedAtMs > request.lastRequestTimeMs,
+		);
+		return backups.length ? new lib.SaveBackupUpdatesEvent(backups) : null;
+	}
+
+	async handleScheduledTaskSubscription(request: lib.SubscriptionRequest) {
+		const scheduledTasks = [...this.scheduledTasks.values()].filter(
+			task => task.updatedAtMs > request.lastRequestTimeMs,
+		);
+		return scheduledTasks.length ? new lib.ScheduledTaskUpdatesEvent(scheduledTasks) : null;
+	}
+
+	async handleWebhookSubscription(request: lib.SubscriptionRequest) {
+		const webhooks = [...this.webhooks.values()].filter(
+			webhook => webhook.updatedAtMs > request.lastRequestTimeMs,
+		);
+		return webhooks.length ? new lib.WebhookUpdatesEvent(webhooks) : null;
+	}
+
 	/**
 	 * Notify connected control clients under the given user that the
 	 * permissions for this user may have changed.
@@ -1079,11 +2159,7 @@ export default class Controller {
 		for (let controlConnection of this.wsServer.controlConnections.values()) {
 			if (controlConnection.user === user) {
 				controlConnection.send(
-					new lib.AccountUpdateEvent([...user.roles].map(r => ({
-						name: r.name,
-						id: r.id,
-						permissions: [...r.permissions],
-					})))
+					new lib.AccountUpdateEvent([...user.roles].map(r => r.toAccountRole()))
 				);
 			}
 		}
@@ -1098,13 +2174,7 @@ export default class Controller {
 		for (let controlConnection of this.wsServer.controlConnections.values()) {
 			if (controlConnection.user.roles.has(role)) {
 				controlConnection.send(
-					new lib.AccountUpdateEvent(
-						[...controlConnection.user.roles].map(r => ({
-							name: r.name,
-							id: r.id,
-							permissions: [...r.permissions],
-						}))
-					)
+					new lib.AccountUpdateEvent([...controlConnection.user.roles].map(r => r.toAccountRole()))
 				);
 			}
 		}
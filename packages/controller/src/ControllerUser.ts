@@ -1,8 +1,42 @@
+import crypto from "crypto";
+import util from "util";
 import { Static, Type } from "@sinclair/typebox";
-import { IControllerUser, PermissionError, PlayerStats, Role, User, permissions } from "@clusterio/lib";
+import {
+	IControllerUser, InstanceScopeTarget, PermissionError, PlayerStats, Role, User, UserApiToken, UserBanHistoryEntry,
+	permissions,
+} from "@clusterio/lib";
 import type UserManager from "./UserManager";
 
+const scrypt = util.promisify<crypto.BinaryLike, crypto.BinaryLike, number, crypto.ScryptOptions, Buffer>(
+	crypto.scrypt
+);
+
 export default class ControllerUser extends User implements IControllerUser {
+	/**
+	 * Cost parameters used when hashing new passwords with scrypt
+	 *
+	 * Stored with the hash, so changing these does not affect existing
+	 * passwords until they are set again.
+	 */
+	static passwordHashParams = { N: 2 ** 15, r: 8, p: 1 };
+	/** Minimum number of characters in a password */
+	static minPasswordLength = 8;
+	/** Number of commands kept in the RCON command history */
+	static rconHistoryLimit = 100;
+
+	/** Mapping of API token id to API tokens issued for this user */
+	apiTokens = new Map<string, UserApiToken>();
+	/** scrypt hash of the password of the user if one is set */
+	passwordHash?: string;
+	/** Number of failed password logins in a row */
+	failedLoginAttempts = 0;
+	/** Issuer of the single sign-on identity linked to this user */
+	oidcIssuer?: string;
+	/** Subject of the single sign-on identity linked to this user */
+	oidcSubject?: string;
+	/** Commands sent from the RCON console of the Web UI, oldest first */
+	rconHistory: string[] = [];
+
 	constructor(
 		public userManager: UserManager,
 		/** Unix time in seconds the user token must be issued after to be valid.  */
@@ -15,6 +49,11 @@ export default class ControllerUser extends User implements IControllerUser {
 	static jsonSchema = Type.Object({
 		...User.jsonSchema.properties,
 		token_valid_after: Type.Optional(Type.Number()),
+		api_tokens: Type.Optional(Type.Array(UserApiToken.jsonSchema)),
+		password_hash: Type.Optional(Type.String()),
+		oidc_issuer: Type.Optional(Type.String()),
+		oidc_subject: Type.Optional(Type.String()),
+		rcon_history: Type.Optional(Type.Array(Type.String())),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>, userManager: UserManager) {
@@ -25,7 +64,7 @@ export default class ControllerUser extends User implements IControllerUser {
 			)
 		);
 		const playerStats = User._calculatePlayerStats(instanceStats);
-		return new this(
+		const user = new this(
 			userManager,
 			json.token_valid_after,
 			json.name,
@@ -39,7 +78,20 @@ export default class ControllerUser extends User implements IControllerUser {
 			json.is_deleted,
 			playerStats,
 			instanceStats,
+			Boolean(json.password_hash),
+			json.login_locked_until_ms,
+			json.ban_expires_at_ms,
+			json.banned_by,
+			(json.ban_history ?? []).map(entry => UserBanHistoryEntry.fromJSON(entry)),
 		);
+		user.passwordHash = json.password_hash;
+		user.oidcIssuer = json.oidc_issuer;
+		user.oidcSubject = json.oidc_subject;
+		user.rconHistory = json.rcon_history ?? [];
+		for (let apiToken of json.api_tokens ?? []) {
+			user.apiTokens.set(apiToken.id, UserApiToken.fromJSON(apiToken));
+		}
+		return user;
 	}
 
 	toJSON(controller?: boolean): Static<typeof ControllerUser.jsonSchema> {
@@ -51,10 +103,40 @@ export default class ControllerUser extends User implements IControllerUser {
 		if (this.tokenValidAfter) {
 			json.token_valid_after = this.tokenValidAfter;
 		}
+		if (this.apiTokens.size) {
+			json.api_tokens = [...this.apiTokens.values()];
+		}
+		if (this.passwordHash) {
+			// has_password is derived from the hash when loading
+			delete json.has_password;
+			json.password_hash = this.passwordHash;
+		}
+		if (this.oidcSubject !== undefined) {
+			json.oidc_issuer = this.oidcIssuer;
+			json.oidc_subject = this.oidcSubject;
+		}
+		if (this.rconHistory.length) {
+			json.rcon_history = this.rconHistory;
+		}
 
 		return json;
 	}
 
+	/**
+	 * Add a command to the end of the RCON command history
+	 *
+	 * Removes earlier occurrences of the command and the oldest commands
+	 * past the limit of the history.
+	 *
+	 * @param command - Command sent by the user.
+	 */
+	addRconCommand(command: string) {
+		this.rconHistory = this.rconHistory
+			.filter(entry => entry !== command)
+			.concat(command)
+			.slice(-ControllerUser.rconHistoryLimit);
+	}
+
 	get roles(): ReadonlySet<Readonly<Role>> {
 		return new Set([...this.roleIds].map(
 			id => this.userManager.roles.get(id)
@@ -67,13 +149,99 @@ export default class ControllerUser extends User implements IControllerUser {
 	 * Invalidate current tokens for the user
 	 *
 	 * Sets the tokenValidAfter property to the current time, which causes
-	 * all currently issued tokens for the user to become invalid.
+	 * all currently issued tokens for the user to become invalid, and
+	 * removes all API tokens issued for the user.
 	 */
 	invalidateToken() {
 		this.tokenValidAfter = Math.floor(Date.now() / 1000);
+		this.apiTokens.clear();
+	}
+
+	/**
+	 * Set the password used to log in to the Web UI
+	 *
+	 * Hashes the password with scrypt, clears any login lockout and
+	 * invalidates the session tokens issued for the user.  API tokens are
+	 * kept.
+	 *
+	 * @param password - New password, or undefined to remove password login.
+	 */
+	async setPassword(password?: string) {
+		this.tokenValidAfter = Math.floor(Date.now() / 1000);
+		this.failedLoginAttempts = 0;
+		this.loginLockedUntilMs = 0;
+		if (password === undefined) {
+			this.passwordHash = undefined;
+			this.hasPassword = false;
+			return;
+		}
+
+		const { N, r, p } = ControllerUser.passwordHashParams;
+		const salt = crypto.randomBytes(16);
+		const hash = await scrypt(password.normalize(), salt, 32, { N, r, p, maxmem: 256 * N * r });
+		this.passwordHash = `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${hash.toString("base64")}`;
+		this.hasPassword = true;
+	}
+
+	/**
+	 * Check if the given password matches the password of the user
+	 *
+	 * @param password - Password to check.
+	 * @returns true if the user has a password set and it matches.
+	 */
+	async verifyPassword(password: string) {
+		if (!this.passwordHash) {
+			return false;
+		}
+
+		const [algorithm, N, r, p, salt, expected] = this.passwordHash.split("$");
+		if (algorithm !== "scrypt") {
+			throw new Error(`Unsupported password hash algorithm ${algorithm}`);
+		}
+		const expectedHash = Buffer.from(expected, "base64");
+		const hash = await scrypt(
+			password.normalize(),
+			Buffer.from(salt, "base64"),
+			expectedHash.length,
+			{ N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r) },
+		);
+		return crypto.timingSafeEqual(hash, expectedHash);
+	}
+
+	/**
+	 * Create a view of this user limited to the permissions of an API token
+	 *
+	 * @param apiToken - API token to limit permissions to.
+	 * @returns user with checkPermission only granting permissions that
+	 *     both this user and the API token has.
+	 */
+	withApiToken(apiToken: UserApiToken): ControllerUser {
+		const scoped: ControllerUser = Object.create(this);
+		scoped.checkPermission = (permission: string, instance?: InstanceScopeTarget) => {
+			this.checkPermission(permission, instance);
+			if (!apiToken.permissions.includes("core.admin") && !apiToken.permissions.includes(permission)) {
+				throw new PermissionError("Permission denied by API token");
+			}
+		};
+		return scoped;
+	}
+
+	/**
+	 * Create a view of this user that checks permissions for an instance
+	 *
+	 * @param instance - Instance permissions are used on.
+	 * @returns user with checkPermission limited by the instance scope of
+	 *     the roles of this user.
+	 */
+	forInstance(instance: InstanceScopeTarget): ControllerUser {
+		const scoped: ControllerUser = Object.create(this);
+		scoped.checkPermission = (permission: string) => {
+			this.checkPermission(permission, instance);
+		};
+		return scoped;
 	}
 
-	checkPermission(permission: string) {
+	checkPermission(permission: string, instance?: InstanceScopeTarget) {
 		if (!permissions.has(permission)) {
 			throw new Error(`permission ${permission} does not exist`);
 		}
@@ -83,7 +251,7 @@ export default class ControllerUser extends User implements IControllerUser {
 			if (!role) {
 				continue;
 			}
-			if (role.permissions.has("core.admin") || role.permissions.has(permission)) {
+			if (role.grants(permission, instance)) {
 				return;
 			}
 		}
@@ -41,6 +41,8 @@ export default class HostConnection extends BaseConnection {
 			previousHostInfo?.tokenValidAfter,
 			0,
 			false,
+			previousHostInfo?.draining,
+			previousHostInfo?.factorioVersions,
 		);
 		this._controller.hosts.set(this.id, this.info);
 		this._controller.hostsUpdated([this.info]);
@@ -53,6 +55,7 @@ export default class HostConnection extends BaseConnection {
 				for (let plugin of this._controller.plugins.values()) {
 					plugin.onHostConnectionEvent(this, event);
 				}
+				this._controller.webhookDispatcher.hostConnectionEvent(this.info, event);
 			});
 		}
 
@@ -70,6 +73,7 @@ export default class HostConnection extends BaseConnection {
 				instance.status = "unknown";
 				instance.updatedAtMs = now;
 				lib.invokeHook(this._controller.plugins, "onInstanceStatusChanged", instance, prev);
+				this._controller.webhookDispatcher.instanceStatusChanged(instance, prev);
 			}
 			this._controller.instanceDetailsUpdated(instances);
 
@@ -79,6 +83,7 @@ export default class HostConnection extends BaseConnection {
 
 		this.handle(lib.HostInfoUpdateEvent, this.handleHostInfoUpdateEvent.bind(this));
 		this.handle(lib.InstanceStatusChangedEvent, this.handleInstanceStatusChangedEvent.bind(this));
+		this.handle(lib.InstanceCrashedEvent, this.handleInstanceCrashedEvent.bind(this));
 		this.handle(lib.InstancesUpdateRequest, this.handleInstancesUpdateRequest.bind(this));
 		this.handle(lib.InstanceSaveDetailsUpdatesEvent, this.handleInstanceSaveDetailsUpdatesEvent.bind(this));
 		this.handle(lib.LogMessageEvent, this.handleLogMessageEvent.bind(this));
@@ -158,6 +163,7 @@ export default class HostConnection extends BaseConnection {
 	async handleHostInfoUpdateEvent(event: lib.HostInfoUpdateEvent) {
 		this.info.name = event.update.name;
 		this.info.publicAddress = event.update.publicAddress;
+		this.info.factorioVersions = event.update.factorioVersions;
 		this._controller.hostsUpdated([this.info]);
 	}
 
@@ -188,9 +194,33 @@ export default class HostConnection extends BaseConnection {
 		instance.updatedAtMs = Date.now();
 		logger.verbose(`Instance ${instance.config.get("instance.name")} State: ${instance.status}`);
 		this._controller.instanceDetailsUpdated([instance]);
+		this._controller.webhookDispatcher.instanceStatusChanged(instance, prev);
 		await lib.invokeHook(this._controller.plugins, "onInstanceStatusChanged", instance, prev);
 	}
 
+	async handleInstanceCrashedEvent(event: lib.InstanceCrashedEvent) {
+		let instance = this._controller.instances.get(event.instanceId);
+		if (!instance || instance.config.get("instance.assigned_host") !== this.id) {
+			logger.warn(`Got bogus crash report for instance id ${event.instanceId}`);
+			return;
+		}
+
+		let name = instance.config.get("instance.name");
+		if (event.restartDelayMs !== undefined) {
+			logger.warn(
+				`Instance ${name} crashed: ${event.reason}, restarting in ${Math.round(event.restartDelayMs / 1000)}s`
+			);
+		} else {
+			logger.warn(`Instance ${name} crashed: ${event.reason}`);
+		}
+
+		instance.crashCount += 1;
+		instance.lastCrashAtMs = Date.now();
+		instance.updatedAtMs = Date.now();
+		this._controller.instancesDirty = true;
+		this._controller.instanceDetailsUpdated([instance]);
+	}
+
 	async handleInstancesUpdateRequest(request: lib.InstancesUpdateRequest) {
 		// Push updated instance configs
 		for (let instance of this._controller.instances.values()) {
@@ -225,6 +255,7 @@ export default class HostConnection extends BaseConnection {
 					controllerInstance.updatedAtMs = Date.now();
 					logger.verbose(`Instance ${instanceConfig.get("instance.name")} State: ${instanceData.status}`);
 					instanceUpdates.push(controllerInstance);
+					this._controller.webhookDispatcher.instanceStatusChanged(controllerInstance, prev);
 					await lib.invokeHook(
 						this._controller.plugins, "onInstanceStatusChanged", controllerInstance, prev
 					);
@@ -248,6 +279,7 @@ export default class HostConnection extends BaseConnection {
 				)
 			);
 			instanceUpdates.push(newInstance);
+			this._controller.webhookDispatcher.instanceStatusChanged(newInstance);
 			await lib.invokeHook(this._controller.plugins, "onInstanceStatusChanged", newInstance);
 		}
 
@@ -256,6 +288,7 @@ export default class HostConnection extends BaseConnection {
 		}
 
 		// Push lists to make sure they are in sync.
+		this._controller.liftExpiredBans();
 		let adminlist: Set<string> = new Set();
 		let banlist: Map<string, string> = new Map();
 		let whitelist: Set<string> = new Set();
@@ -273,9 +306,19 @@ export default class HostConnection extends BaseConnection {
 		}
 
 		await this.send(new lib.SyncUserListsEvent(adminlist, banlist, whitelist));
+		this.send(new lib.HostDrainingChangedEvent(this.info.draining));
 	}
 
 	async handleInstanceSaveDetailsUpdatesEvent(event: lib.InstanceSaveDetailsUpdatesEvent) {
+		// While an instance is migrated the host it is moved to sends save
+		// lists for it before it has been reassigned there.
+		if (event.instanceId !== undefined) {
+			const instance = this._controller.instances.get(event.instanceId);
+			if (instance && instance.config.get("instance.assigned_host") !== this.id) {
+				return;
+			}
+		}
+
 		const now = Date.now();
 		const updates: lib.SaveDetails[] = [];
 		for (const save of event.updates) {
@@ -332,11 +375,13 @@ export default class HostConnection extends BaseConnection {
 		this._controller.usersUpdated([user]);
 
 		let instance = this._controller.instances.get(instanceId)!;
-		await lib.invokeHook(this._controller.plugins, "onPlayerEvent", instance, {
+		let playerEvent: lib.PlayerEvent = {
 			type: event.type,
 			name: event.name,
 			reason: event.reason,
 			stats: event.stats,
-		});
+		};
+		this._controller.webhookDispatcher.playerEvent(instance, playerEvent);
+		await lib.invokeHook(this._controller.plugins, "onPlayerEvent", instance, playerEvent);
 	}
 }
@@ -26,6 +26,10 @@ export default class HostInfo {
 		public updatedAtMs: number = 0,
 		/** True if this host has been deleted */
 		public isDeleted: boolean = false,
+		/** True if this host is being drained for maintenance */
+		public draining: boolean = false,
+		/** Versions of Factorio installed on this host, newest first */
+		public factorioVersions: string[] = [],
 	) { }
 
 	static jsonSchema = Type.Object({
@@ -39,6 +43,8 @@ export default class HostInfo {
 		"token_valid_after": Type.Number(),
 		"updated_at_ms": Type.Number(),
 		"is_deleted": Type.Boolean(),
+		"draining": Type.Optional(Type.Boolean()),
+		"factorio_versions": Type.Optional(Type.Array(Type.String())),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
@@ -53,6 +59,8 @@ export default class HostInfo {
 			json.token_valid_after,
 			json.updated_at_ms,
 			json.is_deleted,
+			json.draining,
+			json.factorio_versions,
 		);
 	}
 
@@ -68,6 +76,8 @@ export default class HostInfo {
 			token_valid_after: this.tokenValidAfter,
 			updated_at_ms: this.updatedAtMs,
 			is_deleted: this.isDeleted,
+			draining: this.draining,
+			factorio_versions: this.factorioVersions,
 		};
 	}
 
@@ -82,6 +92,8 @@ export default class HostInfo {
 			this.tokenValidAfter,
 			this.updatedAtMs,
 			this.isDeleted,
+			this.draining,
+			this.factorioVersions,
 		);
 	}
 }
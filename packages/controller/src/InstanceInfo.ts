@@ -12,6 +12,10 @@ export default class InstanceInfo {
 		public status: lib.InstanceStatus,
 		public gamePort?: number,
 		public updatedAtMs = 0,
+		/** Number of times the instance has exited without being stopped */
+		public crashCount = 0,
+		/** Millisecond Unix timestamp of the last crash */
+		public lastCrashAtMs?: number,
 	) {
 		this.config = config;
 		this.status = status;
@@ -22,6 +26,8 @@ export default class InstanceInfo {
 		"status": lib.InstanceStatus,
 		"gamePort": Type.Optional(Type.Number()),
 		"updatedAtMs": Type.Optional(Type.Number()),
+		"crashCount": Type.Optional(Type.Integer()),
+		"lastCrashAtMs": Type.Optional(Type.Number()),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>, location: lib.ConfigLocation) {
@@ -30,6 +36,8 @@ export default class InstanceInfo {
 			json.status,
 			json.gamePort,
 			json.updatedAtMs,
+			json.crashCount,
+			json.lastCrashAtMs,
 		);
 	}
 
@@ -41,9 +49,17 @@ export default class InstanceInfo {
 			this.gamePort,
 			this.status,
 			this.updatedAtMs,
+			this.crashCount,
+			this.lastCrashAtMs,
+			this.tags,
 		);
 	}
 
+	/** Tags parsed from the instance.tags config field */
+	get tags() {
+		return (this.config.get("instance.tags") ?? "").split(",").map(tag => tag.trim()).filter(tag => tag);
+	}
+
 	get isDeleted() {
 		return this.status === "deleted";
 	}
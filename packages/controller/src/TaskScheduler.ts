@@ -0,0 +1,186 @@
+import * as lib from "@clusterio/lib";
+const { logger } = lib;
+
+import type Controller from "./Controller";
+import type ControllerUser from "./ControllerUser";
+
+/**
+ * Longest time to wait between checks for due tasks, this keeps the
+ * scheduler on track if the system clock is adjusted.
+ */
+const maxTimerDelayMs = 60e3;
+
+/**
+ * Runs scheduled tasks stored on the controller at their set times
+ * @alias module:controller/src/TaskScheduler
+ */
+export default class TaskScheduler {
+	private _timer: ReturnType<typeof setTimeout> | null = null;
+	private _running = false;
+
+	constructor(
+		private _controller: Controller,
+	) { }
+
+	/**
+	 * Start running tasks
+	 *
+	 * Runs missed while the scheduler was stopped are skipped and the next
+	 * run time is recomputed for all tasks.
+	 */
+	start() {
+		this._running = true;
+		let tasks = [...this._controller.scheduledTasks.values()];
+		for (let task of tasks) {
+			this.updateNextRun(task);
+		}
+		if (tasks.length) {
+			this._controller.scheduledTasksUpdated(tasks);
+		}
+		this._armTimer();
+	}
+
+	stop() {
+		this._running = false;
+		if (this._timer) {
+			clearTimeout(this._timer);
+			this._timer = null;
+		}
+	}
+
+	/**
+	 * Recompute the next run time of a task
+	 *
+	 * Should be called after the cron expression or enabled state of a task
+	 * has changed.
+	 *
+	 * @param task - Task to update the next run time for.
+	 * @param nowMs - Time to compute the next run from.
+	 */
+	updateNextRun(task: lib.ScheduledTask, nowMs = Date.now()) {
+		task.nextRunMs = undefined;
+		if (!task.enabled) {
+			return;
+		}
+		try {
+			task.nextRunMs = new lib.CronSchedule(task.cron).next(nowMs) ?? undefined;
+		} catch (err: any) {
+			logger.error(`Scheduled task ${task.name} has invalid cron expression: ${err.message}`);
+		}
+	}
+
+	/**
+	 * Notify the scheduler that the set of tasks or their times changed.
+	 */
+	tasksChanged() {
+		if (this._running) {
+			this._armTimer();
+		}
+	}
+
+	private _armTimer() {
+		if (this._timer) {
+			clearTimeout(this._timer);
+			this._timer = null;
+		}
+
+		let nextRunMs = Infinity;
+		for (let task of this._controller.scheduledTasks.values()) {
+			if (task.nextRunMs !== undefined) {
+				nextRunMs = Math.min(nextRunMs, task.nextRunMs);
+			}
+		}
+		let delayMs = Math.max(0, Math.min(nextRunMs - Date.now(), maxTimerDelayMs));
+		this._timer = setTimeout(() => {
+			this._timer = null;
+			this.runDueTasks();
+			this._armTimer();
+		}, delayMs);
+	}
+
+	/**
+	 * Run all tasks whose next run time has passed
+	 *
+	 * @param nowMs - Current time.
+	 */
+	runDueTasks(nowMs = Date.now()) {
+		let due = [...this._controller.scheduledTasks.values()].filter(
+			task => task.enabled && task.nextRunMs !== undefined && task.nextRunMs <= nowMs
+		);
+		for (let task of due) {
+			this.updateNextRun(task, nowMs);
+			this.runTask(task).catch(
+				err => logger.error(`Unexpected error running scheduled task ${task.name}:\n${err.stack}`)
+			);
+		}
+	}
+
+	/**
+	 * Create the request a task sends to its instances
+	 *
+	 * @param task - Task to create request for.
+	 * @returns request to send.
+	 */
+	static createRequest(task: lib.ScheduledTask) {
+		switch (task.action) {
+			case "start":
+				return new lib.InstanceStartRequest(task.argument || undefined);
+			case "stop":
+				return new lib.InstanceStopRequest();
+			case "create_save":
+				return new lib.InstanceCreateSaveRequest(task.argument);
+			case "send_rcon":
+				return new lib.InstanceSendRconRequest(task.argument);
+			default:
+				throw new Error(`Unknown scheduled task action ${task.action}`);
+		}
+	}
+
+	/**
+	 * Check that a user may perform the action of a task
+	 *
+	 * @param task - Task to check the action of.
+	 * @param user - User to check the permission of.
+	 * @throws {lib.PermissionError} if the user does not have the
+	 *     permission for the action of the task on each of its instances.
+	 */
+	checkPermission(task: lib.ScheduledTask, user: ControllerUser) {
+		const permission = lib.scheduledTaskActionPermissions[task.action];
+		user.checkPermission(permission);
+		for (let instanceId of task.instanceIds) {
+			const instance = this._controller.instances.get(instanceId) ?? { id: instanceId, tags: [] };
+			user.forInstance(instance).checkPermission(permission);
+		}
+	}
+
+	/**
+	 * Run a task now on all of its instances
+	 *
+	 * Sends the action of the task to each instance in parallel and records
+	 * the outcome for each of them in the history of the task.
+	 *
+	 * @param task - Task to run.
+	 * @returns the result of the run for each instance.
+	 */
+	async runTask(task: lib.ScheduledTask) {
+		let startedAtMs = Date.now();
+		logger.info(`Running scheduled task ${task.name} on ${task.instanceIds.length} instance(s)`);
+		let runs = await Promise.all(task.instanceIds.map(async instanceId => {
+			try {
+				let result = await this._controller.sendTo({ instanceId }, TaskScheduler.createRequest(task));
+				let message = typeof result === "string" ? result : "";
+				return new lib.ScheduledTaskRun(startedAtMs, instanceId, true, message);
+			} catch (err: any) {
+				logger.warn(`Scheduled task ${task.name} failed on instance ${instanceId}: ${err.message}`);
+				return new lib.ScheduledTaskRun(startedAtMs, instanceId, false, err.message);
+			}
+		}));
+
+		task.history.push(...runs);
+		task.history.splice(0, Math.max(0, task.history.length - lib.ScheduledTask.historyLimit));
+		if (this._controller.scheduledTasks.get(task.id) === task) {
+			this._controller.scheduledTasksUpdated([task]);
+		}
+		return runs;
+	}
+}
@@ -1,9 +1,11 @@
-import fs from "fs-extra";
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import type { Static } from "@sinclair/typebox";
 
 import * as lib from "@clusterio/lib";
 
 import ControllerUser from "./ControllerUser";
+import type { Storage, StorageTransaction } from "./storage";
 
 /**
  * Manages users and roles
@@ -24,47 +26,40 @@ export default class UserManager {
 	) {
 	}
 
-	async load(filePath: string): Promise<void> {
-		try {
-			let content = JSON.parse(await fs.readFile(filePath, { encoding: "utf8" }));
-			for (let serializedRole of content.roles) {
-				let role = lib.Role.fromJSON(serializedRole);
-				this.roles.set(role.id, role);
-			}
-
-			for (let serializedUser of content.users) {
-				let user = ControllerUser.fromJSON(serializedUser, this);
-				this.users.set(user.name, user);
-			}
+	/**
+	 * Load users and roles from storage
+	 *
+	 * Creates the default roles if there are no roles stored.
+	 *
+	 * @param storage - Storage to load from.
+	 */
+	async load(storage: Storage): Promise<void> {
+		for (let serializedRole of (await storage.load("roles")).values()) {
+			let role = lib.Role.fromJSON(serializedRole as Static<typeof lib.Role.jsonSchema>);
+			this.roles.set(role.id, role);
+		}
 
-		} catch (err: any) {
-			if (err.code !== "ENOENT") {
-				throw err;
-			}
+		for (let serializedUser of (await storage.load("users")).values()) {
+			let user = ControllerUser.fromJSON(serializedUser as Static<typeof ControllerUser.jsonSchema>, this);
+			this.users.set(user.name, user);
+		}
 
-			// Create default roles if loading failed
+		if (!this.roles.size) {
 			lib.ensureDefaultAdminRole(this.roles);
 			lib.ensureDefaultPlayerRole(this.roles);
+			this.dirty = true;
 		}
 	}
 
-	async save(filePath:string): Promise<void> {
-		let serializedRoles = [];
-		for (let role of this.roles.values()) {
-			serializedRoles.push(role.toJSON());
-		}
-
-		let serializedUsers = [];
-		for (let user of this.users.values()) {
-			serializedUsers.push(user.toJSON(true));
-		}
-
-		let serialized = {
-			users: serializedUsers,
-			roles: serializedRoles,
-		};
+	/**
+	 * Save users and roles to storage
+	 *
+	 * @param transaction - Transaction to write changes to.
+	 */
+	async save(transaction: StorageTransaction): Promise<void> {
 		this.dirty = false;
-		await lib.safeOutputFile(filePath, JSON.stringify(serialized, null, "\t"));
+		await transaction.saveTable("roles", [...this.roles].map(([id, role]) => [String(id), role.toJSON()]));
+		await transaction.saveTable("users", [...this.users].map(([name, user]) => [name, user.toJSON(true)]));
 	}
 
 	/**
@@ -102,6 +97,150 @@ export default class UserManager {
 		);
 	}
 
+	/**
+	 * Sign session token for the given user name
+	 *
+	 * @param name - user name to sign token for
+	 * @returns JWT access token for the user which expires after
+	 *     controller.login_session_duration hours.
+	 */
+	signSessionToken(name: string): string {
+		let sessionDuration = this._config.get("controller.login_session_duration");
+		return jwt.sign(
+			{ aud: "user", user: name },
+			Buffer.from(this._config.get("controller.auth_secret"), "base64"),
+			sessionDuration !== null ? { expiresIn: sessionDuration * 3600 } : {},
+		);
+	}
+
+	/**
+	 * Log in to a user with a password
+	 *
+	 * Locks password login to the user for controller.login_lockout_duration
+	 * minutes after controller.login_max_attempts failed attempts in a row.
+	 *
+	 * @param name - Name of user to log in to.
+	 * @param password - Password to check against the user's password.
+	 * @returns the user logged in to and a session token for it which
+	 *     expires after controller.login_session_duration hours.
+	 * @throws {module:lib.AuthenticationFailed} if the password does not
+	 *     match or login to the user is locked.
+	 */
+	async loginWithPassword(name: string, password: string): Promise<[ControllerUser, string]> {
+		let user = this.users.get(name);
+		if (!user || !user.passwordHash) {
+			throw new lib.AuthenticationFailed("Invalid user name or password");
+		}
+
+		const lockedError = new lib.AuthenticationFailed("Too many failed login attempts, try again later");
+		if (user.loginLockedUntilMs > Date.now()) {
+			throw lockedError;
+		}
+
+		// The attempt is counted as failed until the password is verified,
+		// otherwise attempts made in parallel would all get past the lockout.
+		let maxAttempts = this._config.get("controller.login_max_attempts");
+		user.failedLoginAttempts += 1;
+		if (user.failedLoginAttempts > maxAttempts) {
+			throw lockedError;
+		}
+
+		let valid = await user.verifyPassword(password);
+		if (user.loginLockedUntilMs > Date.now()) {
+			throw lockedError;
+		}
+		if (!valid) {
+			if (user.failedLoginAttempts >= maxAttempts) {
+				user.failedLoginAttempts = 0;
+				user.loginLockedUntilMs = Date.now() + this._config.get("controller.login_lockout_duration") * 60e3;
+				this.dirty = true;
+			}
+			throw new lib.AuthenticationFailed("Invalid user name or password");
+		}
+
+		user.failedLoginAttempts = 0;
+		return [user, this.signSessionToken(user.name)];
+	}
+
+	/**
+	 * Create an API token for the given user
+	 *
+	 * @param user - User to create API token for.
+	 * @param name - Name of the API token.
+	 * @param permissions - Permissions granted to the token.
+	 * @param instanceIds - Instances the token is limited to, or all if undefined.
+	 * @param expiresAtMs - Millisecond Unix timestamp the token expires at, or never if undefined.
+	 * @returns the API token created and the JWT access token for it.
+	 * @throws {module:lib.RequestError} if a permission does not exist.
+	 */
+	createApiToken(
+		user: ControllerUser,
+		name: string,
+		permissions: string[],
+		instanceIds?: number[],
+		expiresAtMs?: number,
+	): [lib.UserApiToken, string] {
+		for (let permission of permissions) {
+			if (!lib.permissions.has(permission)) {
+				throw new lib.RequestError(`Permission ${permission} does not exist`);
+			}
+		}
+		let apiToken = new lib.UserApiToken(
+			crypto.randomUUID(), name, permissions, instanceIds, Date.now(), expiresAtMs
+		);
+		user.apiTokens.set(apiToken.id, apiToken);
+		this.dirty = true;
+		let token = jwt.sign(
+			{ aud: "user", user: user.name, api_token: apiToken.id },
+			Buffer.from(this._config.get("controller.auth_secret"), "base64")
+		);
+		return [apiToken, token];
+	}
+
+	/**
+	 * Authenticate a user access token
+	 *
+	 * Updates the last used time of the API token if the access token is
+	 * for one.
+	 *
+	 * @param token - JWT access token to authenticate.
+	 * @returns the user the token belongs to and the API token if it is for
+	 *     one.
+	 * @throws {Error} if the token is not valid.
+	 */
+	authenticateToken(token: string): [ControllerUser, lib.UserApiToken | undefined] {
+		let tokenPayload = jwt.verify(
+			token,
+			Buffer.from(this._config.get("controller.auth_secret"), "base64"),
+			{ audience: "user" }
+		);
+
+		if (typeof tokenPayload === "string") {
+			throw new Error("unexpected JsonWebToken type");
+		}
+		let user = this.users.get(tokenPayload.user);
+		if (!user) {
+			throw new Error("invalid user");
+		}
+		if ((tokenPayload.iat || 0) < user.tokenValidAfter) {
+			throw new Error("invalid token");
+		}
+		if (tokenPayload.api_token === undefined) {
+			return [user, undefined];
+		}
+
+		let apiToken = user.apiTokens.get(tokenPayload.api_token);
+		if (!apiToken) {
+			throw new Error("invalid token");
+		}
+		if (apiToken.isExpired()) {
+			throw new Error("token expired");
+		}
+		apiToken.lastUsedAtMs = Date.now();
+		this.dirty = true;
+		return [user, apiToken];
+	}
+
 	notifyJoin(user: ControllerUser, instance_id: number) {
 		user.instances.add(instance_id);
 		this.onlineUsers.add(user);
@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import phin from "phin";
+
+import * as lib from "@clusterio/lib";
+const { logger } = lib;
+
+import type Controller from "./Controller";
+import type ControllerUser from "./ControllerUser";
+import type HostInfo from "./HostInfo";
+import type InstanceInfo from "./InstanceInfo";
+
+/**
+ * Sign a webhook payload
+ *
+ * @param secret - Secret of the webhook.
+ * @param body - Payload to sign.
+ * @returns value for the X-Clusterio-Signature header.
+ */
+export function signPayload(secret: string, body: string) {
+	return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+function userState(user: ControllerUser) {
+	return {
+		name: user.name,
+		isAdmin: user.isAdmin,
+		isWhitelisted: user.isWhitelisted,
+		isBanned: user.isBanned,
+		banReason: user.banReason,
+		banExpiresAtMs: user.banExpiresAtMs || undefined,
+		isDeleted: user.isDeleted,
+	};
+}
+
+/**
+ * Delivers events in the cluster to the webhooks configured on the controller
+ *
+ * Each event is POSTed as JSON with the event type, a delivery id and a
+ * timestamp, and signed with the secret of the webhook.  Failed deliveries
+ * are retried with increasing delays, and the outcome is recorded in the
+ * delivery log of the webhook.
+ * @alias module:controller/src/WebhookDispatcher
+ */
+export default class WebhookDispatcher {
+	/** Delays before each retry of a failed delivery */
+	retryDelaysMs = [5e3, 30e3, 120e3];
+	/** Time to wait for a response before an attempt is considered failed */
+	timeoutMs = 10e3;
+	private _running = false;
+	private _retryWaits = new Set<() => void>();
+	/** Last dispatched state of each user, used to skip updates to stats only */
+	private _userStates = new Map<string, string>();
+
+	constructor(
+		private _controller: Controller,
+	) { }
+
+	start() {
+		this._running = true;
+		for (let user of this._controller.userManager.users.values()) {
+			this._userStates.set(user.name, JSON.stringify(userState(user)));
+		}
+	}
+
+	/**
+	 * Stop delivering events
+	 *
+	 * Pending retries are abandoned and recorded as failed.
+	 */
+	stop() {
+		this._running = false;
+		for (let abort of this._retryWaits) {
+			abort();
+		}
+	}
+
+	/**
+	 * Send an event to all enabled webhooks subscribed to it
+	 *
+	 * @param event - Type of event to send.
+	 * @param data - Data of the event.
+	 */
+	dispatch(event: lib.WebhookEventType, data: object) {
+		if (!this._running) {
+			return;
+		}
+		for (let webhook of this._controller.webhooks.values()) {
+			if (webhook.enabled && webhook.events.includes(event)) {
+				this.deliver(webhook, event, data).catch(err => {
+					logger.error(`Unexpected error delivering to webhook ${webhook.name}:\n${err.stack}`);
+				});
+			}
+		}
+	}
+
+	/**
+	 * Deliver an event to a webhook
+	 *
+	 * @param webhook - Webhook to deliver to.
+	 * @param event - Type of event to deliver.
+	 * @param data - Data of the event.
+	 * @param retry - Retry failed attempts after the delays in retryDelaysMs.
+	 * @returns the outcome of the delivery once it succeeded or all
+	 *     attempts have failed.
+	 */
+	async deliver(webhook: lib.Webhook, event: string, data: object, retry = true) {
+		let delivery = new lib.WebhookDelivery(crypto.randomUUID(), event, Date.now(), 0, false);
+		let body = JSON.stringify({ id: delivery.id, event, timestampMs: delivery.sentAtMs, data });
+
+		for (;;) {
+			delivery.attempts += 1;
+			try {
+				let response = await phin({
+					url: webhook.url,
+					method: "POST",
+					headers: {
+						"Content-Type": "application/json",
+						"User-Agent": "Clusterio-Webhook",
+						"X-Clusterio-Event": event,
+						"X-Clusterio-Delivery": delivery.id,
+						"X-Clusterio-Signature": signPayload(webhook.secret, body),
+					},
+					data: body,
+					timeout: this.timeoutMs,
+				});
+				delivery.statusCode = response.statusCode;
+				delivery.success = response.statusCode! >= 200 && response.statusCode! < 300;
+				delivery.error = delivery.success ? undefined : `Responded with status ${response.statusCode}`;
+			} catch (err: any) {
+				delivery.statusCode = undefined;
+				delivery.error = err.message;
+			}
+
+			let delayMs = retry ? this.retryDelaysMs[delivery.attempts - 1] : undefined;
+			if (delivery.success || delayMs === undefined || !await this._waitForRetry(delayMs)) {
+				break;
+			}
+		}
+
+		if (!delivery.success) {
+			logger.warn(`Delivering ${event} to webhook ${webhook.name} failed: ${delivery.error}`);
+		}
+		webhook.history.push(delivery);
+		webhook.history.splice(0, webhook.history.length - lib.Webhook.historyLimit);
+		if (this._controller.webhooks.get(webhook.id) === webhook) {
+			this._controller.webhooksUpdated([webhook]);
+		}
+		return delivery;
+	}
+
+	/**
+	 * Wait before retrying a delivery
+	 *
+	 * @param delayMs - Time to wait.
+	 * @returns false if the dispatcher was stopped while waiting.
+	 */
+	private async _waitForRetry(delayMs: number) {
+		if (!this._running) {
+			return false;
+		}
+		return await new Promise<boolean>(resolve => {
+			let timeout = setTimeout(() => {
+				this._retryWaits.delete(abort);
+				resolve(true);
+			}, delayMs);
+			let abort = () => {
+				clearTimeout(timeout);
+				this._retryWaits.delete(abort);
+				resolve(false);
+			};
+			this._retryWaits.add(abort);
+		});
+	}
+
+	instanceStatusChanged(instance: InstanceInfo, previousStatus?: lib.InstanceStatus) {
+		this.dispatch("instance_status_changed", {
+			instanceId: instance.id,
+			instanceName: instance.config.get("instance.name"),
+			hostId: instance.config.get("instance.assigned_host"),
+			status: instance.status,
+			previousStatus,
+		});
+	}
+
+	hostConnectionEvent(host: HostInfo, event: "connect" | "drop" | "resume" | "close") {
+		this.dispatch("host_connection", {
+			hostId: host.id,
+			hostName: host.name,
+			event,
+		});
+	}
+
+	playerEvent(instance: InstanceInfo, event: lib.PlayerEvent) {
+		this.dispatch("player_event", {
+			instanceId: instance.id,
+			instanceName: instance.config.get("instance.name"),
+			type: event.type,
+			name: event.name,
+			reason: event.reason,
+		});
+	}
+
+	/**
+	 * Send user_updated for users whose admin, whitelist, ban or deleted
+	 * state has changed.
+	 *
+	 * @param users - Users that were updated.
+	 */
+	usersUpdated(users: ControllerUser[]) {
+		for (let user of users) {
+			let state = userState(user);
+			let serialized = JSON.stringify(state);
+			if (this._userStates.get(user.name) === serialized) {
+				continue;
+			}
+			if (user.isDeleted) {
+				this._userStates.delete(user.name);
+			} else {
+				this._userStates.set(user.name, serialized);
+			}
+			this.dispatch("user_updated", state);
+		}
+	}
+}
@@ -299,24 +299,9 @@ ${err.stack}`
 
 	async registerControl(data: lib.RegisterControlData, socket: WebSocket, req: IncomingMessage) {
 		let user;
+		let apiToken;
 		try {
-			let tokenPayload = jwt.verify(
-				data.token,
-				Buffer.from(this.controller.config.get("controller.auth_secret"), "base64"),
-				{ audience: "user" }
-			);
-
-			if (typeof tokenPayload === "string") {
-				throw new Error("unexpected JsonWebToken type");
-			}
-
-			user = this.controller.userManager.users.get(tokenPayload.user);
-			if (!user) {
-				throw new Error("invalid user");
-			}
-			if ((tokenPayload.iat || 0) < user.tokenValidAfter) {
-				throw new Error("invalid token");
-			}
+			[user, apiToken] = this.controller.userManager.authenticateToken(data.token);
 			user.checkPermission("core.control.connect");
 
 		} catch (err: any) {
@@ -331,18 +316,14 @@ ${err.stack}`
 		let [connector, sessionToken] = this.createSession(new lib.Address(lib.Address.control, id));
 
 		logger.verbose(`WsServer | registered control ${id} from ${this.remoteAddr(req)}`);
-		let connection = new ControlConnection(data, connector, this.controller, user, id);
+		let connection = new ControlConnection(data, connector, this.controller, user, id, apiToken);
 		connector.on("close", () => {
 			this.controlConnections.delete(id);
 		});
 		this.controlConnections.set(id, connection);
 		let account = new lib.AccountDetails(
 			user.name,
-			[...user.roles].map(r => ({
-				name: r.name,
-				id: r.id,
-				permissions: [...r.permissions],
-			}))
+			[...user.roles].map(r => r.toAccountRole())
 		);
 
 		let src = new lib.Address(lib.Address.control, id);
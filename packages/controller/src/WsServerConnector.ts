@@ -111,6 +111,21 @@ export default class WsServerConnector extends lib.WebSocketBaseConnector {
 		this.emit("resume");
 	}
 
+	/**
+	 * Send a message over the socket
+	 *
+	 * Emits the response event for responses sent, which is used to
+	 * record the outcome of requests made by control links.
+	 *
+	 * @param message - Message to send.
+	 */
+	send(message: lib.MessageRoutable) {
+		super.send(message);
+		if (message.type === "response" || message.type === "responseError") {
+			this.emit("response", message);
+		}
+	}
+
 	_timedOut() {
 		logger.verbose("Connector | Connection timed out");
 		this._reset();
@@ -0,0 +1,406 @@
+import express, { type Application, type Request, type Response } from "express";
+import type Controller from "./Controller";
+
+import * as lib from "@clusterio/lib";
+const { logger } = lib;
+
+import ControlConnection from "./ControlConnection";
+import WsServerConnector from "./WsServerConnector";
+import { version as packageVersion } from "../package.json";
+
+/** Requests that only make sense over a persistent link */
+const excludedRequests = new Set(["SubscriptionRequest", "LogSetSubscriptionsRequest", "DebugDumpWsRequest"]);
+
+/** HTTP status codes responded with for error codes of failed requests */
+const errorStatusCodes: Record<string, number> = {
+	InvalidMessage: 400,
+	RequestError: 400,
+	PermissionError: 403,
+};
+
+/**
+ * Mapping of a link request onto an HTTP endpoint of the REST gateway
+ */
+export interface RestRoute {
+	/** Path relative to /api/v1 with {instanceId} or {hostId} as a parameter */
+	path: string;
+	entry: lib.RequestEntry;
+	/** Address type the request is sent to */
+	dstType: number;
+	/** Property of the request data the id from the path is placed into */
+	idProperty?: "instanceId" | "hostId";
+}
+
+function kebabCase(name: string) {
+	return name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+}
+
+function plainSchema(schema: unknown): any {
+	// Round trip through JSON to drop the symbol properties added by typebox
+	return JSON.parse(JSON.stringify(schema));
+}
+
+/**
+ * Determine the REST gateway route for a request
+ *
+ * Requests sent to instances or hosts, and requests to the controller with
+ * a required instanceId or hostId property are placed under
+ * /instances/{instanceId} or /hosts/{hostId} with the Instance or Host
+ * prefix stripped from the name.  Other requests are placed at the root.
+ * Requests from plugins are placed under /plugins/<plugin>.
+ *
+ * @param entry - Registry entry of the request.
+ * @returns route for the request, or null if it can't be sent over the
+ *     REST gateway.
+ */
+export function requestRoute(entry: lib.RequestEntry): RestRoute | null {
+	if (!entry.allowedSrcTypes.has(lib.Address.control) || excludedRequests.has(entry.name)) {
+		return null;
+	}
+
+	let Request = entry.Request;
+	let name = Request.name.replace(/Request$/, "");
+	let prefix = Request.plugin ? `/plugins/${Request.plugin}` : "";
+	let required: string[] = (Request.jsonSchema as any)?.required ?? [];
+	let instancePath = `${prefix}/instances/{instanceId}/${kebabCase(name.replace(/^Instance/, ""))}`;
+	let hostPath = `${prefix}/hosts/{hostId}/${kebabCase(name.replace(/^Host/, ""))}`;
+
+	if (entry.allowedDstTypes.has(lib.Address.instance)) {
+		return { path: instancePath, entry, dstType: lib.Address.instance };
+	}
+	if (entry.allowedDstTypes.has(lib.Address.controller)) {
+		if (required.includes("instanceId")) {
+			return { path: instancePath, entry, dstType: lib.Address.controller, idProperty: "instanceId" };
+		}
+		if (required.includes("hostId")) {
+			return { path: hostPath, entry, dstType: lib.Address.controller, idProperty: "hostId" };
+		}
+		return { path: `${prefix}/${kebabCase(name)}`, entry, dstType: lib.Address.controller };
+	}
+	if (entry.allowedDstTypes.has(lib.Address.host)) {
+		return { path: hostPath, entry, dstType: lib.Address.host };
+	}
+	return null;
+}
+
+let cachedRoutes = new Map<string, RestRoute>();
+let cachedRegistrySize = 0;
+
+/**
+ * Get the routes of all requests that can be sent over the REST gateway
+ *
+ * @returns mapping of path to route.
+ */
+export function restRoutes() {
+	// Requests are only ever added to the registry
+	if (cachedRegistrySize === lib.Link._requestsByName.size) {
+		return cachedRoutes;
+	}
+
+	let routes = new Map<string, RestRoute>();
+	for (let entry of lib.Link._requestsByName.values()) {
+		let route = requestRoute(entry);
+		if (!route) {
+			continue;
+		}
+		let existing = routes.get(route.path);
+		if (existing) {
+			logger.warn(`REST gateway path ${route.path} of ${entry.name} is taken by ${existing.entry.name}`);
+			continue;
+		}
+		routes.set(route.path, route);
+	}
+	cachedRoutes = routes;
+	cachedRegistrySize = lib.Link._requestsByName.size;
+	return routes;
+}
+
+function permissionDescription(permission: lib.RequestClass<unknown, unknown>["permission"]) {
+	if (typeof permission === "string") {
+		return `Requires the \`${permission}\` permission.`;
+	}
+	if (typeof permission === "function") {
+		return "Permission required depends on the data sent.";
+	}
+	return "Does not require any permission.";
+}
+
+/**
+ * Generate an OpenAPI document describing the REST gateway
+ *
+ * @param routes - Routes to describe.
+ * @returns OpenAPI 3.1 document.
+ */
+export function openApiDocument(routes: Map<string, RestRoute>) {
+	const errorResponse = (description: string) => ({
+		description,
+		content: { "application/json": { schema: { "$ref": "#/components/schemas/Error" } } },
+	});
+
+	let paths: Record<string, object> = {};
+	for (let route of routes.values()) {
+		let Request = route.entry.Request;
+		let parameters = [];
+		if (route.path.includes("{instanceId}")) {
+			parameters.push({ name: "instanceId", in: "path", required: true, schema: { type: "integer" } });
+		}
+		if (route.path.includes("{hostId}")) {
+			parameters.push({ name: "hostId", in: "path", required: true, schema: { type: "integer" } });
+		}
+
+		let requestBody;
+		if (Request.jsonSchema) {
+			let schema = plainSchema(Request.jsonSchema);
+			if (route.idProperty) {
+				delete schema.properties[route.idProperty];
+				schema.required = schema.required.filter((property: string) => property !== route.idProperty);
+				if (!schema.required.length) {
+					delete schema.required;
+				}
+			}
+			requestBody = {
+				required: Boolean(schema.required?.length),
+				content: { "application/json": { schema } },
+			};
+		}
+
+		let tag = "controller";
+		if (Request.plugin) {
+			tag = Request.plugin;
+		} else if (route.path.startsWith("/instances/")) {
+			tag = "instances";
+		} else if (route.path.startsWith("/hosts/")) {
+			tag = "hosts";
+		}
+
+		paths[`/api/v1${route.path}`] = {
+			post: {
+				operationId: route.entry.name,
+				summary: route.entry.name,
+				description: permissionDescription(Request.permission),
+				tags: [tag],
+				parameters: parameters.length ? parameters : undefined,
+				requestBody,
+				responses: {
+					...(Request.Response ? {
+						"200": {
+							description: "Request completed",
+							content: { "application/json": { schema: plainSchema(Request.Response.jsonSchema) } },
+						},
+					} : {
+						"204": { description: "Request completed" },
+					}),
+					"400": errorResponse("Invalid request or request failed"),
+					"401": { description: "Missing or invalid access token" },
+					"403": errorResponse("Permission denied"),
+					"default": errorResponse("Unexpected error"),
+				},
+			},
+		};
+	}
+
+	return {
+		openapi: "3.1.0",
+		info: {
+			title: "Clusterio",
+			version: packageVersion,
+			description: "HTTP gateway for sending requests to the controller, hosts and instances of the cluster.",
+		},
+		components: {
+			securitySchemes: {
+				accessToken: { type: "apiKey", in: "header", name: "x-access-token" },
+			},
+			schemas: {
+				Error: {
+					type: "object",
+					properties: {
+						errors: { type: "array", items: { type: "string" } },
+						code: { type: "string" },
+					},
+				},
+			},
+		},
+		security: [{ accessToken: [] }],
+		paths,
+	};
+}
+
+/**
+ * Connector for control connections living for the duration of one
+ * HTTP request to the REST gateway
+ *
+ * Responses sent to it are emitted as the response event and everything
+ * else sent to it is discarded.
+ */
+class RestConnector extends WsServerConnector {
+	constructor(dst: lib.Address) {
+		super(dst, 0, 0, 0);
+		this._state = "connected";
+	}
+
+	send(message: lib.MessageRoutable) {
+		if (message.type === "response" || message.type === "responseError") {
+			this.emit("response", message);
+		}
+	}
+
+	async disconnect() {
+		this._close();
+	}
+
+	async close(code: number, reason: string) {
+		this._close();
+	}
+
+	terminate() {
+		this._close();
+	}
+
+	_close() {
+		if (this._state === "closed") {
+			return;
+		}
+		this._state = "closed";
+		this.emit("close");
+	}
+}
+
+/**
+ * Find the route matching a path requested from the REST gateway
+ *
+ * @param path - Path relative to /api/v1.
+ * @returns route and the id given in the path, or undefined if no route
+ *     matched.
+ */
+function matchRoute(path: string): [RestRoute, number | undefined] | undefined {
+	let template = [];
+	let id: number | undefined;
+	let segments = path.split("/");
+	for (let index = 0; index < segments.length; index++) {
+		let previous = segments[index - 1];
+		if (previous === "instances" || previous === "hosts") {
+			template.push(previous === "instances" ? "{instanceId}" : "{hostId}");
+			id = Number(segments[index]);
+		} else {
+			template.push(segments[index]);
+		}
+	}
+	let route = restRoutes().get(template.join("/"));
+	return route ? [route, id] : undefined;
+}
+
+async function handleRequest(req: Request, res: Response) {
+	const controller: Controller = req.app.locals.controller;
+
+	let match = matchRoute(`/${req.params[0]}`);
+	if (!match) {
+		res.sendStatus(404);
+		return;
+	}
+	let [route, id] = match;
+
+	let token = req.header("x-access-token");
+	if (!token) {
+		res.sendStatus(401);
+		return;
+	}
+	let user;
+	let apiToken;
+	try {
+		[user, apiToken] = controller.userManager.authenticateToken(token);
+	} catch (err) {
+		res.sendStatus(401);
+		return;
+	}
+	try {
+		user.checkPermission("core.control.connect");
+	} catch (err: any) {
+		res.status(403).json({ errors: [err.message], code: err.code });
+		return;
+	}
+
+	if (id !== undefined && !Number.isInteger(id)) {
+		res.status(400).json({ errors: ["Invalid id in path"] });
+		return;
+	}
+	if (controller.wsServer.stopAcceptingNewSessions) {
+		res.sendStatus(503);
+		return;
+	}
+
+	let data: unknown;
+	if (route.entry.Request.jsonSchema) {
+		data = route.idProperty ? { ...req.body, [route.idProperty]: id } : req.body;
+	}
+	let dst = new lib.Address(lib.Address.controller, 0);
+	if (route.dstType !== lib.Address.controller) {
+		dst = new lib.Address(route.dstType, id!);
+	}
+
+	let connectionId = controller.wsServer.nextControlId;
+	controller.wsServer.nextControlId += 1;
+	let connector = new RestConnector(new lib.Address(lib.Address.control, connectionId));
+	let connection = new ControlConnection(
+		{ version: packageVersion }, connector, controller, user, connectionId, apiToken
+	);
+	connector.on("close", () => {
+		controller.wsServer.controlConnections.delete(connectionId);
+	});
+	controller.wsServer.controlConnections.set(connectionId, connection);
+
+	let message: lib.MessageResponse | lib.MessageResponseError | null;
+	try {
+		let responded = new Promise<typeof message>(resolve => {
+			connector.once("response", resolve);
+			connector.once("close", () => resolve(null));
+			res.once("close", () => connector._close());
+		});
+		try {
+			connection._processMessage(new lib.MessageRequest(
+				1,
+				new lib.Address(lib.Address.control, connectionId, 1),
+				dst,
+				route.entry.name,
+				data,
+			));
+		} catch (err) {
+			// Invalid messages have already been responded to.
+			if (!(err instanceof lib.InvalidMessage)) {
+				throw err;
+			}
+		}
+		message = await responded;
+	} finally {
+		connector._close();
+	}
+
+	if (!message) {
+		return;
+	}
+	if (message.type === "response") {
+		let result = (message as lib.MessageResponse).data;
+		if (result === undefined) {
+			res.sendStatus(204);
+		} else {
+			res.json(result);
+		}
+		return;
+	}
+	let error = (message as lib.MessageResponseError).data;
+	res.status(errorStatusCodes[error.code!] ?? 500).json({ errors: [error.message], code: error.code });
+}
+
+/**
+ * Add the REST gateway routes to an express app
+ *
+ * @param app - Express app to add the routes to.
+ */
+export function addRouteHandlers(app: Application) {
+	app.get("/api/v1/openapi.json", (req: Request, res: Response) => {
+		res.json(openApiDocument(restRoutes()));
+	});
+	app.post("/api/v1/*",
+		express.json(),
+		(req: Request, res: Response, next: any) => handleRequest(req, res).catch(next)
+	);
+}
@@ -0,0 +1,479 @@
+import crypto from "crypto";
+import type { Application, Request, Response } from "express";
+import jwt from "jsonwebtoken";
+import phin from "phin";
+
+import * as lib from "@clusterio/lib";
+const { logger } = lib;
+
+import type Controller from "./Controller";
+import ControllerUser from "./ControllerUser";
+
+/** Time in milliseconds a login started has to be completed in */
+const loginTimeoutMs = 10 * 60e3;
+/** Cookie holding the signed state of the login started by the browser */
+const loginCookie = "clusterio_oidc_login";
+
+/**
+ * Subset of the OpenID Connect provider metadata used
+ */
+interface ProviderMetadata {
+	issuer: string;
+	authorization_endpoint: string;
+	token_endpoint: string;
+	jwks_uri: string;
+}
+
+function base64url(buffer: Buffer) {
+	return buffer.toString("base64url");
+}
+
+async function getJson(url: string) {
+	let response = await phin({ url, parse: "json", timeout: 10e3 });
+	if (response.statusCode !== 200) {
+		throw new Error(`GET ${url} responded with status ${response.statusCode}`);
+	}
+	return response.body as any;
+}
+
+/**
+ * Relying party for logging in to the Web UI with an OpenID Connect provider
+ *
+ * Implements the authorization code flow with PKCE.  The state of a login
+ * is kept in a token signed by the controller stored in a cookie of the
+ * browser starting it, which ties the login to that browser.  The identity
+ * and groups of the user logging in are taken from the ID token issued by
+ * the provider and mapped onto a user and roles in the cluster.
+ * @alias module:controller/src/oidc.OidcClient
+ */
+export class OidcClient {
+	private _metadata: ProviderMetadata | null = null;
+	private _keys = new Map<string, crypto.KeyObject>();
+
+	constructor(
+		private _controller: Controller,
+	) { }
+
+	/** True if an issuer and client id is configured */
+	get enabled() {
+		let config = this._controller.config;
+		return Boolean(config.get("controller.oidc_issuer") && config.get("controller.oidc_client_id"));
+	}
+
+	get redirectUri() {
+		return new URL("api/oidc/callback", this._controller.getControllerUrl()).href;
+	}
+
+	/**
+	 * Retrieve the metadata of the configured provider
+	 *
+	 * @returns provider metadata from its discovery document.
+	 */
+	async metadata() {
+		let issuer = this._controller.config.get("controller.oidc_issuer")!;
+		if (this._metadata?.issuer !== issuer) {
+			let url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+			let metadata = await getJson(url);
+			if (metadata.issuer !== issuer) {
+				throw new Error(`Issuer ${metadata.issuer} in discovery document does not match ${issuer}`);
+			}
+			this._metadata = metadata;
+			this._keys.clear();
+		}
+		return this._metadata!;
+	}
+
+	get authSecret() {
+		return Buffer.from(this._controller.config.get("controller.auth_secret"), "base64");
+	}
+
+	/**
+	 * Start a login
+	 *
+	 * @returns URL to redirect the user agent to for logging in with the
+	 *     provider, and the login token to store in the user agent for
+	 *     completing the login.
+	 */
+	async startLogin(): Promise<[string, string]> {
+		let metadata = await this.metadata();
+		let pending = {
+			state: base64url(crypto.randomBytes(16)),
+			nonce: base64url(crypto.randomBytes(16)),
+			codeVerifier: base64url(crypto.randomBytes(32)),
+		};
+		let loginToken = jwt.sign(
+			{ aud: "oidc_login", ...pending }, this.authSecret, { expiresIn: loginTimeoutMs / 1000 }
+		);
+
+		let url = new URL(metadata.authorization_endpoint);
+		url.searchParams.set("response_type", "code");
+		url.searchParams.set("client_id", this._controller.config.get("controller.oidc_client_id")!);
+		url.searchParams.set("redirect_uri", this.redirectUri);
+		url.searchParams.set("scope", this._controller.config.get("controller.oidc_scopes"));
+		url.searchParams.set("state", pending.state);
+		url.searchParams.set("nonce", pending.nonce);
+		url.searchParams.set(
+			"code_challenge", base64url(crypto.createHash("sha256").update(pending.codeVerifier).digest())
+		);
+		url.searchParams.set("code_challenge_method", "S256");
+		return [url.href, loginToken];
+	}
+
+	/**
+	 * Complete a login with the authorization code from the provider
+	 *
+	 * @param loginToken -
+	 *     Login token from startLogin stored in the user agent completing
+	 *     the login.
+	 * @param state - State parameter passed back by the provider.
+	 * @param code - Authorization code issued by the provider.
+	 * @returns the user logged in to and a session token for it.
+	 * @throws {module:lib.AuthenticationFailed} if the login is not valid
+	 *     or the user is not allowed to log in.
+	 */
+	async completeLogin(
+		loginToken: string | undefined, state: string, code: string
+	): Promise<[ControllerUser, string]> {
+		let pending;
+		try {
+			pending = jwt.verify(loginToken ?? "", this.authSecret, { audience: "oidc_login" }) as jwt.JwtPayload;
+		} catch (err: any) {
+			throw new lib.AuthenticationFailed("Login expired or is not valid, try again");
+		}
+		if (pending.state !== state) {
+			throw new lib.AuthenticationFailed("Login expired or is not valid, try again");
+		}
+
+		let config = this._controller.config;
+		let metadata = await this.metadata();
+		let response = await phin({
+			url: metadata.token_endpoint,
+			method: "POST",
+			form: {
+				grant_type: "authorization_code",
+				code,
+				redirect_uri: this.redirectUri,
+				client_id: config.get("controller.oidc_client_id")!,
+				client_secret: config.get("controller.oidc_client_secret") ?? "",
+				code_verifier: pending.codeVerifier,
+			},
+			parse: "json",
+			timeout: 10e3,
+		});
+		let body = response.body as any;
+		if (response.statusCode !== 200 || typeof body?.id_token !== "string") {
+			throw new Error(`Token request responded with status ${response.statusCode}: ${JSON.stringify(body)}`);
+		}
+
+		let claims = await this.verifyIdToken(body.id_token, pending.nonce);
+		let user = this.syncUser(claims);
+		return [user, this._controller.userManager.signSessionToken(user.name)];
+	}
+
+	/**
+	 * Verify an ID token issued by the provider
+	 *
+	 * @param idToken - ID token to verify.
+	 * @param nonce - Nonce the ID token must have been issued for.
+	 * @returns claims of the ID token.
+	 * @throws {module:lib.AuthenticationFailed} if the token is not valid.
+	 */
+	async verifyIdToken(idToken: string, nonce: string) {
+		let metadata = await this.metadata();
+		let decoded = jwt.decode(idToken, { complete: true });
+		if (!decoded) {
+			throw new lib.AuthenticationFailed("ID token is malformed");
+		}
+
+		let key = await this._getKey(decoded.header.kid);
+		let claims;
+		try {
+			claims = jwt.verify(idToken, key, {
+				algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512", "PS256", "PS384", "PS512"],
+				audience: this._controller.config.get("controller.oidc_client_id")!,
+				issuer: metadata.issuer,
+			});
+		} catch (err: any) {
+			throw new lib.AuthenticationFailed(`ID token is not valid: ${err.message}`);
+		}
+		if (typeof claims === "string" || claims.nonce !== nonce) {
+			throw new lib.AuthenticationFailed("ID token was not issued for this login");
+		}
+		return claims;
+	}
+
+	private async _getKey(kid?: string) {
+		let key = kid !== undefined ? this._keys.get(kid) : undefined;
+		if (!key) {
+			// Keys may have been rotated since they were last fetched
+			let metadata = await this.metadata();
+			let jwks = await getJson(metadata.jwks_uri);
+			this._keys.clear();
+			for (let jwk of jwks.keys ?? []) {
+				if (jwk.use && jwk.use !== "sig") {
+					continue;
+				}
+				this._keys.set(jwk.kid ?? "", crypto.createPublicKey({ key: jwk, format: "jwk" }));
+			}
+			key = this._keys.get(kid ?? "");
+			if (!key && kid === undefined && this._keys.size === 1) {
+				key = [...this._keys.values()][0];
+			}
+		}
+		if (!key) {
+			throw new lib.AuthenticationFailed(`No signing key with id ${kid} found for the provider`);
+		}
+		return key;
+	}
+
+	/**
+	 * Map the identity in an ID token onto a user in the cluster
+	 *
+	 * Users are linked to the issuer and subject of the identity the first
+	 * time they log in and found by it afterwards.  Identities not yet
+	 * linked are linked to the user named by the
+	 * controller.oidc_username_claim claim, which is created if it does
+	 * not exist and controller.oidc_create_users is enabled.  Existing
+	 * admins are never linked this way.  Roles in
+	 * controller.oidc_role_mapping are granted or removed to match the
+	 * groups of the user, while roles not in the mapping are left
+	 * untouched.
+	 *
+	 * The user is not created or changed if it would not be allowed to
+	 * connect to the controller.
+	 *
+	 * @param claims - Claims of the ID token.
+	 * @returns the user the identity maps to.
+	 * @throws {module:lib.AuthenticationFailed} if there is no user for the
+	 *     identity.
+	 * @throws {module:lib.PermissionError} if the user does not have the
+	 *     core.control.connect permission.
+	 */
+	syncUser(claims: jwt.JwtPayload) {
+		let config = this._controller.config;
+		let userManager = this._controller.userManager;
+		let { iss: issuer, sub: subject } = claims;
+		if (typeof issuer !== "string" || typeof subject !== "string" || !subject) {
+			throw new lib.AuthenticationFailed("ID token is missing the iss or sub claim");
+		}
+
+		let [user, name] = this._findUser(claims, issuer, subject);
+
+		// Work on a view of the user with the new roles, or the user that
+		// would be created, so that nothing is changed if the check fails.
+		let synced: ControllerUser = user ? Object.create(user) : new ControllerUser(userManager, 0, name);
+		synced.roleIds = new Set(user?.roleIds);
+		if (!user) {
+			let defaultRoleId = config.get("controller.default_role_id");
+			if (defaultRoleId !== null && userManager.roles.has(defaultRoleId)) {
+				synced.roleIds.add(defaultRoleId);
+			}
+		}
+		this._mapRoles(claims, synced.roleIds);
+
+		synced.checkPermission("core.control.connect");
+		if (!user) {
+			user = userManager.createUser(name);
+			logger.info(`Created user ${name} from single sign-on login`);
+		}
+		if (user.oidcSubject === undefined) {
+			user.oidcIssuer = issuer;
+			user.oidcSubject = subject;
+			logger.info(`Linked user ${name} to single sign-on identity ${subject}`);
+		}
+		user.roleIds = synced.roleIds;
+		this._controller.usersUpdated([user]);
+		return user;
+	}
+
+	/**
+	 * Find the user an identity logs in to
+	 *
+	 * @param claims - Claims of the ID token.
+	 * @param issuer - Issuer of the identity.
+	 * @param subject - Subject of the identity.
+	 * @returns the user if it exists and the name of it.
+	 * @throws {module:lib.AuthenticationFailed} if the identity can not be
+	 *     linked to the user.
+	 */
+	private _findUser(
+		claims: jwt.JwtPayload, issuer: string, subject: string
+	): [ControllerUser | undefined, string] {
+		let config = this._controller.config;
+		let userManager = this._controller.userManager;
+		for (let user of userManager.users.values()) {
+			if (user.oidcIssuer === issuer && user.oidcSubject === subject) {
+				return [user, user.name];
+			}
+		}
+
+		let claim = config.get("controller.oidc_username_claim");
+		let name = claims[claim];
+		if (typeof name !== "string" || !name) {
+			throw new lib.AuthenticationFailed(`ID token is missing the ${claim} claim`);
+		}
+		let user = userManager.users.get(name);
+		if (user?.oidcSubject !== undefined) {
+			throw new lib.AuthenticationFailed(`User ${name} is linked to another single sign-on identity`);
+		}
+		if (user && isAdminAccount(user)) {
+			throw new lib.AuthenticationFailed(
+				`User ${name} is an admin and can not be linked to single sign-on automatically`
+			);
+		}
+		if (!user && !config.get("controller.oidc_create_users")) {
+			throw new lib.AuthenticationFailed(`User ${name} does not exist in the cluster`);
+		}
+		return [user, name];
+	}
+
+	/**
+	 * Grant or remove the roles in the role mapping
+	 *
+	 * @param claims - Claims of the ID token.
+	 * @param roleIds - Roles to update to match the groups in the claims.
+	 */
+	private _mapRoles(claims: jwt.JwtPayload, roleIds: Set<number>) {
+		let config = this._controller.config;
+		let groupsClaim = config.get("controller.oidc_groups_claim");
+		let roleMapping = config.get("controller.oidc_role_mapping");
+		if (groupsClaim === null || !Object.keys(roleMapping).length) {
+			return;
+		}
+
+		let groups = claims[groupsClaim];
+		groups = Array.isArray(groups) ? groups : [];
+		let mappedRoleIds = new Set(Object.values(roleMapping).flat());
+		let grantedRoleIds = new Set(
+			Object.entries(roleMapping).filter(([group]) => groups.includes(group)).flatMap(([, ids]) => ids)
+		);
+		for (let roleId of mappedRoleIds) {
+			if (grantedRoleIds.has(roleId) && this._controller.userManager.roles.has(roleId)) {
+				roleIds.add(roleId);
+			} else {
+				roleIds.delete(roleId);
+			}
+		}
+	}
+}
+
+/**
+ * Check if a user is an admin of the cluster or the Factorio servers
+ *
+ * @param user - User to check.
+ * @returns true if the user is an admin or has the core.admin permission.
+ */
+function isAdminAccount(user: ControllerUser) {
+	if (user.isAdmin) {
+		return true;
+	}
+	try {
+		user.checkPermission("core.admin");
+		return true;
+	} catch (err: any) {
+		return false;
+	}
+}
+
+function escapeHtml(text: string) {
+	return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function scriptJson(value: unknown) {
+	return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+async function getLogin(req: Request, res: Response) {
+	let client: OidcClient = req.app.locals.oidcClient;
+	if (!client.enabled) {
+		res.sendStatus(404);
+		return;
+	}
+	let [url, loginToken] = await client.startLogin();
+	res.cookie(loginCookie, loginToken, {
+		httpOnly: true,
+		sameSite: "lax",
+		secure: new URL(client.redirectUri).protocol === "https:",
+		path: "/api/oidc",
+		maxAge: loginTimeoutMs,
+	});
+	res.redirect(url);
+}
+
+function getCookie(req: Request, name: string) {
+	for (let cookie of (req.headers.cookie ?? "").split(";")) {
+		let [key, ...value] = cookie.trim().split("=");
+		if (key === name) {
+			return decodeURIComponent(value.join("="));
+		}
+	}
+	return undefined;
+}
+
+async function getCallback(req: Request, res: Response) {
+	let client: OidcClient = req.app.locals.oidcClient;
+	if (!client.enabled) {
+		res.sendStatus(404);
+		return;
+	}
+
+	let { state, code, error, error_description: errorDescription } = req.query;
+	let message;
+	if (typeof error === "string") {
+		message = `Provider responded with ${error}`;
+		if (typeof errorDescription === "string") {
+			message += `: ${errorDescription}`;
+		}
+	} else if (typeof state !== "string" || typeof code !== "string") {
+		message = "Missing state or code parameter";
+	}
+
+	let controller: Controller = req.app.locals.controller;
+	let audit = new lib.AuditLogEntry(Date.now(), "", "OidcLogin", "controller", undefined, "success");
+	let loginToken = getCookie(req, loginCookie);
+	res.clearCookie(loginCookie, { path: "/api/oidc" });
+	if (message === undefined) {
+		try {
+			let [user, token] = await client.completeLogin(loginToken, state as string, code as string);
+			audit.user = user.name;
+			controller.auditLog?.add(audit);
+			// The Web UI reads the token from local storage when loaded
+			res.type("html").send(
+				"<!DOCTYPE html><html><head><meta charset=\"utf-8\"><title>Clusterio</title></head><body><script>" +
+				`localStorage.setItem("controller_token", ${scriptJson(token)});location.replace("../../");` +
+				"</script></body></html>"
+			);
+			return;
+
+		} catch (err: any) {
+			if (!(err instanceof lib.AuthenticationFailed || err instanceof lib.PermissionError)) {
+				logger.error(`Unexpected error completing single sign-on login:\n${err.stack}`);
+			}
+			message = err.message;
+		}
+	}
+
+	audit.result = "denied";
+	audit.error = message;
+	controller.auditLog?.add(audit);
+	res.status(401).type("html").send(
+		"<!DOCTYPE html><html><head><meta charset=\"utf-8\"><title>Clusterio</title></head><body>" +
+		`<p>Single sign-on failed: ${escapeHtml(message!)}</p><p><a href="../../">Back to login</a></p>` +
+		"</body></html>"
+	);
+}
+
+function getConfig(req: Request, res: Response) {
+	let client: OidcClient = req.app.locals.oidcClient;
+	res.json({
+		enabled: client.enabled,
+		buttonText: req.app.locals.controller.config.get("controller.oidc_button_text"),
+	});
+}
+
+export function addRouteHandlers(app: Application) {
+	app.locals.oidcClient = new OidcClient(app.locals.controller);
+	app.get("/api/oidc/config", getConfig);
+	app.get("/api/oidc/login", (req: Request, res: Response, next: any) => getLogin(req, res).catch(next));
+	app.get("/api/oidc/callback", (req: Request, res: Response, next: any) => getCallback(req, res).catch(next));
+}
@@ -0,0 +1,100 @@
+// Strategies for picking the host to assign an instance to
+import * as lib from "@clusterio/lib";
+
+import type HostInfo from "./HostInfo";
+import type InstanceInfo from "./InstanceInfo";
+
+/**
+ * Host an instance may be assigned to along with the data used to
+ * decide between them
+ */
+export interface PlacementCandidate {
+	host: HostInfo;
+	/** System info last collected from the host, if any has been */
+	system?: lib.SystemInfo;
+	/** Number of instances currently assigned to the host */
+	instanceCount: number;
+	/** Number of ports in host.factorio_port_range not used by instances assigned to the host */
+	freePorts: number;
+}
+
+/**
+ * Picks the host to assign an instance to
+ *
+ * Only called with hosts that are connected, not draining and have a free
+ * game port for the instance.
+ *
+ * @param instance - Instance being assigned.
+ * @param candidates - Hosts the instance can be assigned to.
+ * @returns the candidate to assign the instance to, or undefined if none
+ *     of them are suitable.
+ */
+export type PlacementStrategy = (
+	instance: InstanceInfo,
+	candidates: PlacementCandidate[],
+) => PlacementCandidate | undefined;
+
+function loadOf(candidate: PlacementCandidate) {
+	if (!candidate.system) {
+		return 0;
+	}
+	return Math.max(candidate.system.cpuRatio || 0, candidate.system.memoryRatio || 0);
+}
+
+/**
+ * Host with the fewest instances, preferring the least loaded on ties
+ *
+ * @param instance - Instance being assigned.
+ * @param candidates - Hosts the instance can be assigned to.
+ * @returns the candidate picked.
+ */
+export function fewestInstances(instance: InstanceInfo, candidates: PlacementCandidate[]) {
+	return [...candidates].sort(
+		(a, b) => a.instanceCount - b.instanceCount || loadOf(a) - loadOf(b)
+	)[0] as PlacementCandidate | undefined;
+}
+
+/**
+ * Host with the lowest of CPU or memory usage, preferring the one with the
+ * fewest instances on ties
+ *
+ * @param instance - Instance being assigned.
+ * @param candidates - Hosts the instance can be assigned to.
+ * @returns the candidate picked.
+ */
+export function lowestLoad(instance: InstanceInfo, candidates: PlacementCandidate[]) {
+	return [...candidates].sort(
+		(a, b) => loadOf(a) - loadOf(b) || a.instanceCount - b.instanceCount
+	)[0] as PlacementCandidate | undefined;
+}
+
+/** Strategies built into the controller by name */
+export const builtinPlacementStrategies: [string, PlacementStrategy][] = [
+	["fewest_instances", fewestInstances],
+	["lowest_load", lowestLoad],
+];
+
+/**
+ * Count the ports in a port range left for new instances
+ *
+ * The port the host assigned to an instance is not known to the
+ * controller, instead each instance without a fixed game port is assumed
+ * to take one port from the range.
+ *
+ * @param portRange - Value of host.factorio_port_range.
+ * @param instances - Instances assigned to the host.
+ * @returns number of ports left for new instances.
+ */
+export function countFreePorts(portRange: string, instances: InstanceInfo[]) {
+	const ports = lib.parseRanges(portRange, 1, 2**16 - 1);
+	let assignedPorts = 0;
+	for (const instance of instances) {
+		const port = instance.config.get("factorio.game_port");
+		if (port !== null) {
+			ports.delete(port);
+		} else {
+			assignedPorts += 1;
+		}
+	}
+	return Math.max(ports.size - assignedPorts, 0);
+}
@@ -1,4 +1,4 @@
-import type { Application, Request, Response } from "express";
+import express, { type Application, type Request, type Response } from "express";
 import type Controller from "./Controller";
 
 import busboy from "busboy";
@@ -176,23 +176,9 @@ function validateUserToken(req: Request, res: Response, next: any) {
 	}
 
 	try {
-		let tokenPayload = jwt.verify(
-			token,
-			Buffer.from(req.app.locals.controller.config.get("controller.auth_secret"), "base64"),
-			{ audience: "user" }
-		);
-
-		if (typeof tokenPayload === "string") {
-			throw new Error("unexpected JsonWebToken type");
-		}
-		let user = req.app.locals.controller.userManager.users.get(tokenPayload.user);
-		if (!user) {
-			throw new Error("invalid user");
-		}
-		if (!tokenPayload.iat || tokenPayload.iat < user.tokenValidAfter) {
-			throw new Error("invalid token");
-		}
-		res.locals.user = user;
+		let [user, apiToken] = req.app.locals.controller.userManager.authenticateToken(token);
+		res.locals.user = apiToken ? user.withApiToken(apiToken) : user;
+		res.locals.apiToken = apiToken;
 
 	} catch (err) {
 		res.sendStatus(401);
@@ -202,6 +188,39 @@ function validateUserToken(req: Request, res: Response, next: any) {
 	next();
 }
 
+// Log in to a user with a password and respond with a session token
+async function login(req: Request, res: Response) {
+	let { name, password } = req.body ?? {};
+	if (typeof name !== "string" || typeof password !== "string") {
+		res.status(400).json({ errors: ["name and password must be strings"] });
+		return;
+	}
+
+	let controller = req.app.locals.controller;
+	let wasLocked = controller.userManager.users.get(name)?.loginLockedUntilMs ?? 0;
+	let audit = new lib.AuditLogEntry(Date.now(), name, "PasswordLogin", "controller", undefined, "success");
+	try {
+		let [user, token] = await controller.userManager.loginWithPassword(name, password);
+		user.checkPermission("core.control.connect");
+		res.json({ token });
+
+	} catch (err: any) {
+		if (!(err instanceof lib.AuthenticationFailed || err instanceof lib.PermissionError)) {
+			throw err;
+		}
+		audit.result = "denied";
+		audit.error = err.message;
+		res.status(401).json({ errors: [err.message] });
+
+	} finally {
+		controller.auditLog?.add(audit);
+		let user = controller.userManager.users.get(name);
+		if (user && user.loginLockedUntilMs !== wasLocked) {
+			controller.usersUpdated([user]);
+		}
+	}
+}
+
 // Handle an uploaded export package.
 async function uploadExport(req: Request, res: Response) {
 	if (req.get("Content-Type") !== "application/zip") {
@@ -390,6 +409,21 @@ async function uploadSave(req: Request, res: Response) {
 	let saves: string[] = [];
 
 	async function handleFile(instanceId:number, stream: nodeStream.Readable, filename: string, streamMime: string) {
+		let apiToken: lib.UserApiToken | undefined = res.locals.apiToken;
+		if (apiToken?.instanceIds && !apiToken.instanceIds.includes(instanceId)) {
+			requestErrors.push(`instance ${instanceId} is outside the scope of the API token`);
+			stream.resume();
+			return;
+		}
+		try {
+			const instance = req.app.locals.controller.instances.get(instanceId);
+			res.locals.user.checkPermission("core.instance.save.upload", instance ?? { id: instanceId, tags: [] });
+		} catch (err: any) {
+			requestErrors.push(`instance ${instanceId}: ${err.message}`);
+			stream.resume();
+			return;
+		}
+
 		let proxyStream = await createProxyStream(req.app);
 		proxyStream.source = stream;
 		proxyStream.mime = streamMime;
@@ -655,9 +689,70 @@ async function uploadMod(req: Request, res: Response) {
 }
 
 
+const factorioArchiveMimes = [
+	"application/x-tar",
+	"application/x-xz",
+	"application/gzip",
+	"application/x-gzip",
+	"application/x-bzip2",
+	"application/octet-stream",
+];
+
+async function uploadFactorio(req: Request, res: Response) {
+	try {
+		res.locals.user.checkPermission("core.host.install_factorio");
+	} catch (err: any) {
+		res.status(403).json({ request_errors: [err.message] });
+		return;
+	}
+
+	let match = contentTypeRegExp.exec(req.get("Content-Type") || "");
+	if (!match || !factorioArchiveMimes.includes(match[1].toLowerCase())) {
+		req.resume();
+		res.status(415).json({ request_errors: ["invalid Content-Type"] });
+		return;
+	}
+
+	let hostId = Number.parseInt(String(req.query.host_id), 10);
+	if (Number.isNaN(hostId)) {
+		req.resume();
+		res.status(400).json({ request_errors: ["Missing or invalid host_id parameter"] });
+		return;
+	}
+
+	let proxyStream = await createProxyStream(req.app);
+	proxyStream.source = req;
+	proxyStream.mime = match[1].toLowerCase();
+	let timeout = new Promise<never>((_, reject) => {
+		proxyStream.events.on("timeout", () => {
+			req.resume();
+			reject(new Error("Timed out establishing stream to host"));
+		});
+	});
+
+	try {
+		let version: string = await Promise.race([
+			req.app.locals.controller.sendTo(
+				{ hostId },
+				new lib.HostFactorioVersionInstallRequest(undefined, proxyStream.id),
+			),
+			timeout,
+		]);
+		res.json({ version });
+
+	} catch (err: any) {
+		proxyStream.events.emit("close");
+		req.resume();
+		logger.error(`Error uploading Factorio: ${err.message}`);
+		res.status(500).json({ errors: [err.message] });
+	}
+}
+
+
 export function addRouteHandlers(app: Application) {
 	app.get("/metrics", (req:Request, res:Response, next:any) => getMetrics(req, res, next).catch(next));
 	app.get("/api/plugins", getPlugins);
+	app.post("/api/login", express.json(), (req:Request, res:Response, next:any) => login(req, res).catch(next));
 	app.put("/api/upload-export",
 		validateHostToken,
 		(req:Request, res:Response, next:any) => uploadExport(req, res).catch(next)
@@ -672,6 +767,10 @@ export function addRouteHandlers(app: Application) {
 		validateUserToken,
 		(req:Request, res:Response, next:any) => uploadMod(req, res).catch(next)
 	);
+	app.put("/api/upload-factorio",
+		validateUserToken,
+		(req:Request, res:Response, next:any) => uploadFactorio(req, res).catch(next)
+	);
 }
 
 // Routes used in the web interface and served by the controller
@@ -684,10 +783,14 @@ export const webRoutes = [
 	"/instances/:id/view",
 	"/mods",
 	"/mods/mod-packs/:id/view",
+	"/scheduled-tasks",
+	"/backups",
+	"/webhooks",
 	"/users",
 	"/users/:id/view",
 	"/roles",
 	"/roles/:id/view",
+	"/audit-log",
 	"/plugins",
 	"/plugins/:name/view",
 ];
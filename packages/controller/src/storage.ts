@@ -0,0 +1,573 @@
+// Storage layer for data persisted by the controller and its plugins
+import Database from "better-sqlite3";
+import fs from "fs-extra";
+import path from "path";
+
+import * as lib from "@clusterio/lib";
+
+/**
+ * Change to a record written to a storage backend
+ *
+ * Values are JSON text, null deletes the record.
+ */
+export interface StorageWrite {
+	table: string;
+	key: string;
+	value: string | null;
+}
+
+/**
+ * Backend persisting the tables of a {@link Storage}
+ *
+ * Tables are collections of records identified by a string key with JSON
+ * text as their value.  Backends only need to support reading a whole
+ * table and applying a batch of writes.
+ */
+export interface StorageBackend {
+	/** Open the backend, creating the underlying store if needed */
+	open(): Promise<void>;
+	/** Close the backend, no other methods are called after this */
+	close(): Promise<void>;
+	/**
+	 * Read all records of a table
+	 *
+	 * @param table - Name of table to read.
+	 * @returns mapping of key to JSON text of the records in the table.
+	 */
+	readTable(table: string): Promise<Map<string, string>>;
+	/**
+	 * Apply a batch of writes
+	 *
+	 * Backends should either apply all of the writes or none of them.
+	 *
+	 * @param writes - Writes to apply.
+	 */
+	write(writes: StorageWrite[]): Promise<void>;
+}
+
+/**
+ * Backend keeping tables in memory only
+ *
+ * Nothing is persisted, intended for tests and tools that do not need
+ * the data to survive a restart.
+ */
+export class MemoryStorageBackend implements StorageBackend {
+	tables = new Map<string, Map<string, string>>();
+
+	async open() { }
+
+	async close() { }
+
+	async readTable(table: string) {
+		return new Map(this.tables.get(table));
+	}
+
+	async write(writes: StorageWrite[]) {
+		applyWrites(this.tables, writes);
+	}
+}
+
+function applyWrites(tables: Map<string, Map<string, string>>, writes: StorageWrite[]) {
+	for (let { table, key, value } of writes) {
+		let records = tables.get(table);
+		if (!records) {
+			records = new Map();
+			tables.set(table, records);
+		}
+		if (value === null) {
+			records.delete(key);
+		} else {
+			records.set(key, value);
+		}
+	}
+}
+
+/**
+ * Backend storing each table as a JSON object file in a directory
+ *
+ * Writes to a table rewrite its whole file, and a batch of writes touching
+ * multiple tables is only atomic for each individual table.
+ */
+export class JsonStorageBackend implements StorageBackend {
+	private _tables = new Map<string, Map<string, string>>();
+
+	constructor(
+		/** Directory the table files are stored in */
+		public directory: string,
+	) { }
+
+	async open() {
+		await fs.ensureDir(this.directory);
+	}
+
+	async close() {
+		this._tables.clear();
+	}
+
+	private _tablePath(table: string) {
+		return path.join(this.directory, `${table}.json`);
+	}
+
+	async readTable(table: string) {
+		let records = this._tables.get(table);
+		if (!records) {
+			let content = await lib.loadJsonAsMap(this._tablePath(table));
+			records = new Map([...content].map(([key, value]) => [key, JSON.stringify(value)]));
+			this._tables.set(table, records);
+		}
+		return new Map(records);
+	}
+
+	async write(writes: StorageWrite[]) {
+		let tables = new Set(writes.map(write => write.table));
+		let updated = new Map<string, Map<string, string>>();
+		for (let table of tables) {
+			updated.set(table, await this.readTable(table));
+		}
+		applyWrites(updated, writes);
+		for (let [table, records] of updated) {
+			let content = Object.fromEntries([...records].map(([key, value]) => [key, JSON.parse(value)]));
+			await lib.safeOutputFile(this._tablePath(table), JSON.stringify(content, null, "\t"));
+			this._tables.set(table, records);
+		}
+	}
+}
+
+/**
+ * Backend storing tables in an embedded SQLite database
+ *
+ * Records are kept in a single table keyed by table name and record key,
+ * writes are applied in a single SQLite transaction.
+ */
+export class SqliteStorageBackend implements StorageBackend {
+	private _db: Database.Database | null = null;
+
+	constructor(
+		/** Path to the database file, or `:memory:` for an in-memory database */
+		public filePath: string,
+	) { }
+
+	private get _database() {
+		if (!this._db) {
+			throw new Error("Storage backend is not open");
+		}
+		return this._db;
+	}
+
+	async open() {
+		if (this.filePath !== ":memory:") {
+			await fs.ensureDir(path.dirname(this.filePath));
+		}
+		this._db = new Database(this.filePath);
+		this._db.pragma("journal_mode = WAL");
+		this._db.exec(
+			"CREATE TABLE IF NOT EXISTS records (" +
+			"tbl TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (tbl, key)" +
+			") WITHOUT ROWID"
+		);
+	}
+
+	async close() {
+		if (this._db) {
+			this._db.close();
+			this._db = null;
+		}
+	}
+
+	async readTable(table: string) {
+		let rows = this._database.prepare(
+			"SELECT key, value FROM records WHERE tbl = ?"
+		).all(table) as { key: string, value: string }[];
+		return new Map(rows.map(row => [row.key, row.value]));
+	}
+
+	async write(writes: StorageWrite[]) {
+		let db = this._database;
+		let upsert = db.prepare(
+			"INSERT INTO records (tbl, key, value) VALUES (?, ?, ?) " +
+			"ON CONFLICT (tbl, key) DO UPDATE SET value = excluded.value"
+		);
+		let remove = db.prepare("DELETE FROM records WHERE tbl = ? AND key = ?");
+		db.transaction(() => {
+			for (let { table, key, value } of writes) {
+				if (value === null) {
+					remove.run(table, key);
+				} else {
+					upsert.run(table, key, value);
+				}
+			}
+		})();
+	}
+}
+
+/**
+ * Create the storage backend configured for the controller
+ *
+ * @param config - Config of the controller.
+ * @returns backend selected by controller.storage_backend.
+ */
+export function createStorageBackend(config: lib.ControllerConfig): StorageBackend {
+	let databaseDirectory = config.get("controller.database_directory");
+	let name = config.get("controller.storage_backend");
+	if (name === "sqlite") {
+		return new SqliteStorageBackend(path.join(databaseDirectory, "controller.sqlite"));
+	}
+	if (name === "json") {
+		return new JsonStorageBackend(path.join(databaseDirectory, "tables"));
+	}
+	throw new lib.StartupError(`Unknown storage backend ${name}`);
+}
+
+/**
+ * Batch of changes to apply to a {@link Storage}
+ *
+ * Changes are buffered and written to the backend together when the
+ * callback passed to {@link Storage.transaction} returns.
+ */
+export class StorageTransaction {
+	/** Pending writes by table and key */
+	writes = new Map<string, Map<string, string | null>>();
+
+	constructor(
+		private _storage: Storage,
+	) { }
+
+	private _queue(table: string, key: string, value: string | null) {
+		let records = this.writes.get(table);
+		if (!records) {
+			records = new Map();
+			this.writes.set(table, records);
+		}
+		records.set(key, value);
+	}
+
+	/**
+	 * Set a record
+	 *
+	 * @param table - Name of table to store record in.
+	 * @param key - Key of record.
+	 * @param value - JSON serialisable value of record.
+	 */
+	set(table: string, key: string, value: unknown) {
+		this._queue(table, key, JSON.stringify(value));
+	}
+
+	/**
+	 * Delete a record
+	 *
+	 * @param table - Name of table to delete record from.
+	 * @param key - Key of record to delete.
+	 */
+	delete(table: string, key: string) {
+		this._queue(table, key, null);
+	}
+
+	/**
+	 * Make the content of a table equal the given records
+	 *
+	 * Only records that differ from what was last read from or written to
+	 * the table are written, and records not present are deleted.
+	 *
+	 * @param table - Name of table to save.
+	 * @param records - Key and JSON serialisable value of each record.
+	 */
+	async saveTable(table: string, records: Iterable<[string, unknown]>) {
+		let stored = await this._storage._records(table);
+		let seen = new Set<string>();
+		for (let [key, value] of records) {
+			seen.add(key);
+			let json = JSON.stringify(value);
+			if (stored.get(key) !== json) {
+				this._queue(table, key, json);
+			}
+		}
+		for (let key of stored.keys()) {
+			if (!seen.has(key)) {
+				this._queue(table, key, null);
+			}
+		}
+	}
+}
+
+/**
+ * Migration of data in a {@link Storage}
+ */
+export interface StorageMigration {
+	/** Version the data is at after the migration, starting at 1 */
+	version: number;
+	/** Short description of what the migration does, used in logs */
+	description: string;
+	/**
+	 * Perform the migration
+	 *
+	 * Changes made to the transaction are written together with the
+	 * updated version of the namespace.
+	 */
+	migrate(transaction: StorageTransaction, storage: Storage): void | Promise<void>;
+}
+
+/**
+ * Tables of JSON records persisted by a pluggable backend
+ *
+ * Used by the controller and its plugins to store data with incremental
+ * writes, transactions and versioned migrations.  Table names starting
+ * with an underscore are reserved for the storage itself.
+ */
+export class Storage {
+	/** JSON text of records known to be in the backend by table */
+	private _cache = new Map<string, Map<string, string>>();
+	private _serial = new lib.AsyncSerialCallback(async (writes: StorageWrite[]) => {
+		await this.backend.write(writes);
+	});
+
+	constructor(
+		public backend: StorageBackend,
+	) { }
+
+	async open() {
+		await this.backend.open();
+	}
+
+	async close() {
+		await this.backend.close();
+		this._cache.clear();
+	}
+
+	/**
+	 * Cached JSON text of the records in a table
+	 *
+	 * @param table - Name of table to get records of.
+	 * @returns mapping of key to JSON text of the records.
+	 * @internal
+	 */
+	async _records(table: string) {
+		let records = this._cache.get(table);
+		if (!records) {
+			records = await this.backend.readTable(table);
+			this._cache.set(table, records);
+		}
+		return records;
+	}
+
+	/**
+	 * Load all records of a table
+	 *
+	 * @param table - Name of table to load.
+	 * @returns mapping of key to parsed value of the records in the table.
+	 */
+	async load(table: string): Promise<Map<string, unknown>> {
+		let records = await this._records(table);
+		return new Map([...records].map(([key, value]) => [key, JSON.parse(value)]));
+	}
+
+	/**
+	 * Load a single record
+	 *
+	 * @param table - Name of table to load record from.
+	 * @param key - Key of record to load.
+	 * @returns parsed value of the record or undefined if it does not exist.
+	 */
+	async get(table: string, key: string): Promise<unknown> {
+		let value = (await this._records(table)).get(key);
+		return value === undefined ? undefined : JSON.parse(value);
+	}
+
+	/**
+	 * Apply changes atomically
+	 *
+	 * Invokes the callback with a transaction to record changes into and
+	 * writes them to the backend once it returns.  If the callback throws
+	 * nothing is written.
+	 *
+	 * @param callback - Function making the changes.
+	 * @returns the value returned by the callback.
+	 */
+	async transaction<T>(callback: (transaction: StorageTransaction) => T | Promise<T>): Promise<T> {
+		let transaction = new StorageTransaction(this);
+		let result = await callback(transaction);
+		let writes: StorageWrite[] = [];
+		for (let [table, records] of transaction.writes) {
+			for (let [key, value] of records) {
+				writes.push({ table, key, value });
+			}
+		}
+		if (writes.length) {
+			await this._serial.invoke(writes);
+			for (let { table, key, value } of writes) {
+				let cached = this._cache.get(table);
+				if (!cached) {
+					continue;
+				}
+				if (value === null) {
+					cached.delete(key);
+				} else {
+					cached.set(key, value);
+				}
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Bring the data of a namespace up to date
+	 *
+	 * Runs the migrations with a version greater than the version the
+	 * namespace is currently at in ascending order, each in its own
+	 * transaction.
+	 *
+	 * @param namespace - Name of the owner of the data being migrated.
+	 * @param migrations - Migrations for the namespace.
+	 */
+	async migrate(namespace: string, migrations: StorageMigration[]) {
+		let current = (await this.get("_migrations", namespace) ?? 0) as number;
+		let pending = migrations
+			.filter(migration => migration.version > current)
+			.sort((a, b) => a.version - b.version)
+		;
+		for (let migration of pending) {
+			lib.logger.info(`Migrating ${namespace} storage to version ${migration.version}: ${migration.description}`);
+			await this.transaction(async transaction => {
+				await migration.migrate(transaction, this);
+				transaction.set("_migrations", namespace, migration.version);
+			});
+		}
+	}
+}
+
+/**
+ * Options for a {@link KeyValueStore}
+ */
+export interface KeyValueStoreOptions<V> {
+	/**
+	 * Migrations run on the table before it is loaded
+	 *
+	 * The schema version of the store is the version of the last migration
+	 * applied, and is tracked under the name of the table.
+	 */
+	migrations?: StorageMigration[];
+	/** Convert a stored JSON value into the value held by the store */
+	deserialize?: (json: any) => V;
+}
+
+/**
+ * Typed key-value store kept in memory and persisted to a storage table
+ *
+ * Keys changed with {@link KeyValueStore.set} and {@link
+ * KeyValueStore.delete} are tracked and only those are written when the
+ * store is saved.  Values are serialised with JSON.stringify.
+ */
+export class KeyValueStore<V> {
+	private _values = new Map<string, V>();
+	private _dirty = new Set<string>();
+
+	constructor(
+		public storage: Storage,
+		/** Name of the table the store is persisted to */
+		public table: string,
+		public options: KeyValueStoreOptions<V> = {},
+	) { }
+
+	/**
+	 * Run pending migrations and load the values from storage
+	 *
+	 * Discards any unsaved changes.
+	 */
+	async load() {
+		await this.storage.migrate(this.table, this.options.migrations ?? []);
+		let deserialize = this.options.deserialize ?? ((json: any) => json as V);
+		this._values = new Map(
+			[...await this.storage.load(this.table)].map(([key, json]) => [key, deserialize(json)])
+		);
+		this._dirty.clear();
+	}
+
+	/** True if there are changes that have not been saved */
+	get dirty() {
+		return this._dirty.size > 0;
+	}
+
+	/** Number of keys in the store */
+	get size() {
+		return this._values.size;
+	}
+
+	get(key: string) {
+		return this._values.get(key);
+	}
+
+	has(key: string) {
+		return this._values.has(key);
+	}
+
+	/**
+	 * Set the value of a key
+	 *
+	 * @param key - Key to set.
+	 * @param value - Value to store.
+	 */
+	set(key: string, value: V) {
+		this._values.set(key, value);
+		this._dirty.add(key);
+	}
+
+	/**
+	 * Delete a key
+	 *
+	 * @param key - Key to delete.
+	 * @returns true if the key existed.
+	 */
+	delete(key: string) {
+		this._dirty.add(key);
+		return this._values.delete(key);
+	}
+
+	/**
+	 * Mark a key as changed
+	 *
+	 * Needed after modifying a stored value in place for the change to be
+	 * saved.
+	 *
+	 * @param key - Key to mark as changed.
+	 */
+	markDirty(key: string) {
+		this._dirty.add(key);
+	}
+
+	keys() {
+		return this._values.keys();
+	}
+
+	values() {
+		return this._values.values();
+	}
+
+	entries() {
+		return this._values.entries();
+	}
+
+	[Symbol.iterator]() {
+		return this._values.entries();
+	}
+
+	/**
+	 * Write changed keys to storage
+	 *
+	 * @param transaction -
+	 *     Transaction to add the changes to, if not given the changes are
+	 *     written in a transaction of their own.
+	 */
+	async save(transaction?: StorageTransaction) {
+		if (!transaction) {
+			await this.storage.transaction(newTransaction => this.save(newTransaction));
+			return;
+		}
+		for (let key of this._dirty) {
+			if (this._values.has(key)) {
+				transaction.set(this.table, key, this._values.get(key));
+			} else {
+				transaction.delete(this.table, key);
+			}
+		}
+		this._dirty.clear();
+	}
+}
@@ -90,9 +90,23 @@ controllerCommands.add(new lib.Command({
 }));
 
 controllerCommands.add(new lib.Command({
-	definition: ["restart", "Restart controller"],
+	definition: ["restart", "Restart controller", (yargs) => {
+		yargs.options({
+			"delay": {
+				describe: "Seconds to count down on instances first, skipped if no players are online",
+				nargs: 1, type: "number", default: 0,
+			},
+		});
+	}],
+	handler: async function(args: { delay: number }, control: Control) {
+		await control.send(new lib.ControllerRestartRequest(args.delay));
+	},
+}));
+
+controllerCommands.add(new lib.Command({
+	definition: ["cancel-restart", "Cancel delayed restart of controller"],
 	handler: async function(_args: object, control: Control) {
-		await control.send(new lib.ControllerRestartRequest());
+		await control.send(new lib.ControllerCancelRestartRequest());
 	},
 }));
 
@@ -251,10 +265,26 @@ hostCommands.add(new lib.Command({
 hostCommands.add(new lib.Command({
 	definition: ["restart <host>", "Restart the given host", (yargs) => {
 		yargs.positional("host", { describe: "Host to restart", type: "string" });
+		yargs.options({
+			"delay": {
+				describe: "Seconds to count down on instances first, skipped if no players are online",
+				nargs: 1, type: "number", default: 0,
+			},
+		});
+	}],
+	handler: async function(args: { host: string, delay: number }, control: Control) {
+		let hostId = await lib.resolveHost(control, args.host);
+		await control.sendTo({ hostId }, new lib.HostRestartRequest(args.delay));
+	},
+}));
+
+hostCommands.add(new lib.Command({
+	definition: ["cancel-restart <host>", "Cancel delayed restart of the given host", (yargs) => {
+		yargs.positional("host", { describe: "Host to cancel restart of", type: "string" });
 	}],
 	handler: async function(args: { host: string }, control: Control) {
 		let hostId = await lib.resolveHost(control, args.host);
-		await control.sendTo({ hostId }, new lib.HostRestartRequest());
+		await control.sendTo({ hostId }, new lib.HostCancelRestartRequest());
 	},
 }));
 
@@ -287,6 +317,46 @@ hostCommands.add(new lib.Command({
 	},
 }));
 
+hostCommands.add(new lib.Command({
+	definition: ["drain <host>", "Mark host as draining for maintenance", (yargs) => {
+		yargs.positional("host", { describe: "Host to drain", type: "string" });
+		yargs.options({
+			"stop": { describe: "Stop running instances", nargs: 0, type: "boolean" },
+			"migrate": { describe: "Migrate running instances to another host", nargs: 0, type: "boolean" },
+			"target": { describe: "Host to migrate instances to", nargs: 1, type: "string" },
+			"countdown": {
+				describe: "Seconds to count down in-game before stopping or migrating instances",
+				nargs: 1, type: "number", default: 0,
+			},
+		});
+		yargs.conflicts("stop", "migrate");
+	}],
+	handler: async function(
+		args: { host: string, stop?: boolean, migrate?: boolean, target?: string, countdown: number },
+		control: Control,
+	) {
+		let hostId = await lib.resolveHost(control, args.host);
+		let targetHostId = args.target !== undefined ? await lib.resolveHost(control, args.target) : undefined;
+		let action: lib.HostDrainAction = "none";
+		if (args.stop) {
+			action = "stop";
+		} else if (args.migrate) {
+			action = "migrate";
+		}
+		await control.send(new lib.HostDrainRequest(hostId, true, action, args.countdown, targetHostId));
+	},
+}));
+
+hostCommands.add(new lib.Command({
+	definition: ["undrain <host>", "Stop draining host, cancelling any countdown in progress", (yargs) => {
+		yargs.positional("host", { describe: "Host to stop draining", type: "string" });
+	}],
+	handler: async function(args: { host: string }, control: Control) {
+		let hostId = await lib.resolveHost(control, args.host);
+		await control.send(new lib.HostDrainRequest(hostId, false));
+	},
+}));
+
 hostCommands.add(new lib.Command({
 	definition: ["create-config", "Create host config", (yargs) => {
 		yargs.option("id", { type: "number", nargs: 1, describe: "Host id" });
@@ -466,6 +536,82 @@ hostConfigCommands.add(new lib.Command({
 }));
 hostCommands.add(hostConfigCommands);
 
+const hostFactorioCommands = new lib.CommandTree({
+	name: "factorio", description: "Factorio versions installed on hosts",
+});
+hostFactorioCommands.add(new lib.Command({
+	definition: ["list <host>", "List Factorio versions installed on a host", (yargs) => {
+		yargs.positional("host", { describe: "Host to list versions for", type: "string" });
+	}],
+	handler: async function(args: { host: string }, control: Control) {
+		let hostId = await lib.resolveHost(control, args.host);
+		let hosts = await control.send(new lib.HostListRequest());
+		let host = hosts.find(h => h.id === hostId)!;
+		for (let version of host.factorioVersions) {
+			print(version);
+		}
+	},
+}));
+
+hostFactorioCommands.add(new lib.Command({
+	definition: ["install <host>", "Install a Factorio headless server tarball on a host", (yargs) => {
+		yargs.positional("host", { describe: "Host to install on", type: "string" });
+		yargs.options({
+			"url": { describe: "URL the host downloads the tarball from", nargs: 1, type: "string" },
+			"file": { describe: "Path to tarball to upload", nargs: 1, type: "string" },
+		});
+		yargs.conflicts("url", "file");
+	}],
+	handler: async function(args: { host: string, url?: string, file?: string }, control: Control) {
+		if (args.url === undefined && args.file === undefined) {
+			throw new lib.CommandError("One of --url or --file must be passed");
+		}
+		let hostId = await lib.resolveHost(control, args.host);
+		if (args.url !== undefined) {
+			let version = await control.sendTo({ hostId }, new lib.HostFactorioVersionInstallRequest(args.url));
+			logger.info(`Successfully installed Factorio ${version}`);
+			return;
+		}
+
+		// phin doesn't support streaming requests :(
+		let content = await fs.readFile(args.file!);
+		let url = new URL(control.config.get("control.controller_url")!);
+		url.pathname += "api/upload-factorio";
+		url.searchParams.append("host_id", String(hostId));
+
+		let result = await phin<{ errors?: string[], request_errors?: string[], version?: string }>({
+			url, method: "PUT",
+			headers: {
+				"X-Access-Token": control.config.get("control.controller_token"),
+				"Content-Type": "application/octet-stream",
+			},
+			core: { ca: control.tlsCa } as object,
+			data: content,
+			parse: "json",
+		});
+
+		for (let error of [...result.body.errors || [], ...result.body.request_errors || []]) {
+			logger.error(error);
+		}
+		if (!result.body.version) {
+			throw new lib.CommandError("Installing Factorio failed");
+		}
+		logger.info(`Successfully installed Factorio ${result.body.version}`);
+	},
+}));
+
+hostFactorioCommands.add(new lib.Command({
+	definition: ["remove <host> <version>", "Remove a Factorio version installed on a host", (yargs) => {
+		yargs.positional("host", { describe: "Host to remove from", type: "string" });
+		yargs.positional("version", { describe: "Version of Factorio to remove", type: "string" });
+	}],
+	handler: async function(args: { host: string, version: string }, control: Control) {
+		let hostId = await lib.resolveHost(control, args.host);
+		await control.sendTo({ hostId }, new lib.HostFactorioVersionRemoveRequest(args.version));
+	},
+}));
+hostCommands.add(hostFactorioCommands);
+
 
 const instanceCommands = new lib.CommandTree({
 	name: "instance", alias: ["i"], description: "Instance management",
@@ -660,11 +806,124 @@ instanceCommands.add(new lib.Command({
 	definition: ["assign <instance> [host]", "Assign instance to a host", (yargs) => {
 		yargs.positional("instance", { describe: "Instance to assign", type: "string" });
 		yargs.positional("host", { describe: "Host to assign to or unassign if none", type: "string" });
+		yargs.options({
+			"auto": { describe: "Let the controller pick the host", nargs: 0, type: "boolean" },
+			"strategy": { describe: "Placement strategy to pick the host with", nargs: 1, type: "string" },
+		});
+		yargs.conflicts("host", "auto");
+		yargs.implies("strategy", "auto");
 	}],
-	handler: async function(args: { instance: string, host?: string }, control: Control) {
+	handler: async function(
+		args: { instance: string, host?: string, auto?: boolean, strategy?: string },
+		control: Control,
+	) {
 		let instanceId = await lib.resolveInstance(control, args.instance);
 		let hostId = args.host ? await lib.resolveHost(control, args.host) : undefined;
-		await control.send(new lib.InstanceAssignRequest(instanceId, hostId));
+		await control.send(new lib.InstanceAssignRequest(instanceId, hostId, Boolean(args.auto), args.strategy));
+		if (args.auto) {
+			let instance = await control.send(new lib.InstanceDetailsGetRequest(instanceId));
+			let hosts = await control.send(new lib.HostListRequest());
+			let host = hosts.find(h => h.id === instance.assignedHost);
+			print(`Assigned to ${host ? host.name : instance.assignedHost}`);
+		}
+	},
+}));
+
+instanceCommands.add(new lib.Command({
+	definition: ["migrate <instance> <host>", "Move instance and its saves to another host", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to migrate", type: "string" });
+		yargs.positional("host", { describe: "Host to migrate to", type: "string" });
+	}],
+	handler: async function(args: { instance: string, host: string }, control: Control) {
+		let instanceId = await lib.resolveInstance(control, args.instance);
+		let hostId = await lib.resolveHost(control, args.host);
+
+		// Show progress, skipping the finished migration the subscription
+		// may start out with.
+		let migrations = new lib.EventSubscriber(lib.InstanceMigrationUpdatesEvent, control);
+		let lastProgress: string | undefined;
+		migrations.subscribe(updates => {
+			for (let migration of updates) {
+				if (migration.instanceId !== instanceId) {
+					continue;
+				}
+				if (lastProgress === undefined && ["completed", "failed"].includes(migration.status)) {
+					continue;
+				}
+				let progress = migration.status === "transferring"
+					? `transferring saves (${migration.transferredSaves}/${migration.totalSaves})`
+					: migration.status.replace("_", " ");
+				if (progress !== lastProgress && !["completed", "failed"].includes(migration.status)) {
+					logger.info(`Migration ${progress}`);
+				}
+				lastProgress = progress;
+			}
+		});
+
+		await control.send(new lib.InstanceMigrateRequest(instanceId, hostId));
+		logger.info(`Migrated instance to host ${args.host}`);
+	},
+}));
+
+instanceCommands.add(new lib.Command({
+	definition: ["upgrade-factorio <version> [instances...]", "Change Factorio version of instances", (yargs) => {
+		yargs.positional("version", { describe: "Factorio version to run, or latest", type: "string" });
+		yargs.positional("instances", { describe: "Instances to upgrade in order", array: true, type: "string" });
+		yargs.options({
+			"all": { describe: "Upgrade all instances", type: "boolean" },
+			"parallel": {
+				describe: "Number of instances to restart at the same time", nargs: 1, type: "number", default: 1,
+			},
+		});
+	}],
+	handler: async function(
+		args: { version: string, instances?: string[], all?: boolean, parallel: number },
+		control: Control,
+	) {
+		if (args.all && args.instances?.length) {
+			throw new lib.CommandError("Instances can not be given together with --all");
+		}
+		let instances = await control.send(new lib.InstanceDetailsListRequest());
+		let names = new Map(instances.map(instance => [instance.id, instance.name]));
+		let instanceIds: number[] = [];
+		if (args.all) {
+			instanceIds = instances.map(instance => instance.id);
+		} else {
+			for (let instance of args.instances || []) {
+				instanceIds.push(await lib.resolveInstance(control, instance));
+			}
+		}
+		if (!instanceIds.length) {
+			throw new lib.CommandError("No instances given, pass instances to upgrade or --all");
+		}
+
+		// Show progress of instances as they are upgraded, skipping the
+		// finished upgrades the subscription may start out with.
+		let upgrades = new lib.EventSubscriber(lib.FactorioUpgradeUpdatesEvent, control);
+		let lastStatus = new Map<number, string>();
+		upgrades.subscribe(updates => {
+			for (let upgrade of updates) {
+				if (upgrade.status !== "running") {
+					continue;
+				}
+				for (let entry of upgrade.instances) {
+					if (entry.status !== "pending" && lastStatus.get(entry.instanceId) !== entry.status) {
+						logger.info(`Instance ${names.get(entry.instanceId) ?? entry.instanceId} ${entry.status}`);
+					}
+					lastStatus.set(entry.instanceId, entry.status);
+				}
+			}
+		});
+
+		let upgrade = await control.send(
+			new lib.FactorioUpgradeStartRequest(instanceIds, args.version, args.parallel)
+		);
+		if (upgrade.status === "failed") {
+			let skipped = upgrade.instances.filter(entry => entry.status === "skipped").length;
+			logger.error(`${upgrade.error}, ${skipped} instance(s) skipped`);
+			throw new lib.CommandError("Upgrade halted");
+		}
+		logger.info(`Upgraded ${upgrade.instances.length} instance(s) to Factorio ${upgrade.version}`);
 	},
 }));
 
@@ -908,6 +1167,28 @@ instanceSaveCommands.add(new lib.Command({
 		await control.send(new lib.InstanceDeleteSaveRequest(instanceId, args.save));
 	},
 }));
+
+instanceSaveCommands.add(new lib.Command({
+	definition: ["prune <instance>", "Delete saves not kept by the retention rules of an instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to prune saves on", type: "string" });
+		yargs.options({
+			"dry-run": { describe: "List the saves that would be deleted", nargs: 0, type: "boolean", default: false },
+		});
+	}],
+	handler: async function(args: { instance: string, dryRun: boolean }, control: Control) {
+		let instanceId = await lib.resolveInstance(control, args.instance);
+		let pruned = await control.send(new lib.InstanceSavePruneRequest(instanceId, args.dryRun));
+		if (!pruned.length) {
+			logger.info("No saves to prune");
+			return;
+		}
+		print(asTable(pruned.map(
+			({ mtimeMs, ...rest }) => ({ ...rest, mtime: new Date(mtimeMs).toLocaleString() })
+		)));
+		let size = lib.formatBytes(pruned.reduce((total, save) => total + save.size, 0));
+		logger.info(`${args.dryRun ? "Would delete" : "Deleted"} ${pruned.length} save(s) totalling ${size}`);
+	},
+}));
 instanceCommands.add(instanceSaveCommands);
 
 instanceCommands.add(new lib.Command({
@@ -985,11 +1266,27 @@ instanceCommands.add(new lib.Command({
 instanceCommands.add(new lib.Command({
 	definition: ["stop <instance>", "Stop instance", (yargs) => {
 		yargs.positional("instance", { describe: "Instance to stop", type: "string" });
+		yargs.options({
+			"delay": {
+				describe: "Seconds to count down in-game first, skipped if no players are online",
+				nargs: 1, type: "number", default: 0,
+			},
+		});
 	}],
-	handler: async function(args: { instance: string }, control: Control) {
+	handler: async function(args: { instance: string, delay: number }, control: Control) {
 		let instanceId = await lib.resolveInstance(control, args.instance);
 		await control.setLogSubscriptions({ instanceIds: [instanceId] });
-		await control.sendTo({ instanceId }, new lib.InstanceStopRequest());
+		await control.sendTo({ instanceId }, new lib.InstanceStopRequest(args.delay));
+	},
+}));
+
+instanceCommands.add(new lib.Command({
+	definition: ["cancel-stop <instance>", "Cancel delayed stop of instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to cancel stop of", type: "string" });
+	}],
+	handler: async function(args: { instance: string }, control: Control) {
+		let instanceId = await lib.resolveInstance(control, args.instance);
+		await control.sendTo({ instanceId }, new lib.InstanceCancelStopRequest());
 	},
 }));
 
@@ -1015,18 +1312,61 @@ instanceCommands.add(new lib.Command({
 }));
 
 instanceCommands.add(new lib.Command({
-	definition: ["send-rcon <instance> <command>", "Send RCON command", (yargs) => {
-		yargs.positional("instance", { describe: "Instance to send to", type: "string" });
+	definition: ["send-rcon [instance] [command]", "Send RCON command", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to send to, left out with --all", type: "string" });
 		yargs.positional("command", { describe: "command to send", type: "string" });
+		yargs.options({
+			"all": { describe: "Send to all running instances", type: "boolean" },
+			"tag": {
+				describe: "Send to running instances with one of these tags",
+				nargs: 1, array: true, type: "string", default: [],
+			},
+		});
 	}],
-	handler: async function(args: { instance: string, command: string }, control: Control) {
-		let result = await control.sendTo(
-			{ instanceId: await lib.resolveInstance(control, args.instance) },
-			new lib.InstanceSendRconRequest(args.command),
-		);
+	handler: async function(
+		args: { instance?: string, command?: string, all?: boolean, tag: string[] },
+		control: Control,
+	) {
+		if (!args.all && !args.tag.length) {
+			if (args.instance === undefined || args.command === undefined) {
+				throw new lib.CommandError("Instance and command must be given, or --all to send to all instances");
+			}
+			let result = await control.sendTo(
+				{ instanceId: await lib.resolveInstance(control, args.instance) },
+				new lib.InstanceSendRconRequest(args.command),
+			);
+
+			// Factorio includes a newline in its response output.
+			process.stdout.write(result);
+			return;
+		}
 
-		// Factorio includes a newline in its response output.
-		process.stdout.write(result);
+		if (args.command !== undefined) {
+			throw new lib.CommandError("Instance can not be given together with --all or --tag");
+		}
+		let command = args.instance;
+		if (command === undefined) {
+			throw new lib.CommandError("No command given");
+		}
+		let instances = await control.send(new lib.InstanceDetailsListRequest());
+		let names = new Map(instances.map(instance => [instance.id, instance.name]));
+		let results = await control.send(new lib.InstanceBroadcastRconRequest(command, undefined, args.tag));
+		let failed = 0;
+		for (let result of results) {
+			let name = names.get(result.instanceId) ?? result.instanceId;
+			if (result.error !== undefined) {
+				logger.error(`Instance ${name}: ${result.error}`);
+				failed += 1;
+			} else {
+				process.stdout.write(`[${name}]\n${result.output}`);
+			}
+		}
+		if (!results.length) {
+			logger.info("No running instances to send to");
+		}
+		if (failed) {
+			throw new lib.CommandError(`Sending command failed on ${failed} of ${results.length} instances`);
+		}
 	},
 }));
 
@@ -1537,6 +1877,318 @@ modCommands.add(new lib.Command({
 	},
 }));
 
+const scheduleCommands = new lib.CommandTree({ name: "schedule", description: "Scheduled task management" });
+const scheduledTaskActions = ["start", "stop", "create_save", "send_rcon"];
+scheduleCommands.add(new lib.Command({
+	definition: [["list", "l"], "List scheduled tasks on the controller"],
+	handler: async function(args: object, control: Control) {
+		let tasks = await control.send(new lib.ScheduledTaskListRequest());
+		print(asTable(tasks.map(task => ({
+			id: task.id,
+			name: task.name,
+			cron: task.cron,
+			action: task.action,
+			argument: task.argument,
+			instances: task.instanceIds.join(", "),
+			enabled: task.enabled,
+			nextRun: task.nextRunMs !== undefined ? new Date(task.nextRunMs).toLocaleString() : "",
+		}))));
+	},
+}));
+
+scheduleCommands.add(new lib.Command({
+	definition: ["create <name> <cron> <action>", "Create a scheduled task", (yargs) => {
+		yargs.positional("name", { describe: "Name of task to create", type: "string" });
+		yargs.positional("cron", { describe: "Cron expression for when to run the task", type: "string" });
+		yargs.positional("action", { describe: "Action to perform", choices: scheduledTaskActions });
+		yargs.options({
+			"instances": { describe: "Instances to run the task on", array: true, type: "string", default: [] },
+			"argument": {
+				describe: "Save name for start and create_save, command for send_rcon",
+				nargs: 1, type: "string", default: "",
+			},
+			"disabled": { describe: "Create the task disabled", nargs: 0, type: "boolean", default: false },
+		});
+	}],
+	handler: async function(
+		args: {
+			name: string,
+			cron: string,
+			action: lib.ScheduledTaskAction,
+			instances: string[],
+			argument: string,
+			disabled: boolean,
+		},
+		control: Control
+	) {
+		let instanceIds = [];
+		for (let instance of args.instances) {
+			instanceIds.push(await lib.resolveInstance(control, instance));
+		}
+		let id = await control.send(new lib.ScheduledTaskCreateRequest(
+			args.name,
+			args.cron,
+			args.action,
+			instanceIds,
+			args.argument,
+			!args.disabled,
+		));
+		logger.info(`Created scheduled task ID ${id}`);
+	},
+}));
+
+scheduleCommands.add(new lib.Command({
+	definition: ["edit <task>", "Edit existing scheduled task", (yargs) => {
+		yargs.positional("task", { describe: "Scheduled task to edit", type: "string" });
+		yargs.options({
+			"name": { describe: "New name for task", nargs: 1, type: "string" },
+			"cron": { describe: "New cron expression for task", nargs: 1, type: "string" },
+			"action": { describe: "New action for task", nargs: 1, choices: scheduledTaskActions },
+			"instances": { describe: "Set instances to run the task on", array: true, type: "string" },
+			"argument": { describe: "New argument for the action", nargs: 1, type: "string" },
+			"enabled": { describe: "Enable or disable the task", nargs: 1, type: "boolean" },
+		});
+	}],
+	handler: async function(
+		args: {
+			task: string,
+			name?: string,
+			cron?: string,
+			action?: lib.ScheduledTaskAction,
+			instances?: string[],
+			argument?: string,
+			enabled?: boolean,
+		},
+		control: Control
+	) {
+		let task = await lib.retrieveScheduledTask(control, args.task);
+		let instanceIds = task.instanceIds;
+		if (args.instances !== undefined) {
+			instanceIds = [];
+			for (let instance of args.instances) {
+				instanceIds.push(await lib.resolveInstance(control, instance));
+			}
+		}
+		await control.send(new lib.ScheduledTaskUpdateRequest(
+			task.id,
+			args.name ?? task.name,
+			args.cron ?? task.cron,
+			args.action ?? task.action,
+			instanceIds,
+			args.argument ?? task.argument,
+			args.enabled ?? task.enabled,
+		));
+	},
+}));
+
+scheduleCommands.add(new lib.Command({
+	definition: ["run <task>", "Run a scheduled task now", (yargs) => {
+		yargs.positional("task", { describe: "Scheduled task to run", type: "string" });
+	}],
+	handler: async function(args: { task: string }, control: Control) {
+		let task = await lib.retrieveScheduledTask(control, args.task);
+		let runs = await control.send(new lib.ScheduledTaskRunRequest(task.id));
+		print(asTable(runs.map(({ instanceId, success, message }) => ({ instanceId, success, message }))));
+	},
+}));
+
+scheduleCommands.add(new lib.Command({
+	definition: ["history <task>", "Show run history of a scheduled task", (yargs) => {
+		yargs.positional("task", { describe: "Scheduled task to show history for", type: "string" });
+	}],
+	handler: async function(args: { task: string }, control: Control) {
+		let task = await lib.retrieveScheduledTask(control, args.task);
+		print(asTable(task.history.map(({ startedAtMs, ...rest }) => ({
+			started: new Date(startedAtMs).toLocaleString(), ...rest,
+		}))));
+	},
+}));
+
+scheduleCommands.add(new lib.Command({
+	definition: ["delete <task>", "Delete scheduled task", (yargs) => {
+		yargs.positional("task", { describe: "Scheduled task to delete", type: "string" });
+	}],
+	handler: async function(args: { task: string }, control: Control) {
+		let task = await lib.retrieveScheduledTask(control, args.task);
+		await control.send(new lib.ScheduledTaskDeleteRequest(task.id));
+	},
+}));
+
+const webhookCommands = new lib.CommandTree({ name: "webhook", description: "Outgoing webhook management" });
+webhookCommands.add(new lib.Command({
+	definition: [["list", "l"], "List webhooks on the controller"],
+	handler: async function(args: object, control: Control) {
+		let webhooks = await control.send(new lib.WebhookListRequest());
+		print(asTable(webhooks.map(webhook => ({
+			id: webhook.id,
+			name: webhook.name,
+			url: webhook.url,
+			events: webhook.events.join(", "),
+			enabled: webhook.enabled,
+		}))));
+	},
+}));
+
+webhookCommands.add(new lib.Command({
+	definition: ["create <name> <url>", "Create a webhook", (yargs) => {
+		yargs.positional("name", { describe: "Name of webhook to create", type: "string" });
+		yargs.positional("url", { describe: "URL to POST events to", type: "string" });
+		yargs.options({
+			"events": {
+				describe: "Events to send", array: true, choices: lib.webhookEventTypes, default: lib.webhookEventTypes,
+			},
+			"secret": { describe: "Secret to sign payloads with, generated if not given", nargs: 1, type: "string" },
+			"disabled": { describe: "Create the webhook disabled", nargs: 0, type: "boolean", default: false },
+		});
+	}],
+	handler: async function(
+		args: { name: string, url: string, events: lib.WebhookEventType[], secret?: string, disabled: boolean },
+		control: Control
+	) {
+		let response = await control.send(new lib.WebhookCreateRequest(
+			args.name, args.url, args.events, args.secret ?? "", !args.disabled
+		));
+		logger.info(`Created webhook ID ${response.id}, its secret will not be shown again`);
+		print(response.secret);
+	},
+}));
+
+webhookCommands.add(new lib.Command({
+	definition: ["edit <webhook>", "Edit existing webhook", (yargs) => {
+		yargs.positional("webhook", { describe: "Webhook to edit", type: "string" });
+		yargs.options({
+			"name": { describe: "New name for webhook", nargs: 1, type: "string" },
+			"url": { describe: "New URL for webhook", nargs: 1, type: "string" },
+			"events": { describe: "Set events to send", array: true, choices: lib.webhookEventTypes },
+			"secret": { describe: "New secret to sign payloads with", nargs: 1, type: "string" },
+			"enabled": { describe: "Enable or disable the webhook", nargs: 1, type: "boolean" },
+		});
+	}],
+	handler: async function(
+		args: {
+			webhook: string,
+			name?: string,
+			url?: string,
+			events?: lib.WebhookEventType[],
+			secret?: string,
+			enabled?: boolean,
+		},
+		control: Control
+	) {
+		let webhook = await lib.retrieveWebhook(control, args.webhook);
+		await control.send(new lib.WebhookUpdateRequest(
+			webhook.id,
+			args.name ?? webhook.name,
+			args.url ?? webhook.url,
+			args.events ?? webhook.events,
+			args.secret ?? "",
+			args.enabled ?? webhook.enabled,
+		));
+	},
+}));
+
+webhookCommands.add(new lib.Command({
+	definition: ["test <webhook>", "Send a ping event to a webhook", (yargs) => {
+		yargs.positional("webhook", { describe: "Webhook to test", type: "string" });
+	}],
+	handler: async function(args: { webhook: string }, control: Control) {
+		let webhook = await lib.retrieveWebhook(control, args.webhook);
+		let delivery = await control.send(new lib.WebhookTestRequest(webhook.id));
+		if (!delivery.success) {
+			throw new lib.CommandError(`Delivery failed: ${delivery.error}`);
+		}
+		logger.info(`Delivered with status ${delivery.statusCode}`);
+	},
+}));
+
+webhookCommands.add(new lib.Command({
+	definition: ["history <webhook>", "Show delivery log of a webhook", (yargs) => {
+		yargs.positional("webhook", { describe: "Webhook to show delivery log for", type: "string" });
+	}],
+	handler: async function(args: { webhook: string }, control: Control) {
+		let webhook = await lib.retrieveWebhook(control, args.webhook);
+		print(asTable(webhook.history.map(({ sentAtMs, ...rest }) => ({
+			sent: new Date(sentAtMs).toLocaleString(), ...rest,
+		}))));
+	},
+}));
+
+webhookCommands.add(new lib.Command({
+	definition: ["delete <webhook>", "Delete webhook", (yargs) => {
+		yargs.positional("webhook", { describe: "Webhook to delete", type: "string" });
+	}],
+	handler: async function(args: { webhook: string }, control: Control) {
+		let webhook = await lib.retrieveWebhook(control, args.webhook);
+		await control.send(new lib.WebhookDeleteRequest(webhook.id));
+	},
+}));
+
+const backupCommands = new lib.CommandTree({ name: "backup", description: "Save backup management" });
+backupCommands.add(new lib.Command({
+	definition: [["list", "l"], "List save backups stored on the controller", (yargs) => {
+		yargs.options({
+			"instance": { describe: "Only list backups of this instance", nargs: 1, type: "string" },
+		});
+	}],
+	handler: async function(args: { instance?: string }, control: Control) {
+		let backups = await control.send(new lib.SaveBackupListRequest());
+		if (args.instance !== undefined) {
+			let instanceId = await lib.resolveInstance(control, args.instance);
+			backups = backups.filter(backup => backup.instanceId === instanceId);
+		}
+		print(asTable(backups.map(backup => ({
+			id: backup.id,
+			instanceId: backup.instanceId,
+			name: backup.name,
+			size: lib.formatBytes(backup.size),
+			mtime: new Date(backup.mtimeMs).toLocaleString(),
+			created: new Date(backup.createdAtMs).toLocaleString(),
+		}))));
+	},
+}));
+
+backupCommands.add(new lib.Command({
+	definition: ["create <instance> [save]", "Back up a save of an instance to the controller", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to back up save of", type: "string" });
+		yargs.positional("save", { describe: "Save to back up, defaults to the newest save", type: "string" });
+	}],
+	handler: async function(args: { instance: string, save?: string }, control: Control) {
+		let instanceId = await lib.resolveInstance(control, args.instance);
+		let backup = await control.send(new lib.SaveBackupCreateRequest(instanceId, args.save));
+		logger.info(`Backed up ${backup.name} as backup ID ${backup.id}`);
+	},
+}));
+
+backupCommands.add(new lib.Command({
+	definition: ["restore <backup>", "Restore a save backup to an instance", (yargs) => {
+		yargs.positional("backup", { describe: "ID of backup to restore", type: "number" });
+		yargs.options({
+			"instance": {
+				describe: "Instance to restore to, defaults to the instance it was backed up from",
+				nargs: 1, type: "string",
+			},
+			"name": { describe: "Name to restore the save as", nargs: 1, type: "string" },
+		});
+	}],
+	handler: async function(args: { backup: number, instance?: string, name?: string }, control: Control) {
+		let instanceId;
+		if (args.instance !== undefined) {
+			instanceId = await lib.resolveInstance(control, args.instance);
+		}
+		let storedName = await control.send(new lib.SaveBackupRestoreRequest(args.backup, instanceId, args.name));
+		logger.info(`Restored backup as ${storedName}`);
+	},
+}));
+
+backupCommands.add(new lib.Command({
+	definition: ["delete <backup>", "Delete a save backup from the controller", (yargs) => {
+		yargs.positional("backup", { describe: "ID of backup to delete", type: "number" });
+	}],
+	handler: async function(args: { backup: number }, control: Control) {
+		await control.send(new lib.SaveBackupDeleteRequest(args.backup));
+	},
+}));
+
 const permissionCommands = new lib.CommandTree({ name: "permission", description: "Permission inspection" });
 permissionCommands.add(new lib.Command({
 	definition: [["list", "l"], "List permissions in the cluster"],
@@ -1562,13 +2214,29 @@ roleCommands.add(new lib.Command({
 		yargs.options({
 			"description": { describe: "Description for role", nargs: 1, type: "string", default: "" },
 			"permissions": { describe: "Permissions role grants", nargs: 1, array: true, type: "string", default: [] },
+			"instances": {
+				describe: "Limit instance permissions to these instances", array: true, type: "string", default: [],
+			},
+			"instance-tags": {
+				describe: "Limit instance permissions to instances with these tags",
+				array: true, type: "string", default: [],
+			},
 		});
 	}],
-	handler: async function(args: { name: string, description: string, permissions: string[] }, control: Control) {
+	handler: async function(
+		args: { name: string, description: string, permissions: string[], instances: string[], instanceTags: string[] },
+		control: Control
+	) {
+		let instanceIds = [];
+		for (let instance of args.instances) {
+			instanceIds.push(await lib.resolveInstance(control, instance));
+		}
 		let id = await control.send(new lib.RoleCreateRequest(
 			args.name,
 			args.description,
 			args.permissions,
+			instanceIds,
+			args.instanceTags,
 		));
 		logger.info(`Created role ID ${id}`);
 	},
@@ -1586,6 +2254,14 @@ roleCommands.add(new lib.Command({
 				describe: "Remove permissions from role", array: true, type: "string", conflicts: "set-perms",
 			},
 			"grant-default": { describe: "Add default permissions to role", nargs: 0, type: "boolean" },
+			"instances": {
+				describe: "Set instances to limit instance permissions to, pass none to remove",
+				array: true, type: "string",
+			},
+			"instance-tags": {
+				describe: "Set instance tags to limit instance permissions to, pass none to remove",
+				array: true, type: "string",
+			},
 		});
 	}],
 	handler: async function(
@@ -1597,6 +2273,8 @@ roleCommands.add(new lib.Command({
 			addPerms?: string[],
 			removePerms?: string[],
 			grantDefault?: boolean,
+			instances?: string[],
+			instanceTags?: string[],
 		},
 		control: Control
 	) {
@@ -1621,7 +2299,18 @@ roleCommands.add(new lib.Command({
 		if (args.setPerms !== undefined) {
 			role.permissions = new Set(args.setPerms);
 		}
-		await control.send(new lib.RoleUpdateRequest(role.id, role.name, role.description, [...role.permissions]));
+		if (args.instances !== undefined) {
+			role.instanceIds = [];
+			for (let instance of args.instances) {
+				role.instanceIds.push(await lib.resolveInstance(control, instance));
+			}
+		}
+		if (args.instanceTags !== undefined) {
+			role.instanceTags = args.instanceTags;
+		}
+		await control.send(new lib.RoleUpdateRequest(
+			role.id, role.name, role.description, [...role.permissions], role.instanceIds, role.instanceTags,
+		));
 
 		if (args.grantDefault) {
 			await control.send(new lib.RoleGrantDefaultPermissionsRequest(role.id));
@@ -1656,8 +2345,23 @@ userCommands.add(new lib.Command({
 		let instanceStats = user.instanceStats;
 		// @ts-expect-error Terrible hack
 		delete user.instanceStats;
+		let banHistory = user.banHistory;
+		// @ts-expect-error Terrible hack
+		delete user.banHistory;
 		print(asTable(Object.entries(user).map(([property, value]) => ({ property, value }))));
 
+		if (banHistory.length) {
+			print();
+			print("Ban history:");
+			print(asTable(banHistory.map(entry => ({
+				time: new Date(entry.timestampMs).toLocaleString(),
+				action: entry.action,
+				by: entry.by ?? "",
+				reason: entry.reason ?? "",
+				expires: entry.expiresAtMs ? new Date(entry.expiresAtMs).toLocaleString() : "",
+			}))));
+		}
+
 		if (args.instanceStats) {
 			let instances = await control.send(new lib.InstanceDetailsListRequest());
 			function instanceName(id: number) {
@@ -1696,6 +2400,12 @@ userCommands.add(new lib.Command({
 			// @ts-expect-error Terrible hack
 			delete user.banReason;
 			// @ts-expect-error Terrible hack
+			delete user.banExpiresAtMs;
+			// @ts-expect-error Terrible hack
+			delete user.bannedBy;
+			// @ts-expect-error Terrible hack
+			delete user.banHistory;
+			// @ts-expect-error Terrible hack
 			delete user.instanceStats;
 			if (!args.attributes) {
 				// @ts-expect-error Terrible hack
@@ -1728,6 +2438,30 @@ userCommands.add(new lib.Command({
 	},
 }));
 
+userCommands.add(new lib.Command({
+	definition: ["set-password <user> [password]", "Set or remove the Web UI password of a user", (yargs) => {
+		yargs.positional("user", { describe: "Name of user to set password for", type: "string" });
+		yargs.positional("password", { describe: "New password", type: "string" });
+		yargs.options({
+			"stdin": { describe: "Read password from stdin", nargs: 0, type: "boolean" },
+			"current": { describe: "Current password when changing your own", nargs: 1, type: "string" },
+			"remove": { describe: "Remove password login for the user", nargs: 0, type: "boolean", default: false },
+		});
+	}],
+	handler: async function(
+		args: { user: string, password?: string, stdin?: boolean, current?: string, remove: boolean },
+		control: Control
+	) {
+		if (args.stdin) {
+			args.password = (await lib.readStream(process.stdin)).toString().replace(/\r?\n$/, "");
+		}
+		if (args.remove === (args.password !== undefined)) {
+			throw new lib.CommandError("Either a password or --remove must be given");
+		}
+		await control.send(new lib.UserSetPasswordRequest(args.user, args.password, args.current));
+	},
+}));
+
 userCommands.add(new lib.Command({
 	definition: ["set-admin <user>", "Promote or demote a user to admin", (yargs) => {
 		yargs.positional("user", { describe: "Name of user set admin status for", type: "string" });
@@ -1760,6 +2494,7 @@ userCommands.add(new lib.Command({
 		yargs.options({
 			"pardon": { describe: "Remove from banlist", nargs: 0, type: "boolean", default: false },
 			"reason": { describe: "Ban reason", nargs: 1, type: "string", default: "" },
+			"duration": { describe: "Lift the ban after this time, e.g. 12h or 7d", nargs: 1, type: "string" },
 			"create": { describe: "Create user if it does not exist", nargs: 0, type: "boolean", default: false },
 		});
 	}],
@@ -1768,11 +2503,25 @@ userCommands.add(new lib.Command({
 			user: string,
 			pardon: boolean,
 			reason: string,
+			duration?: string,
 			create: boolean
 		},
 		control: Control
 	) {
-		await control.send(new lib.UserSetBannedRequest(args.user, args.create, !args.pardon, args.reason));
+		if (args.pardon && args.duration !== undefined) {
+			throw new lib.CommandError("--duration cannot be used with --pardon");
+		}
+		let durationMs;
+		if (args.duration !== undefined) {
+			try {
+				durationMs = lib.parseDuration(args.duration);
+			} catch (err: any) {
+				throw new lib.CommandError(err.message);
+			}
+		}
+		await control.send(
+			new lib.UserSetBannedRequest(args.user, args.create, !args.pardon, args.reason, durationMs)
+		);
 	},
 }));
 
@@ -1819,6 +2568,154 @@ userCommands.add(new lib.Command({
 	},
 }));
 
+const userListTypes = ["adminlist", "banlist", "whitelist"];
+
+userCommands.add(new lib.Command({
+	definition: ["import <file>", "Import a Factorio server admin, ban or whitelist file", (yargs) => {
+		yargs.positional("file", { describe: "Path to server-<list>.json file to import", type: "string" });
+		yargs.options({
+			"list": {
+				describe: "Type of list, defaults to the one in the file name",
+				nargs: 1, type: "string", choices: userListTypes,
+			},
+			"create": { describe: "Create users that do not exist", nargs: 0, type: "boolean", default: false },
+			"overwrite": {
+				describe: "Replace bans with a different reason or expiry", nargs: 0, type: "boolean", default: false,
+			},
+			"dry-run": { describe: "Only show what would change", nargs: 0, type: "boolean", default: false },
+		});
+	}],
+	handler: async function(
+		args: { file: string, list?: lib.UserListType, create: boolean, overwrite: boolean, dryRun: boolean },
+		control: Control
+	) {
+		let list = args.list;
+		if (!list) {
+			let match = /^server-(adminlist|banlist|whitelist)\.json$/.exec(path.basename(args.file));
+			if (!match) {
+				throw new lib.CommandError("Unable to tell type of list from the file name, pass --list");
+			}
+			list = match[1] as lib.UserListType;
+		}
+
+		let entries;
+		try {
+			entries = lib.parseUserList(list, await fs.readFile(args.file, "utf8"));
+		} catch (err: any) {
+			if (err.code) {
+				throw err;
+			}
+			throw new lib.CommandError(`Error parsing ${args.file}: ${err.message}`);
+		}
+
+		let results = await control.send(
+			new lib.UserListImportRequest(list, entries, args.create, args.overwrite, args.dryRun)
+		);
+		print(asTable(results.filter(result => result.status !== "unchanged").map(result => ({
+			name: result.name,
+			status: result.status,
+			applied: result.applied,
+			currentReason: result.currentReason ?? "",
+		}))));
+		let applied = results.filter(result => result.applied).length;
+		let conflicts = results.filter(result => result.status === "conflict" && !result.applied).length;
+		print(`${applied} of ${results.length} users ${args.dryRun ? "would be " : ""}changed`);
+		if (conflicts) {
+			print(`${conflicts} conflicting bans were skipped, pass --overwrite to replace them`);
+		}
+	},
+}));
+
+userCommands.add(new lib.Command({
+	definition: ["export <list> [file]", "Export users on a list as a Factorio server list file", (yargs) => {
+		yargs.positional("list", { describe: "Type of list to export", type: "string", choices: userListTypes });
+		yargs.positional("file", { describe: "Path to write the list to, defaults to stdout", type: "string" });
+	}],
+	handler: async function(args: { list: lib.UserListType, file?: string }, control: Control) {
+		let entries = await control.send(new lib.UserListExportRequest(args.list));
+		let content = lib.formatUserList(args.list, entries);
+		if (args.file === undefined) {
+			print(content);
+		} else {
+			logger.info(`Writing ${args.file}`);
+			await fs.outputFile(args.file, content);
+		}
+	},
+}));
+
+function parseTime(value: string | undefined, option: string) {
+	if (value === undefined) {
+		return undefined;
+	}
+	let time = Date.parse(value);
+	if (Number.isNaN(time)) {
+		throw new lib.CommandError(`Invalid date for --${option}: ${value}`);
+	}
+	return time;
+}
+
+const userTokenCommands = new lib.CommandTree({ name: "token", description: "API token management" });
+userTokenCommands.add(new lib.Command({
+	definition: [["list <user>", "l"], "List API tokens of a user", (yargs) => {
+		yargs.positional("user", { describe: "Name of user to list tokens of", type: "string" });
+	}],
+	handler: async function(args: { user: string }, control: Control) {
+		let apiTokens = await control.send(new lib.UserApiTokenListRequest(args.user));
+		print(asTable(apiTokens.map(apiToken => ({
+			id: apiToken.id,
+			name: apiToken.name,
+			permissions: apiToken.permissions.join(", "),
+			instances: apiToken.instanceIds ? apiToken.instanceIds.join(", ") : "all",
+			expires: apiToken.expiresAtMs ? new Date(apiToken.expiresAtMs).toLocaleString() : "never",
+			lastUsed: apiToken.lastUsedAtMs ? new Date(apiToken.lastUsedAtMs).toLocaleString() : "never",
+		}))));
+	},
+}));
+
+userTokenCommands.add(new lib.Command({
+	definition: ["create <user> <name> [permissions...]", "Create an API token for a user", (yargs) => {
+		yargs.positional("user", { describe: "Name of user to create token for", type: "string" });
+		yargs.positional("name", { describe: "Name of the token", type: "string" });
+		yargs.positional("permissions", { describe: "Permissions granted to the token", type: "string" });
+		yargs.options({
+			"instance": { describe: "Limit token to acting on instance, may be repeated", type: "string", array: true },
+			"expires": { describe: "Date the token expires at", nargs: 1, type: "string" },
+		});
+	}],
+	handler: async function(
+		args: { user: string, name: string, permissions?: string[], instance?: string[], expires?: string },
+		control: Control
+	) {
+		let instanceIds;
+		if (args.instance) {
+			instanceIds = [];
+			for (let instance of args.instance) {
+				instanceIds.push(await lib.resolveInstance(control, instance));
+			}
+		}
+		let response = await control.send(new lib.UserApiTokenCreateRequest(
+			args.user,
+			args.name,
+			args.permissions ?? [],
+			instanceIds,
+			parseTime(args.expires, "expires"),
+		));
+		logger.info(`Created API token ${response.apiToken.id}, it will not be shown again`);
+		print(response.token);
+	},
+}));
+
+userTokenCommands.add(new lib.Command({
+	definition: ["revoke <user> <id>", "Revoke an API token of a user", (yargs) => {
+		yargs.positional("user", { describe: "Name of user the token belongs to", type: "string" });
+		yargs.positional("id", { describe: "ID of token to revoke", type: "string" });
+	}],
+	handler: async function(args: { user: string, id: string }, control: Control) {
+		await control.send(new lib.UserApiTokenRevokeRequest(args.user, args.id));
+	},
+}));
+userCommands.add(userTokenCommands);
+
 const logCommands = new lib.CommandTree({ name: "log", description: "Log inspection" });
 logCommands.add(new lib.Command({
 	definition: ["follow", "follow cluster log", (yargs) => {
@@ -1904,6 +2801,68 @@ logCommands.add(new lib.Command({
 	},
 }));
 
+const auditCommand = new lib.Command({
+	definition: ["audit", "Query audit log of requests made by users", (yargs) => {
+		yargs.options({
+			"user": { describe: "Only show requests made by user", nargs: 1, type: "string" },
+			"action": { describe: "Only show requests with this name", nargs: 1, type: "string" },
+			"controller": { describe: "Only show requests acting on the controller", nargs: 0, type: "boolean" },
+			"host": { describe: "Only show requests acting on given host", nargs: 1, type: "string" },
+			"instance": { describe: "Only show requests acting on given instance", nargs: 1, type: "string" },
+			"result": { describe: "Only show requests with result", choices: ["success", "error", "denied"] },
+			"since": { describe: "Only show requests made at or after date", nargs: 1, type: "string" },
+			"until": { describe: "Only show requests made before date", nargs: 1, type: "string" },
+			"limit": { describe: "Max number of entries to return", nargs: 1, type: "number", default: 100 },
+			"start": { describe: "Limit from the start instead of the end", nargs: 0, type: "boolean", default: false },
+		});
+	}],
+	handler: async function(
+		args: {
+			user?: string,
+			action?: string,
+			controller?: boolean,
+			host?: string,
+			instance?: string,
+			result?: lib.AuditResult,
+			since?: string,
+			until?: string,
+			limit: number,
+			start: boolean,
+		},
+		control: Control
+	) {
+		let target;
+		if (args.instance !== undefined) {
+			target = `instance:${await lib.resolveInstance(control, args.instance)}`;
+		} else if (args.host !== undefined) {
+			target = `host:${await lib.resolveHost(control, args.host)}`;
+		} else if (args.controller) {
+			target = "controller";
+		}
+		let entries = await control.send(new lib.AuditLogQueryRequest(
+			args.limit,
+			args.start ? "asc" : "desc",
+			args.user,
+			args.action,
+			target,
+			args.result,
+			parseTime(args.since, "since"),
+			parseTime(args.until, "until"),
+		));
+		if (!args.start) {
+			entries.reverse();
+		}
+		print(asTable(entries.map(entry => ({
+			time: new Date(entry.timestampMs).toLocaleString(),
+			user: entry.user,
+			action: entry.action,
+			target: entry.target,
+			parameters: JSON.stringify(entry.parameters) ?? "",
+			result: entry.error ? `${entry.result}: ${entry.error}` : entry.result,
+		}))));
+	},
+});
+
 const debugCommands = new lib.CommandTree({ name: "debug", description: "Debugging utilities" });
 debugCommands.add(new lib.Command({
 	definition: ["dump-ws", "Dump WebSocket messages sent and received by controller"],
@@ -1920,10 +2879,14 @@ export async function registerCommands(ctlPlugins: Map<string, BaseCtlPlugin>, y
 	rootCommands.add(instanceCommands);
 	rootCommands.add(modPackCommands);
 	rootCommands.add(modCommands);
+	rootCommands.add(scheduleCommands);
+	rootCommands.add(webhookCommands);
+	rootCommands.add(backupCommands);
 	rootCommands.add(permissionCommands);
 	rootCommands.add(roleCommands);
 	rootCommands.add(userCommands);
 	rootCommands.add(logCommands);
+	rootCommands.add(auditCommand);
 	rootCommands.add(debugCommands);
 
 	for (let controlPlugin of ctlPlugins.values()) {
@@ -15,6 +15,18 @@ function api.get_instance_id()
 	return global.clusterio.instance_id
 end
 
+-- Send data compressed and split over lines of at most about 4kB, which
+-- are reassembled by Clusterio using the message id and chunk sequence.
+local function send_chunked(channel, message_id, data)
+	local encoded = game.encode_string(data)
+	local chunk_size = 4000
+	local total = math.ceil(#encoded / chunk_size)
+	for seq = 1, total do
+		local chunk = encoded:sub((seq - 1) * chunk_size + 1, seq * chunk_size)
+		print("\f$ipc:" .. channel .. "?c" .. message_id .. ":" .. seq .. ":" .. total .. ":" .. chunk)
+	end
+end
+
 function api.send_json(channel, data)
 
 	-- Escape bad characters.  The question mark is used for separating the
@@ -25,18 +37,26 @@ function api.send_json(channel, data)
 
 	data = game.table_to_json(data)
 
-	-- If there's more than about 4kB of data users running with the Windows
-	-- console open will start to experience stuttering, otherwise we could
-	-- output about 1 MB of data at a time through stdout.
+	-- If there's more than about 4kB of data on a line users running with
+	-- the Windows console open will start to experience stuttering, larger
+	-- payloads are compressed and split into chunks.
 	if #data < 4000 then
 		print("\f$ipc:" .. channel .. "?j" .. data)
 	else
 		global.clusterio_file_no = (global.clusterio_file_no or 0) + 1
-		local file_name = "clst_" .. global.clusterio_file_no .. ".json"
-		game.write_file(file_name, data, false, 0)
-		print("\f$ipc:" .. channel .. "?f" .. file_name)
+		send_chunked(channel, global.clusterio_file_no, data)
 	end
 end
 
+function api.register_rpc(name, handler)
+	-- Handlers are exposed as remote interfaces so that mods using the mod
+	-- version of this API can register them too.
+	remote.add_interface("clusterio_rpc " .. name, {
+		call = function(args)
+			return handler(table.unpack(args))
+		end,
+	})
+end
+
 
 return api
@@ -58,6 +58,22 @@ function clusterio_private.update_instance(new_id, new_name)
 	})
 end
 
+function clusterio_private.rpc_call(id, name, json_args)
+	local interface = "clusterio_rpc " .. name
+	local reply = { id = id }
+	if remote.interfaces[interface] then
+		local ok, result = pcall(remote.call, interface, "call", game.json_to_table(json_args) or {})
+		if ok then
+			reply.result = result
+		else
+			reply.error = tostring(result)
+		end
+	else
+		reply.error = "No RPC handler named " .. name .. " is registered"
+	end
+	api.send_json("clusterio_rpc", reply)
+end
+
 
 -- This is not part of the add_remote_interface callback to ensure it is
 -- available when the clusterio_lib mod is loaded.  The reason this is
@@ -209,6 +209,28 @@ export default class BaseInstancePlugin {
 		return await this.instance.sendRcon(message, expectEmpty, this.info.name);
 	}
 
+	/**
+	 * Call a Lua RPC handler registered in the game
+	 *
+	 * Calls the handler registered under `name` with `register_rpc` from
+	 * the Clusterio Lua API with the given arguments, and resolves with
+	 * the value it returns.  Arguments and the return value are passed as
+	 * JSON, which means tables with both array and object keys can not be
+	 * sent and nil is returned as null.
+	 *
+	 * This has the same restrictions on when it can be called as sendRcon.
+	 *
+	 * @param name - Name of the Lua handler to call.
+	 * @param args - Arguments to call the handler with.
+	 * @param timeoutMs - Milliseconds to wait for the reply.
+	 * @returns value returned by the handler.
+	 * @throws {module:lib.RequestError} if the handler raised an error, does not
+	 *     exist or did not reply in time.
+	 */
+	async callLua<T = unknown>(name: string, args: unknown[] = [], timeoutMs = 10e3): Promise<T> {
+		return await this.instance.callLuaRpc(name, args, timeoutMs, this.info.name) as T;
+	}
+
 	/**
 	 * Send serially ordered RCON message to instance
 	 *
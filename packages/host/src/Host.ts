@@ -15,9 +15,18 @@ import type { HostConnector } from "../host";
 import Instance from "./Instance";
 import InstanceConnection from "./InstanceConnection";
 import BaseHostPlugin from "./BaseHostPlugin";
+import { installFactorioVersion, listFactorioVersions, removeFactorioVersion } from "./factorio_versions";
 
 const finished = util.promisify(stream.finished);
 
+type InstanceRestartState = {
+	backoff: lib.ExponentialBackoff,
+	/** Number of restarts in a row */
+	retries: number,
+	lastCrashMs: number,
+	timeout?: ReturnType<typeof setTimeout>,
+};
+
 
 function checkRequestSaveName(name: string) {
 	try {
@@ -252,6 +261,8 @@ export default class Host extends lib.Link {
 	instanceConnections = new Map<number, InstanceConnection>();
 	discoveredInstanceInfos = new Map<number, { path: string, config: lib.InstanceConfig }>();
 	instanceInfos = new Map<number, { path: string, config: lib.InstanceConfig }>();
+	/** Restart state of instances that have crashed, by instance id */
+	instanceRestarts = new Map<number, InstanceRestartState>();
 
 	adminlist = new Set<string>();
 	banlist = new Map<string, string>();
@@ -259,6 +270,10 @@ export default class Host extends lib.Link {
 
 	serverVersion = "unknown";
 	serverPlugins = new Map<string, string>();
+	/** True if the controller has marked this host as draining for maintenance */
+	draining = false;
+	/** Versions of Factorio installed in host.factorio_directory, newest first */
+	factorioVersions: string[] = [];
 
 	_startup = true;
 	_disconnecting = false;
@@ -295,6 +310,10 @@ export default class Host extends lib.Link {
 		this.config.on("fieldChanged", (name, curr, prev) => {
 			if (name === "host.name" || name === "host.public_address") {
 				this.sendHostUpdate();
+			} else if (name === "host.factorio_directory") {
+				this.updateFactorioVersions().catch(err => {
+					logger.error(`Unexpected error updating Factorio versions:\n${err.stack}`);
+				});
 			}
 			lib.invokeHook(this.plugins, "onHostConfigFieldChanged", name, curr, prev);
 		});
@@ -309,7 +328,9 @@ export default class Host extends lib.Link {
 				return;
 			}
 
-			this.sendHostUpdate();
+			this.updateFactorioVersions().catch(err => {
+				logger.error(`Unexpected error updating Factorio versions:\n${err.stack}`);
+			});
 			this.updateInstances().catch((err) => {
 				if (err instanceof lib.SessionLost) {
 					return undefined;
@@ -352,10 +373,16 @@ export default class Host extends lib.Link {
 
 		this.handle(lib.HostStopRequest, this.handleHostStopRequest.bind(this));
 		this.handle(lib.HostRestartRequest, this.handleHostRestartRequest.bind(this));
+		this.handle(lib.HostCancelRestartRequest, this.handleHostCancelRestartRequest.bind(this));
 		this.handle(lib.HostConfigGetRequest, this.handleHostConfigGetRequest.bind(this));
 		this.handle(lib.HostConfigSetFieldRequest, this.handleHostConfigSetFieldRequest.bind(this));
 		this.handle(lib.HostConfigSetPropRequest, this.handleHostConfigSetPropRequest.bind(this));
 		this.handle(lib.SyncUserListsEvent, this.handleSyncUserListsEvent.bind(this));
+		this.handle(lib.HostDrainingChangedEvent, this.handleHostDrainingChangedEvent.bind(this));
+		this.handle(
+			lib.HostFactorioVersionInstallRequest, this.handleHostFactorioVersionInstallRequest.bind(this)
+		);
+		this.handle(lib.HostFactorioVersionRemoveRequest, this.handleHostFactorioVersionRemoveRequest.bind(this));
 		this.snoopEvent(lib.InstanceAdminlistUpdateEvent, this.handleAdminlistUpdateEvent.bind(this));
 		this.snoopEvent(lib.InstanceBanlistUpdateEvent, this.handleBanlistUpdateEvent.bind(this));
 		this.snoopEvent(lib.InstanceWhitelistUpdateEvent, this.handleWhitelistUpdateEvent.bind(this));
@@ -370,6 +397,7 @@ export default class Host extends lib.Link {
 		this.handle(lib.InstanceCopySaveRequest, this.handleInstanceCopySaveRequest.bind(this));
 		this.handle(lib.InstanceTransferSaveRequest, this.handleInstanceTransferSaveRequest.bind(this));
 		this.handle(lib.InstanceDeleteSaveRequest, this.handleInstanceDeleteSaveRequest.bind(this));
+		this.handle(lib.InstanceSavePruneRequest, this.handleInstanceSavePruneRequest.bind(this));
 		this.handle(lib.InstancePullSaveRequest, this.handleInstancePullSaveRequest.bind(this));
 		this.handle(lib.InstancePushSaveRequest, this.handleInstancePushSaveRequest.bind(this));
 		this.handle(lib.InstanceDeleteInternalRequest, this.handleInstanceDeleteInternalRequest.bind(this));
@@ -441,14 +469,32 @@ export default class Host extends lib.Link {
 		this.shutdown();
 	}
 
-	async handleHostRestartRequest() {
+	async handleHostRestartRequest(request: lib.HostRestartRequest) {
 		if (!this.canRestart) {
 			throw new lib.RequestError("Cannot restart, host does not have a process monitor to restart it.");
 		}
+		if (request.delaySeconds > 0) {
+			let results = await Promise.all([...this.instanceConnections.values()].map(
+				instanceConnection => instanceConnection.instance.stopCountdown(request.delaySeconds)
+			));
+			if (results.includes(false)) {
+				throw new lib.RequestError("Restart was cancelled");
+			}
+		}
 		process.exitCode = 1;
 		this.shutdown();
 	}
 
+	async handleHostCancelRestartRequest() {
+		let cancelled = false;
+		for (let instanceConnection of this.instanceConnections.values()) {
+			cancelled = instanceConnection.instance.cancelStopCountdown() || cancelled;
+		}
+		if (!cancelled) {
+			throw new lib.RequestError("Host is not counting down to restart");
+		}
+	}
+
 	async handleHostConfigGetRequest() {
 		return this.config.toRemote("control");
 	}
@@ -468,6 +514,13 @@ export default class Host extends lib.Link {
 		this.config.setProp(field as keyof lib.HostConfigFields, prop, value, "control");
 	}
 
+	async handleHostDrainingChangedEvent(event: lib.HostDrainingChangedEvent) {
+		if (this.draining !== event.draining) {
+			logger.info(event.draining ? "Host is draining for maintenance" : "Host is no longer draining");
+		}
+		this.draining = event.draining;
+	}
+
 	async handleSyncUserListsEvent(event: lib.SyncUserListsEvent) {
 		let updateList = (list: Set<string>, updatedList: Set<string>, Event: lib.EventClass<unknown>) => {
 			let added = new Set(updatedList);
@@ -769,6 +822,87 @@ export default class Host extends lib.Link {
 		return instanceConnection;
 	}
 
+	/**
+	 * Handle an instance exiting without being stopped
+	 *
+	 * Applies the restart policy of the instance, scheduling a restart
+	 * from the latest save if it allows it, and notifies the controller
+	 * of the crash.
+	 *
+	 * @param instanceId - ID of instance that crashed.
+	 * @param reason - Description of why the instance exited.
+	 * @param failed - True if the instance exited with an error.
+	 */
+	handleInstanceCrash(instanceId: number, reason: string, failed: boolean) {
+		let instanceInfo = this.instanceInfos.get(instanceId);
+		if (!instanceInfo) {
+			return;
+		}
+
+		let config = instanceInfo.config;
+		let maxDelay = config.get("instance.restart_max_delay");
+		let state = this.instanceRestarts.get(instanceId);
+		if (!state) {
+			state = { backoff: new lib.ExponentialBackoff({ max: maxDelay }), retries: 0, lastCrashMs: 0 };
+			this.instanceRestarts.set(instanceId, state);
+		}
+		clearTimeout(state.timeout);
+		state.backoff.max = maxDelay;
+		state.backoff.reset = 2 * maxDelay;
+
+		// Only count restarts in a row, the same way the backoff starts over.
+		let nowMs = Date.now();
+		if (nowMs - state.lastCrashMs > state.backoff.reset * 1000) {
+			state.retries = 0;
+		}
+		state.lastCrashMs = nowMs;
+
+		let policy = config.get("instance.restart_policy");
+		let maxRetries = config.get("instance.restart_max_retries");
+		let restartDelayMs: number | undefined;
+		if (
+			!this._shuttingDown
+			&& (policy === "always" || policy === "on-failure" && failed)
+			&& (maxRetries === null || state.retries < maxRetries)
+		) {
+			restartDelayMs = state.backoff.delay();
+			state.retries += 1;
+			state.timeout = setTimeout(() => {
+				state!.timeout = undefined;
+				this._restartInstance(instanceId);
+			}, restartDelayMs);
+		}
+
+		const meta = this.instanceLogMeta(instanceId, instanceInfo);
+		if (restartDelayMs !== undefined) {
+			logger.warn(
+				`Instance crashed: ${reason}, restarting in ${Math.round(restartDelayMs / 1000)}s ` +
+				`(attempt ${state.retries}${maxRetries !== null ? ` of ${maxRetries}` : ""})`,
+				meta
+			);
+		} else {
+			logger.warn(`Instance crashed: ${reason}`, meta);
+		}
+		this.send(new lib.InstanceCrashedEvent(instanceId, reason, restartDelayMs));
+	}
+
+	_restartInstance(instanceId: number) {
+		// Skip if the instance was started, unassigned or the host is stopping.
+		let instanceInfo = this.instanceInfos.get(instanceId);
+		if (!instanceInfo || this.instanceConnections.has(instanceId) || this._shuttingDown) {
+			return;
+		}
+
+		const meta = this.instanceLogMeta(instanceId, instanceInfo);
+		logger.info("Restarting crashed instance", meta);
+		this._connectInstance(instanceId).then(
+			instanceConnection => instanceConnection.send(new lib.InstanceStartRequest())
+		).catch(err => {
+			logger.error(`Error restarting instance:\n${err.stack}`, meta);
+			this.handleInstanceCrash(instanceId, `Restart failed: ${err.message}`, true);
+		});
+	}
+
 	async handleSystemInfoRequest() {
 		return lib.gatherSystemInfo(this.config.get("host.id"), this.canRestart);
 	}
@@ -928,6 +1062,24 @@ export default class Host extends lib.Link {
 		await this.sendSaveListUpdate(instanceId, path.join(instanceInfo.path, "saves"));
 	}
 
+	async handleInstanceSavePruneRequest(request: lib.InstanceSavePruneRequest) {
+		let { instanceId, dryRun } = request;
+		let instanceInfo = this.getRequestInstanceInfo(instanceId);
+		let savesDir = path.join(instanceInfo.path, "saves");
+		let instanceConnection = this.instanceConnections.get(instanceId);
+		let loadedSave = instanceConnection ? instanceConnection.instance._loadedSave : null;
+
+		let pruned = await Instance.pruneSaves(instanceId, savesDir, instanceInfo.config, loadedSave, dryRun);
+		if (!dryRun && pruned.length) {
+			logger.info(
+				`Pruned saves ${pruned.map(save => save.name).join(", ")}`,
+				this.instanceLogMeta(instanceId, instanceInfo),
+			);
+			await this.sendSaveListUpdate(instanceId, savesDir);
+		}
+		return pruned;
+	}
+
 	async handleInstancePullSaveRequest(request: lib.InstancePullSaveRequest) {
 		let { instanceId, streamId, name } = request;
 		checkRequestSaveName(name);
@@ -1021,11 +1173,70 @@ export default class Host extends lib.Link {
 				new lib.HostInfoUpdate(
 					this.config.get("host.name"),
 					this.config.get("host.public_address"),
+					this.factorioVersions,
 				),
 			),
 		);
 	}
 
+	/**
+	 * Rescan the Factorio versions installed and send them to the controller
+	 */
+	async updateFactorioVersions() {
+		try {
+			let installs = await listFactorioVersions(this.config.get("host.factorio_directory"));
+			this.factorioVersions = installs.map(install => install.version);
+		} finally {
+			this.sendHostUpdate();
+		}
+	}
+
+	async handleHostFactorioVersionInstallRequest(request: lib.HostFactorioVersionInstallRequest) {
+		let url: URL;
+		let core: object | undefined;
+		if (request.streamId !== undefined) {
+			url = new URL(this.config.get("host.controller_url"));
+			url.pathname += `api/stream/${request.streamId}`;
+			core = { ca: this.tlsCa };
+		} else if (request.url !== undefined) {
+			try {
+				url = new URL(request.url);
+			} catch (err: any) {
+				throw new lib.RequestError(`Invalid url: ${err.message}`);
+			}
+			if (!["http:", "https:"].includes(url.protocol)) {
+				throw new lib.RequestError("Only http and https urls are supported");
+			}
+		} else {
+			throw new lib.RequestError("Either url or streamId must be provided");
+		}
+
+		logger.info(`Downloading Factorio from ${request.url ?? "controller"}`);
+		let response = await phin({ url, method: "GET", core, stream: true, followRedirects: true });
+		if (response.statusCode !== 200) {
+			let content = await lib.readStream(response);
+			throw new lib.RequestError(`Download returned ${response.statusCode}: ${content.toString()}`);
+		}
+
+		let version = await installFactorioVersion(this.config.get("host.factorio_directory"), response);
+		logger.info(`Installed Factorio ${version}`);
+		await this.updateFactorioVersions();
+		return version;
+	}
+
+	async handleHostFactorioVersionRemoveRequest(request: lib.HostFactorioVersionRemoveRequest) {
+		for (let instanceConnection of this.instanceConnections.values()) {
+			if (instanceConnection.instance.server._version === request.version) {
+				throw new lib.RequestError(
+					`Factorio ${request.version} is in use by instance ${instanceConnection.instance.name}`
+				);
+			}
+		}
+		await removeFactorioVersion(this.config.get("host.factorio_directory"), request.version);
+		logger.info(`Removed Factorio ${request.version}`);
+		await this.updateFactorioVersions();
+	}
+
 	/**
 	 * Discover available instances
 	 *
@@ -1051,6 +1262,13 @@ export default class Host extends lib.Link {
 
 			for (let [instanceId, instanceInfo] of this.instanceInfos) {
 				if (instanceInfo.config.get("instance.auto_start")) {
+					if (this.draining) {
+						logger.info(
+							`Skipping auto startup for ${instanceInfo.config.get("instance.name")}, host is draining`,
+							this.instanceLogMeta(instanceId, instanceInfo)
+						);
+						continue;
+					}
 					try {
 						let instanceConnection = await this._connectInstance(instanceId);
 						await instanceConnection.send(new lib.InstanceStartRequest());
@@ -1082,6 +1300,9 @@ export default class Host extends lib.Link {
 			return;
 		}
 		this._shuttingDown = true;
+		for (let state of this.instanceRestarts.values()) {
+			clearTimeout(state.timeout);
+		}
 
 		await lib.invokeHook(this.plugins, "onShutdown");
 
@@ -8,9 +8,10 @@ import type { Static } from "@sinclair/typebox";
 // internal libraries
 import * as lib from "@clusterio/lib";
 
-import { FactorioServer } from "./server";
+import { FactorioServer, ServerExitInfo } from "./server";
 import { SaveModule, patch } from "./patch";
 import { exportData } from "./export";
+import { retentionRulesFromConfig, selectSavesToPrune } from "./save_retention";
 import type Host from "./Host";
 import BaseInstancePlugin from "./BaseInstancePlugin";
 
@@ -48,6 +49,24 @@ const instanceFactorioAutosaveSize = new lib.Gauge(
 	{ labels: ["instance_id"] }
 );
 
+const instanceIpcMessages = new lib.Counter(
+	"clusterio_instance_ipc_messages_total",
+	"How many IPC messages have been received from Factorio.",
+	{ labels: ["instance_id", "channel"] }
+);
+
+const instanceIpcReceivedBytes = new lib.Counter(
+	"clusterio_instance_ipc_received_bytes_total",
+	"Bytes of IPC output received from Factorio, including chunk framing and compression.",
+	{ labels: ["instance_id", "channel"] }
+);
+
+const instanceIpcPayloadBytes = new lib.Counter(
+	"clusterio_instance_ipc_payload_bytes_total",
+	"Bytes of JSON payload received over IPC from Factorio after decompression.",
+	{ labels: ["instance_id", "channel"] }
+);
+
 function applyAsConfig(name: string) {
 	return async function action(instance: Instance, value: unknown, logger: lib.Logger) {
 		if (name === "tags" && value instanceof Array) {
@@ -92,6 +111,13 @@ const serverSettingsActions = {
 };
 
 
+type PendingLuaRpc = {
+	name: string,
+	resolve: (result: unknown) => void,
+	reject: (err: Error) => void,
+	timeout: ReturnType<typeof setTimeout>,
+};
+
 /**
  * Keeps track of the runtime parameters of an instance
  * @alias module:host/src/Instance
@@ -127,6 +153,11 @@ export default class Instance extends lib.Link {
 	_playerCheckInterval: ReturnType<typeof setInterval> | undefined;
 	_hadPlayersOnline = false;
 	_playerAutosaveSlot = 1;
+	/** Set while counting down to a stop, cancelled is set to true to abort it */
+	_stopCountdown: { cancelled: boolean } | null = null;
+	/** Lua RPC calls waiting for a reply from the game by call id */
+	_pendingLuaRpcs = new Map<number, PendingLuaRpc>();
+	_nextLuaRpcId = 1;
 
 
 	constructor(
@@ -209,6 +240,15 @@ export default class Instance extends lib.Link {
 			});
 		});
 
+		this.server.on("ipc_received", (channel: string, bytes: number, payloadBytes: number) => {
+			let instanceId = String(this.id);
+			instanceIpcMessages.labels(instanceId, channel).inc();
+			instanceIpcReceivedBytes.labels(instanceId, channel).inc(bytes);
+			instanceIpcPayloadBytes.labels(instanceId, channel).inc(payloadBytes);
+		});
+
+		this.server.on("ipc-clusterio_rpc", reply => this._handleLuaRpcReply(reply));
+
 		this.server.on("ipc-player_event", event => {
 			if (event.type === "join") {
 				this._recordPlayerJoin(event.name);
@@ -232,6 +272,7 @@ export default class Instance extends lib.Link {
 		this.handle(lib.InstanceCreateSaveRequest, this.handleInstanceCreateSaveRequest.bind(this));
 		this.handle(lib.InstanceExportDataRequest, this.handleInstanceExportDataRequest.bind(this));
 		this.handle(lib.InstanceStopRequest, this.handleInstanceStopRequest.bind(this));
+		this.handle(lib.InstanceCancelStopRequest, this.handleInstanceCancelStopRequest.bind(this));
 		this.handle(lib.InstanceKillRequest, this.handleInstanceKillRequest.bind(this));
 		this.handle(lib.InstanceSendRconRequest, this.handleInstanceSendRconRequest.bind(this));
 	}
@@ -377,6 +418,65 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 		}
 	}
 
+	/**
+	 * Call a Lua RPC handler registered in the game
+	 *
+	 * Invokes the handler registered with `register_rpc` in the Clusterio
+	 * Lua API with the given arguments and waits for its reply.
+	 *
+	 * @param name - Name the handler was registered with.
+	 * @param args - JSON serialisable arguments to call the handler with.
+	 * @param timeoutMs - Milliseconds to wait for the reply.
+	 * @param plugin - Name of plugin making the call, used for metrics.
+	 * @returns the value returned by the handler, or null if it returned nil.
+	 * @throws {module:lib.RequestError} if the handler raised an error, does not
+	 *     exist or did not reply in time.
+	 */
+	async callLuaRpc(name: string, args: unknown[] = [], timeoutMs = 10e3, plugin = ""): Promise<unknown> {
+		let id = this._nextLuaRpcId;
+		this._nextLuaRpcId += 1;
+		let reply = new Promise((resolve, reject) => {
+			let timeout = setTimeout(() => {
+				this._pendingLuaRpcs.delete(id);
+				reject(new lib.RequestError(`Lua RPC ${name} timed out after ${timeoutMs}ms`));
+			}, timeoutMs);
+			this._pendingLuaRpcs.set(id, { name, resolve, reject, timeout });
+		});
+		// Avoid unhandled rejections if the call times out while sending.
+		reply.catch(() => {});
+
+		let escapedName = lib.escapeString(name);
+		let escapedArgs = lib.escapeString(JSON.stringify(args));
+		try {
+			await this.sendRcon(
+				`/sc clusterio_private.rpc_call(${id}, "${escapedName}", "${escapedArgs}")`, true, plugin
+			);
+		} catch (err) {
+			let pending = this._pendingLuaRpcs.get(id);
+			if (pending) {
+				clearTimeout(pending.timeout);
+				this._pendingLuaRpcs.delete(id);
+			}
+			throw err;
+		}
+		return await reply;
+	}
+
+	_handleLuaRpcReply(reply: { id: number, result?: unknown, error?: string }) {
+		let pending = this._pendingLuaRpcs.get(reply.id);
+		if (!pending) {
+			this.logger.warn(`Received reply for unknown Lua RPC call ${reply.id}`);
+			return;
+		}
+		clearTimeout(pending.timeout);
+		this._pendingLuaRpcs.delete(reply.id);
+		if (reply.error !== undefined) {
+			pending.reject(new lib.RequestError(`Lua RPC ${pending.name} failed: ${reply.error}`));
+		} else {
+			pending.resolve(reply.result ?? null);
+		}
+	}
+
 	static async listSaves(instanceId: number, savesDir: string, loadedSave: string | null) {
 		let defaultSave = null;
 		if (loadedSave === null) {
@@ -413,6 +513,33 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 		return list;
 	}
 
+	/**
+	 * Remove saves not retained by the save retention rules of an instance
+	 *
+	 * @param instanceId - ID of instance to prune saves of.
+	 * @param savesDir - Saves directory of the instance.
+	 * @param config - Config of the instance.
+	 * @param loadedSave - Name of save currently loaded.
+	 * @param dryRun - Only return the saves that would be removed.
+	 * @returns the saves removed.
+	 */
+	static async pruneSaves(
+		instanceId: number,
+		savesDir: string,
+		config: lib.InstanceConfig,
+		loadedSave: string | null,
+		dryRun = false,
+	) {
+		let saves = await Instance.listSaves(instanceId, savesDir, loadedSave);
+		let pruned = selectSavesToPrune(saves, retentionRulesFromConfig(config));
+		if (!dryRun) {
+			for (let save of pruned) {
+				await fs.unlink(path.join(savesDir, save.name));
+			}
+		}
+		return pruned;
+	}
+
 	async sendSaveListUpdate() {
 		this.sendTo(
 			"controller",
@@ -442,6 +569,17 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 			this._hadPlayersOnline = false;
 		}
 
+		// The autosave has been made at this point, failing to prune should
+		// not prevent the save list from being updated.
+		try {
+			let pruned = await Instance.pruneSaves(this.id, this.path("saves"), this.config, this._loadedSave);
+			if (pruned.length) {
+				this.logger.info(`Pruned saves ${pruned.map(save => save.name).join(", ")}`);
+			}
+		} catch (err: any) {
+			this.logger.error(`Error pruning saves:\n${err.stack}`);
+		}
+
 		await this.sendSaveListUpdate();
 	}
 
@@ -466,6 +604,26 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 		return this._status;
 	}
 
+	/**
+	 * Handle the Factorio server exiting after it was started
+	 *
+	 * Exits of a running server that were not requested are reported to
+	 * the host so that the restart policy of the instance can be applied.
+	 * Exits during startup are reported as errors from starting instead.
+	 *
+	 * @param info - Details on how the server exited.
+	 */
+	_handleServerExit(info?: ServerExitInfo) {
+		let crashed = Boolean(info?.unexpected) && this._status === "running";
+		this.notifyExit();
+		if (crashed) {
+			let reason = info!.code !== null
+				? `Factorio exited with code ${info!.code}`
+				: `Factorio was terminated by signal ${info!.signal}`;
+			this._host.handleInstanceCrash(this.id, reason, info!.code !== 0);
+		}
+	}
+
 	notifyExit() {
 		this._loadedSave = null;
 		this.notifyStatus("stopped");
@@ -473,6 +631,12 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 		this.config.off("fieldChanged", this._configFieldChanged);
 		clearTimeout(this._playerCheckInterval);
 
+		for (let pending of this._pendingLuaRpcs.values()) {
+			clearTimeout(pending.timeout);
+			pending.reject(new lib.RequestError(`Instance stopped before Lua RPC ${pending.name} replied`));
+		}
+		this._pendingLuaRpcs.clear();
+
 		// Clear metrics this instance is exporting
 		for (let collector of lib.defaultRegistry.collectors) {
 			if (
@@ -827,7 +991,7 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 			this.logger.verbose("RCON connection established");
 		});
 
-		this.server.on("exit", () => this.notifyExit());
+		this.server.on("exit", info => this._handleServerExit(info));
 		this._loadedSave = saveName;
 		await this.server.start(saveName);
 
@@ -860,7 +1024,7 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 			this.logger.verbose("RCON connection established");
 		});
 
-		this.server.on("exit", () => this.notifyExit());
+		this.server.on("exit", info => this._handleServerExit(info));
 		await this.server.startScenario(scenario, seed, mapGenSettings, mapSettings);
 		this._watchPlayerJoinsByChat();
 
@@ -958,6 +1122,60 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 		}
 	}
 
+	/**
+	 * Announce in-game that the server is stopping
+	 *
+	 * Counts down the given number of seconds sending the
+	 * instance.stop_countdown_message as chat.  Returns immediately if no
+	 * players are online.  The countdown can be cancelled with
+	 * InstanceCancelStopRequest.
+	 *
+	 * @param seconds - Length of countdown.
+	 * @returns false if the countdown was cancelled, true otherwise.
+	 */
+	async stopCountdown(seconds: number) {
+		if (this._status !== "running" || !this.playersOnline.size) {
+			return true;
+		}
+		if (this._stopCountdown) {
+			throw new lib.RequestError("Instance is already counting down to stop");
+		}
+
+		let state = { cancelled: false };
+		this._stopCountdown = state;
+		this.logger.info(`Stopping in ${lib.formatCountdown(seconds)}`);
+		try {
+			await lib.countdown(seconds, async remaining => {
+				let message = this.config.get("instance.stop_countdown_message");
+				try {
+					await this.sendRcon(message.replace("{time}", lib.formatCountdown(remaining)));
+				} catch (err: any) {
+					this.logger.warn(`Failed to announce stop countdown: ${err.message}`);
+				}
+			}, () => !state.cancelled && this._status === "running");
+		} finally {
+			this._stopCountdown = null;
+		}
+		if (state.cancelled) {
+			this.logger.info("Stop countdown cancelled");
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Cancel stop countdown in progress
+	 *
+	 * @returns true if a countdown was cancelled.
+	 */
+	cancelStopCountdown() {
+		if (!this._stopCountdown) {
+			return false;
+		}
+		this._stopCountdown.cancelled = true;
+		return true;
+	}
+
 	async kill() {
 		if (this._status === "stopped") {
 			return;
@@ -1104,10 +1322,22 @@ rcon.print(game.table_to_json(players))`.replace(/\r?\n/g, " ");
 		}
 	}
 
-	async handleInstanceStopRequest() {
+	async handleInstanceStopRequest(request: lib.InstanceStopRequest) {
+		if (request.delaySeconds > 0) {
+			let completed = await this.stopCountdown(request.delaySeconds);
+			if (!completed) {
+				throw new lib.RequestError("Stop was cancelled");
+			}
+		}
 		await this.stop();
 	}
 
+	async handleInstanceCancelStopRequest() {
+		if (!this.cancelStopCountdown()) {
+			throw new lib.RequestError("Instance is not counting down to stop");
+		}
+	}
+
 	async handleInstanceKillRequest() {
 		await this.kill();
 	}
@@ -0,0 +1,137 @@
+// Management of the Factorio installs in host.factorio_directory
+import child_process from "child_process";
+import crypto from "crypto";
+import events from "events";
+import fs from "fs-extra";
+import path from "path";
+import stream from "stream";
+import util from "util";
+
+import * as lib from "@clusterio/lib";
+
+import { getVersion, versionOrder } from "./server";
+
+const finished = util.promisify(stream.finished);
+
+/**
+ * Factorio install found in the Factorio directory
+ */
+export interface FactorioInstall {
+	version: string;
+	/** Path to the install directory */
+	path: string;
+}
+
+/**
+ * List Factorio installs in a Factorio directory
+ *
+ * Supports the same two setups as the Factorio server, the directory being
+ * an install itself or containing a directory for each install.
+ *
+ * @param factorioDir - Path to Factorio installation dir(s).
+ * @returns installs found sorted from newest to oldest version.
+ */
+export async function listFactorioVersions(factorioDir: string): Promise<FactorioInstall[]> {
+	let simpleVersion = await getVersion(path.join(factorioDir, "data", "changelog.txt"));
+	if (simpleVersion !== null) {
+		return [{ version: simpleVersion, path: factorioDir }];
+	}
+
+	let entries: fs.Dirent[];
+	try {
+		entries = await fs.readdir(factorioDir, { withFileTypes: true });
+	} catch (err: any) {
+		if (err.code === "ENOENT") {
+			return [];
+		}
+		throw err;
+	}
+
+	let installs: FactorioInstall[] = [];
+	for (let entry of entries) {
+		if (!entry.isDirectory()) {
+			continue;
+		}
+		let installPath = path.join(factorioDir, entry.name);
+		let version = await getVersion(path.join(installPath, "data", "changelog.txt"));
+		if (version !== null) {
+			installs.push({ version, path: installPath });
+		}
+	}
+	return installs.sort((a, b) => versionOrder(a.version, b.version));
+}
+
+async function extractArchive(archivePath: string, targetDir: string) {
+	let child = child_process.spawn("tar", ["-xf", archivePath, "-C", targetDir], {
+		stdio: ["ignore", "ignore", "pipe"],
+	});
+	let stderr = "";
+	child.stderr.on("data", chunk => { stderr += chunk; });
+	let [code] = await events.once(child, "exit");
+	if (code !== 0) {
+		throw new lib.RequestError(`Extracting Factorio archive failed: ${stderr.trim()}`);
+	}
+}
+
+/**
+ * Install Factorio from a tarball of the headless server
+ *
+ * Extracts the archive into a directory named factorio-<version> in the
+ * Factorio directory.
+ *
+ * @param factorioDir - Path to Factorio installation dirs.
+ * @param archive - Content of the archive to install.
+ * @returns the version of Factorio installed.
+ * @throws {module:lib.RequestError} if the archive is not a Factorio
+ *     install or the version is already installed.
+ */
+export async function installFactorioVersion(factorioDir: string, archive: NodeJS.ReadableStream) {
+	if (await getVersion(path.join(factorioDir, "data", "changelog.txt")) !== null) {
+		throw new lib.RequestError(
+			"Cannot install Factorio versions when host.factorio_directory points to a single Factorio install"
+		);
+	}
+
+	let tempDir = path.join(factorioDir, `.install-${crypto.randomBytes(8).toString("hex")}`);
+	await fs.ensureDir(path.join(tempDir, "extract"));
+	try {
+		let archivePath = path.join(tempDir, "archive");
+		let writeStream = fs.createWriteStream(archivePath);
+		archive.pipe(writeStream);
+		await finished(writeStream);
+		await extractArchive(archivePath, path.join(tempDir, "extract"));
+
+		let [install] = await listFactorioVersions(path.join(tempDir, "extract"));
+		if (!install) {
+			throw new lib.RequestError("Archive does not contain a Factorio install");
+		}
+		let installed = await listFactorioVersions(factorioDir);
+		let targetPath = path.join(factorioDir, `factorio-${install.version}`);
+		if (installed.some(other => other.version === install.version) || await fs.pathExists(targetPath)) {
+			throw new lib.RequestError(`Factorio ${install.version} is already installed`);
+		}
+		await fs.rename(install.path, targetPath);
+		return install.version;
+
+	} finally {
+		await fs.remove(tempDir);
+	}
+}
+
+/**
+ * Remove an installed Factorio version
+ *
+ * @param factorioDir - Path to Factorio installation dirs.
+ * @param version - Version of Factorio to remove.
+ * @throws {module:lib.RequestError} if the version is not installed.
+ */
+export async function removeFactorioVersion(factorioDir: string, version: string) {
+	let install = (await listFactorioVersions(factorioDir)).find(other => other.version === version);
+	if (!install) {
+		throw new lib.RequestError(`Factorio ${version} is not installed`);
+	}
+	if (install.path === factorioDir) {
+		throw new lib.RequestError("Cannot remove the Factorio install host.factorio_directory points to");
+	}
+	await fs.remove(install.path);
+}
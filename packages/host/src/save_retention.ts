@@ -0,0 +1,126 @@
+// Selection of saves to remove based on the retention rules of an instance
+import * as lib from "@clusterio/lib";
+
+const dayMs = 24 * 60 * 60e3;
+
+export interface SaveRetentionRules {
+	/** Number of newest saves to keep */
+	keepLast: number | null;
+	/** Days to keep the newest save of each day for */
+	dailyDays: number | null;
+	/** Days to keep the newest save of each week for */
+	weeklyDays: number | null;
+	/** Maximum total size in bytes of saves to keep */
+	maxSizeBytes: number | null;
+}
+
+/**
+ * Read the save retention rules from an instance config
+ *
+ * @param config - Config of instance to read rules from.
+ * @returns retention rules of the instance.
+ */
+export function retentionRulesFromConfig(config: lib.InstanceConfig): SaveRetentionRules {
+	let maxSize = config.get("instance.save_retention_max_size");
+	return {
+		keepLast: config.get("instance.save_retention_keep_last"),
+		dailyDays: config.get("instance.save_retention_daily_days"),
+		weeklyDays: config.get("instance.save_retention_weekly_days"),
+		maxSizeBytes: maxSize !== null ? maxSize * 1e6 : null,
+	};
+}
+
+function dayKey(timeMs: number) {
+	let date = new Date(timeMs);
+	return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+}
+
+function weekKey(timeMs: number) {
+	// Weeks start on Monday
+	let date = new Date(timeMs);
+	date.setHours(0, 0, 0, 0);
+	date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+	return dayKey(date.getTime());
+}
+
+function keepNewestPerPeriod(
+	saves: lib.SaveDetails[],
+	days: number | null,
+	periodKey: (timeMs: number) => string,
+	nowMs: number,
+	kept: Set<lib.SaveDetails>,
+) {
+	if (days === null) {
+		return;
+	}
+
+	let cutoffMs = nowMs - days * dayMs;
+	let seen = new Set<string>();
+	for (let save of saves) {
+		if (save.mtimeMs < cutoffMs) {
+			break;
+		}
+		let key = periodKey(save.mtimeMs);
+		if (!seen.has(key)) {
+			seen.add(key);
+			kept.add(save);
+		}
+	}
+}
+
+/**
+ * Select the saves not retained by the given retention rules
+ *
+ * Only zip files are considered for removal.  A save is kept if any of
+ * the keep last, daily or weekly rules cover it, or if none of them are
+ * set.  The kept saves are then limited to the newest ones that fit within
+ * the maximum total size.  The newest save and the currently loaded save
+ * are always kept.
+ *
+ * @param saves - Saves of the instance.
+ * @param rules - Retention rules to apply.
+ * @param nowMs - Current time.
+ * @returns saves that should be removed, newest first.
+ */
+export function selectSavesToPrune(
+	saves: lib.SaveDetails[],
+	rules: SaveRetentionRules,
+	nowMs = Date.now(),
+) {
+	let candidates = saves
+		.filter(save => save.type === "file" && save.name.endsWith(".zip") && !save.name.endsWith(".tmp.zip"))
+		.sort((a, b) => b.mtimeMs - a.mtimeMs);
+	if (!candidates.length) {
+		return [];
+	}
+
+	let kept = new Set<lib.SaveDetails>();
+	if (rules.keepLast === null && rules.dailyDays === null && rules.weeklyDays === null) {
+		candidates.forEach(save => kept.add(save));
+	} else {
+		candidates.slice(0, rules.keepLast ?? 0).forEach(save => kept.add(save));
+		keepNewestPerPeriod(candidates, rules.dailyDays, dayKey, nowMs, kept);
+		keepNewestPerPeriod(candidates, rules.weeklyDays, weekKey, nowMs, kept);
+	}
+
+	let pruned: lib.SavePruneEntry[] = [];
+	let totalSize = 0;
+	let overSize = false;
+	for (let save of candidates) {
+		let alwaysKept = save === candidates[0] || save.loaded;
+		if (!kept.has(save) && !alwaysKept) {
+			pruned.push(new lib.SavePruneEntry(save.name, save.size, save.mtimeMs, "not covered by retention rules"));
+			continue;
+		}
+
+		totalSize += save.size;
+		if (rules.maxSizeBytes !== null && totalSize > rules.maxSizeBytes) {
+			overSize = true;
+		}
+		if (overSize && !alwaysKept) {
+			pruned.push(new lib.SavePruneEntry(save.name, save.size, save.mtimeMs, "exceeds maximum total size"));
+		}
+	}
+
+	return pruned;
+}
@@ -5,10 +5,12 @@ import path from "path";
 import events from "events";
 import util from "util";
 import crypto from "crypto";
+import zlib from "zlib";
 import { Rcon } from "rcon-client";
 
 import * as lib from "@clusterio/lib";
 
+const inflate = util.promisify(zlib.inflate);
 
 /**
  * Determines the version of Factorio the datadir is pointing to by
@@ -17,7 +19,7 @@ import * as lib from "@clusterio/lib";
  * @param changelogPath - Path to changelog.txt.
  * @internal
  */
-async function getVersion(changelogPath: string) {
+export async function getVersion(changelogPath: string) {
 	let changelog;
 	try {
 		changelog = await fs.readFile(changelogPath, "utf-8");
@@ -49,7 +51,7 @@ async function getVersion(changelogPath: string) {
  * @returns 1 if a < b, 0 if a = b and -1 if a > b.
  * @internal
  */
-function versionOrder(a: string, b: string) {
+export function versionOrder(a: string, b: string) {
 	let aParts = a.split(".").map(s => Number.parseInt(s, 10));
 	let bParts = b.split(".").map(s => Number.parseInt(s, 10));
 
@@ -430,6 +432,18 @@ export interface FactorioServerOptions {
 	hangTimeoutMs?: number,
 }
 
+/**
+ * Details on how a running Factorio server exited
+ */
+export interface ServerExitInfo {
+	/** True if the server exited without being stopped or killed */
+	unexpected: boolean,
+	/** Exit code of the process, null if it was terminated by a signal */
+	code: number | null,
+	/** Signal that terminated the process, null if it exited by itself */
+	signal: NodeJS.Signals | null,
+}
+
 /**
  * Factorio Server interface
  *
@@ -446,7 +460,8 @@ export interface FactorioServerOptions {
  * - autosave-start - invoked when the server starts an autosave
  * - autosave-fnished - invoked when the autosave finished
  * - save-finished - invoked when the server has finished a manual save
- * - exit - invoked when the sterver has exited
+ * - exit - invoked when the sterver has exited, passed a ServerExitInfo if
+ *   the server was running.
  * @extends events.EventEmitter
  */
 export class FactorioServer extends events.EventEmitter {
@@ -487,6 +502,8 @@ export class FactorioServer extends events.EventEmitter {
 	_unexpected: string[] = [];
 	_killed = false;
 	_runningAutosave: string | null = null;
+	/** Chunked IPC messages being received by message id */
+	_ipcChunks = new Map<string, { channel: string, parts: string[], received: number, bytes: number }>();
 
 
 	/**
@@ -578,6 +595,8 @@ export class FactorioServer extends events.EventEmitter {
 
 		let type = line.subarray(channelEnd + 1, channelEnd + 2).toString("utf-8");
 		let content;
+		let bytes = line.length;
+		let payloadBytes = line.length - channelEnd - 2;
 		if (type === "j") {
 			try {
 				content = JSON.parse(line.subarray(channelEnd + 2).toString("utf-8"));
@@ -585,6 +604,25 @@ export class FactorioServer extends events.EventEmitter {
 				throw new Error(`Malformed JSON to ${channel}: ${line.subarray(channelEnd + 2).toString("utf-8")}`);
 			}
 
+		} else if (type === "c") {
+			let payload = this._handleIpcChunk(channel, line.subarray(channelEnd + 2).toString("utf-8"), line.length);
+			if (!payload) {
+				return;
+			}
+			let json: Buffer;
+			try {
+				json = await inflate(Buffer.from(payload.data, "base64"));
+			} catch (err: any) {
+				throw new Error(`Malformed compressed IPC message to ${channel}: ${err.message}`);
+			}
+			bytes = payload.bytes;
+			payloadBytes = json.length;
+			try {
+				content = JSON.parse(json.toString("utf-8"));
+			} catch (err) {
+				throw new Error(`Malformed JSON to ${channel} in compressed IPC message`);
+			}
+
 		} else if (type === "f") {
 			let fileName = line.subarray(channelEnd + 2).toString("utf-8");
 			let filePath = this.writePath("script-output", fileName);
@@ -595,7 +633,9 @@ export class FactorioServer extends events.EventEmitter {
 			}
 
 			if (fileName.endsWith(".json")) {
-				content = JSON.parse(await fs.readFile(filePath, "utf-8"));
+				let json = await fs.readFile(filePath, "utf-8");
+				payloadBytes = Buffer.byteLength(json);
+				content = JSON.parse(json);
 				await fs.unlink(filePath);
 
 			} else {
@@ -607,11 +647,57 @@ export class FactorioServer extends events.EventEmitter {
 			throw new Error(`Unknown IPC type '${type}'`);
 		}
 
+		this.emit("ipc_received", channel, bytes, payloadBytes);
 		if (!this.emit(`ipc-${channel}`, content)) {
 			this._logger.warn(`Warning: Unhandled ipc-${channel}`, { content });
 		}
 	}
 
+	/**
+	 * Store a chunk of a compressed IPC message
+	 *
+	 * Chunks are formatted as `<id>:<seq>:<total>:<data>` where id
+	 * identifies the message, seq is the 1-based position of the chunk and
+	 * total the number of chunks in the message.
+	 *
+	 * @param channel - Channel the chunk was sent on.
+	 * @param chunk - Chunk with the header.
+	 * @param lineBytes - Size of the IPC line the chunk was received in.
+	 * @returns the base64 encoded message and total bytes received for it
+	 *     if this was the last missing chunk, otherwise undefined.
+	 */
+	_handleIpcChunk(channel: string, chunk: string, lineBytes: number) {
+		let match = /^(\d+):(\d+):(\d+):/.exec(chunk);
+		if (!match) {
+			throw new Error(`Malformed IPC chunk to ${channel}`);
+		}
+		let [header, id, seq, total] = [match[0], match[1], Number(match[2]), Number(match[3])];
+		if (seq < 1 || seq > total) {
+			throw new Error(`Invalid IPC chunk ${seq} of ${total} to ${channel}`);
+		}
+
+		let message = this._ipcChunks.get(id);
+		if (!message) {
+			message = { channel, parts: new Array(total), received: 0, bytes: 0 };
+			this._ipcChunks.set(id, message);
+		}
+		if (message.channel !== channel || message.parts.length !== total) {
+			this._ipcChunks.delete(id);
+			throw new Error(`IPC chunk to ${channel} does not match previous chunks of message ${id}`);
+		}
+		if (message.parts[seq - 1] === undefined) {
+			message.parts[seq - 1] = chunk.slice(header.length);
+			message.received += 1;
+		}
+		message.bytes += lineBytes;
+		if (message.received < total) {
+			return undefined;
+		}
+
+		this._ipcChunks.delete(id);
+		return { data: message.parts.join(""), bytes: message.bytes };
+	}
+
 	_handleOutput(rawLine: Buffer, source: "stdout" | "stderr") {
 		if (rawLine.subarray(0, 6).equals(Buffer.from("\f$ipc:"))) {
 			this._handleIpc(rawLine).catch(err => this.emit("error", err));
@@ -753,10 +839,16 @@ export class FactorioServer extends events.EventEmitter {
 		this._gameReady = false;
 		this._unexpected = [];
 		this._runningAutosave = null;
+		this._ipcChunks.clear();
 	}
 
 	_watchExit() {
 		this._server!.on("exit", (code, signal) => {
+			const info: ServerExitInfo = {
+				unexpected: this._state !== "stopping" && !this._killed,
+				code,
+				signal,
+			};
 			if (this._state !== "stopping") {
 				if (signal === "SIGKILL") {
 					if (this._killed) {
@@ -793,7 +885,7 @@ export class FactorioServer extends events.EventEmitter {
 			}
 
 			this._resetState();
-			this.emit("exit");
+			this.emit("exit", info);
 		});
 		this._server!.on("error", (err: any) => {
 			if (err.code === "EACCES") {
@@ -12,6 +12,7 @@ export * from "./src/plugin";
 export * from "./src/schema";
 export * from "./src/subscriptions";
 
+export { default as CronSchedule } from "./src/CronSchedule";
 export { default as ExponentialBackoff } from "./src/ExponentialBackoff";
 export { default as RateLimiter } from "./src/RateLimiter";
 export { default as TypedEventEmitter } from "./src/TypedEventEmitter";
@@ -0,0 +1,194 @@
+const monthNames = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const dayNames = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const macros = new Map([
+	["@yearly", "0 0 1 1 *"],
+	["@annually", "0 0 1 1 *"],
+	["@monthly", "0 0 1 * *"],
+	["@weekly", "0 0 * * 0"],
+	["@daily", "0 0 * * *"],
+	["@midnight", "0 0 * * *"],
+	["@hourly", "0 * * * *"],
+]);
+
+type FieldSpec = {
+	name: string,
+	min: number,
+	max: number,
+	names?: string[],
+	namesOffset?: number,
+};
+
+const fieldSpecs: FieldSpec[] = [
+	{ name: "minute", min: 0, max: 59 },
+	{ name: "hour", min: 0, max: 23 },
+	{ name: "day of month", min: 1, max: 31 },
+	{ name: "month", min: 1, max: 12, names: monthNames, namesOffset: 1 },
+	{ name: "day of week", min: 0, max: 7, names: dayNames, namesOffset: 0 },
+];
+
+function parseValue(text: string, spec: FieldSpec) {
+	if (spec.names) {
+		let index = spec.names.indexOf(text.toLowerCase());
+		if (index !== -1) {
+			return index + spec.namesOffset!;
+		}
+	}
+	if (!/^\d+$/.test(text)) {
+		throw new Error(`Invalid value '${text}' for ${spec.name}`);
+	}
+	let value = Number.parseInt(text, 10);
+	if (value < spec.min || value > spec.max) {
+		throw new Error(`Value ${value} for ${spec.name} is out of range ${spec.min}-${spec.max}`);
+	}
+	return value;
+}
+
+function parseField(text: string, spec: FieldSpec) {
+	let values = new Set<number>();
+	for (let part of text.split(",")) {
+		let [range, stepText, ...rest] = part.split("/");
+		if (rest.length || range === "") {
+			throw new Error(`Invalid ${spec.name} '${part}'`);
+		}
+
+		let step = 1;
+		if (stepText !== undefined) {
+			if (!/^\d+$/.test(stepText) || Number.parseInt(stepText, 10) === 0) {
+				throw new Error(`Invalid step '${stepText}' for ${spec.name}`);
+			}
+			step = Number.parseInt(stepText, 10);
+		}
+
+		let start: number;
+		let end: number;
+		if (range === "*") {
+			start = spec.min;
+			end = spec.max;
+		} else if (range.includes("-")) {
+			let [startText, endText] = range.split("-");
+			start = parseValue(startText, spec);
+			end = parseValue(endText, spec);
+			if (end < start) {
+				throw new Error(`Invalid range '${range}' for ${spec.name}`);
+			}
+		} else {
+			start = parseValue(range, spec);
+			end = stepText !== undefined ? spec.max : start;
+		}
+
+		for (let value = start; value <= end; value += step) {
+			values.add(value);
+		}
+	}
+	return values;
+}
+
+/**
+ * Cron style schedule expression
+ *
+ * Parses the common five field cron syntax of minute, hour, day of month,
+ * month and day of week, with support for lists, ranges, steps, month and
+ * day names as well as the `@daily` style shorthands.  As with cron, if
+ * both day of month and day of week are restricted a time matches when
+ * either of them match.  Times are evaluated in the local time zone.
+ */
+export default class CronSchedule {
+	minutes: Set<number>;
+	hours: Set<number>;
+	daysOfMonth: Set<number>;
+	months: Set<number>;
+	daysOfWeek: Set<number>;
+
+	private _anyDayOfMonth: boolean;
+	private _anyDayOfWeek: boolean;
+
+	/**
+	 * Parse cron expression
+	 *
+	 * @param expression - Cron expression to parse.
+	 * @throws {Error} if the expression is not valid.
+	 */
+	constructor(
+		public expression: string,
+	) {
+		let normalized = expression.trim();
+		normalized = macros.get(normalized.toLowerCase()) ?? normalized;
+		let fields = normalized.split(/\s+/);
+		if (fields.length !== 5) {
+			throw new Error(`Expected 5 fields in cron expression but got ${fields.length}`);
+		}
+
+		let parsed = fields.map((field, index) => parseField(field, fieldSpecs[index]));
+		[this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] = parsed;
+		if (this.daysOfWeek.delete(7)) {
+			this.daysOfWeek.add(0);
+		}
+		this._anyDayOfMonth = fields[2].startsWith("*");
+		this._anyDayOfWeek = fields[4].startsWith("*");
+	}
+
+	/**
+	 * Check if the given expression is a valid cron expression
+	 *
+	 * @param expression - Cron expression to check.
+	 * @returns true if the expression can be parsed.
+	 */
+	static isValid(expression: string) {
+		try {
+			// eslint-disable-next-line no-new
+			new CronSchedule(expression);
+			return true;
+		} catch (err) {
+			return false;
+		}
+	}
+
+	private _matchesDay(date: Date) {
+		if (!this.months.has(date.getMonth() + 1)) {
+			return false;
+		}
+		let dayOfMonth = this.daysOfMonth.has(date.getDate());
+		let dayOfWeek = this.daysOfWeek.has(date.getDay());
+		if (!this._anyDayOfMonth && !this._anyDayOfWeek) {
+			return dayOfMonth || dayOfWeek;
+		}
+		return dayOfMonth && dayOfWeek;
+	}
+
+	/**
+	 * Compute the next time this schedule triggers
+	 *
+	 * @param afterMs -
+	 *     Millisecond Unix timestamp to search from, the returned time will
+	 *     be strictly after this.
+	 * @returns
+	 *     Millisecond Unix timestamp of the next matching minute, or null if
+	 *     the schedule never matches (e.g. 30th of February).
+	 */
+	next(afterMs: number = Date.now()) {
+		let date = new Date(afterMs);
+		date.setSeconds(0, 0);
+		date.setMinutes(date.getMinutes() + 1);
+
+		// Search at most 8 years ahead, enough to find any leap day.
+		let limitMs = afterMs + 8 * 366 * 24 * 60 * 60e3;
+		while (date.getTime() <= limitMs) {
+			if (!this._matchesDay(date)) {
+				date.setDate(date.getDate() + 1);
+				date.setHours(0, 0, 0, 0);
+				continue;
+			}
+			if (!this.hours.has(date.getHours())) {
+				date.setHours(date.getHours() + 1, 0, 0, 0);
+				continue;
+			}
+			if (!this.minutes.has(date.getMinutes())) {
+				date.setMinutes(date.getMinutes() + 1, 0, 0);
+				continue;
+			}
+			return date.getTime();
+		}
+		return null;
+	}
+}
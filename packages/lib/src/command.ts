@@ -278,3 +278,59 @@ export async function retrieveRole(client: Link, roleName: string) {
 
 	return resolvedRole;
 }
+
+/**
+ * Retrieve scheduled task object from string
+ *
+ * Resolves a string with either a scheduled task name or an id into an
+ * object representing the scheduled task.
+ *
+ * @param client - link to controller to query scheduled task on.
+ * @param taskName - string with name or id of scheduled task.
+ * @returns Scheduled task.
+ */
+export async function retrieveScheduledTask(client: Link, taskName: string) {
+	let tasks = await client.sendTo("controller", new libData.ScheduledTaskListRequest());
+
+	let resolvedTask: libData.ScheduledTask | undefined;
+	if (/^-?\d+$/.test(taskName)) {
+		let taskId = parseInt(taskName, 10);
+		resolvedTask = tasks.find(task => task.id === taskId);
+	} else {
+		resolvedTask = tasks.find(task => task.name === taskName);
+	}
+
+	if (!resolvedTask) {
+		throw new libErrors.CommandError(`No scheduled task named ${taskName}`);
+	}
+
+	return resolvedTask;
+}
+
+/**
+ * Retrieve webhook object from string
+ *
+ * Resolves a string with either a webhook name or an id into an object
+ * representing the webhook.
+ *
+ * @param client - link to controller to query webhook on.
+ * @param webhookName - string with name or id of webhook.
+ * @returns Webhook.
+ */
+export async function retrieveWebhook(client: Link, webhookName: string) {
+	let webhooks = await client.sendTo("controller", new libData.WebhookListRequest());
+
+	let resolvedWebhook: libData.Webhook | undefined;
+	if (/^-?\d+$/.test(webhookName)) {
+		let webhookId = parseInt(webhookName, 10);
+		resolvedWebhook = webhooks.find(webhook => webhook.id === webhookId);
+	} else {
+		resolvedWebhook = webhooks.find(webhook => webhook.name === webhookName);
+	}
+
+	if (!resolvedWebhook) {
+		throw new libErrors.CommandError(`No webhook named ${webhookName}`);
+	}
+
+	return resolvedWebhook;
+}
@@ -7,6 +7,7 @@ export interface ControllerConfigFields {
 	"controller.name": string;
 	"controller.mods_directory": string;
 	"controller.database_directory": string;
+	"controller.storage_backend": string;
 	"controller.http_port": number | null;
 	"controller.https_port": number | null;
 	"controller.bind_address": string | null;
@@ -23,6 +24,24 @@ export interface ControllerConfigFields {
 	"controller.default_mod_pack_id": number | null;
 	"controller.default_role_id": number | null;
 	"controller.autosave_interval": number;
+	"controller.backup_directory": string;
+	"controller.backup_interval": number | null;
+	"controller.backup_versions": number;
+	"controller.audit_log_retention": number | null;
+	"controller.login_session_duration": number | null;
+	"controller.login_max_attempts": number;
+	"controller.login_lockout_duration": number;
+	"controller.oidc_issuer": string | null;
+	"controller.oidc_client_id": string | null;
+	"controller.oidc_client_secret": string | null;
+	"controller.oidc_button_text": string;
+	"controller.oidc_scopes": string;
+	"controller.oidc_username_claim": string;
+	"controller.oidc_groups_claim": string | null;
+	"controller.oidc_role_mapping": Record<string, number[]>;
+	"controller.oidc_create_users": boolean;
+	"controller.placement_strategy": string;
+	"controller.restart_countdown_message": string;
 }
 
 /**
@@ -51,12 +70,147 @@ export class ControllerConfig extends classes.Config<ControllerConfigFields> {
 			type: "string",
 			initialValue: "database",
 		},
+		"controller.storage_backend": {
+			title: "Storage Backend",
+			description:
+				"Backend used to store data in the database directory, either sqlite for an embedded SQLite " +
+				"database or json for a JSON file per table.",
+			restartRequired: true,
+			type: "string",
+			enum: ["sqlite", "json"],
+			initialValue: "sqlite",
+		},
 		"controller.autosave_interval": {
 			title: "Autosave Interval",
 			description: "Interval in seconds to autosave data in memory to disk.",
 			type: "number",
 			initialValue: 60,
 		},
+		"controller.backup_directory": {
+			title: "Backup Directory",
+			description: "Path to directory where backups of instance saves are stored.",
+			restartRequired: true,
+			type: "string",
+			initialValue: "backups",
+		},
+		"controller.backup_interval": {
+			title: "Backup Interval",
+			description:
+				"Interval in minutes to back up the newest save of each instance to the controller, " +
+				"set to null to disable automatic backups.",
+			type: "number",
+			optional: true,
+		},
+		"controller.backup_versions": {
+			title: "Backup Versions",
+			description: "Number of backups to keep of each instance, older backups are removed as new ones are made.",
+			type: "number",
+			initialValue: 5,
+		},
+		"controller.audit_log_retention": {
+			title: "Audit Log Retention",
+			description:
+				"Number of days to keep entries in the audit log for, set to null to keep entries forever.",
+			type: "number",
+			optional: true,
+			initialValue: 90,
+		},
+		"controller.login_session_duration": {
+			title: "Login Session Duration",
+			description:
+				"Number of hours a session from logging in with a password is valid for, set to null for sessions " +
+				"that never expire.",
+			type: "number",
+			optional: true,
+			initialValue: 168,
+		},
+		"controller.login_max_attempts": {
+			title: "Login Max Attempts",
+			description: "Number of failed password logins in a row before logging in to the user is locked.",
+			type: "number",
+			initialValue: 5,
+		},
+		"controller.login_lockout_duration": {
+			title: "Login Lockout Duration",
+			description: "Number of minutes password login to a user is locked for after too many failed attempts.",
+			type: "number",
+			initialValue: 15,
+		},
+		"controller.oidc_issuer": {
+			title: "OIDC Issuer",
+			description:
+				"URL of the OpenID Connect provider to offer single sign-on to the Web UI with, set to null to " +
+				"disable single sign-on.",
+			type: "string",
+			optional: true,
+		},
+		"controller.oidc_client_id": {
+			title: "OIDC Client ID",
+			description: "Client ID the controller is registered with at the OpenID Connect provider.",
+			type: "string",
+			optional: true,
+		},
+		"controller.oidc_client_secret": {
+			access: ["controller"],
+			title: "OIDC Client Secret",
+			description: "Client secret the controller is registered with at the OpenID Connect provider.",
+			type: "string",
+			optional: true,
+		},
+		"controller.oidc_button_text": {
+			title: "OIDC Button Text",
+			description: "Text of the single sign-on button on the Web UI login page.",
+			type: "string",
+			initialValue: "Log in with single sign-on",
+		},
+		"controller.oidc_scopes": {
+			title: "OIDC Scopes",
+			description: "Space separated scopes to request from the OpenID Connect provider.",
+			type: "string",
+			initialValue: "openid profile",
+		},
+		"controller.oidc_username_claim": {
+			title: "OIDC Username Claim",
+			description:
+				"Claim of the ID token holding the Factorio user name to link the identity to the first time it " +
+				"logs in.  Only use a claim users can not choose freely at the provider.",
+			type: "string",
+			initialValue: "sub",
+		},
+		"controller.oidc_groups_claim": {
+			title: "OIDC Groups Claim",
+			description:
+				"Claim of the ID token holding the list of groups of the user, set to null to not map groups to " +
+				"roles.",
+			type: "string",
+			optional: true,
+			initialValue: "groups",
+		},
+		"controller.oidc_role_mapping": {
+			title: "OIDC Role Mapping",
+			description:
+				"Object mapping group names to arrays of role IDs to grant to members of the group when they log in.",
+			type: "object",
+			initialValue: {},
+		},
+		"controller.oidc_create_users": {
+			title: "OIDC Create Users",
+			description: "Create users logging in with single sign-on that do not exist in the cluster.",
+			type: "boolean",
+			initialValue: true,
+		},
+		"controller.placement_strategy": {
+			title: "Placement Strategy",
+			description: "Strategy used to pick the host when an instance is assigned automatically.",
+			type: "string",
+			initialValue: "fewest_instances",
+		},
+		"controller.restart_countdown_message": {
+			title: "Restart Countdown Message",
+			description: "Message announced on instances while counting down to a restart, {time} is the time left.",
+			type: "string",
+			initialValue: "Cluster controller is restarting in {time}",
+		},
 		"controller.http_port": {
 			title: "HTTP Port",
 			description: "Port to listen for HTTP connections on, set to null to not listen for HTTP connections.",
@@ -256,9 +410,18 @@ export class HostConfig extends classes.Config<HostConfigFields> {
 
 export interface InstanceConfigFields {
 	"instance.name": string;
+	"instance.tags": string | null;
 	"instance.id": number;
 	"instance.assigned_host": number | null;
 	"instance.auto_start": boolean;
+	"instance.restart_policy": "never" | "on-failure" | "always";
+	"instance.restart_max_retries": number | null;
+	"instance.restart_max_delay": number;
+	"instance.save_retention_keep_last": number | null;
+	"instance.save_retention_daily_days": number | null;
+	"instance.save_retention_weekly_days": number | null;
+	"instance.save_retention_max_size": number | null;
+	"instance.stop_countdown_message": string;
 
 	"factorio.version": string;
 	"factorio.game_port": number | null;
@@ -291,6 +454,11 @@ export class InstanceConfig extends classes.Config<InstanceConfigFields> {
 			type: "string",
 			initialValue: "New Instance",
 		},
+		"instance.tags": {
+			description: "Comma separated list of tags, used to give roles scoped to a tag access to this instance",
+			type: "string",
+			optional: true,
+		},
 		"instance.id": {
 			description: "ID of the instance",
 			type: "number",
@@ -305,10 +473,55 @@ export class InstanceConfig extends classes.Config<InstanceConfigFields> {
 			type: "boolean",
 			initialValue: false,
 		},
+		"instance.restart_policy": {
+			description:
+				"Restart the instance from the latest save if the server exits without being stopped, " +
+				"on-failure only restarts if the server exited with an error",
+			type: "string",
+			enum: ["never", "on-failure", "always"],
+			initialValue: "never",
+		},
+		"instance.restart_max_retries": {
+			description: "Maximum number of restarts in a row before giving up, null for no limit",
+			type: "number",
+			optional: true,
+			initialValue: 5,
+		},
+		"instance.restart_max_delay": {
+			description: "Maximum delay in seconds to wait before restarting, doubles with each restart in a row",
+			type: "number",
+			initialValue: 300,
+		},
+		"instance.save_retention_keep_last": {
+			description: "Number of most recent saves to keep when pruning saves, null to not keep saves by count",
+			type: "number",
+			optional: true,
+		},
+		"instance.save_retention_daily_days": {
+			description: "Keep the newest save of each day for this many days when pruning saves",
+			type: "number",
+			optional: true,
+		},
+		"instance.save_retention_weekly_days": {
+			description: "Keep the newest save of each week for this many days when pruning saves",
+			type: "number",
+			optional: true,
+		},
+		"instance.save_retention_max_size": {
+			description: "Maximum total size in MB of saves to keep when pruning saves, null for no limit",
+			type: "number",
+			optional: true,
+		},
+		"instance.stop_countdown_message": {
+			description: "Message announced in-game while counting down to stopping, {time} is the time remaining",
+			type: "string",
+			initialValue: "Server is shutting down in {time}",
+		},
 		"factorio.version": {
 			description: "Version of the game to run, use latest to run the latest installed version",
 			restartRequired: true,
 			type: "string",
+			inputComponent: "factorio_version",
 			initialValue: "latest",
 		},
 		"factorio.game_port": {
@@ -1,8 +1,39 @@
 import { Static, Type } from "@sinclair/typebox";
 import { permissions as globalPermissions } from "../permissions";
 
+/**
+ * Instance a permission is checked for when checking instance scoped roles
+ */
+export interface InstanceScopeTarget {
+	id: number;
+	tags: string[];
+}
+
+/**
+ * Check if an instance is within the instance scope of a role
+ *
+ * @param role - Role to check the scope of.
+ * @param instance - Instance to check.
+ * @returns true if the role has no instance scope, or if the instance is
+ *     one of the instances of the scope or has one of its tags.
+ */
+export function instanceInRoleScope(
+	role: { instanceIds?: number[], instanceTags?: string[] },
+	instance: InstanceScopeTarget,
+) {
+	const instanceIds = role.instanceIds ?? [];
+	const instanceTags = role.instanceTags ?? [];
+	if (!instanceIds.length && !instanceTags.length) {
+		return true;
+	}
+	return instanceIds.includes(instance.id) || instanceTags.some(tag => instance.tags.includes(tag));
+}
+
 /**
  * Represents a collection of granted permissions
+ *
+ * A role may be scoped to a set of instances, in which case the
+ * core.instance.* permissions it grants only apply to those instances.
  */
 export default class Role {
 	constructor(
@@ -10,6 +41,10 @@ export default class Role {
 		public name: string,
 		public description: string,
 		public permissions: Set<string>,
+		/** IDs of instances the instance permissions are limited to */
+		public instanceIds: number[] = [],
+		/** Instance tags the instance permissions are limited to */
+		public instanceTags: string[] = [],
 	) { }
 
 	static jsonSchema = Type.Object({
@@ -17,6 +52,8 @@ export default class Role {
 		name: Type.String(),
 		description: Type.String(),
 		permissions: Type.Array(Type.String()),
+		instanceIds: Type.Optional(Type.Array(Type.Integer())),
+		instanceTags: Type.Optional(Type.Array(Type.String())),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
@@ -25,16 +62,65 @@ export default class Role {
 			json.name,
 			json.description,
 			new Set(json.permissions),
+			json.instanceIds,
+			json.instanceTags,
 		);
 	}
 
 	toJSON() {
-		return {
+		let json: Static<typeof Role.jsonSchema> = {
 			id: this.id,
 			name: this.name,
 			description: this.description,
 			permissions: [...this.permissions],
 		};
+		if (this.instanceIds.length) {
+			json.instanceIds = this.instanceIds;
+		}
+		if (this.instanceTags.length) {
+			json.instanceTags = this.instanceTags;
+		}
+		return json;
+	}
+
+	/** True if the instance permissions of this role are limited to some instances */
+	get isInstanceScoped() {
+		return this.instanceIds.length > 0 || this.instanceTags.length > 0;
+	}
+
+	/**
+	 * Check if this role grants a permission
+	 *
+	 * @param permission - Permission to check for.
+	 * @param instance -
+	 *     Instance the permission is used on.  If the role is scoped to
+	 *     other instances it does not grant core.instance.* permissions for
+	 *     it.
+	 * @returns true if the permission is granted.
+	 */
+	grants(permission: string, instance?: InstanceScopeTarget) {
+		if (!this.permissions.has("core.admin") && !this.permissions.has(permission)) {
+			return false;
+		}
+		if (instance && permission.startsWith("core.instance.")) {
+			return instanceInRoleScope(this, instance);
+		}
+		return true;
+	}
+
+	/**
+	 * Details of this role sent to control connections of users with it
+	 *
+	 * @returns role as sent in account details and updates.
+	 */
+	toAccountRole() {
+		return {
+			name: this.name,
+			id: this.id,
+			permissions: [...this.permissions],
+			instanceIds: this.instanceIds,
+			instanceTags: this.instanceTags,
+		};
 	}
 
 	grantDefaultPermissions() {
@@ -1,6 +1,54 @@
 import { Static, Type } from "@sinclair/typebox";
 
 import PlayerStats from "./PlayerStats";
+import type { InstanceScopeTarget } from "./Role";
+
+/**
+ * Entry in the record of bans and unbans of a user
+ */
+export class UserBanHistoryEntry {
+	constructor(
+		/** Ban issued, ban lifted by a user, or ban lifted by reaching its expiry */
+		public action: "ban" | "unban" | "expire",
+		/** Millisecond Unix timestamp the action happened at */
+		public timestampMs: number,
+		/** Name of user that performed the action, not set for expired bans */
+		public by?: string,
+		/** Reason given for the ban */
+		public reason?: string,
+		/** Millisecond Unix timestamp the ban was set to expire at */
+		public expiresAtMs?: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"action": Type.Union([Type.Literal("ban"), Type.Literal("unban"), Type.Literal("expire")]),
+		"timestampMs": Type.Number(),
+		"by": Type.Optional(Type.String()),
+		"reason": Type.Optional(Type.String()),
+		"expiresAtMs": Type.Optional(Type.Number()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.action, json.timestampMs, json.by, json.reason, json.expiresAtMs);
+	}
+
+	toJSON() {
+		let json: Static<typeof UserBanHistoryEntry.jsonSchema> = {
+			action: this.action,
+			timestampMs: this.timestampMs,
+		};
+		if (this.by !== undefined) {
+			json.by = this.by;
+		}
+		if (this.reason !== undefined) {
+			json.reason = this.reason;
+		}
+		if (this.expiresAtMs !== undefined) {
+			json.expiresAtMs = this.expiresAtMs;
+		}
+		return json;
+	}
+}
 
 /**
  * Represeents a user in the cluster
@@ -8,6 +56,9 @@ import PlayerStats from "./PlayerStats";
  * Holds data about a Factorio user in the cluster.
  */
 export default class User {
+	/** Maximum number of entries kept in the ban history of a user */
+	static banHistoryLimit = 50;
+
 	constructor(
 		/** Factorio user name.  */
 		public name: string,
@@ -31,6 +82,16 @@ export default class User {
 		public playerStats = new PlayerStats(),
 		/** Per instance statistics for the player this user account is tied to.  */
 		public instanceStats = new Map<number, PlayerStats>(),
+		/** True if the user can log in to the Web UI with a password.  */
+		public hasPassword = false,
+		/** Millisecond Unix timestamp password login is locked until after too many failed attempts.  */
+		public loginLockedUntilMs = 0,
+		/** Millisecond Unix timestamp the ban is lifted at, or 0 if it is permanent.  */
+		public banExpiresAtMs = 0,
+		/** Name of the user that issued the current ban.  */
+		public bannedBy = "",
+		/** Past bans and unbans of this user, oldest first.  */
+		public banHistory: UserBanHistoryEntry[] = [],
 	) {
 	}
 
@@ -49,6 +110,11 @@ export default class User {
 				Type.Tuple([Type.Integer(), PlayerStats.jsonSchema]),
 			)
 		),
+		has_password: Type.Optional(Type.Boolean()),
+		login_locked_until_ms: Type.Optional(Type.Number()),
+		ban_expires_at_ms: Type.Optional(Type.Number()),
+		banned_by: Type.Optional(Type.String()),
+		ban_history: Type.Optional(Type.Array(UserBanHistoryEntry.jsonSchema)),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>, _hack?: any) {
@@ -71,6 +137,11 @@ export default class User {
 			json.is_deleted,
 			playerStats,
 			instanceStats,
+			json.has_password,
+			json.login_locked_until_ms,
+			json.ban_expires_at_ms,
+			json.banned_by,
+			(json.ban_history ?? []).map(entry => UserBanHistoryEntry.fromJSON(entry)),
 		);
 	}
 
@@ -115,9 +186,61 @@ export default class User {
 			json.instance_stats = [...this.instanceStats].map(([id, stats]) => [id, stats.toJSON()]);
 		}
 
+		if (this.hasPassword) {
+			json.has_password = true;
+		}
+
+		if (this.loginLockedUntilMs) {
+			json.login_locked_until_ms = this.loginLockedUntilMs;
+		}
+
+		if (this.banExpiresAtMs) {
+			json.ban_expires_at_ms = this.banExpiresAtMs;
+		}
+
+		if (this.bannedBy) {
+			json.banned_by = this.bannedBy;
+		}
+
+		if (this.banHistory.length) {
+			json.ban_history = this.banHistory.map(entry => entry.toJSON());
+		}
+
 		return json;
 	}
 
+	/**
+	 * Ban or unban the user and record it in the ban history
+	 *
+	 * Unbanning a user that is not banned is not recorded.
+	 *
+	 * @param banned - True to ban the user, false to lift the ban.
+	 * @param reason - Reason for the ban.
+	 * @param by - Name of user issuing the action, undefined if it is the
+	 *     ban expiring.
+	 * @param expiresAtMs -
+	 *     Millisecond Unix timestamp the ban expires at, or 0 for a
+	 *     permanent ban.
+	 */
+	setBanned(banned: boolean, reason: string, by?: string, expiresAtMs = 0) {
+		const wasBanned = this.isBanned;
+		this.isBanned = banned;
+		this.banReason = banned ? reason : "";
+		this.bannedBy = banned ? by ?? "" : "";
+		this.banExpiresAtMs = banned ? expiresAtMs : 0;
+		if (!banned && !wasBanned) {
+			return;
+		}
+		let action: UserBanHistoryEntry["action"] = "ban";
+		if (!banned) {
+			action = by === undefined ? "expire" : "unban";
+		}
+		this.banHistory.push(new UserBanHistoryEntry(
+			action, Date.now(), by, banned && reason ? reason : undefined, this.banExpiresAtMs || undefined,
+		));
+		this.banHistory.splice(0, this.banHistory.length - User.banHistoryLimit);
+	}
+
 	recalculatePlayerStats() {
 		this.playerStats = User._calculatePlayerStats(this.instanceStats);
 	}
@@ -165,8 +288,11 @@ export interface IControllerUser extends User {
 	 * "Permission denied" error is thrown.
 	 *
 	 * @param permission - The permission to check for.
+	 * @param instance -
+	 *     Instance the permission is used on, roles scoped to other
+	 *     instances do not grant core.instance.* permissions for it.
 	 * @throws {Error} If the given permission does not exist.
 	 * @throws {libErrors.PermissionError} if the user does noh have the given permission.
 	 */
-	checkPermission(permission: string): void
+	checkPermission(permission: string, instance?: InstanceScopeTarget): void
 }
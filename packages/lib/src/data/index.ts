@@ -9,13 +9,17 @@ export { default as ModPack, ModSetting, ModRecord } from "./ModPack";
 export { default as ModuleInfo } from "./ModuleInfo";
 export { default as Permission } from "./Permission";
 export { default as PlayerStats } from "./PlayerStats";
-export { default as Role } from "./Role";
-export { default as User, IControllerUser } from "./User";
+export { default as Role, InstanceScopeTarget, instanceInRoleScope } from "./Role";
+export { default as User, IControllerUser, UserBanHistoryEntry } from "./User";
 export * from "./composites";
+export * from "./messages_audit";
+export * from "./messages_backup";
 export * from "./messages_core";
 export * from "./messages_controller";
 export * from "./messages_host";
 export * from "./messages_instance";
 export * from "./messages_mod";
+export * from "./messages_schedule";
 export * from "./messages_user";
+export * from "./messages_webhook";
 export * from "./version";
@@ -0,0 +1,105 @@
+import { Type, Static } from "@sinclair/typebox";
+import { StringEnum, jsonArray } from "./composites";
+
+
+export type AuditResult = "success" | "error" | "denied";
+
+/**
+ * Record of a permission checked request made by a user
+ */
+export class AuditLogEntry {
+	constructor(
+		/** Millisecond Unix timestamp the request was received at */
+		public timestampMs: number,
+		/** Name of the user that made the request */
+		public user: string,
+		/** Name of the request made */
+		public action: string,
+		/**
+		 * What the request acted on, one of "controller", "host:<id>" or
+		 * "instance:<id>".
+		 */
+		public target: string,
+		/** Data sent with the request */
+		public parameters: unknown,
+		public result: AuditResult,
+		/** Error message if the result is error or denied */
+		public error?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"timestampMs": Type.Number(),
+		"user": Type.String(),
+		"action": Type.String(),
+		"target": Type.String(),
+		"parameters": Type.Optional(Type.Unknown()),
+		"result": StringEnum(["success", "error", "denied"]),
+		"error": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.timestampMs,
+			json.user,
+			json.action,
+			json.target,
+			json.parameters,
+			json.result,
+			json.error,
+		);
+	}
+}
+
+/**
+ * Query the audit log
+ *
+ * Filters that are not set match all entries.  Responds with up to limit
+ * entries ordered by their timestamp.
+ */
+export class AuditLogQueryRequest {
+	declare ["constructor"]: typeof AuditLogQueryRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.audit.query" as const;
+
+	constructor(
+		public limit: number,
+		public order: "asc" | "desc",
+		public user?: string,
+		/** Name of request to match */
+		public action?: string,
+		public target?: string,
+		public result?: AuditResult,
+		/** Only match entries at or after this millisecond Unix timestamp */
+		public sinceMs?: number,
+		/** Only match entries before this millisecond Unix timestamp */
+		public untilMs?: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"limit": Type.Integer(),
+		"order": StringEnum(["asc", "desc"]),
+		"user": Type.Optional(Type.String()),
+		"action": Type.Optional(Type.String()),
+		"target": Type.Optional(Type.String()),
+		"result": Type.Optional(StringEnum(["success", "error", "denied"])),
+		"sinceMs": Type.Optional(Type.Number()),
+		"untilMs": Type.Optional(Type.Number()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.limit,
+			json.order,
+			json.user,
+			json.action,
+			json.target,
+			json.result,
+			json.sinceMs,
+			json.untilMs,
+		);
+	}
+
+	static Response = jsonArray(AuditLogEntry);
+}
@@ -0,0 +1,165 @@
+import { Type, Static } from "@sinclair/typebox";
+import { JsonString, jsonArray } from "./composites";
+
+
+/**
+ * Copy of an instance save stored on the controller
+ */
+export class SaveBackup {
+	constructor(
+		public id: number,
+		/** Instance the save was backed up from */
+		public instanceId: number,
+		/** Name of the save on the instance */
+		public name: string,
+		/** SHA1 hash of the save file, backups with identical content share storage */
+		public hash: string,
+		public size: number,
+		/** Millisecond Unix timestamp the save was last modified at on the host */
+		public mtimeMs: number,
+		/** Millisecond Unix timestamp the backup was made at */
+		public createdAtMs: number,
+		/** Millisecond Unix timestamp this entry was last updated at */
+		public updatedAtMs = 0,
+		public isDeleted = false,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+		"instanceId": Type.Integer(),
+		"name": Type.String(),
+		"hash": Type.String(),
+		"size": Type.Integer(),
+		"mtimeMs": Type.Number(),
+		"createdAtMs": Type.Number(),
+		"updatedAtMs": Type.Optional(Type.Number()),
+		"isDeleted": Type.Optional(Type.Boolean()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.id,
+			json.instanceId,
+			json.name,
+			json.hash,
+			json.size,
+			json.mtimeMs,
+			json.createdAtMs,
+			json.updatedAtMs,
+			json.isDeleted,
+		);
+	}
+}
+
+export class SaveBackupListRequest {
+	declare ["constructor"]: typeof SaveBackupListRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.backup.list" as const;
+	static Response = jsonArray(SaveBackup);
+}
+
+/**
+ * Back up a save of an instance to the controller
+ *
+ * If no save name is given the newest save of the instance is backed up.
+ * Responds with the backup made, or the existing backup if the save is
+ * identical to the latest backup of the instance.
+ */
+export class SaveBackupCreateRequest {
+	declare ["constructor"]: typeof SaveBackupCreateRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.backup.create" as const;
+
+	constructor(
+		public instanceId: number,
+		public name?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"instanceId": Type.Integer(),
+		"name": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.instanceId, json.name);
+	}
+
+	static Response = SaveBackup;
+}
+
+/**
+ * Restore a backup as a save on an instance
+ *
+ * Defaults to restoring to the instance and save name the backup was made
+ * from.  If a save with the name already exists the restored save is
+ * given a new name.  Responds with the name of the restored save.
+ */
+export class SaveBackupRestoreRequest {
+	declare ["constructor"]: typeof SaveBackupRestoreRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.backup.restore" as const;
+
+	constructor(
+		public id: number,
+		public instanceId?: number,
+		public name?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+		"instanceId": Type.Optional(Type.Integer()),
+		"name": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.id, json.instanceId, json.name);
+	}
+
+	static Response = JsonString;
+}
+
+export class SaveBackupDeleteRequest {
+	declare ["constructor"]: typeof SaveBackupDeleteRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.backup.delete" as const;
+
+	constructor(
+		public id: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.id);
+	}
+}
+
+export class SaveBackupUpdatesEvent {
+	declare ["constructor"]: typeof SaveBackupUpdatesEvent;
+	static type = "event" as const;
+	static src = "controller" as const;
+	static dst = "control" as const;
+	static permission = "core.backup.subscribe" as const;
+
+	constructor(
+		public updates: SaveBackup[],
+	) { }
+
+	static jsonSchema = Type.Object({
+		"updates": Type.Array(SaveBackup.jsonSchema),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.updates.map(update => SaveBackup.fromJSON(update)));
+	}
+}
@@ -17,6 +17,27 @@ export class ControllerRestartRequest {
 	static src = "control" as const;
 	static dst = "controller" as const;
 	static permission = "core.controller.restart" as const;
+
+	constructor(
+		/** Seconds to count down in-game before restarting, skipped if no players are online */
+		public delaySeconds = 0,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"delaySeconds": Type.Optional(Type.Number()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.delaySeconds);
+	}
+}
+
+export class ControllerCancelRestartRequest {
+	declare ["constructor"]: typeof ControllerCancelRestartRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.controller.restart" as const;
 }
 
 export class ControllerConfigGetRequest {
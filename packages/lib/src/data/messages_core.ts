@@ -282,8 +282,20 @@ export type AccountRole = {
 	name: string;
 	id: number;
 	permissions: string[];
+	/** IDs of instances the core.instance.* permissions of the role are limited to */
+	instanceIds?: number[];
+	/** Instance tags the core.instance.* permissions of the role are limited to */
+	instanceTags?: string[];
 };
 
+const AccountRoleSchema = Type.Object({
+	"name": Type.String(),
+	"id": Type.Integer(),
+	"permissions": Type.Array(Type.String()),
+	"instanceIds": Type.Optional(Type.Array(Type.Integer())),
+	"instanceTags": Type.Optional(Type.Array(Type.String())),
+});
+
 export class AccountDetails {
 	constructor(
 		public name: string,
@@ -292,13 +304,7 @@ export class AccountDetails {
 
 	static jsonSchema = Type.Object({
 		"name": Type.String(),
-		"roles": Type.Array(
-			Type.Object({
-				"name": Type.String(),
-				"id": Type.Integer(),
-				"permissions": Type.Array(Type.String()),
-			}),
-		),
+		"roles": Type.Array(AccountRoleSchema),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
@@ -641,13 +647,7 @@ export class AccountUpdateEvent {
 	) { }
 
 	static jsonSchema = Type.Object({
-		roles: Type.Array(
-			Type.Object({
-				name: Type.String(),
-				id: Type.Integer(),
-				permissions: Type.Array(Type.String()),
-			}),
-		),
+		roles: Type.Array(AccountRoleSchema),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
@@ -1,7 +1,9 @@
 import { Type, Static } from "@sinclair/typebox";
-import { jsonArray, plainJson, StringEnum } from "./composites";
+import { JsonString, jsonArray, plainJson, StringEnum } from "./composites";
 import { CollectorResultSerialized } from "../prometheus";
 import { HostConfig } from "../config/definitions";
+import type { IControllerUser } from "./User";
+import type { MessageRequest } from "./messages_core";
 
 export class HostStopRequest {
 	declare ["constructor"]: typeof HostStopRequest;
@@ -17,6 +19,27 @@ export class HostRestartRequest {
 	static src = ["control", "controller"] as const;
 	static dst = "host" as const;
 	static permission = "core.host.restart" as const;
+
+	constructor(
+		/** Seconds to count down in-game before restarting, skipped if no players are online */
+		public delaySeconds = 0,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"delaySeconds": Type.Optional(Type.Number()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.delaySeconds);
+	}
+}
+
+export class HostCancelRestartRequest {
+	declare ["constructor"]: typeof HostCancelRestartRequest;
+	static type = "request" as const;
+	static src = ["control", "controller"] as const;
+	static dst = "host" as const;
+	static permission = "core.host.restart" as const;
 }
 
 export class HostConfigGetRequest {
@@ -86,6 +109,10 @@ export class HostDetails {
 		/** Millisecond Unix timestamp this entry was last updated at */
 		public updatedAtMs = 0,
 		public isDeleted = false,
+		/** True if the host is being drained for maintenance */
+		public draining = false,
+		/** Versions of Factorio installed on the host, newest first */
+		public factorioVersions: string[] = [],
 	) { }
 
 	static jsonSchema = Type.Object({
@@ -98,6 +125,8 @@ export class HostDetails {
 		"tokenValidAfter": Type.Optional(Type.Number()),
 		"updatedAtMs": Type.Optional(Type.Number()),
 		"isDeleted": Type.Optional(Type.Boolean()),
+		"draining": Type.Optional(Type.Boolean()),
+		"factorioVersions": Type.Optional(Type.Array(Type.String())),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
@@ -111,6 +140,8 @@ export class HostDetails {
 			json.tokenValidAfter,
 			json.updatedAtMs,
 			json.isDeleted,
+			json.draining,
+			json.factorioVersions,
 		);
 	}
 }
@@ -128,17 +159,21 @@ export class HostInfoUpdate {
 	constructor(
 		public name: string,
 		public publicAddress: string,
+		/** Versions of Factorio installed on the host, newest first */
+		public factorioVersions: string[] = [],
 	) { }
 
 	static jsonSchema = Type.Object({
 		"name": Type.String(),
 		"publicAddress": Type.String(),
+		"factorioVersions": Type.Optional(Type.Array(Type.String())),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
 		return new this(
 			json.name,
 			json.publicAddress,
+			json.factorioVersions,
 		);
 	}
 }
@@ -280,3 +315,129 @@ export class HostRevokeTokensRequest {
 		return new this(json.hostId);
 	}
 }
+
+export const HostDrainAction = StringEnum(["none", "stop", "migrate"]);
+export type HostDrainAction = Static<typeof HostDrainAction>;
+
+/**
+ * Start or stop draining a host
+ *
+ * A draining host can not be assigned instances and does not auto start
+ * instances.  When starting a drain the instances running on the host can
+ * optionally be stopped or migrated to other hosts after a countdown
+ * announced in-game.  The countdown is cancelled if the drain is stopped
+ * before it completes.
+ */
+export class HostDrainRequest {
+	declare ["constructor"]: typeof HostDrainRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission(user: IControllerUser, message: MessageRequest) {
+		user.checkPermission("core.host.drain");
+		if (typeof message.data === "object" && message.data !== null) {
+			const data = message.data as Static<typeof HostDrainRequest.jsonSchema>;
+			if (data.action === "stop") {
+				user.checkPermission("core.instance.stop");
+			} else if (data.action === "migrate") {
+				user.checkPermission("core.instance.migrate");
+			}
+		}
+	}
+
+	constructor(
+		public hostId: number,
+		public draining: boolean,
+		/** What to do with instances running on the host */
+		public action: HostDrainAction = "none",
+		/** Seconds to count down in-game before stopping or migrating instances */
+		public countdownSeconds = 0,
+		/** Host to migrate instances to, picked automatically if not set */
+		public targetHostId?: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"hostId": Type.Integer(),
+		"draining": Type.Boolean(),
+		"action": HostDrainAction,
+		"countdownSeconds": Type.Number(),
+		"targetHostId": Type.Optional(Type.Integer()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.hostId, json.draining, json.action, json.countdownSeconds, json.targetHostId);
+	}
+}
+
+/**
+ * Install a version of Factorio on a host
+ *
+ * The archive of the headless server is downloaded by the host from the
+ * given url, or from the controller stream with the given ID.
+ */
+export class HostFactorioVersionInstallRequest {
+	declare ["constructor"]: typeof HostFactorioVersionInstallRequest;
+	static type = "request" as const;
+	static src = ["control", "controller"] as const;
+	static dst = "host" as const;
+	static permission = "core.host.install_factorio" as const;
+
+	constructor(
+		public url?: string,
+		public streamId?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"url": Type.Optional(Type.String()),
+		"streamId": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.url, json.streamId);
+	}
+
+	/** Version of Factorio installed */
+	static Response = JsonString;
+}
+
+export class HostFactorioVersionRemoveRequest {
+	declare ["constructor"]: typeof HostFactorioVersionRemoveRequest;
+	static type = "request" as const;
+	static src = ["control", "controller"] as const;
+	static dst = "host" as const;
+	static permission = "core.host.remove_factorio" as const;
+
+	constructor(
+		public version: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"version": Type.String(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.version);
+	}
+}
+
+/**
+ * Sent to hosts on connection and when their draining flag changes
+ */
+export class HostDrainingChangedEvent {
+	declare ["constructor"]: typeof HostDrainingChangedEvent;
+	static type = "event" as const;
+	static src = "controller" as const;
+	static dst = "host" as const;
+
+	constructor(
+		public draining: boolean,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"draining": Type.Boolean(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.draining);
+	}
+}
@@ -44,6 +44,12 @@ export class InstanceDetails {
 		public status: InstanceStatus,
 		/** Millisecond Unix timestamp this entry was last updated at */
 		public updatedAtMs = 0,
+		/** Number of times the instance has exited without being stopped */
+		public crashCount = 0,
+		/** Millisecond Unix timestamp of the last crash */
+		public lastCrashAtMs?: number,
+		/** Tags set in instance.tags */
+		public tags: string[] = [],
 	) { }
 
 	static jsonSchema = Type.Object({
@@ -56,6 +62,9 @@ export class InstanceDetails {
 			"creating_save", "exporting_data", "deleted",
 		]),
 		"updatedAtMs": Type.Optional(Type.Number()),
+		"crashCount": Type.Optional(Type.Integer()),
+		"lastCrashAtMs": Type.Optional(Type.Number()),
+		"tags": Type.Optional(Type.Array(Type.String())),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
@@ -66,6 +75,9 @@ export class InstanceDetails {
 			json.gamePort,
 			json.status,
 			json.updatedAtMs,
+			json.crashCount,
+			json.lastCrashAtMs,
+			json.tags,
 		);
 	}
 
@@ -226,16 +238,271 @@ export class InstanceAssignRequest {
 	constructor(
 		public instanceId: number,
 		public hostId?: number,
+		/** Let the controller pick the host, hostId is ignored if set */
+		public auto = false,
+		/** Placement strategy to pick the host with, defaults to controller.placement_strategy */
+		public strategy?: string,
 	) { }
 
 	static jsonSchema = Type.Object({
 		"instanceId": Type.Number(),
 		"hostId": Type.Optional(Type.Number()),
+		"auto": Type.Optional(Type.Boolean()),
+		"strategy": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.instanceId, json.hostId, json.auto, json.strategy);
+	}
+}
+
+export const InstanceMigrationStatus = StringEnum([
+	"stopping", "transferring", "assigning", "starting", "completed", "rolling_back", "failed",
+]);
+export type InstanceMigrationStatus = Static<typeof InstanceMigrationStatus>;
+
+/**
+ * Progress of moving an instance from one host to another
+ */
+export class InstanceMigration {
+	constructor(
+		public instanceId: number,
+		public sourceHostId: number,
+		public targetHostId: number,
+		public status: InstanceMigrationStatus,
+		/** True if the instance was running when the migration started */
+		public wasRunning: boolean,
+		/** Number of saves transferred to the target host so far */
+		public transferredSaves: number,
+		/** Total number of saves to transfer */
+		public totalSaves: number,
+		/** Millisecond Unix timestamp the migration started at */
+		public startedAtMs: number,
+		/** Reason the migration failed if status is failed or rolling_back */
+		public error?: string,
+		/** Millisecond Unix timestamp this entry was last updated at */
+		public updatedAtMs = 0,
+		public isDeleted = false,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"instanceId": Type.Integer(),
+		"sourceHostId": Type.Integer(),
+		"targetHostId": Type.Integer(),
+		"status": InstanceMigrationStatus,
+		"wasRunning": Type.Boolean(),
+		"transferredSaves": Type.Integer(),
+		"totalSaves": Type.Integer(),
+		"startedAtMs": Type.Number(),
+		"error": Type.Optional(Type.String()),
+		"updatedAtMs": Type.Optional(Type.Number()),
+		"isDeleted": Type.Optional(Type.Boolean()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.instanceId,
+			json.sourceHostId,
+			json.targetHostId,
+			json.status,
+			json.wasRunning,
+			json.transferredSaves,
+			json.totalSaves,
+			json.startedAtMs,
+			json.error,
+			json.updatedAtMs,
+			json.isDeleted,
+		);
+	}
+
+	/** Only the latest migration of an instance is tracked */
+	get id() {
+		return this.instanceId;
+	}
+}
+
+/**
+ * Move an instance and all its saves to another host
+ *
+ * Stops the instance if running, copies all its saves to the target host,
+ * reassigns it and starts it again on the new host if it was running.  If
+ * any step fails the instance is returned to the host it was on.  Progress
+ * is broadcast with {@link InstanceMigrationUpdatesEvent}.
+ */
+export class InstanceMigrateRequest {
+	declare ["constructor"]: typeof InstanceMigrateRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.instance.migrate" as const;
+
+	constructor(
+		public instanceId: number,
+		public hostId: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"instanceId": Type.Integer(),
+		"hostId": Type.Integer(),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
 		return new this(json.instanceId, json.hostId);
 	}
+
+	static Response = InstanceMigration;
+}
+
+export class InstanceMigrationUpdatesEvent {
+	declare ["constructor"]: typeof InstanceMigrationUpdatesEvent;
+	static type = "event" as const;
+	static src = "controller" as const;
+	static dst = "control" as const;
+	static permission = "core.instance.subscribe" as const;
+
+	constructor(
+		public updates: InstanceMigration[],
+	) { }
+
+	static jsonSchema = Type.Object({
+		"updates": Type.Array(InstanceMigration.jsonSchema),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.updates.map(update => InstanceMigration.fromJSON(update)));
+	}
+}
+
+export const FactorioUpgradeStatus = StringEnum(["running", "completed", "failed"]);
+export type FactorioUpgradeStatus = Static<typeof FactorioUpgradeStatus>;
+export const FactorioUpgradeInstanceStatus = StringEnum([
+	"pending", "stopping", "starting", "completed", "failed", "skipped",
+]);
+export type FactorioUpgradeInstanceStatus = Static<typeof FactorioUpgradeInstanceStatus>;
+
+/**
+ * Progress of upgrading a single instance in a Factorio upgrade
+ */
+export class FactorioUpgradeInstance {
+	constructor(
+		public instanceId: number,
+		public status: FactorioUpgradeInstanceStatus,
+		/** Reason upgrading the instance failed if status is failed */
+		public error?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"instanceId": Type.Integer(),
+		"status": FactorioUpgradeInstanceStatus,
+		"error": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.instanceId, json.status, json.error);
+	}
+}
+
+/**
+ * Progress of changing the Factorio version of a set of instances
+ */
+export class FactorioUpgrade {
+	constructor(
+		public id: number,
+		/** Version factorio.version is set to on the instances */
+		public version: string,
+		/** Number of instances upgraded at the same time */
+		public parallel: number,
+		public status: FactorioUpgradeStatus,
+		public instances: FactorioUpgradeInstance[],
+		/** Millisecond Unix timestamp the upgrade started at */
+		public startedAtMs: number,
+		/** Reason the upgrade was halted if status is failed */
+		public error?: string,
+		/** Millisecond Unix timestamp this entry was last updated at */
+		public updatedAtMs = 0,
+		public isDeleted = false,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+		"version": Type.String(),
+		"parallel": Type.Integer(),
+		"status": FactorioUpgradeStatus,
+		"instances": Type.Array(FactorioUpgradeInstance.jsonSchema),
+		"startedAtMs": Type.Number(),
+		"error": Type.Optional(Type.String()),
+		"updatedAtMs": Type.Optional(Type.Number()),
+		"isDeleted": Type.Optional(Type.Boolean()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.id,
+			json.version,
+			json.parallel,
+			json.status,
+			json.instances.map(instance => FactorioUpgradeInstance.fromJSON(instance)),
+			json.startedAtMs,
+			json.error,
+			json.updatedAtMs,
+			json.isDeleted,
+		);
+	}
+}
+
+/**
+ * Change the Factorio version of instances and restart them
+ *
+ * Sets factorio.version on each instance and restarts the ones that are
+ * running, `parallel` instances at a time.  Each restarted instance must
+ * reach the running state before the next one is started on, if one fails
+ * the upgrade halts and the remaining instances are left untouched.
+ * Progress is broadcast with {@link FactorioUpgradeUpdatesEvent}.
+ */
+export class FactorioUpgradeStartRequest {
+	declare ["constructor"]: typeof FactorioUpgradeStartRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.instance.upgrade_factorio" as const;
+
+	constructor(
+		public instanceIds: number[],
+		public version: string,
+		public parallel = 1,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"instanceIds": Type.Array(Type.Integer()),
+		"version": Type.String(),
+		"parallel": Type.Integer(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.instanceIds, json.version, json.parallel);
+	}
+
+	static Response = FactorioUpgrade;
+}
+
+export class FactorioUpgradeUpdatesEvent {
+	declare ["constructor"]: typeof FactorioUpgradeUpdatesEvent;
+	static type = "event" as const;
+	static src = "controller" as const;
+	static dst = "control" as const;
+	static permission = "core.instance.subscribe" as const;
+
+	constructor(
+		public updates: FactorioUpgrade[],
+	) { }
+
+	static jsonSchema = Type.Object({
+		"updates": Type.Array(FactorioUpgrade.jsonSchema),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.updates.map(update => FactorioUpgrade.fromJSON(update)));
+	}
 }
 
 export class InstanceMetricsRequest {
@@ -350,7 +617,7 @@ export class SaveDetails {
 export class InstanceSaveDetailsListRequest {
 	declare ["constructor"]: typeof InstanceSaveDetailsListRequest;
 	static type = "request" as const;
-	static src = ["control", "host"] as const;
+	static src = ["control", "host", "controller"] as const;
 	static dst = ["controller", "instance"] as const;
 	static permission = "core.instance.save.list" as const;
 	static Response = jsonArray(SaveDetails);
@@ -385,7 +652,7 @@ export class InstanceSaveDetailsUpdatesEvent {
 export class InstanceCreateSaveRequest {
 	declare ["constructor"]: typeof InstanceCreateSaveRequest;
 	static type = "request" as const;
-	static src = "control" as const;
+	static src = ["control", "controller"] as const;
 	static dst = "instance" as const;
 	static permission = "core.instance.save.create" as const;
 
@@ -478,6 +745,68 @@ export class InstanceDeleteSaveRequest {
 	}
 }
 
+/**
+ * Save selected for removal by the save retention rules of an instance
+ */
+export class SavePruneEntry {
+	constructor(
+		public name: string,
+		public size: number,
+		public mtimeMs: number,
+		/** Why the save is not retained */
+		public reason: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+		"size": Type.Integer(),
+		"mtimeMs": Type.Number(),
+		"reason": Type.String(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name, json.size, json.mtimeMs, json.reason);
+	}
+}
+
+/**
+ * Apply the save retention rules of an instance
+ *
+ * Responds with the saves that were deleted, or would have been deleted if
+ * dryRun is true.
+ */
+export class InstanceSavePruneRequest {
+	declare ["constructor"]: typeof InstanceSavePruneRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = ["controller", "host"] as const;
+	static permission(user: IControllerUser, message: MessageRequest) {
+		user.checkPermission("core.instance.save.list");
+		if (typeof message.data === "object" && message.data !== null) {
+			const data = message.data as { dryRun: boolean };
+			if (!data.dryRun) {
+				user.checkPermission("core.instance.save.delete");
+			}
+		}
+	}
+
+	constructor(
+		public instanceId: number,
+		public dryRun: boolean = false,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"instanceId": Type.Integer(),
+		"dryRun": Type.Boolean(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.instanceId, json.dryRun);
+	}
+
+	static Response = jsonArray(SavePruneEntry);
+}
+
 export class InstanceDownloadSaveRequest {
 	declare ["constructor"]: typeof InstanceDownloadSaveRequest;
 	static type = "request" as const;
@@ -638,7 +967,28 @@ export class InstanceExtractPlayersRequest {
 export class InstanceStopRequest {
 	declare ["constructor"]: typeof InstanceStopRequest;
 	static type = "request" as const;
-	static src = "control" as const;
+	static src = ["control", "controller"] as const;
+	static dst = "instance" as const;
+	static permission = "core.instance.stop" as const;
+
+	constructor(
+		/** Seconds to count down in-game before stopping, skipped if no players are online */
+		public delaySeconds = 0,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"delaySeconds": Type.Optional(Type.Number()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.delaySeconds);
+	}
+}
+
+export class InstanceCancelStopRequest {
+	declare ["constructor"]: typeof InstanceCancelStopRequest;
+	static type = "request" as const;
+	static src = ["control", "controller"] as const;
 	static dst = "instance" as const;
 	static permission = "core.instance.stop" as const;
 }
@@ -693,7 +1043,7 @@ export class InstanceDeleteInternalRequest {
 export class InstanceSendRconRequest {
 	declare ["constructor"]: typeof InstanceSendRconRequest;
 	static type = "request" as const;
-	static src = "control" as const;
+	static src = ["control", "controller"] as const;
 	static dst = "instance" as const;
 	static permission = "core.instance.send_rcon" as const;
 
@@ -712,6 +1062,59 @@ export class InstanceSendRconRequest {
 	static Response = JsonString;
 }
 
+export class InstanceRconResult {
+	constructor(
+		public instanceId: number,
+		/** Output of the command if it was sent */
+		public output?: string,
+		/** Why the command could not be sent */
+		public error?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"instanceId": Type.Integer(),
+		"output": Type.Optional(Type.String()),
+		"error": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.instanceId, json.output, json.error);
+	}
+}
+
+/**
+ * Send an RCON command to several instances in parallel
+ *
+ * Sends to the instances in instanceIds, or to all running instances if
+ * not given, limited to the instances with one of the given tags if tags
+ * is not empty.  Responds with the output or error of each instance.
+ */
+export class InstanceBroadcastRconRequest {
+	declare ["constructor"]: typeof InstanceBroadcastRconRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.instance.send_rcon" as const;
+
+	constructor(
+		public command: string,
+		public instanceIds?: number[],
+		public tags: string[] = [],
+	) { }
+
+	static jsonSchema = Type.Object({
+		"command": Type.String(),
+		"instanceIds": Type.Optional(Type.Array(Type.Integer())),
+		"tags": Type.Array(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.command, json.instanceIds, json.tags);
+	}
+
+	static Response = jsonArray(InstanceRconResult);
+}
+
 export class HostInstanceUpdate {
 	constructor(
 		public config: Static<typeof InstanceConfig.jsonSchema>,
@@ -837,6 +1240,37 @@ export class InstanceStatusChangedEvent {
 	}
 }
 
+/**
+ * Sent by a host when an instance exits without being stopped
+ */
+export class InstanceCrashedEvent {
+	declare ["constructor"]: typeof InstanceCrashedEvent;
+	static type = "event" as const;
+	static src = "host" as const;
+	static dst = "controller" as const;
+
+	constructor(
+		public instanceId: number,
+		/** Description of why the instance exited */
+		public reason: string,
+		/**
+		 * Milliseconds until the instance is restarted, undefined if the
+		 * restart policy does not restart it.
+		 */
+		public restartDelayMs?: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"instanceId": Type.Integer(),
+		"reason": Type.String(),
+		"restartDelayMs": Type.Optional(Type.Number()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.instanceId, json.reason, json.restartDelayMs);
+	}
+}
+
 export class InstanceDetailsChangedEvent {
 	declare ["constructor"]: typeof InstanceDetailsChangedEvent;
 	static type = "event" as const;
@@ -0,0 +1,251 @@
+import { Type, Static } from "@sinclair/typebox";
+import type { IControllerUser } from "./User";
+import type { MessageRequest } from "./messages_core";
+import { JsonNumber, StringEnum, jsonArray } from "./composites";
+
+
+export type ScheduledTaskAction = "start" | "stop" | "create_save" | "send_rcon";
+
+/**
+ * Permission required to perform the given scheduled task action directly
+ */
+export const scheduledTaskActionPermissions: Record<ScheduledTaskAction, string> = {
+	"start": "core.instance.start",
+	"stop": "core.instance.stop",
+	"create_save": "core.instance.save.create",
+	"send_rcon": "core.instance.send_rcon",
+};
+
+/**
+ * Result of dispatching a scheduled task to one instance
+ */
+export class ScheduledTaskRun {
+	constructor(
+		/** Millisecond Unix timestamp the run was started at */
+		public startedAtMs: number,
+		public instanceId: number,
+		public success: boolean,
+		/** Response from the instance or error message if it failed */
+		public message: string = "",
+	) { }
+
+	static jsonSchema = Type.Object({
+		"startedAtMs": Type.Number(),
+		"instanceId": Type.Integer(),
+		"success": Type.Boolean(),
+		"message": Type.String(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.startedAtMs, json.instanceId, json.success, json.message);
+	}
+}
+
+export class ScheduledTask {
+	/** Maximum number of runs kept in the history of a task */
+	static historyLimit = 50;
+
+	constructor(
+		public id: number,
+		public name: string,
+		/** Cron expression for when this task should run */
+		public cron: string,
+		public action: ScheduledTaskAction,
+		public instanceIds: number[],
+		/**
+		 * Save name for start and create_save, command for send_rcon, unused
+		 * for stop.
+		 */
+		public argument: string = "",
+		public enabled: boolean = true,
+		/** Millisecond Unix timestamp this task will next run at */
+		public nextRunMs?: number,
+		/** Most recent runs of this task, newest last */
+		public history: ScheduledTaskRun[] = [],
+		/** Millisecond Unix timestamp this entry was last updated at */
+		public updatedAtMs = 0,
+		public isDeleted = false,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+		"name": Type.String(),
+		"cron": Type.String(),
+		"action": StringEnum(["start", "stop", "create_save", "send_rcon"]),
+		"instanceIds": Type.Array(Type.Integer()),
+		"argument": Type.Optional(Type.String()),
+		"enabled": Type.Optional(Type.Boolean()),
+		"nextRunMs": Type.Optional(Type.Number()),
+		"history": Type.Optional(Type.Array(ScheduledTaskRun.jsonSchema)),
+		"updatedAtMs": Type.Optional(Type.Number()),
+		"isDeleted": Type.Optional(Type.Boolean()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.id,
+			json.name,
+			json.cron,
+			json.action,
+			json.instanceIds,
+			json.argument,
+			json.enabled,
+			json.nextRunMs,
+			json.history?.map(run => ScheduledTaskRun.fromJSON(run)),
+			json.updatedAtMs,
+			json.isDeleted,
+		);
+	}
+}
+
+function checkScheduledTaskPermission(user: IControllerUser, message: MessageRequest, permission: string) {
+	user.checkPermission(permission);
+	if (typeof message.data === "object" && message.data !== null) {
+		const data = message.data as { action?: ScheduledTaskAction };
+		if (data.action && Object.prototype.hasOwnProperty.call(scheduledTaskActionPermissions, data.action)) {
+			// Prevent scheduling actions the user could not do directly
+			user.checkPermission(scheduledTaskActionPermissions[data.action]);
+		}
+	}
+}
+
+export class ScheduledTaskListRequest {
+	declare ["constructor"]: typeof ScheduledTaskListRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.schedule.list" as const;
+	static Response = jsonArray(ScheduledTask);
+}
+
+export class ScheduledTaskCreateRequest {
+	declare ["constructor"]: typeof ScheduledTaskCreateRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission(user: IControllerUser, message: MessageRequest) {
+		checkScheduledTaskPermission(user, message, "core.schedule.create");
+	}
+
+	constructor(
+		public name: string,
+		public cron: string,
+		public action: ScheduledTaskAction,
+		public instanceIds: number[],
+		public argument: string = "",
+		public enabled: boolean = true,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+		"cron": Type.String(),
+		"action": StringEnum(["start", "stop", "create_save", "send_rcon"]),
+		"instanceIds": Type.Array(Type.Integer()),
+		"argument": Type.String(),
+		"enabled": Type.Boolean(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name, json.cron, json.action, json.instanceIds, json.argument, json.enabled);
+	}
+
+	static Response = JsonNumber;
+}
+
+export class ScheduledTaskUpdateRequest {
+	declare ["constructor"]: typeof ScheduledTaskUpdateRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission(user: IControllerUser, message: MessageRequest) {
+		checkScheduledTaskPermission(user, message, "core.schedule.update");
+	}
+
+	constructor(
+		public id: number,
+		public name: string,
+		public cron: string,
+		public action: ScheduledTaskAction,
+		public instanceIds: number[],
+		public argument: string,
+		public enabled: boolean,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+		"name": Type.String(),
+		"cron": Type.String(),
+		"action": StringEnum(["start", "stop", "create_save", "send_rcon"]),
+		"instanceIds": Type.Array(Type.Integer()),
+		"argument": Type.String(),
+		"enabled": Type.Boolean(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.id, json.name, json.cron, json.action, json.instanceIds, json.argument, json.enabled
+		);
+	}
+}
+
+export class ScheduledTaskDeleteRequest {
+	declare ["constructor"]: typeof ScheduledTaskDeleteRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.schedule.delete" as const;
+
+	constructor(
+		public id: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.id);
+	}
+}
+
+export class ScheduledTaskRunRequest {
+	declare ["constructor"]: typeof ScheduledTaskRunRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.schedule.run" as const;
+
+	constructor(
+		public id: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.id);
+	}
+
+	static Response = jsonArray(ScheduledTaskRun);
+}
+
+export class ScheduledTaskUpdatesEvent {
+	declare ["constructor"]: typeof ScheduledTaskUpdatesEvent;
+	static type = "event" as const;
+	static src = "controller" as const;
+	static dst = "control" as const;
+	static permission = "core.schedule.subscribe" as const;
+
+	constructor(
+		public updates: ScheduledTask[],
+	) { }
+
+	static jsonSchema = Type.Object({
+		"updates": Type.Array(ScheduledTask.jsonSchema),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.updates.map(update => ScheduledTask.fromJSON(update)));
+	}
+}
@@ -1,8 +1,9 @@
 import { Type, Static } from "@sinclair/typebox";
 import Permission from "./Permission";
 import Role from "./Role";
-import User from "./User";
-import { JsonNumber, jsonArray } from "./composites";
+import User, { type IControllerUser } from "./User";
+import type { MessageRequest } from "./messages_core";
+import { JsonNumber, StringEnum, jsonArray, plainJson } from "./composites";
 
 export class PermissionListRequest {
 	declare ["constructor"]: typeof PermissionListRequest;
@@ -33,16 +34,22 @@ export class RoleCreateRequest {
 		public name: string,
 		public description: string,
 		public permissions: string[],
+		/** IDs of instances to limit the instance permissions of the role to */
+		public instanceIds: number[] = [],
+		/** Instance tags to limit the instance permissions of the role to */
+		public instanceTags: string[] = [],
 	) { }
 
 	static jsonSchema = Type.Object({
 		name: Type.String(),
 		description: Type.String(),
 		permissions: Type.Array(Type.String()),
+		instanceIds: Type.Optional(Type.Array(Type.Integer())),
+		instanceTags: Type.Optional(Type.Array(Type.String())),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
-		return new this(json.name, json.description, json.permissions);
+		return new this(json.name, json.description, json.permissions, json.instanceIds, json.instanceTags);
 	}
 
 	static Response = JsonNumber;
@@ -60,6 +67,10 @@ export class RoleUpdateRequest {
 		public name: string,
 		public description: string,
 		public permissions: string[],
+		/** IDs of instances to limit the instance permissions of the role to */
+		public instanceIds: number[] = [],
+		/** Instance tags to limit the instance permissions of the role to */
+		public instanceTags: string[] = [],
 	) { }
 
 	static jsonSchema = Type.Object({
@@ -67,10 +78,12 @@ export class RoleUpdateRequest {
 		name: Type.String(),
 		description: Type.String(),
 		permissions: Type.Array(Type.String()),
+		instanceIds: Type.Optional(Type.Array(Type.Integer())),
+		instanceTags: Type.Optional(Type.Array(Type.String())),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
-		return new this(json.id, json.name, json.description, json.permissions);
+		return new this(json.id, json.name, json.description, json.permissions, json.instanceIds, json.instanceTags);
 	}
 }
 
@@ -185,6 +198,234 @@ export class UserRevokeTokenRequest {
 	}
 }
 
+/**
+ * Set or remove the password used to log in to the Web UI
+ *
+ * Changing the password of oneself requires the current password if one is
+ * set, while resetting the password of other users does not.
+ */
+export class UserSetPasswordRequest {
+	declare ["constructor"]: typeof UserSetPasswordRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.user.set_password" as const;
+
+	constructor(
+		public name: string,
+		/** New password, or undefined to remove password login */
+		public password?: string,
+		public currentPassword?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+		"password": Type.Optional(Type.String()),
+		"currentPassword": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name, json.password, json.currentPassword);
+	}
+}
+
+/**
+ * Get the RCON command history of the user making the request
+ *
+ * Responds with the commands sent from the RCON console of the Web UI,
+ * oldest first.
+ */
+export class UserRconHistoryGetRequest {
+	declare ["constructor"]: typeof UserRconHistoryGetRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.instance.send_rcon" as const;
+	static Response = plainJson(Type.Array(Type.String()));
+}
+
+/**
+ * Add a command to the RCON command history of the user making the request
+ *
+ * A command already in the history is moved to the end of it.  Responds
+ * with the updated history.
+ */
+export class UserRconHistoryAddRequest {
+	declare ["constructor"]: typeof UserRconHistoryAddRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.instance.send_rcon" as const;
+
+	constructor(
+		public command: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"command": Type.String(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.command);
+	}
+
+	static Response = plainJson(Type.Array(Type.String()));
+}
+
+/**
+ * API token issued for a user
+ *
+ * Connections authenticated with an API token are limited to the
+ * permissions listed in the token that the user also has, and if
+ * instanceIds is set to requests acting on those instances.
+ */
+export class UserApiToken {
+	constructor(
+		public id: string,
+		public name: string,
+		public permissions: string[],
+		/** Instances the token is limited to acting on, or all if undefined */
+		public instanceIds: number[] | undefined,
+		/** Millisecond Unix timestamp the token was created at */
+		public createdAtMs: number,
+		/** Millisecond Unix timestamp the token expires at, or never if undefined */
+		public expiresAtMs?: number,
+		/** Millisecond Unix timestamp the token was last used at */
+		public lastUsedAtMs?: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.String(),
+		"name": Type.String(),
+		"permissions": Type.Array(Type.String()),
+		"instanceIds": Type.Optional(Type.Array(Type.Integer())),
+		"createdAtMs": Type.Number(),
+		"expiresAtMs": Type.Optional(Type.Number()),
+		"lastUsedAtMs": Type.Optional(Type.Number()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.id,
+			json.name,
+			json.permissions,
+			json.instanceIds,
+			json.createdAtMs,
+			json.expiresAtMs,
+			json.lastUsedAtMs,
+		);
+	}
+
+	/**
+	 * Check if the token has expired
+	 *
+	 * @param nowMs - Current time in milliseconds since the Unix epoch.
+	 * @returns true if the expiry date of the token has passed.
+	 */
+	isExpired(nowMs = Date.now()) {
+		return this.expiresAtMs !== undefined && this.expiresAtMs <= nowMs;
+	}
+}
+
+export class UserApiTokenListRequest {
+	declare ["constructor"]: typeof UserApiTokenListRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.user.manage_api_tokens" as const;
+
+	constructor(
+		public name: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name);
+	}
+
+	static Response = jsonArray(UserApiToken);
+}
+
+/**
+ * Create an API token for a user
+ *
+ * Responds with the details of the token created and the token itself,
+ * which is not stored on the controller and can not be retrieved again.
+ */
+export class UserApiTokenCreateRequest {
+	declare ["constructor"]: typeof UserApiTokenCreateRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.user.manage_api_tokens" as const;
+
+	constructor(
+		/** Name of user to create token for */
+		public name: string,
+		/** Name of the token */
+		public tokenName: string,
+		public permissions: string[],
+		public instanceIds?: number[],
+		public expiresAtMs?: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+		"tokenName": Type.String(),
+		"permissions": Type.Array(Type.String()),
+		"instanceIds": Type.Optional(Type.Array(Type.Integer())),
+		"expiresAtMs": Type.Optional(Type.Number()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name, json.tokenName, json.permissions, json.instanceIds, json.expiresAtMs);
+	}
+
+	static Response = class Response {
+		constructor(
+			public apiToken: UserApiToken,
+			public token: string,
+		) { }
+
+		static jsonSchema = Type.Object({
+			"apiToken": UserApiToken.jsonSchema,
+			"token": Type.String(),
+		});
+
+		static fromJSON(json: Static<typeof this.jsonSchema>) {
+			return new this(UserApiToken.fromJSON(json.apiToken), json.token);
+		}
+	};
+}
+
+/**
+ * Revoke an API token and terminate connections made with it
+ */
+export class UserApiTokenRevokeRequest {
+	declare ["constructor"]: typeof UserApiTokenRevokeRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.user.manage_api_tokens" as const;
+
+	constructor(
+		public name: string,
+		public id: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+		"id": Type.String(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name, json.id);
+	}
+}
+
 export class UserUpdateRolesRequest {
 	declare ["constructor"]: typeof UserUpdateRolesRequest;
 	static type = "request" as const;
@@ -267,6 +508,8 @@ export class UserSetBannedRequest {
 		public create: boolean,
 		public banned: boolean,
 		public reason: string,
+		/** Time until the ban is lifted, permanent if not set. */
+		public durationMs?: number,
 	) { }
 
 	static jsonSchema = Type.Object({
@@ -274,10 +517,11 @@ export class UserSetBannedRequest {
 		"create": Type.Boolean(),
 		"banned": Type.Boolean(),
 		"reason": Type.String(),
+		"durationMs": Type.Optional(Type.Number()),
 	});
 
 	static fromJSON(json: Static<typeof this.jsonSchema>) {
-		return new this(json.name, json.create, json.banned, json.reason);
+		return new this(json.name, json.create, json.banned, json.reason, json.durationMs);
 	}
 }
 
@@ -301,6 +545,137 @@ export class UserDeleteRequest {
 	}
 }
 
+export type UserListType = "adminlist" | "banlist" | "whitelist";
+
+/**
+ * Permission required to change the users on each of the user lists
+ */
+export const userListPermissions: Record<UserListType, string> = {
+	"adminlist": "core.user.set_admin",
+	"banlist": "core.user.set_banned",
+	"whitelist": "core.user.set_whitelisted",
+};
+
+/**
+ * User on a Factorio admin, ban or whitelist
+ */
+export class UserListEntry {
+	constructor(
+		public name: string,
+		/** Ban reason, only used for the banlist */
+		public reason?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+		"reason": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name, json.reason);
+	}
+}
+
+/**
+ * Outcome of importing one entry of a user list
+ *
+ * The status is one of create for users that do not exist, add for users
+ * not on the list, unchanged for users already on it and conflict for
+ * users already banned with a different reason or a ban that expires.
+ */
+export class UserListImportResult {
+	constructor(
+		public name: string,
+		public status: "create" | "add" | "unchanged" | "conflict",
+		/** True if the user was changed, or would be for a dry run */
+		public applied: boolean,
+		/** Ban reason the user has in the cluster, set for conflicts */
+		public currentReason?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+		"status": StringEnum(["create", "add", "unchanged", "conflict"]),
+		"applied": Type.Boolean(),
+		"currentReason": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name, json.status, json.applied, json.currentReason);
+	}
+}
+
+export class UserListImportRequest {
+	declare ["constructor"]: typeof UserListImportRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission(user: IControllerUser, message: MessageRequest) {
+		if (typeof message.data === "object" && message.data !== null) {
+			const data = message.data as { list?: UserListType, create?: boolean, dryRun?: boolean };
+			if (data.list && Object.prototype.hasOwnProperty.call(userListPermissions, data.list)) {
+				user.checkPermission(userListPermissions[data.list]);
+			}
+			if (data.create && !data.dryRun) {
+				user.checkPermission("core.user.create");
+			}
+		}
+	}
+
+	constructor(
+		public list: UserListType,
+		public entries: UserListEntry[],
+		/** Create users that do not exist in the cluster */
+		public create: boolean,
+		/** Replace the ban of users that are banned with a different reason or expiry */
+		public overwrite: boolean,
+		/** Only report what the import would do without changing any users */
+		public dryRun: boolean,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"list": StringEnum(["adminlist", "banlist", "whitelist"]),
+		"entries": Type.Array(UserListEntry.jsonSchema),
+		"create": Type.Boolean(),
+		"overwrite": Type.Boolean(),
+		"dryRun": Type.Boolean(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.list,
+			json.entries.map(entry => UserListEntry.fromJSON(entry)),
+			json.create,
+			json.overwrite,
+			json.dryRun,
+		);
+	}
+
+	static Response = jsonArray(UserListImportResult);
+}
+
+export class UserListExportRequest {
+	declare ["constructor"]: typeof UserListExportRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.user.list" as const;
+
+	constructor(
+		public list: UserListType,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"list": StringEnum(["adminlist", "banlist", "whitelist"]),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.list);
+	}
+
+	static Response = jsonArray(UserListEntry);
+}
+
 export class UserUpdatesEvent {
 	declare ["constructor"]: typeof UserUpdatesEvent;
 	static type = "event" as const;
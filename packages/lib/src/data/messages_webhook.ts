@@ -0,0 +1,281 @@
+import { Type, Static } from "@sinclair/typebox";
+import { StringEnum, jsonArray } from "./composites";
+
+
+export type WebhookEventType = "instance_status_changed" | "host_connection" | "player_event" | "user_updated";
+
+/** Event types webhooks can be subscribed to */
+export const webhookEventTypes: WebhookEventType[] = [
+	"instance_status_changed", "host_connection", "player_event", "user_updated",
+];
+
+/**
+ * Result of delivering an event to a webhook
+ */
+export class WebhookDelivery {
+	constructor(
+		/** Unique id of the delivery, sent in the X-Clusterio-Delivery header */
+		public id: string,
+		/** Type of event delivered, or "ping" for test deliveries */
+		public event: string,
+		/** Millisecond Unix timestamp the event was first sent at */
+		public sentAtMs: number,
+		/** Number of attempts made to deliver the event */
+		public attempts: number,
+		public success: boolean,
+		/** HTTP status code of the last response received */
+		public statusCode?: number,
+		/** Error message of the last failed attempt */
+		public error?: string,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.String(),
+		"event": Type.String(),
+		"sentAtMs": Type.Number(),
+		"attempts": Type.Integer(),
+		"success": Type.Boolean(),
+		"statusCode": Type.Optional(Type.Integer()),
+		"error": Type.Optional(Type.String()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.id, json.event, json.sentAtMs, json.attempts, json.success, json.statusCode, json.error
+		);
+	}
+}
+
+/**
+ * URL events in the cluster are sent to as signed HTTP POST requests
+ */
+export class Webhook {
+	/** Maximum number of deliveries kept in the log of a webhook */
+	static historyLimit = 50;
+
+	constructor(
+		public id: number,
+		public name: string,
+		public url: string,
+		public events: WebhookEventType[],
+		/**
+		 * Key used to sign the payloads sent with HMAC-SHA256, only known
+		 * to the controller
+		 */
+		public secret: string,
+		public enabled: boolean = true,
+		/** Most recent deliveries to this webhook, newest last */
+		public history: WebhookDelivery[] = [],
+		/** Millisecond Unix timestamp this entry was last updated at */
+		public updatedAtMs = 0,
+		public isDeleted = false,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+		"name": Type.String(),
+		"url": Type.String(),
+		"events": Type.Array(StringEnum(webhookEventTypes)),
+		"secret": Type.Optional(Type.String()),
+		"enabled": Type.Optional(Type.Boolean()),
+		"history": Type.Optional(Type.Array(WebhookDelivery.jsonSchema)),
+		"updatedAtMs": Type.Optional(Type.Number()),
+		"isDeleted": Type.Optional(Type.Boolean()),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(
+			json.id,
+			json.name,
+			json.url,
+			json.events,
+			json.secret ?? "",
+			json.enabled,
+			json.history?.map(delivery => WebhookDelivery.fromJSON(delivery)),
+			json.updatedAtMs,
+			json.isDeleted,
+		);
+	}
+
+	/**
+	 * Serialise webhook
+	 *
+	 * @param controller -
+	 *     Include the secret, for storing the webhook on the controller.
+	 * @returns JSON representation of the webhook.
+	 */
+	toJSON(controller?: boolean): Static<typeof Webhook.jsonSchema> {
+		const json: Static<typeof Webhook.jsonSchema> = {
+			id: this.id,
+			name: this.name,
+			url: this.url,
+			events: this.events,
+			enabled: this.enabled,
+			history: this.history,
+			updatedAtMs: this.updatedAtMs,
+			isDeleted: this.isDeleted,
+		};
+		if (controller) {
+			json.secret = this.secret;
+		}
+		return json;
+	}
+}
+
+export class WebhookListRequest {
+	declare ["constructor"]: typeof WebhookListRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.webhook.list" as const;
+	static Response = jsonArray(Webhook);
+}
+
+/**
+ * Create a webhook
+ *
+ * Responds with the ID of the webhook created and its secret, which is not
+ * sent to controls again.
+ */
+export class WebhookCreateRequest {
+	declare ["constructor"]: typeof WebhookCreateRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.webhook.create" as const;
+
+	constructor(
+		public name: string,
+		public url: string,
+		public events: WebhookEventType[],
+		/** Secret to sign payloads with, a random one is generated if empty */
+		public secret: string = "",
+		public enabled: boolean = true,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"name": Type.String(),
+		"url": Type.String(),
+		"events": Type.Array(StringEnum(webhookEventTypes)),
+		"secret": Type.String(),
+		"enabled": Type.Boolean(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.name, json.url, json.events, json.secret, json.enabled);
+	}
+
+	static Response = class Response {
+		constructor(
+			public id: number,
+			public secret: string,
+		) { }
+
+		static jsonSchema = Type.Object({
+			"id": Type.Integer(),
+			"secret": Type.String(),
+		});
+
+		static fromJSON(json: Static<typeof this.jsonSchema>) {
+			return new this(json.id, json.secret);
+		}
+	};
+}
+
+export class WebhookUpdateRequest {
+	declare ["constructor"]: typeof WebhookUpdateRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.webhook.update" as const;
+
+	constructor(
+		public id: number,
+		public name: string,
+		public url: string,
+		public events: WebhookEventType[],
+		/** New secret to sign payloads with, the current one is kept if empty */
+		public secret: string,
+		public enabled: boolean,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+		"name": Type.String(),
+		"url": Type.String(),
+		"events": Type.Array(StringEnum(webhookEventTypes)),
+		"secret": Type.String(),
+		"enabled": Type.Boolean(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.id, json.name, json.url, json.events, json.secret, json.enabled);
+	}
+}
+
+export class WebhookDeleteRequest {
+	declare ["constructor"]: typeof WebhookDeleteRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.webhook.delete" as const;
+
+	constructor(
+		public id: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.id);
+	}
+}
+
+/**
+ * Send a ping event to a webhook
+ *
+ * Makes a single attempt without retries and responds with its outcome.
+ */
+export class WebhookTestRequest {
+	declare ["constructor"]: typeof WebhookTestRequest;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = "core.webhook.test" as const;
+
+	constructor(
+		public id: number,
+	) { }
+
+	static jsonSchema = Type.Object({
+		"id": Type.Integer(),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.id);
+	}
+
+	static Response = WebhookDelivery;
+}
+
+export class WebhookUpdatesEvent {
+	declare ["constructor"]: typeof WebhookUpdatesEvent;
+	static type = "event" as const;
+	static src = "controller" as const;
+	static dst = "control" as const;
+	static permission = "core.webhook.subscribe" as const;
+
+	constructor(
+		public updates: Webhook[],
+	) { }
+
+	static jsonSchema = Type.Object({
+		"updates": Type.Array(Webhook.jsonSchema),
+	});
+
+	static fromJSON(json: Static<typeof this.jsonSchema>) {
+		return new this(json.updates.map(update => Webhook.fromJSON(update)));
+	}
+}
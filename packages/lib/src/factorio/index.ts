@@ -4,3 +4,4 @@
  * @author Hornwitser
  */
 export * from "./exchange_string";
+export * from "./user_lists";
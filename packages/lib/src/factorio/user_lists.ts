@@ -0,0 +1,65 @@
+import { UserListEntry, UserListType } from "../data";
+
+/**
+ * Parse the content of a Factorio server-adminlist.json,
+ * server-banlist.json or server-whitelist.json file
+ *
+ * Banlist entries may be either plain names or objects with a username
+ * and an optional reason, as Factorio accepts both.  Later entries for the
+ * same name replace earlier ones.
+ *
+ * @param list - Type of list the content is for.
+ * @param content - JSON text of the file.
+ * @returns the users on the list.
+ * @throws {Error} if the content is not in the format of the list.
+ */
+export function parseUserList(list: UserListType, content: string) {
+	let json: unknown;
+	try {
+		json = JSON.parse(content);
+	} catch (err: any) {
+		throw new Error(`Invalid JSON: ${err.message}`);
+	}
+	if (!(json instanceof Array)) {
+		throw new Error(`Expected ${list} to be an array`);
+	}
+
+	const entries = new Map<string, UserListEntry>();
+	for (let [index, item] of json.entries()) {
+		let entry: UserListEntry;
+		if (typeof item === "string") {
+			entry = new UserListEntry(item);
+		} else if (
+			list === "banlist"
+			&& typeof item === "object" && item !== null
+			&& typeof item.username === "string"
+			&& ["string", "undefined"].includes(typeof item.reason)
+		) {
+			entry = new UserListEntry(item.username, item.reason || undefined);
+		} else {
+			throw new Error(`Invalid entry at index ${index} in ${list}`);
+		}
+		if (!entry.name) {
+			throw new Error(`Empty name at index ${index} in ${list}`);
+		}
+		entries.delete(entry.name);
+		entries.set(entry.name, entry);
+	}
+	return [...entries.values()];
+}
+
+/**
+ * Format users as the content of a Factorio server-adminlist.json,
+ * server-banlist.json or server-whitelist.json file
+ *
+ * @param list - Type of list to format.
+ * @param entries - Users on the list.
+ * @returns JSON text of the file.
+ */
+export function formatUserList(list: UserListType, entries: UserListEntry[]) {
+	if (list === "banlist") {
+		const banlist = entries.map(({ name, reason }) => ({ username: name, reason: reason ?? "" }));
+		return JSON.stringify(banlist, null, "\t");
+	}
+	return JSON.stringify(entries.map(entry => entry.name), null, "\t");
+}
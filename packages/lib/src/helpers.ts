@@ -51,6 +51,59 @@ export async function timeout<T>(promise: Promise<T>, limitMs: number, timeoutRe
 	}
 }
 
+/** Seconds remaining at which {@link countdown} makes announcements after the first one. */
+export const countdownAnnouncements = [600, 300, 120, 60, 30, 10, 5];
+
+/**
+ * Format seconds remaining of a countdown for display to players
+ *
+ * @param seconds - Number of seconds remaining.
+ * @returns human readable text like "5 minutes" or "30 seconds".
+ */
+export function formatCountdown(seconds: number) {
+	if (seconds >= 60 && seconds % 60 === 0) {
+		return seconds === 60 ? "1 minute" : `${seconds / 60} minutes`;
+	}
+	return seconds === 1 ? "1 second" : `${seconds} seconds`;
+}
+
+/**
+ * Count down the given number of seconds with announcements
+ *
+ * Calls announce at the start and at each of {@link
+ * countdownAnnouncements} seconds remaining, while checking
+ * shouldContinue every second to see if the countdown was cancelled.
+ *
+ * @param seconds - Length of countdown.
+ * @param announce - Called with the number of seconds remaining.
+ * @param shouldContinue - Return false to cancel the countdown.
+ * @returns true if the countdown completed, false if it was cancelled.
+ */
+export async function countdown(
+	seconds: number,
+	announce: (remaining: number) => Promise<void>,
+	shouldContinue: () => boolean,
+) {
+	const endMs = Date.now() + seconds * 1000;
+	const announcements = [seconds, ...countdownAnnouncements.filter(remaining => remaining < seconds)];
+	for (const remaining of [...announcements, 0]) {
+		while (Date.now() < endMs - remaining * 1000) {
+			if (!shouldContinue()) {
+				return false;
+			}
+			await wait(Math.min(1000, endMs - remaining * 1000 - Date.now()));
+		}
+		if (!shouldContinue()) {
+			return false;
+		}
+		if (remaining === 0) {
+			break;
+		}
+		await announce(remaining);
+	}
+	return true;
+}
+
 /**
  * Helper to serialise and merge waiting calls to an async callback.
  *
@@ -239,6 +292,29 @@ export function formatBytes(bytes: number, prefixes: "si" | "binary" = "si") {
 	return significant.toFixed(fractionDigits) + units[exponent];
 }
 
+const durationUnitsMs: Record<string, number> = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 };
+
+/**
+ * Parse a human written duration
+ *
+ * Accepts one or more numbers followed by a unit of s, m, h, d or w, for
+ * example "90m" or "1d12h".
+ * @param text - Duration to parse.
+ * @returns duration in milliseconds.
+ * @throws {Error} if the text is not a valid duration.
+ */
+export function parseDuration(text: string) {
+	const match = /^(\d+(\.\d+)?[smhdw])+$/.exec(text.trim());
+	if (!match) {
+		throw new Error(`Invalid duration '${text}', expected a number followed by s, m, h, d or w`);
+	}
+	let durationMs = 0;
+	for (let [, value, unit] of text.trim().matchAll(/(\d+(?:\.\d+)?)([smhdw])/g)) {
+		durationMs += Number(value) * durationUnitsMs[unit];
+	}
+	return durationMs;
+}
+
 function skipWhitespace(pos: number, input: string) {
 	// whitespace = 1*" "
 	while (pos < input.length && input.charAt(pos) === " ") {
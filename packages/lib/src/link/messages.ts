@@ -1,9 +1,13 @@
+import * as audit from "../data/messages_audit";
+import * as backup from "../data/messages_backup";
 import * as core from "../data/messages_core";
 import * as controller from "../data/messages_controller";
 import * as host from "../data/messages_host";
 import * as instance from "../data/messages_instance";
 import * as mod from "../data/messages_mod";
+import * as schedule from "../data/messages_schedule";
 import * as user from "../data/messages_user";
+import * as webhook from "../data/messages_webhook";
 import * as subscriptions from "../subscriptions";
 import type { RequestClass, EventClass } from "./link";
 
@@ -19,6 +23,7 @@ export const dataClasses: (RequestClass<unknown, unknown> | EventClass<unknown>)
 
 	controller.ControllerStopRequest,
 	controller.ControllerRestartRequest,
+	controller.ControllerCancelRestartRequest,
 	controller.ControllerConfigGetRequest,
 	controller.ControllerConfigSetFieldRequest,
 	controller.ControllerConfigSetPropRequest,
@@ -36,6 +41,7 @@ export const dataClasses: (RequestClass<unknown, unknown> | EventClass<unknown>)
 
 	host.HostStopRequest,
 	host.HostRestartRequest,
+	host.HostCancelRestartRequest,
 	host.HostConfigGetRequest,
 	host.HostConfigSetFieldRequest,
 	host.HostConfigSetPropRequest,
@@ -47,6 +53,10 @@ export const dataClasses: (RequestClass<unknown, unknown> | EventClass<unknown>)
 	host.PrepareControllerDisconnectRequest,
 	host.SyncUserListsEvent,
 	host.HostRevokeTokensRequest,
+	host.HostDrainRequest,
+	host.HostDrainingChangedEvent,
+	host.HostFactorioVersionInstallRequest,
+	host.HostFactorioVersionRemoveRequest,
 
 	instance.InstanceDetailsGetRequest,
 	instance.InstanceDetailsListRequest,
@@ -56,6 +66,10 @@ export const dataClasses: (RequestClass<unknown, unknown> | EventClass<unknown>)
 	instance.InstanceConfigSetFieldRequest,
 	instance.InstanceConfigSetPropRequest,
 	instance.InstanceAssignRequest,
+	instance.InstanceMigrateRequest,
+	instance.InstanceMigrationUpdatesEvent,
+	instance.FactorioUpgradeStartRequest,
+	instance.FactorioUpgradeUpdatesEvent,
 	instance.InstanceMetricsRequest,
 	instance.InstanceStartRequest,
 	instance.InstanceSaveDetailsListRequest,
@@ -64,6 +78,7 @@ export const dataClasses: (RequestClass<unknown, unknown> | EventClass<unknown>)
 	instance.InstanceRenameSaveRequest,
 	instance.InstanceCopySaveRequest,
 	instance.InstanceDeleteSaveRequest,
+	instance.InstanceSavePruneRequest,
 	instance.InstanceDownloadSaveRequest,
 	instance.InstanceTransferSaveRequest,
 	instance.InstancePullSaveRequest,
@@ -72,15 +87,18 @@ export const dataClasses: (RequestClass<unknown, unknown> | EventClass<unknown>)
 	instance.InstanceExportDataRequest,
 	instance.InstanceExtractPlayersRequest,
 	instance.InstanceStopRequest,
+	instance.InstanceCancelStopRequest,
 	instance.InstanceKillRequest,
 	instance.InstanceDeleteRequest,
 	instance.InstanceDeleteInternalRequest,
 	instance.InstanceSendRconRequest,
+	instance.InstanceBroadcastRconRequest,
 	instance.InstancesUpdateRequest,
 	instance.InstanceAssignInternalRequest,
 	instance.InstanceUnassignInternalRequest,
 	instance.InstanceInitialisedEvent,
 	instance.InstanceStatusChangedEvent,
+	instance.InstanceCrashedEvent,
 	instance.InstanceDetailsChangedEvent,
 	instance.InstanceBanlistUpdateEvent,
 	instance.InstanceAdminlistUpdateEvent,
@@ -101,6 +119,28 @@ export const dataClasses: (RequestClass<unknown, unknown> | EventClass<unknown>)
 	mod.ModPackUpdatesEvent,
 	mod.ModUpdatesEvent,
 
+	schedule.ScheduledTaskListRequest,
+	schedule.ScheduledTaskCreateRequest,
+	schedule.ScheduledTaskUpdateRequest,
+	schedule.ScheduledTaskDeleteRequest,
+	schedule.ScheduledTaskRunRequest,
+	schedule.ScheduledTaskUpdatesEvent,
+
+	backup.SaveBackupListRequest,
+	backup.SaveBackupCreateRequest,
+	backup.SaveBackupRestoreRequest,
+	backup.SaveBackupDeleteRequest,
+	backup.SaveBackupUpdatesEvent,
+
+	audit.AuditLogQueryRequest,
+
+	webhook.WebhookListRequest,
+	webhook.WebhookCreateRequest,
+	webhook.WebhookUpdateRequest,
+	webhook.WebhookDeleteRequest,
+	webhook.WebhookTestRequest,
+	webhook.WebhookUpdatesEvent,
+
 	user.PermissionListRequest,
 	user.RoleListRequest,
 	user.RoleCreateRequest,
@@ -111,10 +151,18 @@ export const dataClasses: (RequestClass<unknown, unknown> | EventClass<unknown>)
 	user.UserListRequest,
 	user.UserCreateRequest,
 	user.UserRevokeTokenRequest,
+	user.UserSetPasswordRequest,
+	user.UserRconHistoryGetRequest,
+	user.UserRconHistoryAddRequest,
+	user.UserApiTokenListRequest,
+	user.UserApiTokenCreateRequest,
+	user.UserApiTokenRevokeRequest,
 	user.UserUpdateRolesRequest,
 	user.UserSetAdminRequest,
 	user.UserSetWhitelistedRequest,
 	user.UserSetBannedRequest,
 	user.UserDeleteRequest,
+	user.UserListImportRequest,
+	user.UserListExportRequest,
 	user.UserUpdatesEvent,
 ];
@@ -192,6 +192,23 @@ definePermission({
 	title: "Revoke host token",
 	description: "Revoke access token and terminate existing connection for hosts.",
 });
+definePermission({
+	name: "core.host.drain",
+	title: "Drain host",
+	description:
+		"Mark hosts as draining for maintenance, preventing instances from being assigned to or auto started " +
+		"on them.",
+});
+definePermission({
+	name: "core.host.install_factorio",
+	title: "Install Factorio on host",
+	description: "Install versions of Factorio on hosts from an uploaded archive or a download URL.",
+});
+definePermission({
+	name: "core.host.remove_factorio",
+	title: "Remove Factorio from host",
+	description: "Remove installed versions of Factorio from hosts.",
+});
 definePermission({
 	name: "core.host.create_config",
 	title: "Create host config",
@@ -236,6 +253,16 @@ definePermission({
 	title: "Assign instance",
 	description: "Assign or reassign instances to a host.",
 });
+definePermission({
+	name: "core.instance.migrate",
+	title: "Migrate instance",
+	description: "Move instances and their saves to another host, stopping and starting them as needed.",
+});
+definePermission({
+	name: "core.instance.upgrade_factorio",
+	title: "Upgrade Factorio",
+	description: "Change the Factorio version of instances, restarting the running ones one by one.",
+});
 definePermission({
 	name: "core.instance.save.list",
 	title: "List saves",
@@ -396,6 +423,99 @@ definePermission({
 	description: "Delete mods stored on the controller.",
 });
 
+definePermission({
+	name: "core.schedule.list",
+	title: "List scheduled tasks",
+	description: "Get the full list of scheduled tasks and their run history.",
+});
+definePermission({
+	name: "core.schedule.subscribe",
+	title: "Subscribe to scheduled task updates",
+	description: "Subscribe to be notified on updates to scheduled tasks and their runs.",
+});
+definePermission({
+	name: "core.schedule.create",
+	title: "Create scheduled task",
+	description:
+		"Create new scheduled tasks.  Also requires the permission for the action performed by the task, " +
+		"e.g. Send RCON for tasks sending commands.",
+});
+definePermission({
+	name: "core.schedule.update",
+	title: "Update scheduled task",
+	description:
+		"Edit existing scheduled tasks.  Also requires the permission for the action performed by the task.",
+});
+definePermission({
+	name: "core.schedule.delete",
+	title: "Delete scheduled task",
+	description: "Delete scheduled tasks.",
+});
+definePermission({
+	name: "core.schedule.run",
+	title: "Run scheduled task",
+	description:
+		"Manually trigger a scheduled task outside of its schedule.  Also requires the permission for the " +
+		"action performed by the task.",
+});
+
+definePermission({
+	name: "core.webhook.list",
+	title: "List webhooks",
+	description: "Get the full list of webhooks including their signing secrets and delivery logs.",
+});
+definePermission({
+	name: "core.webhook.subscribe",
+	title: "Subscribe to webhook updates",
+	description: "Subscribe to be notified on updates to webhooks and their deliveries.",
+});
+definePermission({
+	name: "core.webhook.create",
+	title: "Create webhook",
+	description: "Create new webhooks sending events in the cluster to external URLs.",
+});
+definePermission({
+	name: "core.webhook.update",
+	title: "Update webhook",
+	description: "Edit existing webhooks.",
+});
+definePermission({
+	name: "core.webhook.delete",
+	title: "Delete webhook",
+	description: "Delete webhooks.",
+});
+definePermission({
+	name: "core.webhook.test",
+	title: "Test webhook",
+	description: "Send a test event to a webhook.",
+});
+
+definePermission({
+	name: "core.backup.list",
+	title: "List save backups",
+	description: "Get the full list of save backups stored on the controller.",
+});
+definePermission({
+	name: "core.backup.subscribe",
+	title: "Subscribe to save backup updates",
+	description: "Subscribe to be notified on updates to save backups stored on the controller.",
+});
+definePermission({
+	name: "core.backup.create",
+	title: "Create save backup",
+	description: "Back up saves of instances to the controller.",
+});
+definePermission({
+	name: "core.backup.restore",
+	title: "Restore save backup",
+	description: "Restore save backups stored on the controller to instances.",
+});
+definePermission({
+	name: "core.backup.delete",
+	title: "Delete save backup",
+	description: "Delete save backups stored on the controller.",
+});
+
 definePermission({
 	name: "core.permission.list",
 	title: "List permissions",
@@ -459,6 +579,30 @@ definePermission({
 	title: "Revoke other user's token",
 	description: "Allow revoking tokens for other users than oneself. Requires Revoke user token.",
 });
+definePermission({
+	name: "core.user.set_password",
+	title: "Set user password",
+	description: "Set or remove the password used to log in to the Web UI for oneself.",
+	grantByDefault: true,
+});
+definePermission({
+	name: "core.user.set_other_password",
+	title: "Set other user's password",
+	description:
+		"Allow resetting or removing the password of other users than oneself without knowing the current " +
+		"password, which also lifts any login lockout. Users with permissions oneself does not have are " +
+		"excluded. Requires Set user password.",
+});
+definePermission({
+	name: "core.user.manage_api_tokens",
+	title: "Manage API tokens",
+	description: "List, create and revoke API tokens with limited permissions for oneself.",
+});
+definePermission({
+	name: "core.user.manage_other_api_tokens",
+	title: "Manage other user's API tokens",
+	description: "Allow managing API tokens of other users than oneself. Requires Manage API tokens.",
+});
 definePermission({
 	name: "core.user.update_roles",
 	title: "Update user roles",
@@ -495,6 +639,12 @@ definePermission({
 	description: "Query past entries in the cluster log.  Required to see past entries in instance console.",
 });
 
+definePermission({
+	name: "core.audit.query",
+	title: "Query audit log",
+	description: "Query the log of requests made by users of the cluster and their outcome.",
+});
+
 definePermission({
 	name: "core.debug.dump_ws",
 	title: "Dump WebSocket",
@@ -5,6 +5,7 @@ import { Address, MessageRequest, IControllerUser } from "./data";
 
 export type SubscriptionRequestHandler<T> = RequestHandler<SubscriptionRequest, Event<T> | null>;
 export type EventSubscriberCallback<T> = (updates: T[], synced: boolean) => void
+export type SubscriptionFilter<T> = (link: Link, event: T & Event<T>) => Event<T> | null;
 
 /**
  * A subscription request sent by a subscriber, this updates what events the subscriber will be sent
@@ -57,6 +58,7 @@ export class SubscriptionRequest {
 
 type EventData = {
 	subscriptionUpdate?: SubscriptionRequestHandler<unknown>,
+	filter?: SubscriptionFilter<unknown>,
 	subscriptions: Set<Link>,
 };
 
@@ -73,8 +75,16 @@ export class SubscriptionController {
 	 * @param Event - Event class which is sent out as updates.
 	 * @param subscriptionUpdate -
 	 *     Optional handler called when a client subscribes.
+	 * @param filter -
+	 *     Optional function returning the event to send to a subscribed
+	 *     link, or null to not send it, for leaving out updates the link
+	 *     should not see.
 	 */
-	handle<T>(Event: EventClass<T>, subscriptionUpdate?: SubscriptionRequestHandler<T>) {
+	handle<T>(
+		Event: EventClass<T>,
+		subscriptionUpdate?: SubscriptionRequestHandler<T>,
+		filter?: SubscriptionFilter<T>,
+	) {
 		const entry = Link._eventsByClass.get(Event);
 		if (!entry) {
 			throw new Error(`Unregistered Event class ${Event.name}`);
@@ -84,6 +94,7 @@ export class SubscriptionController {
 		}
 		this._events.set(entry.name, {
 			subscriptionUpdate: subscriptionUpdate,
+			filter: filter as SubscriptionFilter<unknown> | undefined,
 			subscriptions: new Set(),
 		});
 	}
@@ -105,11 +116,18 @@ export class SubscriptionController {
 			if ((link.connector as WebSocketBaseConnector).closing) {
 				eventData.subscriptions.delete(link);
 			} else {
-				link.send(event);
+				this._send(link, eventData, event);
 			}
 		}
 	}
 
+	_send<T>(link: Link, eventData: EventData, event: Event<T>) {
+		const filtered = eventData.filter ? eventData.filter(link, event as T & Event<T>) : event;
+		if (filtered) {
+			link.send(filtered);
+		}
+	}
+
 	/**
 	 * Unsubscribe from all events of a given link.
 	 * Used when a link is closed to stop all active subscriptions.
@@ -143,7 +161,7 @@ export class SubscriptionController {
 			if (eventData.subscriptionUpdate) {
 				const eventReplay = await eventData.subscriptionUpdate(event, src, dst);
 				if (eventReplay) {
-					link.send(eventReplay);
+					this._send(link, eventData, eventReplay);
 				}
 			}
 		}
@@ -1,5 +1,7 @@
 import type React from "react";
-import type { AccountRole, FieldDefinition, Logger, PluginWebpackEnvInfo } from "@clusterio/lib";
+import type {
+	AccountRole, Config, FieldDefinition, InstanceScopeTarget, Logger, PluginWebpackEnvInfo,
+} from "@clusterio/lib";
 import type { Control } from "./util/websocket";
 
 /**
@@ -27,6 +29,8 @@ export interface InputComponentProps {
 	fieldDefinition: FieldDefinition,
 	value: null | boolean | number | string,
 	onChange: (value: null | boolean | number | string) => void,
+	/** Config the field being edited belongs to */
+	config?: Config<any>,
 }
 export type InputComponent = React.ComponentType<InputComponentProps>;
 
@@ -41,6 +45,12 @@ export type UserAccount = {
 	hasAnyPermission: (...permissions: string[]) => boolean | null;
 	/** Check if the currently logged in account has all of given permissions. */
 	hasAllPermission: (...permissions: string[]) => boolean | null;
+	/**
+	 * Returns the account with permission checks done for the given
+	 * instance, this excludes core.instance.* permissions granted by roles
+	 * that are scoped to other instances.
+	 */
+	forInstance: (instance?: InstanceScopeTarget) => UserAccount;
 	/** Logs out of the web interface. */
 	logOut: () => void;
 };
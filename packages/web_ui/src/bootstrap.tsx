@@ -7,6 +7,7 @@ import * as lib from "@clusterio/lib";
 
 import App from "./components/App";
 import BaseWebPlugin, { InputComponent } from "./BaseWebPlugin";
+import InputFactorioVersion from "./components/InputFactorioVersion";
 import InputModPack from "./components/InputModPack";
 import { Control, ControlConnector } from "./util/websocket";
 
@@ -108,6 +109,7 @@ async function loadPlugins(pluginInfos: lib.PluginWebpackEnvInfo[], control: Con
 
 function inputComponentsFromPlugins(plugins: Map<string, BaseWebPlugin>) {
 	const inputComponents: Record<string, InputComponent> = {
+		"factorio_version": InputFactorioVersion,
 		"mod_pack": InputModPack,
 	};
 	for (let [pluginName, plugin] of plugins) {
@@ -33,13 +33,14 @@ export default function AssignInstanceModal(props: AssignInstanceModalProps) {
 			return;
 		}
 
+		let auto = hostId === "auto";
 		if (typeof hostId === "string") {
 			hostId = undefined;
 		}
 
 		setApplying(true);
 		control.send(
-			new lib.InstanceAssignRequest(props.id!, hostId)
+			new lib.InstanceAssignRequest(props.id!, hostId, auto)
 		).then(() => {
 			setOpen(false);
 			if (props.onFinish) {
@@ -74,6 +75,8 @@ export default function AssignInstanceModal(props: AssignInstanceModalProps) {
 				creates the necessary files on the host to start up
 				the instance.  Note that reassigning an instance from
 				one host to another will not move the server save over.
+				Automatic lets the controller pick a connected host with
+				a free game port.
 			</Paragraph>
 			<Form form={form} initialValues={{ host: props.hostId ?? "null" }}>
 				<Form.Item name="host" label="Host">
@@ -81,13 +84,17 @@ export default function AssignInstanceModal(props: AssignInstanceModalProps) {
 						<Select.Option value={"null"}>
 							<Typography.Text italic>Unassigned</Typography.Text>
 						</Select.Option>
+						<Select.Option value={"auto"}>
+							<Typography.Text italic>Automatic</Typography.Text>
+						</Select.Option>
 						{[...hosts.values()].sort((a, b) => strcmp(a.name, b.name)).map((host) => <Select.Option
 							key={host["id"]}
 							value={host["id"]}
-							disabled={!host["connected"]}
+							disabled={!host["connected"] || host["draining"]}
 						>
 							{host["name"]}
 							{!host["connected"] && " (offline)"}
+							{host["connected"] && host["draining"] && " (draining)"}
 						</Select.Option>)}
 					</Select>
 				</Form.Item>
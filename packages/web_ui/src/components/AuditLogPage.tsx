@@ -0,0 +1,158 @@
+import React, { useContext, useEffect, useState } from "react";
+import { Button, Form, Input, Select, Table, Tag, Typography } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import { useHosts } from "../model/host";
+import { useInstances } from "../model/instance";
+import ControlContext from "./ControlContext";
+import { notifyErrorHandler } from "../util/notify";
+import { formatTimestamp } from "../util/time_format";
+import PageHeader from "./PageHeader";
+import PageLayout from "./PageLayout";
+import PluginExtra from "./PluginExtra";
+
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+const resultColors: Record<lib.AuditResult, string> = {
+	success: "green",
+	error: "red",
+	denied: "orange",
+};
+
+const periods = [
+	{ label: "Last hour", value: 3600e3 },
+	{ label: "Last day", value: 86400e3 },
+	{ label: "Last week", value: 7 * 86400e3 },
+	{ label: "Last 30 days", value: 30 * 86400e3 },
+];
+
+type Filter = {
+	user?: string;
+	action?: string;
+	target?: string;
+	result?: lib.AuditResult;
+	period?: number;
+};
+
+export default function AuditLogPage() {
+	let control = useContext(ControlContext);
+	let [hosts] = useHosts();
+	let [instances] = useInstances();
+	let [form] = Form.useForm();
+	let [filter, setFilter] = useState<Filter>({});
+	let [entries, setEntries] = useState<lib.AuditLogEntry[]>([]);
+	let [loading, setLoading] = useState(false);
+	let [refresh, setRefresh] = useState(0);
+
+	useEffect(() => {
+		setLoading(true);
+		control.send(new lib.AuditLogQueryRequest(
+			1000,
+			"desc",
+			filter.user || undefined,
+			filter.action || undefined,
+			filter.target,
+			filter.result,
+			filter.period ? Date.now() - filter.period : undefined,
+		)).then(setEntries).catch(notifyErrorHandler("Error querying audit log")).finally(() => setLoading(false));
+	}, [filter, refresh]);
+
+	function targetName(target: string) {
+		let [type, id] = target.split(":");
+		if (type === "instance") {
+			return `Instance ${instances.get(Number(id))?.name ?? id}`;
+		}
+		if (type === "host") {
+			return `Host ${hosts.get(Number(id))?.name ?? id}`;
+		}
+		return "Controller";
+	}
+
+	let keys = new Map(entries.map((entry, index) => [entry, index]));
+	let targets = [
+		{ value: "controller", label: "Controller" },
+		...[...hosts.values()].sort((a, b) => strcmp(a.name, b.name))
+			.map(host => ({ value: `host:${host.id}`, label: `Host ${host.name}` })),
+		...[...instances.values()].sort((a, b) => strcmp(a.name, b.name))
+			.map(instance => ({ value: `instance:${instance.id}`, label: `Instance ${instance.name}` })),
+	];
+
+	return <PageLayout nav={[{ name: "Audit Log" }]}>
+		<PageHeader
+			title="Audit Log"
+			extra={<Button onClick={() => setRefresh(refresh + 1)}>Refresh</Button>}
+		/>
+		<Form form={form} layout="inline" onFinish={values => setFilter(values)} style={{ marginBottom: 16 }}>
+			<Form.Item name="user" label="User">
+				<Input allowClear />
+			</Form.Item>
+			<Form.Item name="action" label="Action">
+				<Input allowClear placeholder="e.g. InstanceStopRequest" />
+			</Form.Item>
+			<Form.Item name="target" label="Target">
+				<Select allowClear showSearch optionFilterProp="label" options={targets} style={{ minWidth: 175 }} />
+			</Form.Item>
+			<Form.Item name="result" label="Result">
+				<Select
+					allowClear
+					options={Object.keys(resultColors).map(result => ({ value: result, label: result }))}
+					style={{ minWidth: 100 }}
+				/>
+			</Form.Item>
+			<Form.Item name="period" label="Period">
+				<Select allowClear placeholder="All time" options={periods} style={{ minWidth: 125 }} />
+			</Form.Item>
+			<Form.Item>
+				<Button type="primary" htmlType="submit">Filter</Button>
+			</Form.Item>
+		</Form>
+		<Table
+			size="small"
+			loading={loading}
+			columns={[
+				{
+					title: "Time",
+					key: "time",
+					render: (_, entry) => formatTimestamp(entry.timestampMs),
+				},
+				{
+					title: "User",
+					dataIndex: "user",
+				},
+				{
+					title: "Action",
+					dataIndex: "action",
+				},
+				{
+					title: "Target",
+					key: "target",
+					render: (_, entry) => targetName(entry.target),
+				},
+				{
+					title: "Parameters",
+					key: "parameters",
+					render: (_, entry) => entry.parameters !== undefined && <Typography.Text
+						code
+						ellipsis={{ tooltip: JSON.stringify(entry.parameters, null, 2) }}
+						style={{ maxWidth: 300 }}
+					>
+						{JSON.stringify(entry.parameters)}
+					</Typography.Text>,
+				},
+				{
+					title: "Result",
+					key: "result",
+					render: (_, entry) => <>
+						<Tag color={resultColors[entry.result]}>{entry.result}</Tag>
+						{entry.error}
+					</>,
+				},
+			]}
+			dataSource={entries}
+			rowKey={entry => keys.get(entry)!}
+			pagination={{ defaultPageSize: 50, hideOnSinglePage: true }}
+		/>
+		<PluginExtra component="AuditLogPage" />
+	</PageLayout>;
+}
@@ -0,0 +1,217 @@
+import React, { useContext, useState } from "react";
+import { Button, Form, Input, Modal, Popconfirm, Select, Space, Table } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import { useAccount } from "../model/account";
+import { useInstances } from "../model/instance";
+import { useSaveBackups } from "../model/save_backup";
+import { useSavesOfInstance } from "../model/saves";
+import ControlContext from "./ControlContext";
+import notify, { notifyErrorHandler } from "../util/notify";
+import { formatTimestamp } from "../util/time_format";
+import PageHeader from "./PageHeader";
+import PageLayout from "./PageLayout";
+import PluginExtra from "./PluginExtra";
+
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+function InstanceSelect(props: React.ComponentProps<typeof Select>) {
+	let [instances] = useInstances();
+	return <Select
+		showSearch
+		optionFilterProp="label"
+		options={[...instances.values()]
+			.sort((a, b) => strcmp(a.name, b.name))
+			.map(instance => ({
+				value: instance.id,
+				label: instance.name,
+				disabled: ["unassigned", "unknown"].includes(instance.status),
+			}))}
+		{...props}
+	/>;
+}
+
+function CreateBackupModal() {
+	let control = useContext(ControlContext);
+	let [open, setOpen] = useState(false);
+	let [creating, setCreating] = useState(false);
+	let [form] = Form.useForm();
+	let instanceId: number | undefined = Form.useWatch("instanceId", form);
+	let [saves] = useSavesOfInstance(instanceId);
+
+	async function createBackup() {
+		let values = await form.validateFields();
+		setCreating(true);
+		try {
+			let backup = await control.send(new lib.SaveBackupCreateRequest(values.instanceId, values.save));
+			notify(`Backed up ${backup.name}`, "success");
+			setOpen(false);
+		} finally {
+			setCreating(false);
+		}
+	}
+
+	return <>
+		<Button type="primary" onClick={() => { setOpen(true); }}>Back up now</Button>
+		<Modal
+			title="Back up save"
+			okText="Back up"
+			open={open}
+			confirmLoading={creating}
+			onOk={() => { createBackup().catch(notifyErrorHandler("Error backing up save")); }}
+			onCancel={() => { setOpen(false); }}
+			destroyOnClose
+		>
+			<Form form={form} preserve={false} labelCol={{ span: 6 }}>
+				<Form.Item
+					name="instanceId"
+					label="Instance"
+					rules={[{ required: true, message: "Instance is required" }]}
+				>
+					<InstanceSelect />
+				</Form.Item>
+				<Form.Item name="save" label="Save">
+					<Select
+						allowClear
+						placeholder="Newest save"
+						options={[...saves.values()]
+							.filter(save => save.type === "file")
+							.sort((a, b) => b.mtimeMs - a.mtimeMs)
+							.map(save => ({ value: save.name, label: save.name }))}
+					/>
+				</Form.Item>
+			</Form>
+		</Modal>
+	</>;
+}
+
+function RestoreBackupModal(props: { backup: lib.SaveBackup }) {
+	let control = useContext(ControlContext);
+	let [open, setOpen] = useState(false);
+	let [restoring, setRestoring] = useState(false);
+	let [form] = Form.useForm();
+
+	async function restoreBackup() {
+		let values = await form.validateFields();
+		setRestoring(true);
+		try {
+			let storedName = await control.send(new lib.SaveBackupRestoreRequest(
+				props.backup.id, values.instanceId, values.name || undefined,
+			));
+			notify(`Restored backup as ${storedName}`, "success");
+			setOpen(false);
+		} finally {
+			setRestoring(false);
+		}
+	}
+
+	return <>
+		<Button size="small" onClick={() => { setOpen(true); }}>Restore</Button>
+		<Modal
+			title="Restore backup"
+			okText="Restore"
+			open={open}
+			confirmLoading={restoring}
+			onOk={() => { restoreBackup().catch(notifyErrorHandler("Error restoring backup")); }}
+			onCancel={() => { setOpen(false); }}
+			destroyOnClose
+		>
+			<Form
+				form={form}
+				preserve={false}
+				labelCol={{ span: 6 }}
+				initialValues={{ instanceId: props.backup.instanceId, name: props.backup.name }}
+			>
+				<Form.Item
+					name="instanceId"
+					label="Instance"
+					rules={[{ required: true, message: "Instance is required" }]}
+				>
+					<InstanceSelect />
+				</Form.Item>
+				<Form.Item
+					name="name"
+					label="Save name"
+					tooltip="The save is given a new name if one with this name already exists."
+				>
+					<Input />
+				</Form.Item>
+			</Form>
+		</Modal>
+	</>;
+}
+
+export default function BackupsPage() {
+	let account = useAccount();
+	let control = useContext(ControlContext);
+	let [instances] = useInstances();
+	let [saveBackups] = useSaveBackups();
+
+	let instanceIds = new Set([...saveBackups.values()].map(backup => backup.instanceId));
+	return <PageLayout nav={[{ name: "Backups" }]}>
+		<PageHeader
+			title="Backups"
+			extra={account.hasPermission("core.backup.create") ? <CreateBackupModal /> : undefined}
+		/>
+		<Table
+			columns={[
+				{
+					title: "Instance",
+					key: "instance",
+					render: (_, backup) => instances.get(backup.instanceId)?.name ?? backup.instanceId,
+					filters: [...instanceIds].map(id => ({ text: instances.get(id)?.name ?? String(id), value: id })),
+					onFilter: (value, backup) => backup.instanceId === value,
+				},
+				{
+					title: "Save",
+					dataIndex: "name",
+				},
+				{
+					title: "Size",
+					key: "size",
+					render: (_, backup) => lib.formatBytes(backup.size),
+					align: "right",
+					sorter: (a, b) => a.size - b.size,
+				},
+				{
+					title: "Last Modified",
+					key: "mtimeMs",
+					render: (_, backup) => formatTimestamp(backup.mtimeMs),
+					sorter: (a, b) => a.mtimeMs - b.mtimeMs,
+				},
+				{
+					title: "Backed Up",
+					key: "createdAtMs",
+					render: (_, backup) => formatTimestamp(backup.createdAtMs),
+					sorter: (a, b) => a.createdAtMs - b.createdAtMs,
+					defaultSortOrder: "descend",
+				},
+				{
+					key: "actions",
+					align: "right",
+					render: (_, backup) => <Space>
+						{account.hasPermission("core.backup.restore") && <RestoreBackupModal backup={backup} />}
+						{account.hasPermission("core.backup.delete") && <Popconfirm
+							title="Permanently delete backup?"
+							placement="bottomRight"
+							okText="Delete"
+							okButtonProps={{ danger: true }}
+							onConfirm={() => {
+								control.send(
+									new lib.SaveBackupDeleteRequest(backup.id)
+								).catch(notifyErrorHandler("Error deleting backup"));
+							}}
+						>
+							<Button size="small" danger>Delete</Button>
+						</Popconfirm>}
+					</Space>,
+				},
+			]}
+			dataSource={[...saveBackups.values()]}
+			rowKey={backup => backup.id}
+			pagination={{ defaultPageSize: 50, hideOnSinglePage: true }}
+		/>
+		<PluginExtra component="BackupsPage" />
+	</PageLayout>;
+}
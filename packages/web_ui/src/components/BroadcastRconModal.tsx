@@ -0,0 +1,96 @@
+import React, { useContext, useState } from "react";
+import { Button, Form, Input, Modal, Select, Table, Typography } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import ControlContext from "./ControlContext";
+import { notifyErrorHandler } from "../util/notify";
+import { useInstances } from "../model/instance";
+
+const { Paragraph, Text } = Typography;
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+
+export default function BroadcastRconModal() {
+	let [open, setOpen] = useState(false);
+	let [sending, setSending] = useState(false);
+	let [results, setResults] = useState<lib.InstanceRconResult[]>();
+	let [instances] = useInstances();
+	let [form] = Form.useForm();
+	let control = useContext(ControlContext);
+
+	let tags = new Set<string>();
+	for (let instance of instances.values()) {
+		instance.tags.forEach(tag => tags.add(tag));
+	}
+
+	function instanceName(instanceId: number) {
+		return instances.get(instanceId)?.name ?? String(instanceId);
+	}
+
+	async function handleSend() {
+		let values = await form.validateFields();
+		setSending(true);
+		try {
+			setResults(await control.send(
+				new lib.InstanceBroadcastRconRequest(values.command, undefined, values.tags || [])
+			));
+		} finally {
+			setSending(false);
+		}
+	}
+
+	return <>
+		<Button onClick={() => { setResults(undefined); setOpen(true); }}>Send RCON</Button>
+		<Modal
+			title="Send RCON command to instances"
+			okText="Send"
+			open={open}
+			confirmLoading={sending}
+			onOk={() => { handleSend().catch(notifyErrorHandler("Error sending command")); }}
+			onCancel={() => setOpen(false)}
+			width={700}
+			destroyOnClose
+		>
+			<Paragraph>
+				Sends the command to all running instances, or to the running instances with one of the selected
+				tags.
+			</Paragraph>
+			<Form form={form} preserve={false}>
+				<Form.Item name="command" label="Command" rules={[{ required: true, message: "Command is required" }]}>
+					<Input.TextArea autoSize={{ minRows: 1, maxRows: 10 }} className="rcon-input" />
+				</Form.Item>
+				<Form.Item name="tags" label="Tags">
+					<Select
+						mode="multiple"
+						placeholder="All instances"
+						options={[...tags].sort(strcmp).map(tag => ({ value: tag }))}
+					/>
+				</Form.Item>
+			</Form>
+			{results && <Table
+				size="small"
+				columns={[
+					{
+						title: "Instance",
+						key: "instance",
+						render: (_, result) => instanceName(result.instanceId),
+						defaultSortOrder: "ascend",
+						sorter: (a, b) => strcmp(instanceName(a.instanceId), instanceName(b.instanceId)),
+					},
+					{
+						title: "Result",
+						key: "result",
+						render: (_, result) => (result.error !== undefined
+							? <Text type="danger">{result.error}</Text>
+							: <Text code className="rcon-output">{result.output}</Text>),
+					},
+				]}
+				dataSource={results}
+				rowKey={result => result.instanceId}
+				pagination={false}
+				locale={{ emptyText: "No running instances to send to" }}
+			/>}
+		</Modal>
+	</>;
+}
@@ -13,6 +13,7 @@ import { useAccount } from "../model/account";
 import { useSystems } from "../model/system";
 import ControlContext from "./ControlContext";
 import ControllerConfigTree from "./ControllerConfigTree";
+import CountdownButton from "./CountdownButton";
 import PageHeader from "./PageHeader";
 import PageLayout from "./PageLayout";
 import { notifyErrorHandler } from "../util/notify";
@@ -53,16 +54,15 @@ export default function ControllerPage() {
 				}
 				{
 					account.hasPermission("core.controller.restart")
-					&& <Button
+					&& <CountdownButton
+						buttonContent="Restart"
+						title="Restart Controller"
+						description="Restarts the controller, instances keep running while it is down."
 						disabled={system?.canRestart === false}
-						onClick={() => {
-							control.send(
-								new lib.ControllerRestartRequest()
-							).catch(notifyErrorHandler("Error restarting controller"));
-						}}
-					>
-						Restart
-					</Button>
+						errorMessage="Error restarting controller"
+						onAction={delaySeconds => control.send(new lib.ControllerRestartRequest(delaySeconds))}
+						onCancel={() => control.send(new lib.ControllerCancelRestartRequest())}
+					/>
 				}
 			</Space>}
 		/>
@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { Button, Form, InputNumber, Modal, Typography } from "antd";
+
+import { notifyErrorHandler } from "../util/notify";
+
+const { Paragraph } = Typography;
+
+
+type CountdownButtonProps = {
+	/** Text of the button and the ok button of the modal */
+	buttonContent: string;
+	title: string;
+	description: string;
+	disabled?: boolean;
+	errorMessage: string;
+	/** Perform the action after counting down the given number of seconds */
+	onAction: (delaySeconds: number) => Promise<unknown>;
+	/** Cancel the countdown of the action in progress */
+	onCancel: () => Promise<unknown>;
+};
+export default function CountdownButton(props: CountdownButtonProps) {
+	let [open, setOpen] = useState(false);
+	let [counting, setCounting] = useState(false);
+	let [form] = Form.useForm();
+
+	async function handleOk() {
+		let values = await form.validateFields();
+		let delaySeconds: number = values.delay ?? 0;
+		setOpen(false);
+		setCounting(delaySeconds > 0);
+		props.onAction(delaySeconds).catch(
+			notifyErrorHandler(props.errorMessage)
+		).finally(
+			() => setCounting(false)
+		);
+	}
+
+	if (counting) {
+		return <Button
+			danger
+			onClick={() => {
+				props.onCancel().catch(notifyErrorHandler("Error cancelling countdown"));
+			}}
+		>
+			Cancel countdown
+		</Button>;
+	}
+
+	return <>
+		<Button disabled={props.disabled} onClick={() => setOpen(true)}>
+			{props.buttonContent}
+		</Button>
+		<Modal
+			title={props.title}
+			okText={props.buttonContent}
+			open={open}
+			onOk={() => { handleOk().catch(() => {}); }}
+			onCancel={() => setOpen(false)}
+			destroyOnClose
+		>
+			<Paragraph style={{ maxWidth: "30em" }}>
+				{props.description} Players are warned in-game during the
+				countdown, which is skipped if no players are online.
+			</Paragraph>
+			<Form form={form} preserve={false} initialValues={{ delay: 0 }}>
+				<Form.Item name="delay" label="Countdown (seconds)">
+					<InputNumber min={0} />
+				</Form.Item>
+			</Form>
+		</Modal>
+	</>;
+}
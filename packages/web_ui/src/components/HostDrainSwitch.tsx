@@ -0,0 +1,89 @@
+import React, { useContext, useState } from "react";
+import { Form, InputNumber, Modal, Radio, Select, Switch, Typography } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import ControlContext from "./ControlContext";
+import notify, { notifyErrorHandler } from "../util/notify";
+import { useAccount } from "../model/account";
+import { useHosts } from "../model/host";
+
+const { Paragraph } = Typography;
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+
+export default function HostDrainSwitch(props: { host: lib.HostDetails }) {
+	let account = useAccount();
+	let control = useContext(ControlContext);
+	let [hosts] = useHosts();
+	let [open, setOpen] = useState(false);
+	let [form] = Form.useForm();
+	let action: lib.HostDrainAction = Form.useWatch("action", form) ?? "none";
+	let host = props.host;
+
+	async function startDrain() {
+		let values = await form.validateFields();
+		setOpen(false);
+		await control.send(new lib.HostDrainRequest(
+			host.id, true, values.action, values.countdown ?? 0, values.target,
+		));
+		if (values.action !== "none") {
+			notify(`Finished draining ${host.name}`, "success");
+		}
+	}
+
+	function stopDrain() {
+		control.send(
+			new lib.HostDrainRequest(host.id, false)
+		).catch(notifyErrorHandler("Error stopping drain"));
+	}
+
+	return <>
+		<Switch
+			size="small"
+			checked={host.draining}
+			disabled={!account.hasPermission("core.host.drain")}
+			onChange={checked => (checked ? setOpen(true) : stopDrain())}
+		/>
+		<Modal
+			title="Drain Host"
+			okText="Drain"
+			open={open}
+			onOk={() => { startDrain().catch(notifyErrorHandler("Error draining host")); }}
+			onCancel={() => setOpen(false)}
+			destroyOnClose
+		>
+			<Paragraph style={{ maxWidth: "30em" }}>
+				A draining host can not be assigned instances and does not
+				auto start instances.  Running instances can be stopped or
+				migrated to another host after a countdown announced in-game.
+				Turning off draining cancels a countdown in progress.
+			</Paragraph>
+			<Form form={form} preserve={false} initialValues={{ action: "none", countdown: 0 }} labelCol={{ span: 8 }}>
+				<Form.Item name="action" label="Running instances">
+					<Radio.Group>
+						<Radio.Button value="none">Leave running</Radio.Button>
+						{account.hasPermission("core.instance.stop") && <Radio.Button value="stop">Stop</Radio.Button>}
+						{account.hasPermission("core.instance.migrate")
+							&& <Radio.Button value="migrate">Migrate</Radio.Button>}
+					</Radio.Group>
+				</Form.Item>
+				{action !== "none" && <Form.Item name="countdown" label="Countdown (seconds)">
+					<InputNumber min={0} />
+				</Form.Item>}
+				{action === "migrate" && <Form.Item name="target" label="Target host">
+					<Select allowClear placeholder="Pick automatically">
+						{[...hosts.values()].sort((a, b) => strcmp(a.name, b.name)).map(other => <Select.Option
+							key={other.id}
+							value={other.id}
+							disabled={!other.connected || other.draining || other.id === host.id}
+						>
+							{other.name}
+							{!other.connected && " (offline)"}
+						</Select.Option>)}
+					</Select>
+				</Form.Item>}
+			</Form>
+		</Modal>
+	</>;
+}
@@ -0,0 +1,133 @@
+import React, { useContext, useState } from "react";
+import { Button, Form, Input, Modal, Popconfirm, Space, Table, Typography, Upload } from "antd";
+import UploadOutlined from "@ant-design/icons/UploadOutlined";
+
+import * as lib from "@clusterio/lib";
+
+import { useAccount } from "../model/account";
+import notify, { notifyErrorHandler } from "../util/notify";
+import ControlContext from "./ControlContext";
+import SectionHeader from "./SectionHeader";
+
+
+function InstallFromUrlButton(props: { host: lib.HostDetails }) {
+	let control = useContext(ControlContext);
+	let [open, setOpen] = useState(false);
+	let [installing, setInstalling] = useState(false);
+	let [form] = Form.useForm();
+
+	async function handleOk() {
+		let values = await form.validateFields();
+		setInstalling(true);
+		try {
+			let version = await control.sendTo(
+				{ hostId: props.host.id },
+				new lib.HostFactorioVersionInstallRequest(values.url),
+			);
+			notify(`Installed Factorio ${version}`, "success");
+			setOpen(false);
+		} finally {
+			setInstalling(false);
+		}
+	}
+
+	return <>
+		<Button disabled={!props.host.connected} onClick={() => setOpen(true)}>Install from URL</Button>
+		<Modal
+			title="Install Factorio"
+			okText="Install"
+			open={open}
+			confirmLoading={installing}
+			onOk={() => { handleOk().catch(notifyErrorHandler("Error installing Factorio")); }}
+			onCancel={() => setOpen(false)}
+			destroyOnClose
+		>
+			<Form form={form} preserve={false}>
+				<Form.Item
+					name="url"
+					label="URL"
+					tooltip="HTTP(S) URL of a Factorio headless server tarball the host downloads"
+					rules={[{ required: true, type: "url" }]}
+				>
+					<Input />
+				</Form.Item>
+			</Form>
+		</Modal>
+	</>;
+}
+
+export default function HostFactorioVersions(props: { host: lib.HostDetails }) {
+	let control = useContext(ControlContext);
+	let account = useAccount();
+	let host = props.host;
+
+	let extra = <Space>
+		{account.hasPermission("core.host.install_factorio") && <>
+			<InstallFromUrlButton host={host} />
+			<Upload
+				disabled={!host.connected}
+				accept=".tar,.tar.xz,.tar.gz,.tar.bz2"
+				showUploadList={false}
+				customRequest={({ file, onSuccess, onError }) => {
+					let url = new URL(`${webRoot}api/upload-factorio`, document.location.href);
+					url.searchParams.append("host_id", String(host.id));
+					fetch(url, {
+						method: "PUT",
+						headers: {
+							"X-Access-Token": control.connector.token || "",
+							"Content-Type": "application/octet-stream",
+						},
+						body: file,
+					}).then(async response => {
+						let result = await response.json();
+						if (!response.ok) {
+							let errors = [...result.errors ?? [], ...result.request_errors ?? []];
+							throw new Error(errors.join(", ") || response.statusText);
+						}
+						notify(`Installed Factorio ${result.version}`, "success");
+						onSuccess?.(result);
+					}).catch(err => {
+						notifyErrorHandler("Error installing Factorio")(err);
+						onError?.(err);
+					});
+				}}
+			>
+				<Button disabled={!host.connected} icon={<UploadOutlined />}>Upload tarball</Button>
+			</Upload>
+		</>}
+	</Space>;
+
+	return <>
+		<SectionHeader title="Factorio Versions" extra={extra} />
+		<Table
+			size="small"
+			columns={[
+				{
+					title: "Version",
+					key: "version",
+					render: (_, version) => version,
+				},
+				{
+					key: "action",
+					align: "right",
+					render: (_, version) => account.hasPermission("core.host.remove_factorio") && <Popconfirm
+						title={`Remove Factorio ${version} from ${host.name}?`}
+						okText="Remove"
+						okButtonProps={{ danger: true }}
+						onConfirm={() => {
+							control.sendTo(
+								{ hostId: host.id },
+								new lib.HostFactorioVersionRemoveRequest(version),
+							).catch(notifyErrorHandler("Error removing Factorio"));
+						}}
+					>
+						<Typography.Link type="danger">remove</Typography.Link>
+					</Popconfirm>,
+				},
+			]}
+			dataSource={host.factorioVersions}
+			rowKey={version => version}
+			pagination={false}
+		/>
+	</>;
+}
@@ -6,6 +6,9 @@ import * as lib from "@clusterio/lib";
 import notify, { notifyErrorHandler } from "../util/notify";
 import ControlContext from "./ControlContext";
 import HostConfigTree from "./HostConfigTree";
+import HostDrainSwitch from "./HostDrainSwitch";
+import HostFactorioVersions from "./HostFactorioVersions";
+import CountdownButton from "./CountdownButton";
 import InstanceList from "./InstanceList";
 import LogConsole from "./LogConsole";
 import { useAccount } from "../model/account";
@@ -88,17 +91,15 @@ export default function HostViewPage() {
 		}
 		{
 			account.hasPermission("core.host.restart")
-			&& <Button
+			&& <CountdownButton
+				buttonContent="Restart"
+				title="Restart Host"
+				description="Stops all instances on the host and restarts it."
 				disabled={system?.canRestart === false}
-				onClick={() => {
-					control.sendTo(
-						{ hostId },
-						new lib.HostRestartRequest()
-					).catch(notifyErrorHandler("Error restarting host"));
-				}}
-			>
-				Restart
-			</Button>
+				errorMessage="Error restarting host"
+				onAction={delaySeconds => control.sendTo({ hostId }, new lib.HostRestartRequest(delaySeconds))}
+				onCancel={() => control.sendTo({ hostId }, new lib.HostCancelRestartRequest())}
+			/>
 		}
 	</Space>;
 
@@ -114,6 +115,7 @@ export default function HostViewPage() {
 					{host["connected"] ? "Connected" : "Disconnected"}
 				</Tag>
 			</Descriptions.Item>
+			<Descriptions.Item label="Draining"><HostDrainSwitch host={host} /></Descriptions.Item>
 			<Descriptions.Item label="Version">{host.version}</Descriptions.Item>
 			<Descriptions.Item label="Node.js">{system?.node}</Descriptions.Item>
 			<Descriptions.Item label="OS Kernel">{system?.kernel}</Descriptions.Item>
@@ -140,6 +142,7 @@ export default function HostViewPage() {
 			<Title level={5} style={{ marginTop: 16 }}>Instances</Title>
 			<InstanceList instances={hostInstances} size="small" hideAssignedHost />
 		</>}
+		<HostFactorioVersions host={host} />
 		{account.hasPermission("core.log.follow") && <>
 			<Title level={5} style={{ marginTop: 16 }}>Console</Title>
 			<LogConsole hosts={[hostId]} />
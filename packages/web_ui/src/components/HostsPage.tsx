@@ -279,6 +279,12 @@ export default function HostsPage() {
 					</Tag>,
 					sorter: (a, b) => Number(a.connected) - Number(b.connected),
 				},
+				{
+					title: "Draining",
+					key: "draining",
+					render: (_, host) => (host.draining ? <Tag color="#d48806">Draining</Tag> : null),
+					sorter: (a, b) => Number(a.draining) - Number(b.draining),
+				},
 			]}
 			dataSource={[...hosts.values()]}
 			rowKey={host => host.id}
@@ -0,0 +1,36 @@
+import React from "react";
+import { Input, Select } from "antd";
+
+import { useHost } from "../model/host";
+import { InputComponentProps } from "../BaseWebPlugin";
+
+export default function InputFactorioVersion(props: InputComponentProps) {
+	const assignedHost = props.config?.canAccess("instance.assigned_host")
+		? props.config.get("instance.assigned_host") as number | null
+		: null;
+	const [host] = useHost(assignedHost ?? undefined);
+
+	// Without versions reported by the assigned host fall back to free text.
+	if (!host || !host.factorioVersions.length) {
+		return <Input
+			value={props.value as string}
+			onChange={(event) => props.onChange(event.target.value)}
+		/>;
+	}
+
+	const versions = ["latest", ...host.factorioVersions];
+	if (typeof props.value === "string" && !versions.includes(props.value)) {
+		versions.push(props.value);
+	}
+	return <Select
+		style={{ minWidth: 175 }}
+		onChange={(value) => props.onChange(value)}
+		value={props.value}
+		options={versions.map(version => ({
+			label: host.factorioVersions.includes(version) || version === "latest"
+				? version
+				: `${version} (not installed on ${host.name})`,
+			value: version,
+		}))}
+	/>;
+}
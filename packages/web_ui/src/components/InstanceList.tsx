@@ -91,7 +91,9 @@ export default function InstanceList(props: InstanceListProps) {
 	if (account.hasAnyPermission("core.instance.start", "core.instance.stop")) {
 		columns.push({
 			key: "action",
-			render: (_, instance) => <StartStopInstanceButton
+			render: (_, instance) => account.forInstance(instance).hasAnyPermission(
+				"core.instance.start", "core.instance.stop"
+			) && <StartStopInstanceButton
 				buttonProps={{ size: "small" }}
 				instance={instance}
 			/>,
@@ -108,7 +110,9 @@ export default function InstanceList(props: InstanceListProps) {
 	return <Table
 		size={props.size || "large"}
 		columns={columns}
-		dataSource={[...props.instances.values()]}
+		dataSource={[...props.instances.values()].filter(
+			instance => account.forInstance(instance).hasPermission("core.instance.get")
+		)}
 		rowKey={instance => instance["id"]}
 		pagination={false}
 		onRow={(record, rowIndex) => ({
@@ -1,53 +1,227 @@
-import React, { useContext, useState } from "react";
-import { Input, Typography } from "antd";
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { AutoComplete, Button, Input, Select, Space, Typography } from "antd";
 
 import * as lib from "@clusterio/lib";
 
-import ControlContext from "./ControlContext";
+import { useAccount } from "../model/account";
+import { useInstances } from "../model/instance";
 import { notifyErrorHandler } from "../util/notify";
+import ControlContext from "./ControlContext";
+
+const { Paragraph } = Typography;
 
-const { Title, Paragraph } = Typography;
+/** Number of commands with results kept in the console scrollback */
+const scrollbackLimit = 200;
 
+/** Commonly used Factorio console commands offered for autocompletion */
+const rconCommands = [
+	"/admins", "/ban", "/banlist", "/c", "/color", "/command", "/demote", "/evolution", "/help", "/kick",
+	"/measured-command", "/mute", "/mutes", "/permissions", "/players", "/promote", "/purge", "/sc", "/seed",
+	"/server-save", "/shout", "/silent-command", "/time", "/unban", "/unmute", "/version", "/whisper", "/whitelist",
+];
+
+type RconResult = {
+	instanceId: number;
+	output?: string;
+	error?: string;
+};
+
+type ConsoleEntry = {
+	key: number;
+	command: string;
+	instanceIds: number[];
+	results: RconResult[];
+};
+
+function formatResult(result?: RconResult) {
+	if (!result) {
+		return <span className="log-verbose">Waiting for response...<br/></span>;
+	}
+	if (result.error !== undefined) {
+		return <span className="log-error">Error: {result.error}<br/></span>;
+	}
+	return result.output && <>{result.output.replace(/\n$/, "")}<br/></>;
+}
 
 type InstanceRconProps = {
 	id: number;
 	disabled: boolean;
 };
 export default function InstanceRcon(props: InstanceRconProps) {
+	let account = useAccount();
 	let control = useContext(ControlContext);
-	let [output, setOutput] = useState<string|null>(null);
-	let [running, setRunning] = useState(false);
+	let [instances] = useInstances();
+	let [command, setCommand] = useState("");
+	let [targets, setTargets] = useState<number[]>([props.id]);
+	let [entries, setEntries] = useState<ConsoleEntry[]>([]);
+	let [history, setHistory] = useState<string[]>([]);
+	// Position in history while browsing it with the arrow keys, and the
+	// command that was being written before browsing started.
+	let [historyIndex, setHistoryIndex] = useState<number|null>(null);
+	let [draft, setDraft] = useState("");
+	let nextKey = useRef(0);
+	let anchor = useRef<HTMLDivElement>(null);
+
+	useEffect(() => {
+		setTargets([props.id]);
+	}, [props.id]);
+
+	useEffect(() => {
+		setHistory([]);
+		setHistoryIndex(null);
+		control.send(new lib.UserRconHistoryGetRequest()).then(setHistory).catch(
+			notifyErrorHandler("Error loading RCON command history")
+		);
+	}, [account.name]);
+
+	useEffect(() => {
+		let parent = anchor.current?.parentElement;
+		if (parent) {
+			parent.scrollTop = parent.scrollHeight - parent.clientHeight;
+		}
+	}, [entries]);
+
+	function instanceName(instanceId: number) {
+		return instances.get(instanceId)?.name ?? String(instanceId);
+	}
+
+	function canSendTo(instanceId: number) {
+		if (instanceId === props.id) {
+			return !props.disabled;
+		}
+		let instance = instances.get(instanceId);
+		return Boolean(instance)
+			&& instance!.status === "running"
+			&& Boolean(account.forInstance(instance).hasPermission("core.instance.send_rcon"));
+	}
 
-	async function sendCommand(command: string) {
-		if (!command) {
-			setOutput(null);
+	function addResult(key: number, result: RconResult) {
+		setEntries(current => current.map(
+			entry => (entry.key === key ? { ...entry, results: [...entry.results, result] } : entry)
+		));
+	}
+
+	function sendCommand() {
+		let sentCommand = command.trim();
+		let instanceIds = targets.filter(canSendTo);
+		if (!sentCommand || !instanceIds.length) {
 			return;
 		}
 
-		setRunning(true);
-		try {
-			let result = await control.sendTo(
-				{ instanceId: props.id },
-				new lib.InstanceSendRconRequest(command),
+		setHistory(history.filter(entry => entry !== sentCommand).concat(sentCommand));
+		control.send(new lib.UserRconHistoryAddRequest(sentCommand)).then(setHistory).catch(
+			notifyErrorHandler("Error saving RCON command history")
+		);
+		setHistoryIndex(null);
+		setCommand("");
+
+		let key = nextKey.current;
+		nextKey.current += 1;
+		setEntries(current => current.concat({ key, command: sentCommand, instanceIds, results: [] })
+			.slice(-scrollbackLimit));
+		for (let instanceId of instanceIds) {
+			control.sendTo(
+				{ instanceId },
+				new lib.InstanceSendRconRequest(sentCommand),
+			).then(
+				output => addResult(key, { instanceId, output }),
+				err => addResult(key, { instanceId, error: err.message }),
 			);
-			setOutput(result);
-		} finally {
-			setRunning(false);
 		}
 	}
 
+	function browseHistory(index: number|null) {
+		if (historyIndex === null) {
+			setDraft(command);
+		}
+		setHistoryIndex(index);
+		setCommand(index === null ? draft : history[index]);
+	}
+
+	let completions = /^\/[\w-]*$/.test(command)
+		? rconCommands.filter(name => name.startsWith(command) && name !== command)
+		: [];
+
+	function onKeyDown(event: React.KeyboardEvent<HTMLTextAreaElement>) {
+		// Keys are used for selecting a completion while they are shown.
+		if (completions.length) {
+			return;
+		}
+		let textArea = event.currentTarget;
+		if (event.key === "Enter" && !event.shiftKey) {
+			event.preventDefault();
+			sendCommand();
+
+		} else if (
+			event.key === "ArrowUp"
+			&& !textArea.value.slice(0, textArea.selectionStart).includes("\n")
+			&& history.length
+		) {
+			event.preventDefault();
+			browseHistory(Math.max((historyIndex ?? history.length) - 1, 0));
+
+		} else if (
+			event.key === "ArrowDown"
+			&& !textArea.value.slice(textArea.selectionEnd).includes("\n")
+			&& historyIndex !== null
+		) {
+			event.preventDefault();
+			browseHistory(historyIndex + 1 < history.length ? historyIndex + 1 : null);
+		}
+	}
+
+	let targetOptions = [...instances.values()]
+		.filter(instance => instance.id === props.id || canSendTo(instance.id))
+		.map(instance => ({ value: instance.id, label: instance.name }));
+
 	return <>
-		{output && <>
-			<Title level={5}>Rcon result</Title>
-			<Paragraph code className="rcon-result">{output}</Paragraph>
-		</>}
-		<Input.Search
-			disabled={props.disabled}
-			placeholder="Send RCON Command"
-			enterButton="Send"
-			onSearch={(command) => sendCommand(command).catch(notifyErrorHandler("Error sending command"))}
-			loading={running}
-		/>
+		{entries.length > 0 && <Paragraph code className="instance-console rcon-console">
+			{entries.map(entry => <div key={entry.key}>
+				<span className="rcon-command">&gt; {entry.command}</span><br/>
+				{entry.instanceIds.map(instanceId => {
+					let result = entry.results.find(r => r.instanceId === instanceId);
+					return <div key={instanceId}>
+						{entry.instanceIds.length > 1
+							&& <span className="rcon-instance">[{instanceName(instanceId)}]<br/></span>}
+						{formatResult(result)}
+					</div>;
+				})}
+			</div>)}
+			<div className="scroll-anchor" ref={anchor} />
+		</Paragraph>}
+		<Space.Compact block>
+			<AutoComplete
+				value={command}
+				options={completions.map(name => ({ value: name }))}
+				onChange={value => { setCommand(value); setHistoryIndex(null); }}
+				onSelect={(value: string) => { setCommand(`${value} `); }}
+				disabled={!targets.some(canSendTo)}
+				style={{ width: "100%" }}
+			>
+				<Input.TextArea
+					placeholder="Send RCON Command, Shift+Enter for a new line"
+					autoSize={{ minRows: 1, maxRows: 10 }}
+					onKeyDown={onKeyDown}
+					className="rcon-input"
+				/>
+			</AutoComplete>
+			<Button
+				type="primary"
+				disabled={!command.trim() || !targets.some(canSendTo)}
+				onClick={sendCommand}
+			>Send</Button>
+		</Space.Compact>
+		<Space style={{ marginTop: 8 }} wrap>
+			<span>Send to</span>
+			<Select
+				mode="multiple"
+				value={targets}
+				onChange={setTargets}
+				options={targetOptions}
+				optionFilterProp="label"
+				style={{ minWidth: 200 }}
+			/>
+			<Button disabled={!entries.length} onClick={() => { setEntries([]); }}>Clear</Button>
+		</Space>
 	</>;
 }
-
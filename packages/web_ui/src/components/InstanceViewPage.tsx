@@ -1,6 +1,8 @@
 import React, { useContext, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
-import { Alert, Button, Descriptions, Dropdown, Menu, MenuProps, Modal, Space, Spin, Typography } from "antd";
+import {
+	Alert, Button, Descriptions, Dropdown, Menu, MenuProps, Modal, Progress, Space, Spin, Typography,
+} from "antd";
 import type { ItemType } from "antd/es/menu/hooks/useItems";
 import DeleteOutlined from "@ant-design/icons/DeleteOutlined";
 import DownOutlined from "@ant-design/icons/DownOutlined";
@@ -17,21 +19,62 @@ import LogConsole from "./LogConsole";
 import InstanceRcon from "./InstanceRcon";
 import AssignInstanceModal from "./AssignInstanceModal";
 import StartStopInstanceButton from "./StartStopInstanceButton";
+import CountdownButton from "./CountdownButton";
 import LoadScenarioModal from "./LoadScenarioModal";
+import MigrateInstanceModal from "./MigrateInstanceModal";
 import SavesList from "./SavesList";
 import { notifyErrorHandler } from "../util/notify";
-import { useInstance } from "../model/instance";
+import { formatTimestamp } from "../util/time_format";
+import { useInstance, useInstanceMigration } from "../model/instance";
 import { useHost } from "../model/host";
 import InstanceStatusTag from "./InstanceStatusTag";
 
 const { Title } = Typography;
 
+const migrationStatusText: Record<lib.InstanceMigrationStatus, string> = {
+	stopping: "Stopping instance",
+	transferring: "Transferring saves",
+	assigning: "Reassigning instance",
+	starting: "Starting instance",
+	completed: "Migration completed",
+	rolling_back: "Migration failed, rolling back",
+	failed: "Migration failed",
+};
+
+function InstanceMigrationProgress(props: { instanceId: number }) {
+	let [migration] = useInstanceMigration(props.instanceId);
+	let [sourceHost] = useHost(migration?.sourceHostId);
+	let [targetHost] = useHost(migration?.targetHostId);
+	if (!migration || migration.status === "completed") {
+		return null;
+	}
+
+	let from = sourceHost?.name ?? migration.sourceHostId;
+	let to = targetHost?.name ?? migration.targetHostId;
+	let failed = ["rolling_back", "failed"].includes(migration.status);
+	let percent = migration.totalSaves ? Math.floor(migration.transferredSaves / migration.totalSaves * 100) : 0;
+	return <Alert
+		style={{ marginBottom: 16 }}
+		type={failed ? "error" : "info"}
+		showIcon
+		message={`${migrationStatusText[migration.status]} (${from} to ${to})`}
+		description={failed
+			? migration.error
+			: <Progress
+				percent={percent}
+				status="active"
+				format={() => `${migration!.transferredSaves}/${migration!.totalSaves} saves`}
+			/>
+		}
+	/>;
+}
+
 type InstanceDescriptionProps = {
 	host?: Readonly<lib.HostDetails>;
 	instance: Readonly<lib.InstanceDetails>;
 };
 function InstanceDescription(props: InstanceDescriptionProps) {
-	let account = useAccount();
+	let account = useAccount().forInstance(props.instance);
 
 	const { host, instance } = props;
 	let assigned = instance.assignedHost !== undefined;
@@ -57,11 +100,15 @@ function InstanceDescription(props: InstanceDescriptionProps) {
 			/>}
 		</Descriptions.Item>
 		<Descriptions.Item label="Status"><InstanceStatusTag status={instance.status!} /></Descriptions.Item>
+		<Descriptions.Item label="Crashes">
+			{instance.crashCount ?? 0}
+			{instance.lastCrashAtMs !== undefined && <> (last at {formatTimestamp(instance.lastCrashAtMs)})</>}
+		</Descriptions.Item>
 	</Descriptions>;
 }
 
 function InstanceButtons(props: { instance: lib.InstanceDetails }) {
-	let account = useAccount();
+	let account = useAccount().forInstance(props.instance);
 	let control = useContext(ControlContext);
 	let navigate = useNavigate();
 	let [exportingData, setExportingData] = useState(false);
@@ -150,7 +197,20 @@ function InstanceButtons(props: { instance: lib.InstanceDetails }) {
 			account.hasAnyPermission("core.instance.start", "core.instance.stop")
 			&& <StartStopInstanceButton instance={instance} />
 		}
+		{account.hasPermission("core.instance.stop") && <CountdownButton
+			buttonContent="Stop with countdown"
+			title="Stop Instance"
+			description="Saves and stops the instance after a countdown."
+			disabled={instance.status !== "running"}
+			errorMessage="Error stopping instance"
+			onAction={delaySeconds => control.sendTo({ instanceId }, new lib.InstanceStopRequest(delaySeconds))}
+			onCancel={() => control.sendTo({ instanceId }, new lib.InstanceCancelStopRequest())}
+		/>}
 		{account.hasPermission("core.instance.load_scenario") && <LoadScenarioModal instance={instance} />}
+		{account.hasPermission("core.instance.migrate") && <MigrateInstanceModal
+			instance={instance}
+			disabled={instance.assignedHost === undefined || !["stopped", "running"].includes(instance.status!)}
+		/>}
 		{account.hasAnyPermission(
 			"core.instance.export_data",
 			"core.instance.extract_players",
@@ -168,8 +228,8 @@ export default function InstanceViewPage() {
 
 	let navigate = useNavigate();
 
-	let account = useAccount();
 	let [instance, synced] = useInstance(instanceId);
+	let account = useAccount().forInstance(instance);
 	let [host] = useHost(instance?.assignedHost);
 
 	let nav = [{ name: "Instances", path: "/instances" }, { name: instance?.name ?? String(instanceId) }];
@@ -201,6 +261,7 @@ export default function InstanceViewPage() {
 			title={instance.name??""}
 			extra={<InstanceButtons instance={instance}/>}
 		/>
+		<InstanceMigrationProgress instanceId={instanceId} />
 		<InstanceDescription host={host} instance={instance} />
 
 		{
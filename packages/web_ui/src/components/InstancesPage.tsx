@@ -5,12 +5,15 @@ import { Button, Form, Input, Modal } from "antd";
 import * as lib from "@clusterio/lib";
 
 import { useAccount } from "../model/account";
+import BroadcastRconModal from "./BroadcastRconModal";
 import ControlContext from "./ControlContext";
 import PageHeader from "./PageHeader";
 import PageLayout from "./PageLayout";
 import PluginExtra from "./PluginExtra";
 import { useInstances } from "../model/instance";
 import InstanceList from "./InstanceList";
+import UpgradeFactorioModal from "./UpgradeFactorioModal";
+import UpgradeFactorioProgress from "./UpgradeFactorioProgress";
 import { notifyErrorHandler } from "../util/notify";
 
 function CreateInstanceButton() {
@@ -70,7 +73,10 @@ export default function InstancesPage() {
 				{account.hasPermission("core.instance.create") && <CreateInstanceButton />}
 				{account.hasPermission("core.instance.start")
 					&& <Button onClick={e => instances.forEach(instance => {
-						if (instance.status === "stopped") {
+						if (
+							instance.status === "stopped"
+							&& account.forInstance(instance).hasPermission("core.instance.start")
+						) {
 							control.sendTo(
 								{ instanceId: instance.id },
 								new lib.InstanceStartRequest(undefined),
@@ -82,7 +88,10 @@ export default function InstancesPage() {
 					</Button>}
 				{account.hasPermission("core.instance.stop")
 					&& <Button onClick={e => instances.forEach(instance => {
-						if (["starting", "running"].includes(instance.status)) {
+						if (
+							["starting", "running"].includes(instance.status)
+							&& account.forInstance(instance).hasPermission("core.instance.stop")
+						) {
 							control.sendTo(
 								{ instanceId: instance.id },
 								new lib.InstanceStopRequest(),
@@ -92,9 +101,12 @@ export default function InstancesPage() {
 					}>
 						Stop all
 					</Button>}
+				{account.hasPermission("core.instance.send_rcon") && <BroadcastRconModal />}
+				{account.hasPermission("core.instance.upgrade_factorio") && <UpgradeFactorioModal />}
 			</>}
 		/>
 
+		<UpgradeFactorioProgress />
 		<InstanceList instances={instances} />
 		<PluginExtra component="InstancesPage" />
 	</PageLayout>;
@@ -1,6 +1,7 @@
-import React, { Fragment, useContext } from "react";
-import { Button, Card, Divider, Form, Image, Input, Space, Typography } from "antd";
+import React, { Fragment, useContext, useEffect, useState } from "react";
+import { Alert, Button, Card, Divider, Form, Image, Input, Space, Typography } from "antd";
 import LockOutlined from "@ant-design/icons/LockOutlined";
+import UserOutlined from "@ant-design/icons/UserOutlined";
 
 import logo from "../images/logo.png";
 import ControlContext from "./ControlContext";
@@ -34,14 +35,92 @@ function TokenAuth(props: SetTokenProps) {
 	</>;
 }
 
+function PasswordAuth(props: SetTokenProps) {
+	let [error, setError] = useState<string | null>(null);
+	let [loggingIn, setLoggingIn] = useState(false);
+
+	async function login(values: { name: string, password: string }) {
+		setLoggingIn(true);
+		try {
+			let response = await fetch(`${webRoot}api/login`, {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ name: values.name.trim(), password: values.password }),
+			});
+			let result = await response.json();
+			if (!response.ok) {
+				setError(result.errors?.[0] ?? `Login failed with status ${response.status}`);
+				return;
+			}
+			props.setToken(result.token);
+		} catch (err: any) {
+			setError(`Login failed: ${err.message}`);
+		} finally {
+			setLoggingIn(false);
+		}
+	}
+
+	return <>
+		<Paragraph>If an admin has set a password for your user, log in with it here.</Paragraph>
+		{error && <Alert type="error" message={error} showIcon style={{ marginBottom: 16 }} />}
+		<Form name="password-login" onFinish={values => { login(values); }}>
+			<Form.Item name="name" rules={[{ required: true, message: "User name is required" }]}>
+				<Input
+					prefix={<UserOutlined className="site-form-item-icon" />}
+					placeholder="Factorio user name"
+					autoComplete="username"
+				/>
+			</Form.Item>
+			<Form.Item name="password" rules={[{ required: true, message: "Password is required" }]}>
+				<Input.Password
+					prefix={<LockOutlined className="site-form-item-icon" />}
+					placeholder="Password"
+					autoComplete="current-password"
+				/>
+			</Form.Item>
+			<Button type="primary" htmlType="submit" loading={loggingIn}>Log in</Button>
+		</Form>
+	</>;
+}
+
+function OidcAuth(props: { buttonText: string }) {
+	return <>
+		<Paragraph>Log in with the account of your organisation.</Paragraph>
+		<Button type="primary" href={`${webRoot}api/oidc/login`}>{props.buttonText}</Button>
+	</>;
+}
+
 export default function LoginForm(props: SetTokenProps) {
 	let plugins = useContext(ControlContext).plugins;
+	let [oidcButtonText, setOidcButtonText] = useState<string | null>(null);
+
+	useEffect(() => {
+		(async () => {
+			let response = await fetch(`${webRoot}api/oidc/config`);
+			let config = await response.json();
+			if (config.enabled) {
+				setOidcButtonText(config.buttonText);
+			}
+		})().catch(() => { /* Single sign-on is not offered if the config can't be fetched */ });
+	}, []);
 
 	let loginForms = [];
+	if (oidcButtonText !== null) {
+		loginForms.push({
+			name: "core.oidc",
+			title: "Single Sign-On",
+			Component: () => <OidcAuth buttonText={oidcButtonText!} />,
+		});
+	}
 	for (let plugin of plugins.values()) {
 		loginForms.push(...plugin.loginForms);
 	}
 
+	loginForms.push({
+		name: "core.password",
+		title: "Password",
+		Component: PasswordAuth,
+	});
 	loginForms.push({
 		name: "core.token",
 		title: "Token",
@@ -0,0 +1,74 @@
+import React, { useContext, useState } from "react";
+import { Button, Form, Modal, Select, Typography } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import ControlContext from "./ControlContext";
+import notify, { notifyErrorHandler } from "../util/notify";
+import { useHosts } from "../model/host";
+
+const { Paragraph } = Typography;
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+
+type MigrateInstanceModalProps = {
+	instance: lib.InstanceDetails;
+	disabled?: boolean;
+};
+export default function MigrateInstanceModal(props: MigrateInstanceModalProps) {
+	let [open, setOpen] = useState(false);
+	let [hosts] = useHosts();
+	let [migrating, setMigrating] = useState(false);
+	let [form] = Form.useForm();
+	let control = useContext(ControlContext);
+
+	async function handleMigrate() {
+		let values = await form.validateFields();
+		setMigrating(true);
+		// The migration keeps going if the modal is closed, progress is
+		// shown on the instance page.
+		setOpen(false);
+		try {
+			await control.send(new lib.InstanceMigrateRequest(props.instance.id, values.host));
+			notify("Instance migrated", "success");
+		} finally {
+			setMigrating(false);
+		}
+	}
+
+	return <>
+		<Button disabled={props.disabled || migrating} loading={migrating} onClick={() => setOpen(true)}>
+			Migrate
+		</Button>
+		<Modal
+			title="Migrate Instance"
+			okText="Migrate"
+			open={open}
+			onOk={() => { handleMigrate().catch(notifyErrorHandler("Error migrating instance")); }}
+			onCancel={() => setOpen(false)}
+			destroyOnClose
+		>
+			<Paragraph style={{ maxWidth: "30em" }}>
+				Moves the instance and all of its saves to another host.
+				If the instance is running it is stopped first and started
+				again on the new host once the saves have been copied over.
+				Should any step fail the instance is returned to the host it
+				is currently on.
+			</Paragraph>
+			<Form form={form} preserve={false}>
+				<Form.Item name="host" label="Host" rules={[{ required: true, message: "Host is required" }]}>
+					<Select>
+						{[...hosts.values()].sort((a, b) => strcmp(a.name, b.name)).map((host) => <Select.Option
+							key={host.id}
+							value={host.id}
+							disabled={!host.connected || host.id === props.instance.assignedHost}
+						>
+							{host.name}
+							{!host.connected && " (offline)"}
+						</Select.Option>)}
+					</Select>
+				</Form.Item>
+			</Form>
+		</Modal>
+	</>;
+}
@@ -1,11 +1,12 @@
 import React, { useEffect, useContext, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
-import { Button, Checkbox, Form, Input, Popconfirm, Spin } from "antd";
+import { Button, Checkbox, Form, Input, Popconfirm, Select, Spin } from "antd";
 import DeleteOutlined from "@ant-design/icons/DeleteOutlined";
 
 import * as lib from "@clusterio/lib";
 
 import { useAccount } from "../model/account";
+import { useInstances } from "../model/instance";
 import ControlContext from "./ControlContext";
 import PageHeader from "./PageHeader";
 import PageLayout from "./PageLayout";
@@ -45,6 +46,7 @@ export default function RoleViewPage() {
 	let account = useAccount();
 	let control = useContext(ControlContext);
 	const [role, synced, updateRole] = useRole(roleId);
+	let [instances] = useInstances();
 	let [edited, setEdited] = useState(false);
 
 
@@ -66,6 +68,8 @@ export default function RoleViewPage() {
 	let initialValues = {
 		name: role["name"],
 		description: role["description"],
+		instanceIds: role.instanceIds,
+		instanceTags: role.instanceTags,
 		permissions: {
 			...Object.fromEntries([...lib.permissions.values()].map(perm => [
 				perm.name, [...role.permissions].includes(perm.name),
@@ -84,9 +88,14 @@ export default function RoleViewPage() {
 					if (value) { newPermissions.push(name); }
 				}
 
-				control.send(
-					new lib.RoleUpdateRequest(roleId, values.name || "", values.description || "", newPermissions)
-				).then(() => {
+				control.send(new lib.RoleUpdateRequest(
+					roleId,
+					values.name || "",
+					values.description || "",
+					newPermissions,
+					values.instanceIds || [],
+					values.instanceTags || [],
+				)).then(() => {
 					setEdited(false);
 					updateRole();
 				}).catch(notifyErrorHandler("Error applying changes"));
@@ -121,6 +130,28 @@ export default function RoleViewPage() {
 			<Form.Item name="description" label="Description">
 				<Input disabled={!canUpdate}/>
 			</Form.Item>
+			<h3>Instance scope</h3>
+			<p>
+				Limits the instance permissions granted by this role to the selected instances and instances with
+				the selected tags.  Leave both empty to grant them for all instances.
+			</p>
+			<Form.Item name="instanceIds" label="Instances">
+				<Select
+					mode="multiple"
+					disabled={!canUpdate}
+					optionFilterProp="label"
+					options={[...instances.values()].map(instance => ({ value: instance.id, label: instance.name }))}
+				/>
+			</Form.Item>
+			<Form.Item name="instanceTags" label="Instance tags">
+				<Select
+					mode="tags"
+					disabled={!canUpdate}
+					options={[...new Set([...instances.values()].flatMap(instance => instance.tags))].map(
+						tag => ({ value: tag })
+					)}
+				/>
+			</Form.Item>
 			<h3>Permissions</h3>
 			{[...lib.permissions.values()].map(({name, title, description}) => (
 				<Form.Item
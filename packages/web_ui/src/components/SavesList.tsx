@@ -14,7 +14,7 @@ import CreateSaveModal from "./CreateSaveModal";
 import SectionHeader from "./SectionHeader";
 import { useInstances } from "../model/instance";
 import { useSavesOfInstance } from "../model/saves";
-import { notifyErrorHandler } from "../util/notify";
+import notify, { notifyErrorHandler } from "../util/notify";
 
 
 type ModalProps = {
@@ -103,11 +103,11 @@ function CopyModal(props: ModalProps) {
 
 
 function TransferModal(props: ModalProps) {
-	let account = useAccount();
 	let control = useContext(ControlContext);
 	let [open, setOpen] = useState(false);
 	let [form] = Form.useForm();
 	let [instances] = useInstances();
+	let account = useAccount().forInstance(instances.get(props.instanceId));
 
 	return <>
 		<Button disabled={props.disabled} onClick={() => setOpen(true)}>Transfer</Button>
@@ -155,6 +155,7 @@ function TransferModal(props: ModalProps) {
 					>
 						{[...instances.values()].filter(
 							instance => instance["id"] !== props.instanceId
+								&& account.forInstance(instance).hasPermission("core.instance.save.transfer")
 						).map((instance) => <Select.Option
 							key={instance.id}
 							value={instance.id}
@@ -190,6 +191,77 @@ function TransferModal(props: ModalProps) {
 	</>;
 }
 
+function PruneModal(props: { disabled: boolean, instanceId: number }) {
+	let control = useContext(ControlContext);
+	let [open, setOpen] = useState(false);
+	let [pruning, setPruning] = useState(false);
+	let [preview, setPreview] = useState<lib.SavePruneEntry[] | null>(null);
+
+	function openPreview() {
+		setPreview(null);
+		setOpen(true);
+		control.send(new lib.InstanceSavePruneRequest(props.instanceId, true)).then(
+			pruned => { setPreview(pruned); }
+		).catch(err => {
+			setOpen(false);
+			notifyErrorHandler("Error previewing save pruning")(err);
+		});
+	}
+
+	function prune() {
+		setPruning(true);
+		control.send(new lib.InstanceSavePruneRequest(props.instanceId)).then(pruned => {
+			notify(`Deleted ${pruned.length} save(s)`, "success");
+			setOpen(false);
+		}).catch(
+			notifyErrorHandler("Error pruning saves")
+		).finally(() => setPruning(false));
+	}
+
+	return <>
+		<Button disabled={props.disabled} onClick={openPreview}>Prune</Button>
+		<Modal
+			title="Prune saves"
+			okText="Delete saves"
+			okButtonProps={{ danger: true, disabled: !preview?.length }}
+			confirmLoading={pruning}
+			open={open}
+			onOk={prune}
+			onCancel={() => setOpen(false)}
+			width={700}
+		>
+			{preview && !preview.length
+				? <p>All saves are kept by the retention rules of this instance.</p>
+				: <>
+					<p>The following saves are not kept by the retention rules of this instance.</p>
+					<Table
+						size="small"
+						loading={!preview}
+						columns={[
+							{ title: "Name", dataIndex: "name" },
+							{
+								title: "Size",
+								key: "size",
+								render: (_, save) => lib.formatBytes(save.size),
+								align: "right",
+							},
+							{
+								title: "Last Modified",
+								key: "mtimeMs",
+								render: (_, save) => new Date(save.mtimeMs).toLocaleString(),
+							},
+							{ title: "Reason", dataIndex: "reason" },
+						]}
+						dataSource={preview ?? []}
+						rowKey={save => save.name}
+						pagination={false}
+					/>
+				</>
+			}
+		</Modal>
+	</>;
+}
+
 
 type File = {
 	uid: string;
@@ -199,7 +271,7 @@ type File = {
 }
 
 export default function SavesList(props: { instance: lib.InstanceDetails }) {
-	let account = useAccount();
+	let account = useAccount().forInstance(props.instance);
 	let control = useContext(ControlContext);
 	let [saves] = useSavesOfInstance(props.instance.id);
 	let [starting, setStarting] = useState(false);
@@ -349,6 +421,9 @@ export default function SavesList(props: { instance: lib.InstanceDetails }) {
 				<Button disabled={hostOffline}>Upload save</Button>
 			</Upload>}
 			{account.hasPermission("core.instance.save.create") && <CreateSaveModal instance={props.instance} />}
+			{account.hasPermission("core.instance.save.delete") && <PruneModal
+				disabled={hostOffline} instanceId={props.instance.id!}
+			/>}
 		</Space>} />
 		{
 			account.hasPermission("core.instance.save.upload")
@@ -0,0 +1,290 @@
+import React, { useContext, useState } from "react";
+import { Button, Form, Input, Modal, Popconfirm, Select, Space, Switch, Table, Tag, Typography } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import { useAccount } from "../model/account";
+import { useInstances } from "../model/instance";
+import { useScheduledTasks } from "../model/scheduled_task";
+import ControlContext from "./ControlContext";
+import notify, { notifyErrorHandler } from "../util/notify";
+import { formatTimestamp } from "../util/time_format";
+import PageHeader from "./PageHeader";
+import PageLayout from "./PageLayout";
+import PluginExtra from "./PluginExtra";
+
+const { Paragraph } = Typography;
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+const actionNames: Record<lib.ScheduledTaskAction, string> = {
+	"start": "Start instance",
+	"stop": "Stop instance",
+	"create_save": "Create save",
+	"send_rcon": "Send RCON command",
+};
+
+const argumentLabels: Record<lib.ScheduledTaskAction, string | null> = {
+	"start": "Save (optional)",
+	"stop": null,
+	"create_save": "Save name",
+	"send_rcon": "Command",
+};
+
+type ScheduledTaskModalProps = {
+	task?: lib.ScheduledTask;
+	buttonProps?: React.ComponentProps<typeof Button>;
+	buttonContent: string;
+};
+function ScheduledTaskModal(props: ScheduledTaskModalProps) {
+	let control = useContext(ControlContext);
+	let [instances] = useInstances();
+	let [open, setOpen] = useState(false);
+	let [applying, setApplying] = useState(false);
+	let [form] = Form.useForm();
+	let action: lib.ScheduledTaskAction = Form.useWatch("action", form) ?? props.task?.action ?? "start";
+
+	async function applyTask() {
+		let values = await form.validateFields();
+		let args = [
+			values.name,
+			values.cron,
+			values.action,
+			values.instanceIds ?? [],
+			values.argument ?? "",
+			values.enabled,
+		] as const;
+		setApplying(true);
+		try {
+			if (props.task) {
+				await control.send(new lib.ScheduledTaskUpdateRequest(props.task.id, ...args));
+			} else {
+				await control.send(new lib.ScheduledTaskCreateRequest(...args));
+			}
+			setOpen(false);
+		} finally {
+			setApplying(false);
+		}
+	}
+
+	return <>
+		<Button {...props.buttonProps} onClick={event => { event.stopPropagation(); setOpen(true); }}>
+			{props.buttonContent}
+		</Button>
+		<Modal
+			title={props.task ? "Edit Scheduled Task" : "Create Scheduled Task"}
+			okText={props.task ? "Save" : "Create"}
+			open={open}
+			confirmLoading={applying}
+			onOk={() => { applyTask().catch(notifyErrorHandler("Error saving scheduled task")); }}
+			onCancel={() => { setOpen(false); }}
+			destroyOnClose
+		>
+			<Paragraph>
+				The schedule uses cron syntax with the fields minute, hour, day of month, month and day of week,
+				for example <code>0 4 * * *</code> runs at 04:00 every day.  Times are in the controller's time zone.
+			</Paragraph>
+			<Form
+				form={form}
+				preserve={false}
+				labelCol={{ span: 6 }}
+				initialValues={{
+					name: props.task?.name,
+					cron: props.task?.cron,
+					action: props.task?.action ?? "start",
+					instanceIds: props.task?.instanceIds ?? [],
+					argument: props.task?.argument,
+					enabled: props.task?.enabled ?? true,
+				}}
+			>
+				<Form.Item name="name" label="Name" rules={[{ required: true, message: "Name is required" }]}>
+					<Input />
+				</Form.Item>
+				<Form.Item
+					name="cron"
+					label="Schedule"
+					rules={[
+						{ required: true, message: "Schedule is required" },
+						{
+							validator: async (_, value) => {
+								if (value) {
+									// Throws with a description of the problem if invalid
+									// eslint-disable-next-line no-new
+									new lib.CronSchedule(value);
+								}
+							},
+						},
+					]}
+				>
+					<Input placeholder="0 4 * * *" />
+				</Form.Item>
+				<Form.Item name="action" label="Action">
+					<Select options={Object.entries(actionNames).map(([value, label]) => ({ value, label }))} />
+				</Form.Item>
+				{argumentLabels[action] && <Form.Item
+					name="argument"
+					label={argumentLabels[action]}
+					rules={[{ required: action !== "start", message: `${argumentLabels[action]} is required` }]}
+				>
+					<Input />
+				</Form.Item>}
+				<Form.Item name="instanceIds" label="Instances">
+					<Select
+						mode="multiple"
+						optionFilterProp="label"
+						options={[...instances.values()]
+							.sort((a, b) => strcmp(a.name, b.name))
+							.map(instance => ({ value: instance.id, label: instance.name }))}
+					/>
+				</Form.Item>
+				<Form.Item name="enabled" label="Enabled" valuePropName="checked">
+					<Switch />
+				</Form.Item>
+			</Form>
+		</Modal>
+	</>;
+}
+
+function ScheduledTaskHistory(props: { task: lib.ScheduledTask }) {
+	let [instances] = useInstances();
+	return <Table
+		size="small"
+		columns={[
+			{
+				title: "Started",
+				key: "started",
+				render: (_, run) => formatTimestamp(run.startedAtMs),
+			},
+			{
+				title: "Instance",
+				key: "instance",
+				render: (_, run) => instances.get(run.instanceId)?.name ?? run.instanceId,
+			},
+			{
+				title: "Result",
+				key: "result",
+				render: (_, run) => <Tag color={run.success ? "green" : "red"}>
+					{run.success ? "Success" : "Failed"}
+				</Tag>,
+			},
+			{
+				title: "Message",
+				dataIndex: "message",
+			},
+		]}
+		dataSource={[...props.task.history].reverse()}
+		rowKey={run => `${run.startedAtMs}-${run.instanceId}`}
+		pagination={{ pageSize: 10, hideOnSinglePage: true }}
+	/>;
+}
+
+export default function ScheduledTasksPage() {
+	let account = useAccount();
+	let control = useContext(ControlContext);
+	let [instances] = useInstances();
+	let [scheduledTasks] = useScheduledTasks();
+
+	function runTask(task: lib.ScheduledTask) {
+		control.send(new lib.ScheduledTaskRunRequest(task.id)).then(runs => {
+			let failed = runs.filter(run => !run.success).length;
+			if (failed) {
+				notify(`Task ${task.name} failed on ${failed} of ${runs.length} instance(s)`, "warning");
+			} else {
+				notify(`Task ${task.name} ran on ${runs.length} instance(s)`, "success");
+			}
+		}).catch(notifyErrorHandler("Error running scheduled task"));
+	}
+
+	return <PageLayout nav={[{ name: "Scheduled Tasks" }]}>
+		<PageHeader
+			title="Scheduled Tasks"
+			extra={account.hasPermission("core.schedule.create")
+				? <ScheduledTaskModal buttonProps={{ type: "primary" }} buttonContent="Create" />
+				: undefined
+			}
+		/>
+		<Table
+			columns={[
+				{
+					title: "Name",
+					dataIndex: "name",
+					sorter: (a, b) => strcmp(a.name, b.name),
+					defaultSortOrder: "ascend",
+				},
+				{
+					title: "Schedule",
+					dataIndex: "cron",
+					render: cron => <code>{cron}</code>,
+				},
+				{
+					title: "Action",
+					key: "action",
+					render: (_, task) => <>
+						{actionNames[task.action]}
+						{task.argument && <> <code>{task.argument}</code></>}
+					</>,
+				},
+				{
+					title: "Instances",
+					key: "instances",
+					render: (_, task) => task.instanceIds.map(id => instances.get(id)?.name ?? id).join(", "),
+				},
+				{
+					title: "Next run",
+					key: "nextRun",
+					render: (_, task) => (task.nextRunMs !== undefined ? formatTimestamp(task.nextRunMs) : null),
+					sorter: (a, b) => (a.nextRunMs ?? Infinity) - (b.nextRunMs ?? Infinity),
+				},
+				{
+					title: "Enabled",
+					key: "enabled",
+					render: (_, task) => <Switch
+						size="small"
+						checked={task.enabled}
+						disabled={!account.hasPermission("core.schedule.update")}
+						onChange={enabled => {
+							control.send(new lib.ScheduledTaskUpdateRequest(
+								task.id, task.name, task.cron, task.action, task.instanceIds, task.argument, enabled,
+							)).catch(notifyErrorHandler("Error updating scheduled task"));
+						}}
+					/>,
+				},
+				{
+					key: "actions",
+					align: "right",
+					render: (_, task) => <Space>
+						{account.hasPermission("core.schedule.run") && <Button
+							size="small"
+							onClick={() => runTask(task)}
+						>Run now</Button>}
+						{account.hasPermission("core.schedule.update") && <ScheduledTaskModal
+							task={task}
+							buttonProps={{ size: "small" }}
+							buttonContent="Edit"
+						/>}
+						{account.hasPermission("core.schedule.delete") && <Popconfirm
+							title={`Delete scheduled task ${task.name}?`}
+							placement="bottomRight"
+							okText="Delete"
+							okButtonProps={{ danger: true }}
+							onConfirm={() => {
+								control.send(
+									new lib.ScheduledTaskDeleteRequest(task.id)
+								).catch(notifyErrorHandler("Error deleting scheduled task"));
+							}}
+						>
+							<Button size="small" danger>Delete</Button>
+						</Popconfirm>}
+					</Space>,
+				},
+			]}
+			dataSource={[...scheduledTasks.values()]}
+			rowKey={task => task.id}
+			pagination={false}
+			expandable={{
+				expandedRowRender: task => <ScheduledTaskHistory task={task} />,
+				rowExpandable: task => task.history.length > 0,
+			}}
+		/>
+		<PluginExtra component="ScheduledTasksPage" />
+	</PageLayout>;
+}
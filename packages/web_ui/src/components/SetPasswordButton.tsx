@@ -0,0 +1,98 @@
+import React, { useContext, useState } from "react";
+import { Button, Form, Input, Modal, Popconfirm, Space } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import { useAccount } from "../model/account";
+import ControlContext from "./ControlContext";
+import notify, { notifyErrorHandler } from "../util/notify";
+
+const minPasswordLength = 8;
+
+export default function SetPasswordButton(props: { user: lib.User }) {
+	let account = useAccount();
+	let control = useContext(ControlContext);
+	let [open, setOpen] = useState(false);
+	let [applying, setApplying] = useState(false);
+	let [form] = Form.useForm();
+	let own = account.name === props.user.name;
+
+	async function setPassword(password?: string, currentPassword?: string) {
+		await control.send(new lib.UserSetPasswordRequest(props.user.name, password, currentPassword));
+	}
+
+	async function handleOk() {
+		let values = await form.validateFields();
+		setApplying(true);
+		try {
+			await setPassword(values.password, values.currentPassword);
+			setOpen(false);
+			notify("Password set", "success");
+		} finally {
+			setApplying(false);
+		}
+	}
+
+	return <Space>
+		<Button onClick={() => setOpen(true)}>{props.user.hasPassword ? "Change password" : "Set password"}</Button>
+		{props.user.hasPassword && !own && <Popconfirm
+			title={`Remove password login for ${props.user.name}?`}
+			placement="bottomRight"
+			okText="Remove"
+			okButtonProps={{ danger: true }}
+			onConfirm={() => {
+				setPassword()
+					.then(() => notify("Password removed"))
+					.catch(notifyErrorHandler("Error removing password"));
+			}}
+		>
+			<Button danger>Remove password</Button>
+		</Popconfirm>}
+		<Modal
+			title={props.user.hasPassword ? "Change password" : "Set password"}
+			okText="Save"
+			open={open}
+			confirmLoading={applying}
+			onOk={() => { handleOk().catch(notifyErrorHandler("Error setting password")); }}
+			onCancel={() => setOpen(false)}
+			destroyOnClose
+		>
+			<Form form={form} preserve={false} labelCol={{ span: 8 }}>
+				{own && props.user.hasPassword && <Form.Item
+					name="currentPassword"
+					label="Current password"
+					rules={[{ required: true, message: "Current password is required" }]}
+				>
+					<Input.Password autoComplete="current-password" />
+				</Form.Item>}
+				<Form.Item
+					name="password"
+					label="New password"
+					rules={[
+						{ required: true, message: "Password is required" },
+						{ min: minPasswordLength, message: `Must be at least ${minPasswordLength} characters` },
+					]}
+				>
+					<Input.Password autoComplete="new-password" />
+				</Form.Item>
+				<Form.Item
+					name="confirm"
+					label="Confirm password"
+					dependencies={["password"]}
+					rules={[
+						{ required: true, message: "Please confirm the password" },
+						({ getFieldValue }) => ({
+							validator: async (_, value) => {
+								if (value && value !== getFieldValue("password")) {
+									throw new Error("Passwords do not match");
+								}
+							},
+						}),
+					]}
+				>
+					<Input.Password autoComplete="new-password" />
+				</Form.Item>
+			</Form>
+		</Modal>
+	</Space>;
+}
@@ -0,0 +1,101 @@
+import React, { useContext, useState } from "react";
+import { AutoComplete, Button, Form, InputNumber, Modal, Select, Typography } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import ControlContext from "./ControlContext";
+import notify, { notifyErrorHandler } from "../util/notify";
+import { useHosts } from "../model/host";
+import { useInstances } from "../model/instance";
+
+const { Paragraph } = Typography;
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+
+export default function UpgradeFactorioModal() {
+	let [open, setOpen] = useState(false);
+	let [upgrading, setUpgrading] = useState(false);
+	let [instances] = useInstances();
+	let [hosts] = useHosts();
+	let [form] = Form.useForm();
+	let control = useContext(ControlContext);
+
+	let versions = new Set<string>(["latest"]);
+	for (let host of hosts.values()) {
+		host.factorioVersions.forEach(version => versions.add(version));
+	}
+
+	async function handleUpgrade() {
+		let values = await form.validateFields();
+		setUpgrading(true);
+		// The upgrade keeps going if the modal is closed, progress is shown
+		// on the instances page.
+		setOpen(false);
+		try {
+			let upgrade = await control.send(
+				new lib.FactorioUpgradeStartRequest(values.instances, values.version, values.parallel)
+			);
+			if (upgrade.status === "failed") {
+				notify("Factorio upgrade halted", "error", upgrade.error);
+			} else {
+				notify(`Upgraded instances to Factorio ${upgrade.version}`, "success");
+			}
+		} finally {
+			setUpgrading(false);
+		}
+	}
+
+	return <>
+		<Button disabled={upgrading} loading={upgrading} onClick={() => setOpen(true)}>
+			Upgrade Factorio
+		</Button>
+		<Modal
+			title="Upgrade Factorio"
+			okText="Upgrade"
+			open={open}
+			onOk={() => { handleUpgrade().catch(notifyErrorHandler("Error upgrading Factorio")); }}
+			onCancel={() => setOpen(false)}
+			destroyOnClose
+		>
+			<Paragraph style={{ maxWidth: "30em" }}>
+				Changes the Factorio version of the selected instances.
+				Running instances are restarted on the new version, and each
+				must be running again before the next one is restarted.  If
+				an instance fails to upgrade the remaining instances are left
+				untouched.
+			</Paragraph>
+			<Form
+				form={form}
+				preserve={false}
+				initialValues={{ instances: [...instances.keys()], version: "latest", parallel: 1 }}
+			>
+				<Form.Item
+					name="instances"
+					label="Instances"
+					rules={[{ required: true, message: "At least one instance is required" }]}
+				>
+					<Select
+						mode="multiple"
+						optionFilterProp="label"
+						options={[...instances.values()].sort((a, b) => strcmp(a.name, b.name)).map(instance => ({
+							label: instance.name,
+							value: instance.id,
+						}))}
+					/>
+				</Form.Item>
+				<Form.Item name="version" label="Version" rules={[{ required: true, message: "Version is required" }]}>
+					<AutoComplete
+						options={[...versions].map(version => ({ value: version }))}
+					/>
+				</Form.Item>
+				<Form.Item
+					name="parallel"
+					label="Parallel"
+					tooltip="Number of instances to restart at the same time"
+				>
+					<InputNumber min={1} precision={0} />
+				</Form.Item>
+			</Form>
+		</Modal>
+	</>;
+}
@@ -0,0 +1,67 @@
+import React from "react";
+import { Alert, Progress, Space, Tag } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import { useFactorioUpgrades, useInstances } from "../model/instance";
+
+const instanceStatusColor: Record<lib.FactorioUpgradeInstanceStatus, string | undefined> = {
+	pending: undefined,
+	stopping: "processing",
+	starting: "processing",
+	completed: "success",
+	failed: "error",
+	skipped: "warning",
+};
+const alertType: Record<lib.FactorioUpgradeStatus, "info" | "success" | "error"> = {
+	running: "info",
+	completed: "success",
+	failed: "error",
+};
+const progressStatus: Record<lib.FactorioUpgradeStatus, "active" | "success" | "exception"> = {
+	running: "active",
+	completed: "success",
+	failed: "exception",
+};
+
+// Progress of the most recent Factorio upgrade
+export default function UpgradeFactorioProgress() {
+	let [upgrades] = useFactorioUpgrades();
+	let [instances] = useInstances();
+	let upgrade = [...upgrades.values()].sort((a, b) => b.id - a.id)[0];
+	if (!upgrade) {
+		return null;
+	}
+
+	let done = upgrade.instances.filter(entry => entry.status === "completed").length;
+	let total = upgrade.instances.length;
+	let message = {
+		running: `Upgrading instances to Factorio ${upgrade.version}`,
+		completed: `Upgraded instances to Factorio ${upgrade.version}`,
+		failed: `Upgrade to Factorio ${upgrade.version} halted`,
+	}[upgrade.status];
+	return <Alert
+		style={{ marginBottom: 16 }}
+		type={alertType[upgrade.status]}
+		showIcon
+		message={message}
+		description={<>
+			{upgrade.error && <p>{upgrade.error}</p>}
+			<Progress
+				percent={Math.floor(done / total * 100)}
+				status={progressStatus[upgrade.status]}
+				format={() => `${done}/${total} instances`}
+			/>
+			<Space size={[0, 8]} wrap>
+				{upgrade.instances.map(entry => <Tag
+					key={entry.instanceId}
+					color={instanceStatusColor[entry.status]}
+					title={entry.error}
+				>
+					{instances.get(entry.instanceId)?.name ?? entry.instanceId}: {entry.status}
+				</Tag>)}
+			</Space>
+		</>}
+		closable={upgrade.status !== "running"}
+	/>;
+}
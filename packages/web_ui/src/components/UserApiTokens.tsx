@@ -0,0 +1,182 @@
+import React, { useContext, useEffect, useState } from "react";
+import { Button, Form, Input, Modal, Popconfirm, Select, Table, Typography } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import { useInstances } from "../model/instance";
+import notify, { notifyErrorHandler } from "../util/notify";
+import { formatTimestamp } from "../util/time_format";
+import ControlContext from "./ControlContext";
+import SectionHeader from "./SectionHeader";
+
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+const expiryOptions = [
+	{ label: "Never", value: 0 },
+	{ label: "7 days", value: 7 },
+	{ label: "30 days", value: 30 },
+	{ label: "90 days", value: 90 },
+	{ label: "1 year", value: 365 },
+];
+
+function CreateApiTokenButton(props: { userName: string, onCreated: () => void }) {
+	let control = useContext(ControlContext);
+	let [instances] = useInstances();
+	let [open, setOpen] = useState(false);
+	let [creating, setCreating] = useState(false);
+	let [token, setToken] = useState<string | null>(null);
+	let [form] = Form.useForm();
+
+	async function handleOk() {
+		let values = await form.validateFields();
+		setCreating(true);
+		try {
+			let response = await control.send(new lib.UserApiTokenCreateRequest(
+				props.userName,
+				values.name,
+				values.permissions,
+				values.instanceIds?.length ? values.instanceIds : undefined,
+				values.expiresInDays ? Date.now() + values.expiresInDays * 86400e3 : undefined,
+			));
+			setOpen(false);
+			setToken(response.token);
+			props.onCreated();
+		} finally {
+			setCreating(false);
+		}
+	}
+
+	return <>
+		<Button onClick={() => setOpen(true)}>Create token</Button>
+		<Modal
+			title="Create API token"
+			okText="Create"
+			open={open}
+			confirmLoading={creating}
+			onOk={() => { handleOk().catch(notifyErrorHandler("Error creating API token")); }}
+			onCancel={() => setOpen(false)}
+			destroyOnClose
+		>
+			<Form form={form} preserve={false} labelCol={{ span: 6 }} initialValues={{ expiresInDays: 90 }}>
+				<Form.Item name="name" label="Name" rules={[{ required: true, message: "Name is required" }]}>
+					<Input />
+				</Form.Item>
+				<Form.Item
+					name="permissions"
+					label="Permissions"
+					tooltip="Only permissions the user also has are granted."
+					rules={[{ required: true, message: "At least one permission is required" }]}
+				>
+					<Select
+						mode="multiple"
+						optionFilterProp="label"
+						options={[...lib.permissions.values()].map(permission => ({
+							value: permission.name,
+							label: permission.name,
+						}))}
+					/>
+				</Form.Item>
+				<Form.Item name="instanceIds" label="Instances" tooltip="Leave empty to allow acting on all instances.">
+					<Select
+						mode="multiple"
+						optionFilterProp="label"
+						placeholder="All instances"
+						options={[...instances.values()]
+							.sort((a, b) => strcmp(a.name, b.name))
+							.map(instance => ({ value: instance.id, label: instance.name }))}
+					/>
+				</Form.Item>
+				<Form.Item name="expiresInDays" label="Expires">
+					<Select options={expiryOptions} />
+				</Form.Item>
+			</Form>
+		</Modal>
+		<Modal
+			title="API token created"
+			open={token !== null}
+			onOk={() => setToken(null)}
+			onCancel={() => setToken(null)}
+			cancelButtonProps={{ style: { display: "none" } }}
+		>
+			<p>Copy the token now, it will not be shown again.</p>
+			<Typography.Paragraph code copyable style={{ wordBreak: "break-all" }}>{token}</Typography.Paragraph>
+		</Modal>
+	</>;
+}
+
+export default function UserApiTokens(props: { userName: string }) {
+	let control = useContext(ControlContext);
+	let [instances] = useInstances();
+	let [apiTokens, setApiTokens] = useState<lib.UserApiToken[]>([]);
+
+	function updateApiTokens() {
+		control.send(new lib.UserApiTokenListRequest(props.userName))
+			.then(setApiTokens)
+			.catch(notifyErrorHandler("Error listing API tokens"));
+	}
+	useEffect(updateApiTokens, [props.userName]);
+
+	return <>
+		<SectionHeader
+			title="API tokens"
+			extra={<CreateApiTokenButton userName={props.userName} onCreated={updateApiTokens} />}
+		/>
+		<Table
+			size="small"
+			columns={[
+				{
+					title: "Name",
+					dataIndex: "name",
+				},
+				{
+					title: "Permissions",
+					key: "permissions",
+					render: (_, apiToken) => apiToken.permissions.join(", "),
+				},
+				{
+					title: "Instances",
+					key: "instances",
+					render: (_, apiToken) => (apiToken.instanceIds
+						? apiToken.instanceIds.map(id => instances.get(id)?.name ?? id).join(", ")
+						: "All"),
+				},
+				{
+					title: "Created",
+					key: "created",
+					render: (_, apiToken) => formatTimestamp(apiToken.createdAtMs),
+				},
+				{
+					title: "Expires",
+					key: "expires",
+					render: (_, apiToken) => (apiToken.expiresAtMs ? formatTimestamp(apiToken.expiresAtMs) : "Never"),
+				},
+				{
+					title: "Last used",
+					key: "lastUsed",
+					render: (_, apiToken) => (apiToken.lastUsedAtMs ? formatTimestamp(apiToken.lastUsedAtMs) : "Never"),
+				},
+				{
+					key: "action",
+					align: "right",
+					render: (_, apiToken) => <Popconfirm
+						title={`Revoke API token ${apiToken.name}?`}
+						placement="bottomRight"
+						okText="Revoke"
+						okButtonProps={{ danger: true }}
+						onConfirm={() => {
+							control.send(new lib.UserApiTokenRevokeRequest(props.userName, apiToken.id)).then(() => {
+								notify("API token revoked");
+								updateApiTokens();
+							}).catch(notifyErrorHandler("Error revoking API token"));
+						}}
+					>
+						<Typography.Link type="danger">revoke</Typography.Link>
+					</Popconfirm>,
+				},
+			]}
+			dataSource={apiTokens}
+			rowKey={apiToken => apiToken.id}
+			pagination={false}
+		/>
+	</>;
+}
@@ -0,0 +1,175 @@
+import React, { useContext, useEffect, useState } from "react";
+import { Alert, Button, Checkbox, Form, Modal, Select, Space, Table, Tag, Typography, Upload } from "antd";
+import UploadOutlined from "@ant-design/icons/UploadOutlined";
+
+import * as lib from "@clusterio/lib";
+
+import { useAccount } from "../model/account";
+import ControlContext from "./ControlContext";
+import notify, { notifyErrorHandler } from "../util/notify";
+
+const { Paragraph } = Typography;
+
+export const userListNames: Record<lib.UserListType, string> = {
+	"adminlist": "Admin list",
+	"banlist": "Ban list",
+	"whitelist": "Whitelist",
+};
+
+const statusTags: Record<lib.UserListImportResult["status"], React.ReactNode> = {
+	"create": <Tag color="blue">New user</Tag>,
+	"add": <Tag color="green">Add</Tag>,
+	"unchanged": <Tag>Unchanged</Tag>,
+	"conflict": <Tag color="orange">Conflict</Tag>,
+};
+
+export default function UserListImportButton() {
+	let account = useAccount();
+	let control = useContext(ControlContext);
+	let [open, setOpen] = useState(false);
+	let [list, setList] = useState<lib.UserListType>();
+	let [file, setFile] = useState<{ name: string, content: string }>();
+	let [create, setCreate] = useState(false);
+	let [overwrite, setOverwrite] = useState(false);
+	let [preview, setPreview] = useState<lib.UserListImportResult[]>();
+	let [parseError, setParseError] = useState<string>();
+	let [applying, setApplying] = useState(false);
+
+	let lists = (Object.keys(lib.userListPermissions) as lib.UserListType[]).filter(
+		type => account.hasPermission(lib.userListPermissions[type])
+	);
+
+	function entries() {
+		return list && file ? lib.parseUserList(list, file.content) : undefined;
+	}
+
+	useEffect(() => {
+		setPreview(undefined);
+		setParseError(undefined);
+		let parsed;
+		try {
+			parsed = entries();
+		} catch (err: any) {
+			setParseError(err.message);
+			return undefined;
+		}
+		if (!open || !list || !parsed) {
+			return undefined;
+		}
+
+		let cancelled = false;
+		control.send(
+			new lib.UserListImportRequest(list, parsed, create, overwrite, true)
+		).then(results => {
+			if (!cancelled) {
+				setPreview(results);
+			}
+		}).catch(notifyErrorHandler("Error previewing import"));
+		return () => { cancelled = true; };
+	}, [open, list, file, create, overwrite]);
+
+	async function applyImport() {
+		setApplying(true);
+		try {
+			let results = await control.send(
+				new lib.UserListImportRequest(list!, entries()!, create, overwrite, false)
+			);
+			let changed = results.filter(result => result.applied).length;
+			notify(`Imported ${userListNames[list!]}, ${changed} users changed`, "success");
+			setOpen(false);
+			setFile(undefined);
+		} finally {
+			setApplying(false);
+		}
+	}
+
+	let changes = preview?.filter(result => result.applied).length ?? 0;
+	return <>
+		<Button onClick={() => { setOpen(true); }}>Import</Button>
+		<Modal
+			title="Import Factorio user list"
+			okText={preview ? `Import ${changes} users` : "Import"}
+			okButtonProps={{ disabled: !changes }}
+			open={open}
+			confirmLoading={applying}
+			onOk={() => { applyImport().catch(notifyErrorHandler("Error importing user list")); }}
+			onCancel={() => { setOpen(false); }}
+			width={700}
+		>
+			<Paragraph>
+				Adds the users in a <code>server-adminlist.json</code>, <code>server-banlist.json</code> or{" "}
+				<code>server-whitelist.json</code> file from a Factorio server to the cluster.  Users already on
+				the list are kept, and nobody is removed from it.
+			</Paragraph>
+			<Form labelCol={{ span: 6 }}>
+				<Form.Item label="File">
+					<Upload
+						accept=".json"
+						showUploadList={false}
+						beforeUpload={uploadFile => {
+							uploadFile.text().then(content => {
+								let match = /server-(adminlist|banlist|whitelist)\.json$/.exec(uploadFile.name);
+								if (match && lists.includes(match[1] as lib.UserListType)) {
+									setList(match[1] as lib.UserListType);
+								}
+								setFile({ name: uploadFile.name, content });
+							}).catch(notifyErrorHandler("Error reading file"));
+							return false;
+						}}
+					>
+						<Space>
+							<Button icon={<UploadOutlined />}>Select file</Button>
+							{file?.name}
+						</Space>
+					</Upload>
+				</Form.Item>
+				<Form.Item label="List">
+					<Select
+						value={list}
+						onChange={setList}
+						placeholder="Select list"
+						options={lists.map(type => ({ value: type, label: userListNames[type] }))}
+					/>
+				</Form.Item>
+				{account.hasPermission("core.user.create") && <Form.Item label="New users">
+					<Checkbox checked={create} onChange={e => setCreate(e.target.checked)}>
+						Create users that do not exist
+					</Checkbox>
+				</Form.Item>}
+				{list === "banlist" && <Form.Item label="Conflicts">
+					<Checkbox checked={overwrite} onChange={e => setOverwrite(e.target.checked)}>
+						Replace bans with a different reason or expiry
+					</Checkbox>
+				</Form.Item>}
+			</Form>
+			{parseError && <Alert type="error" showIcon message={`Error parsing file: ${parseError}`} />}
+			{preview && <Table
+				size="small"
+				columns={[
+					{
+						title: "Name",
+						dataIndex: "name",
+					},
+					{
+						title: "Status",
+						key: "status",
+						render: (_, result) => statusTags[result.status],
+					},
+					{
+						title: "Import",
+						key: "applied",
+						render: (_, result) => (result.applied ? "Yes" : "No"),
+					},
+					{
+						title: "Current ban reason",
+						dataIndex: "currentReason",
+					},
+				]}
+				dataSource={preview.filter(result => result.status !== "unchanged")}
+				rowKey={result => result.name}
+				pagination={{ pageSize: 10, hideOnSinglePage: true }}
+				footer={() => `${preview!.filter(r => r.status === "unchanged").length} users already on the list`}
+			/>}
+		</Modal>
+	</>;
+}
@@ -15,12 +15,66 @@ import PageHeader from "./PageHeader";
 import PageLayout from "./PageLayout";
 import PluginExtra from "./PluginExtra";
 import SectionHeader from "./SectionHeader";
+import SetPasswordButton from "./SetPasswordButton";
+import UserApiTokens from "./UserApiTokens";
 import notify, { notifyErrorHandler } from "../util/notify";
-import { formatDuration } from "../util/time_format";
+import { formatDuration, formatTimestamp } from "../util/time_format";
 import { formatFirstSeen, formatLastSeen, sortFirstSeen, sortLastSeen, useUser } from "../model/user";
 
 const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
 
+const banDurations = [
+	{ label: "Permanently", value: 0 },
+	{ label: "For 1 hour", value: 3600e3 },
+	{ label: "For 1 day", value: 86400e3 },
+	{ label: "For 1 week", value: 604800e3 },
+	{ label: "For 30 days", value: 2592000e3 },
+];
+
+const banActionTags: Record<lib.UserBanHistoryEntry["action"], React.ReactNode> = {
+	ban: <Tag color="red">Banned</Tag>,
+	unban: <Tag color="green">Unbanned</Tag>,
+	expire: <Tag>Expired</Tag>,
+};
+
+function UserBanHistory(props: { user: lib.User }) {
+	return <>
+		<SectionHeader title="Ban history" />
+		<Table
+			size="small"
+			columns={[
+				{
+					title: "Time",
+					key: "time",
+					render: (_, entry) => formatTimestamp(entry.timestampMs),
+				},
+				{
+					title: "Action",
+					key: "action",
+					render: (_, entry) => banActionTags[entry.action],
+				},
+				{
+					title: "By",
+					dataIndex: "by",
+				},
+				{
+					title: "Reason",
+					dataIndex: "reason",
+				},
+				{
+					title: "Expires",
+					key: "expires",
+					render: (_, entry) => (entry.expiresAtMs ? formatTimestamp(entry.expiresAtMs) : null),
+					responsive: ["sm"],
+				},
+			]}
+			dataSource={[...props.user.banHistory].reverse()}
+			rowKey={entry => `${entry.timestampMs}-${entry.action}`}
+			pagination={{ pageSize: 10, hideOnSinglePage: true }}
+		/>
+	</>;
+}
+
 
 // The user page has a lot of optional elements, that does not make it
 // praticularly complicated.
@@ -116,6 +170,9 @@ export default function UserViewPage() {
 				</span>
 			</Space>}
 			extra={<>
+				{account.hasPermission("core.user.set_password") && (
+					account.name === userName || account.hasPermission("core.user.set_other_password")
+				) && <SetPasswordButton user={user} />}
 				{account.hasPermission("core.user.revoke_token") && (
 					account.name === userName || account.hasPermission("core.user.revoke_other_token")
 				) && <Button
@@ -210,6 +267,12 @@ export default function UserViewPage() {
 					</Col>}
 				</Row>
 			</Form.Item>
+			<Form.Item label="Password login">
+				{user.hasPassword ? "Enabled" : "Not set"}
+				{user.loginLockedUntilMs > Date.now() && <Tag color="red" style={{ marginLeft: 8 }}>
+					Locked until {formatTimestamp(user.loginLockedUntilMs)}
+				</Tag>}
+			</Form.Item>
 			{account.hasPermission("core.user.set_admin") && <Form.Item label="In-game Admin">
 				<Switch
 					checked={user.isAdmin}
@@ -242,15 +305,24 @@ export default function UserViewPage() {
 								/>
 							</Form.Item>
 						</Col>
+						{!user.isBanned && <Col flex="0 0 auto">
+							<Form.Item noStyle name="banDuration" initialValue={0}>
+								<Select style={{ width: "10em" }} options={banDurations} />
+							</Form.Item>
+						</Col>}
 						<Col flex="0 0 auto">
 							{user.isBanned
 								? <Space>
 									<Button
 										type={banReasonDirty ? "primary" : "default"}
 										onClick={() => {
+											// Keep the current expiry of the ban
+											let durationMs = user.banExpiresAtMs
+												? Math.max(user.banExpiresAtMs - Date.now(), 1)
+												: undefined;
 											control.send(
 												new lib.UserSetBannedRequest(
-													userName, false, true, form.getFieldValue("banReason")
+													userName, false, true, form.getFieldValue("banReason"), durationMs
 												)
 											).then(() => {
 												setBanReasonDirty(false);
@@ -270,7 +342,11 @@ export default function UserViewPage() {
 									onClick={() => {
 										control.send(
 											new lib.UserSetBannedRequest(
-												userName, false, true, form.getFieldValue("banReason")
+												userName,
+												false,
+												true,
+												form.getFieldValue("banReason"),
+												form.getFieldValue("banDuration") || undefined,
 											)
 										).then(() => {
 											setBanReasonDirty(false);
@@ -284,6 +360,10 @@ export default function UserViewPage() {
 				: user.isBanned
 					&& <Form.Item label="Ban reason">{user.banReason}</Form.Item>
 			}
+			{user.isBanned && <Form.Item label="Banned">
+				{user.banExpiresAtMs ? `Until ${formatTimestamp(user.banExpiresAtMs)}` : "Permanently"}
+				{user.bannedBy && ` by ${user.bannedBy}`}
+			</Form.Item>}
 		</Form>
 		<SectionHeader title="Player stats" />
 		<Descriptions size="small" bordered column={{ xs: 1, sm: 2, md: 2, lg: 2, xl: 2, xxl: 2 }}>
@@ -346,6 +426,10 @@ export default function UserViewPage() {
 				},
 			})}
 		/>
+		{user.banHistory.length > 0 && <UserBanHistory user={user} />}
+		{account.hasPermission("core.user.manage_api_tokens") && (
+			account.name === userName || account.hasPermission("core.user.manage_other_api_tokens")
+		) && <UserApiTokens userName={userName} />}
 		<PluginExtra component="UserViewPage" user={user} />
 	</PageLayout>;
 }
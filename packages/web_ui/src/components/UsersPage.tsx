@@ -1,6 +1,7 @@
 import React, { useEffect, useContext, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { Button, Form, Input, Modal, Space, Table, Tag } from "antd";
+import { Button, Dropdown, Form, Input, Modal, Space, Table, Tag } from "antd";
+import DownOutlined from "@ant-design/icons/DownOutlined";
 
 import * as lib from "@clusterio/lib";
 
@@ -11,6 +12,7 @@ import { formatDuration } from "../util/time_format";
 import PageHeader from "./PageHeader";
 import PageLayout from "./PageLayout";
 import PluginExtra from "./PluginExtra";
+import UserListImportButton, { userListNames } from "./UserListImportButton";
 import { formatFirstSeen, formatLastSeen, sortFirstSeen, sortLastSeen, useUsers } from "../model/user";
 
 const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
@@ -56,6 +58,33 @@ function CreateUserButton() {
 	</>;
 }
 
+function UserListExportButton() {
+	let control = useContext(ControlContext);
+
+	async function exportList(list: lib.UserListType) {
+		let entries = await control.send(new lib.UserListExportRequest(list));
+		let blob = new Blob([lib.formatUserList(list, entries)], { type: "application/json" });
+		let link = document.createElement("a");
+		link.href = URL.createObjectURL(blob);
+		link.download = `server-${list}.json`;
+		link.click();
+		URL.revokeObjectURL(link.href);
+	}
+
+	return <Dropdown
+		placement="bottomRight"
+		trigger={["click"]}
+		menu={{
+			items: Object.entries(userListNames).map(([key, label]) => ({ key, label })),
+			onClick: ({ key }) => {
+				exportList(key as lib.UserListType).catch(notifyErrorHandler("Error exporting user list"));
+			},
+		}}
+	>
+		<Button>Export <DownOutlined /></Button>
+	</Dropdown>;
+}
+
 export default function UsersPage() {
 	let account = useAccount();
 	let control = useContext(ControlContext);
@@ -75,7 +104,11 @@ export default function UsersPage() {
 	return <PageLayout nav={[{ name: "Users" }]}>
 		<PageHeader
 			title="Users"
-			extra={account.hasPermission("core.user.create") ? <CreateUserButton /> : undefined}
+			extra={<Space>
+				{account.hasAnyPermission(...Object.values(lib.userListPermissions)) && <UserListImportButton />}
+				<UserListExportButton />
+				{account.hasPermission("core.user.create") && <CreateUserButton />}
+			</Space>}
 		/>
 		<Table
 			columns={[
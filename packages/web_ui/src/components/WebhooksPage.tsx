@@ -0,0 +1,281 @@
+import React, { useContext, useState } from "react";
+import { Button, Form, Input, Modal, Popconfirm, Select, Space, Switch, Table, Tag, Typography } from "antd";
+
+import * as lib from "@clusterio/lib";
+
+import { useAccount } from "../model/account";
+import { useWebhooks } from "../model/webhook";
+import ControlContext from "./ControlContext";
+import notify, { notifyErrorHandler } from "../util/notify";
+import { formatTimestamp } from "../util/time_format";
+import PageHeader from "./PageHeader";
+import PageLayout from "./PageLayout";
+import PluginExtra from "./PluginExtra";
+
+const { Paragraph } = Typography;
+const strcmp = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+const eventNames: Record<lib.WebhookEventType, string> = {
+	"instance_status_changed": "Instance status changed",
+	"host_connection": "Host connected or disconnected",
+	"player_event": "Player joined, left or was kicked",
+	"user_updated": "User admin, whitelist or ban changed",
+};
+
+type WebhookModalProps = {
+	webhook?: lib.Webhook;
+	buttonProps?: React.ComponentProps<typeof Button>;
+	buttonContent: string;
+};
+function WebhookModal(props: WebhookModalProps) {
+	let control = useContext(ControlContext);
+	let [open, setOpen] = useState(false);
+	let [applying, setApplying] = useState(false);
+	let [secret, setSecret] = useState<string | null>(null);
+	let [form] = Form.useForm();
+
+	async function applyWebhook() {
+		let values = await form.validateFields();
+		let args = [values.name, values.url, values.events, values.secret ?? "", values.enabled] as const;
+		setApplying(true);
+		try {
+			if (props.webhook) {
+				await control.send(new lib.WebhookUpdateRequest(props.webhook.id, ...args));
+			} else {
+				let response = await control.send(new lib.WebhookCreateRequest(...args));
+				if (!values.secret) {
+					setSecret(response.secret);
+				}
+			}
+			setOpen(false);
+		} finally {
+			setApplying(false);
+		}
+	}
+
+	return <>
+		<Button {...props.buttonProps} onClick={event => { event.stopPropagation(); setOpen(true); }}>
+			{props.buttonContent}
+		</Button>
+		<Modal
+			title={props.webhook ? "Edit Webhook" : "Create Webhook"}
+			okText={props.webhook ? "Save" : "Create"}
+			open={open}
+			confirmLoading={applying}
+			onOk={() => { applyWebhook().catch(notifyErrorHandler("Error saving webhook")); }}
+			onCancel={() => { setOpen(false); }}
+			destroyOnClose
+		>
+			<Paragraph>
+				Events are sent as JSON in a POST request to the URL.  The request body is signed with the secret
+				using HMAC-SHA256 and the signature is sent in the <code>X-Clusterio-Signature</code> header.
+			</Paragraph>
+			<Form
+				form={form}
+				preserve={false}
+				labelCol={{ span: 6 }}
+				initialValues={{
+					name: props.webhook?.name,
+					url: props.webhook?.url,
+					events: props.webhook?.events ?? lib.webhookEventTypes,
+					enabled: props.webhook?.enabled ?? true,
+				}}
+			>
+				<Form.Item name="name" label="Name" rules={[{ required: true, message: "Name is required" }]}>
+					<Input />
+				</Form.Item>
+				<Form.Item
+					name="url"
+					label="URL"
+					rules={[
+						{ required: true, message: "URL is required" },
+						{ type: "url", message: "Must be a valid URL" },
+					]}
+				>
+					<Input placeholder="https://example.com/clusterio" />
+				</Form.Item>
+				<Form.Item
+					name="events"
+					label="Events"
+					rules={[{ required: true, message: "At least one event is required" }]}
+				>
+					<Select
+						mode="multiple"
+						options={Object.entries(eventNames).map(([value, label]) => ({ value, label }))}
+					/>
+				</Form.Item>
+				<Form.Item
+					name="secret"
+					label="Secret"
+					tooltip={props.webhook
+						? "Leave empty to keep the current secret."
+						: "Leave empty to generate a random secret."
+					}
+				>
+					<Input.Password autoComplete="off" />
+				</Form.Item>
+				<Form.Item name="enabled" label="Enabled" valuePropName="checked">
+					<Switch />
+				</Form.Item>
+			</Form>
+		</Modal>
+		<Modal
+			title="Webhook created"
+			open={secret !== null}
+			onOk={() => setSecret(null)}
+			onCancel={() => setSecret(null)}
+			cancelButtonProps={{ style: { display: "none" } }}
+		>
+			<p>Copy the generated secret now, it will not be shown again.</p>
+			<Paragraph code copyable style={{ wordBreak: "break-all" }}>{secret}</Paragraph>
+		</Modal>
+	</>;
+}
+
+function WebhookDeliveries(props: { webhook: lib.Webhook }) {
+	return <Table
+		size="small"
+		columns={[
+			{
+				title: "Sent",
+				key: "sent",
+				render: (_, delivery) => formatTimestamp(delivery.sentAtMs),
+			},
+			{
+				title: "Event",
+				dataIndex: "event",
+			},
+			{
+				title: "Result",
+				key: "result",
+				render: (_, delivery) => <Tag color={delivery.success ? "green" : "red"}>
+					{delivery.success ? "Delivered" : "Failed"}
+				</Tag>,
+			},
+			{
+				title: "Status",
+				dataIndex: "statusCode",
+			},
+			{
+				title: "Attempts",
+				dataIndex: "attempts",
+			},
+			{
+				title: "Error",
+				dataIndex: "error",
+			},
+		]}
+		dataSource={[...props.webhook.history].reverse()}
+		rowKey={delivery => delivery.id}
+		pagination={{ pageSize: 10, hideOnSinglePage: true }}
+	/>;
+}
+
+export default function WebhooksPage() {
+	let account = useAccount();
+	let control = useContext(ControlContext);
+	let [webhooks] = useWebhooks();
+
+	function testWebhook(webhook: lib.Webhook) {
+		control.send(new lib.WebhookTestRequest(webhook.id)).then(delivery => {
+			if (delivery.success) {
+				notify(`Webhook ${webhook.name} responded with status ${delivery.statusCode}`, "success");
+			} else {
+				notify(`Delivery to webhook ${webhook.name} failed: ${delivery.error}`, "warning");
+			}
+		}).catch(notifyErrorHandler("Error testing webhook"));
+	}
+
+	return <PageLayout nav={[{ name: "Webhooks" }]}>
+		<PageHeader
+			title="Webhooks"
+			extra={account.hasPermission("core.webhook.create")
+				? <WebhookModal buttonProps={{ type: "primary" }} buttonContent="Create" />
+				: undefined
+			}
+		/>
+		<Table
+			columns={[
+				{
+					title: "Name",
+					dataIndex: "name",
+					sorter: (a, b) => strcmp(a.name, b.name),
+					defaultSortOrder: "ascend",
+				},
+				{
+					title: "URL",
+					dataIndex: "url",
+					render: url => <code>{url}</code>,
+				},
+				{
+					title: "Events",
+					key: "events",
+					render: (_, webhook) => webhook.events.map(event => <Tag key={event}>{event}</Tag>),
+				},
+				{
+					title: "Last delivery",
+					key: "lastDelivery",
+					render: (_, webhook) => {
+						let delivery = webhook.history[webhook.history.length - 1];
+						return delivery && <>
+							<Tag color={delivery.success ? "green" : "red"}>
+								{delivery.success ? "Delivered" : "Failed"}
+							</Tag>
+							{formatTimestamp(delivery.sentAtMs)}
+						</>;
+					},
+				},
+				{
+					title: "Enabled",
+					key: "enabled",
+					render: (_, webhook) => <Switch
+						size="small"
+						checked={webhook.enabled}
+						disabled={!account.hasPermission("core.webhook.update")}
+						onChange={enabled => {
+							control.send(new lib.WebhookUpdateRequest(
+								webhook.id, webhook.name, webhook.url, webhook.events, "", enabled,
+							)).catch(notifyErrorHandler("Error updating webhook"));
+						}}
+					/>,
+				},
+				{
+					key: "actions",
+					align: "right",
+					render: (_, webhook) => <Space>
+						{account.hasPermission("core.webhook.test") && <Button
+							size="small"
+							onClick={() => testWebhook(webhook)}
+						>Test</Button>}
+						{account.hasPermission("core.webhook.update") && <WebhookModal
+							webhook={webhook}
+							buttonProps={{ size: "small" }}
+							buttonContent="Edit"
+						/>}
+						{account.hasPermission("core.webhook.delete") && <Popconfirm
+							title={`Delete webhook ${webhook.name}?`}
+							placement="bottomRight"
+							okText="Delete"
+							okButtonProps={{ danger: true }}
+							onConfirm={() => {
+								control.send(
+									new lib.WebhookDeleteRequest(webhook.id)
+								).catch(notifyErrorHandler("Error deleting webhook"));
+							}}
+						>
+							<Button size="small" danger>Delete</Button>
+						</Popconfirm>}
+					</Space>,
+				},
+			]}
+			dataSource={[...webhooks.values()]}
+			rowKey={webhook => webhook.id}
+			pagination={false}
+			expandable={{
+				expandedRowRender: webhook => <WebhookDeliveries webhook={webhook} />,
+				rowExpandable: webhook => webhook.history.length > 0,
+			}}
+		/>
+		<PluginExtra component="WebhooksPage" />
+	</PageLayout>;
+}
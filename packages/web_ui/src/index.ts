@@ -9,6 +9,8 @@ export * from "./model/host";
 export * from "./model/locale";
 export * from "./model/item_metadata";
 export * from "./model/account";
+export * from "./model/scheduled_task";
+export * from "./model/save_backup";
 
 export { default as ControlContext } from "./components/ControlContext";
 
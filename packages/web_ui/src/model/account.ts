@@ -22,45 +22,60 @@ export function useAccount(): UserAccount {
 		};
 	}, [control]);
 
-	function hasPermission(permission: string): boolean {
+	function hasPermission(permission: string, instance?: lib.InstanceScopeTarget): boolean {
 		for (let role of roles) {
-			if (role.permissions.includes("core.admin") || role.permissions.includes(permission)) {
+			if (!role.permissions.includes("core.admin") && !role.permissions.includes(permission)) {
+				continue;
+			}
+			if (!instance || !permission.startsWith("core.instance.") || lib.instanceInRoleScope(role, instance)) {
 				return true;
 			}
 		}
 		return false;
 	}
 
-	return {
-		name,
-		roles,
-		hasPermission(permission: string): boolean | null {
-			if (!roles) {
-				return null;
-			}
-			return hasPermission(permission);
-		},
-		hasAnyPermission(...permissions: string[]): boolean | null {
-			if (!roles) {
-				return null;
-			}
-			for (let permission of permissions) {
-				if (hasPermission(permission)) {
-					return true;
+	function permissionChecks(instance?: lib.InstanceScopeTarget) {
+		return {
+			hasPermission(permission: string): boolean | null {
+				if (!roles) {
+					return null;
 				}
-			}
-			return false;
-		},
-		hasAllPermission(...permissions: string[]): boolean | null {
-			if (!roles) {
-				return null;
-			}
-			for (let permission of permissions) {
-				if (!hasPermission(permission)) {
-					return false;
+				return hasPermission(permission, instance);
+			},
+			hasAnyPermission(...permissions: string[]): boolean | null {
+				if (!roles) {
+					return null;
 				}
+				for (let permission of permissions) {
+					if (hasPermission(permission, instance)) {
+						return true;
+					}
+				}
+				return false;
+			},
+			hasAllPermission(...permissions: string[]): boolean | null {
+				if (!roles) {
+					return null;
+				}
+				for (let permission of permissions) {
+					if (!hasPermission(permission, instance)) {
+						return false;
+					}
+				}
+				return true;
+			},
+		};
+	}
+
+	let account: UserAccount = {
+		name,
+		roles,
+		...permissionChecks(),
+		forInstance(instance?: lib.InstanceScopeTarget): UserAccount {
+			if (!instance) {
+				return account;
 			}
-			return true;
+			return { ...account, ...permissionChecks(instance) };
 		},
 		logOut() {
 			control.loggingOut = true;
@@ -68,4 +83,5 @@ export function useAccount(): UserAccount {
 			control.shutdown();
 		},
 	};
+	return account;
 }
@@ -11,3 +11,24 @@ export function useInstances() {
 	const subscribe = useCallback((callback: () => void) => control.instances.subscribe(callback), [control]);
 	return useSyncExternalStore(subscribe, () => control.instances.getSnapshot());
 }
+
+export function useInstanceMigration(id?: number) {
+	const control = useContext(ControlContext);
+	const subscribe = useCallback(
+		(callback: () => void) => control.instanceMigrations.subscribe(callback),
+		[control],
+	);
+	const [migrations, synced] = useSyncExternalStore(
+		subscribe, () => control.instanceMigrations.getSnapshot()
+	);
+	return [id !== undefined ? migrations.get(id) : undefined, synced] as const;
+}
+
+export function useFactorioUpgrades() {
+	const control = useContext(ControlContext);
+	const subscribe = useCallback(
+		(callback: () => void) => control.factorioUpgrades.subscribe(callback),
+		[control],
+	);
+	return useSyncExternalStore(subscribe, () => control.factorioUpgrades.getSnapshot());
+}
@@ -0,0 +1,8 @@
+import { useCallback, useContext, useSyncExternalStore } from "react";
+import ControlContext from "../components/ControlContext";
+
+export function useSaveBackups() {
+	const control = useContext(ControlContext);
+	const subscribe = useCallback((callback: () => void) => control.saveBackups.subscribe(callback), [control]);
+	return useSyncExternalStore(subscribe, () => control.saveBackups.getSnapshot());
+}
@@ -0,0 +1,13 @@
+import { useCallback, useContext, useSyncExternalStore } from "react";
+import ControlContext from "../components/ControlContext";
+
+export function useScheduledTask(id?: number) {
+	const [scheduledTasks, synced] = useScheduledTasks();
+	return [id !== undefined ? scheduledTasks.get(id) : undefined, synced] as const;
+}
+
+export function useScheduledTasks() {
+	const control = useContext(ControlContext);
+	const subscribe = useCallback((callback: () => void) => control.scheduledTasks.subscribe(callback), [control]);
+	return useSyncExternalStore(subscribe, () => control.scheduledTasks.getSnapshot());
+}
@@ -0,0 +1,8 @@
+import { useCallback, useContext, useSyncExternalStore } from "react";
+import ControlContext from "../components/ControlContext";
+
+export function useWebhooks() {
+	const control = useContext(ControlContext);
+	const subscribe = useCallback((callback: () => void) => control.webhooks.subscribe(callback), [control]);
+	return useSyncExternalStore(subscribe, () => control.webhooks.getSnapshot());
+}
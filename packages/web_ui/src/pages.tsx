@@ -9,12 +9,16 @@ import InstancesPage from "./components/InstancesPage";
 import InstanceViewPage from "./components/InstanceViewPage";
 import ModPackViewPage from "./components/ModPackViewPage";
 import ModsPage from "./components/ModsPage";
+import ScheduledTasksPage from "./components/ScheduledTasksPage";
+import BackupsPage from "./components/BackupsPage";
+import WebhooksPage from "./components/WebhooksPage";
 import UsersPage from "./components/UsersPage";
 import UserViewPage from "./components/UserViewPage";
 import RolesPage from "./components/RolesPage";
 import RoleViewPage from "./components/RoleViewPage";
 import PluginsPage from "./components/PluginsPage";
 import PluginViewPage from "./components/PluginViewPage";
+import AuditLogPage from "./components/AuditLogPage";
 
 export const pages: PluginPage[] = [
 	{
@@ -55,6 +59,24 @@ export const pages: PluginPage[] = [
 		sidebarPath: "/mods",
 		content: <ModPackViewPage />,
 	},
+	{
+		path: "/scheduled-tasks",
+		sidebarName: "Scheduled Tasks",
+		permission: "core.schedule.list",
+		content: <ScheduledTasksPage />,
+	},
+	{
+		path: "/backups",
+		sidebarName: "Backups",
+		permission: "core.backup.list",
+		content: <BackupsPage />,
+	},
+	{
+		path: "/webhooks",
+		sidebarName: "Webhooks",
+		permission: "core.webhook.list",
+		content: <WebhooksPage />,
+	},
 	{
 		path: "/users",
 		sidebarName: "Users",
@@ -77,6 +99,12 @@ export const pages: PluginPage[] = [
 		sidebarPath: "/roles",
 		content: <RoleViewPage />,
 	},
+	{
+		path: "/audit-log",
+		sidebarName: "Audit Log",
+		permission: "core.audit.query",
+		content: <AuditLogPage />,
+	},
 	{
 		path: "/plugins",
 		sidebarName: "Plugins",
@@ -63,10 +63,15 @@ export class Control extends lib.Link {
 	systems = new lib.EventSubscriber(lib.SystemInfoUpdateEvent, this);
 	hosts = new lib.EventSubscriber(lib.HostUpdatesEvent, this);
 	instances = new lib.EventSubscriber(lib.InstanceDetailsUpdatesEvent, this);
+	instanceMigrations = new lib.EventSubscriber(lib.InstanceMigrationUpdatesEvent, this);
+	factorioUpgrades = new lib.EventSubscriber(lib.FactorioUpgradeUpdatesEvent, this);
 	saves = new lib.EventSubscriber(lib.InstanceSaveDetailsUpdatesEvent, this);
 	modPacks = new lib.EventSubscriber(lib.ModPackUpdatesEvent, this);
 	mods = new lib.EventSubscriber(lib.ModUpdatesEvent, this);
 	users = new lib.EventSubscriber(lib.UserUpdatesEvent, this);
+	scheduledTasks = new lib.EventSubscriber(lib.ScheduledTaskUpdatesEvent, this);
+	saveBackups = new lib.EventSubscriber(lib.SaveBackupUpdatesEvent, this);
+	webhooks = new lib.EventSubscriber(lib.WebhookUpdatesEvent, this);
 
 	declare connector: ControlConnector;
 
@@ -1,4 +1,6 @@
-import { BaseControllerPlugin, type InstanceInfo } from "@clusterio/controller";
+import {
+	BaseControllerPlugin, type InstanceInfo, type KeyValueStore, type StorageTransaction,
+} from "@clusterio/controller";
 import type { IpcPlayerData } from "./messages";
 
 import fs from "fs-extra";
@@ -6,43 +8,43 @@ import path from "path";
 import * as lib from "@clusterio/lib";
 import * as msg from "./messages";
 
-async function loadDatabase(config: lib.ControllerConfig, logger: lib.Logger) {
+async function importDatabase(
+	transaction: StorageTransaction,
+	table: string,
+	config: lib.ControllerConfig,
+	logger: lib.Logger,
+) {
 	let itemsPath = path.resolve(config.get("controller.database_directory"), "inventories.json");
-	logger.verbose(`Loading ${itemsPath}`);
+	let content;
 	try {
-		let content = await fs.readFile(itemsPath, { encoding: "utf8" });
-		return new Map(JSON.parse(content));
-
+		content = await fs.readFile(itemsPath, { encoding: "utf8" });
 	} catch (err: any) {
 		if (err.code === "ENOENT") {
-			logger.verbose("Creating new player data database");
-			return new Map();
+			return;
 		}
 		throw err;
 	}
-}
-
-async function saveDatabase(
-	controllerConfig: lib.ControllerConfig,
-	playerDatastore: Map<string, IpcPlayerData> | undefined,
-	logger: lib.Logger,
-) {
-	if (playerDatastore) {
-		let file = path.resolve(controllerConfig.get("controller.database_directory"), "inventories.json");
-		logger.verbose(`writing ${file}`);
-		let content = JSON.stringify(Array.from(playerDatastore));
-		await lib.safeOutputFile(file, content);
+	logger.info(`Importing ${itemsPath}, the file is no longer used after this`);
+	for (let [playerName, playerData] of JSON.parse(content)) {
+		transaction.set(table, playerName, playerData);
 	}
 }
 
 export class ControllerPlugin extends BaseControllerPlugin {
 	acquiredPlayers!: Map<string, { instanceId: number, expiresMs?: number }>;
-	playerDatastore!: Map<string, IpcPlayerData>;
-	playerDatastoreDirty = false;
+	playerDatastore!: KeyValueStore<IpcPlayerData>;
 
 	async init() {
 		this.acquiredPlayers = new Map();
-		this.playerDatastore = await loadDatabase(this.controller.config, this.logger);
+		this.playerDatastore = await this.openStore<IpcPlayerData>("players", {
+			migrations: [{
+				version: 1,
+				description: "Import inventories.json",
+				migrate: transaction => importDatabase(
+					transaction, `${this.info.name}.players`, this.controller.config, this.logger
+				),
+			}],
+		});
 
 		this.controller.handle(msg.AcquireRequest, this.handleAcquireRequest.bind(this));
 		this.controller.handle(msg.ReleaseRequest, this.handleReleaseRequest.bind(this));
@@ -156,7 +158,6 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		if (store) {
 			this.logger.verbose(`Received player data for ${playerName} from ${instanceName}`);
 			this.playerDatastore.set(playerName, playerData);
-			this.playerDatastoreDirty = true;
 		}
 	}
 
@@ -175,13 +176,6 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		return new msg.DownloadRequest.Response(this.playerDatastore.get(playerName) || null);
 	}
 
-	async onSaveData() {
-		if (this.playerDatastoreDirty) {
-			this.playerDatastoreDirty = false;
-			await saveDatabase(this.controller.config, this.playerDatastore, this.logger);
-		}
-	}
-
 	async handleDatabaseStatsRequest() {
 		let playerDatastore = Array.from(this.playerDatastore.keys())
 			.map(name => ({
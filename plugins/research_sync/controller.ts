@@ -1,6 +1,6 @@
 import fs from "fs-extra";
 import path from "path";
-import { BaseControllerPlugin } from "@clusterio/controller";
+import { BaseControllerPlugin, type KeyValueStore, type StorageTransaction } from "@clusterio/controller";
 import { Static } from "@sinclair/typebox";
 
 import * as lib from "@clusterio/lib";
@@ -22,42 +22,44 @@ type Technology = {
 }
 
 
-async function loadTechnologies(
+async function importTechnologies(
+	transaction: StorageTransaction,
+	table: string,
 	controllerConfig: lib.ControllerConfig,
 	logger: lib.Logger
-): Promise<Map<string, Technology>> {
+) {
 	let filePath = path.join(controllerConfig.get("controller.database_directory"), "technologies.json");
-	logger.verbose(`Loading ${filePath}`);
+	let content;
 	try {
-		return new Map(JSON.parse(await fs.readFile(filePath, "utf8")));
+		content = await fs.readFile(filePath, "utf8");
 	} catch (err: any) {
 		if (err.code === "ENOENT") {
-			logger.verbose("Creating new technologies database");
-			return new Map();
+			return;
 		}
 		throw err;
 	}
-}
-
-async function saveTechnologies(
-	controllerConfig: lib.ControllerConfig,
-	technologies: Map<string, Technology>,
-	logger: lib.Logger
-) {
-	let filePath = path.join(controllerConfig.get("controller.database_directory"), "technologies.json");
-	logger.verbose(`writing ${filePath}`);
-	await lib.safeOutputFile(filePath, JSON.stringify([...technologies.entries()], null, "\t"));
+	logger.info(`Importing ${filePath}, the file is no longer used after this`);
+	for (let [name, tech] of JSON.parse(content)) {
+		transaction.set(table, name, tech);
+	}
 }
 
 export class ControllerPlugin extends BaseControllerPlugin {
-	technologies!: Map<string, Technology>;
-	technologiesDirty = true;
+	technologies!: KeyValueStore<Technology>;
 	progressRateLimiter!: lib.RateLimiter;
 	progressBroadcastId!: ReturnType<typeof setInterval> | null;
 	progressToBroadcast!: Set<string>;
 
 	async init() {
-		this.technologies = await loadTechnologies(this.controller.config, this.logger);
+		this.technologies = await this.openStore<Technology>("technologies", {
+			migrations: [{
+				version: 1,
+				description: "Import technologies.json",
+				migrate: transaction => importTechnologies(
+					transaction, `${this.info.name}.technologies`, this.controller.config, this.logger
+				),
+			}],
+		});
 		this.progressRateLimiter = new RateLimiter({
 			maxRate: 1,
 			action: () => this.broadcastProgress(),
@@ -71,13 +73,6 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		this.controller.handle(SyncTechnologiesRequest, this.handleSyncTechnologiesRequest.bind(this));
 	}
 
-	async onSaveData() {
-		if (this.technologiesDirty) {
-			this.technologiesDirty = false;
-			await saveTechnologies(this.controller.config, this.technologies, this.logger);
-		}
-	}
-
 	async onShutdown() {
 		this.progressRateLimiter.cancel();
 	}
@@ -103,7 +98,6 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		if (!tech) {
 			tech = { level, progress: 0, researched: false };
 			this.technologies.set(name, tech);
-			this.technologiesDirty = true;
 
 		// Ignore contribution to already researched technologies
 		} else if (tech.level > level || tech.level === level && tech.researched) {
@@ -134,7 +128,7 @@ export class ControllerPlugin extends BaseControllerPlugin {
 
 			this.controller.sendTo("allInstances", new FinishedEvent(name, tech.level));
 		}
-		this.technologiesDirty = true;
+		this.technologies.markDirty(name);
 	}
 
 	async handleFinishedEvent(event: FinishedEvent) {
@@ -144,7 +138,6 @@ export class ControllerPlugin extends BaseControllerPlugin {
 			this.controller.sendTo("allInstances", event);
 			this.progressToBroadcast.delete(name);
 			this.technologies.set(name, { level, progress: null, researched: true });
-			this.technologiesDirty = true;
 		}
 	}
 
@@ -162,7 +155,6 @@ export class ControllerPlugin extends BaseControllerPlugin {
 			let tech = this.technologies.get(name);
 			if (!tech) {
 				this.technologies.set(name, { level, progress, researched });
-				this.technologiesDirty = true;
 				if (progress) {
 					this.progressToBroadcast.add(name);
 				} else if (researched || baseLevel(name) !== level) {
@@ -188,12 +180,12 @@ export class ControllerPlugin extends BaseControllerPlugin {
 					} else {
 						this.progressToBroadcast.delete(name);
 					}
-					this.technologiesDirty = true;
+					this.technologies.markDirty(name);
 
 				} else if (tech.progress && progress && tech.progress < progress) {
 					tech.progress = progress;
 					this.progressToBroadcast.add(name);
-					this.technologiesDirty = true;
+					this.technologies.markDirty(name);
 				}
 			}
 		}
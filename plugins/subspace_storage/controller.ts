@@ -1,4 +1,6 @@
-import { BaseControllerPlugin, type ControlConnection } from "@clusterio/controller";
+import {
+	BaseControllerPlugin, type ControlConnection, type KeyValueStore, type StorageTransaction,
+} from "@clusterio/controller";
 
 import fs from "fs-extra";
 import path from "path";
@@ -36,42 +38,32 @@ const controllerInventoryGauge = new Gauge(
 );
 
 
-async function loadDatabase(
+async function importDatabase(
+	transaction: StorageTransaction,
+	table: string,
 	config: lib.ControllerConfig,
 	logger: lib.Logger
-): Promise<lib.ItemDatabase> {
+) {
 	let itemsPath = path.resolve(config.get("controller.database_directory"), "items.json");
-	logger.verbose(`Loading ${itemsPath}`);
+	let content;
 	try {
-		let content = await fs.readFile(itemsPath, { encoding: "utf8" });
-		return new lib.ItemDatabase(JSON.parse(content));
-
+		content = await fs.readFile(itemsPath, { encoding: "utf8" });
 	} catch (err: any) {
 		if (err.code === "ENOENT") {
-			logger.verbose("Creating new item database");
-			return new lib.ItemDatabase();
+			return;
 		}
 		throw err;
 	}
-}
-
-async function saveDatabase(
-	controllerConfig: lib.ControllerConfig,
-	items: lib.ItemDatabase | undefined,
-	logger: lib.Logger,
-) {
-	if (items && items.size < 50000) {
-		let file = path.resolve(controllerConfig.get("controller.database_directory"), "items.json");
-		logger.verbose(`writing ${file}`);
-		let content = JSON.stringify(items.serialize());
-		await lib.safeOutputFile(file, content);
-	} else if (items) {
-		logger.error(`Item database too large, not saving (${items.size})`);
+	logger.info(`Importing ${itemsPath}, the file is no longer used after this`);
+	for (let [name, count] of new lib.ItemDatabase(JSON.parse(content)).getEntries()) {
+		transaction.set(table, name, count);
 	}
 }
 
 export class ControllerPlugin extends BaseControllerPlugin {
 	items!: lib.ItemDatabase;
+	/** Persisted counts of items, updated from items on save */
+	itemsStore!: KeyValueStore<number>;
 	itemUpdateRateLimiter!: lib.RateLimiter;
 	itemsLastUpdate!: Map<string, number>;
 	subscribedControlLinks!: Set<ControlConnection>;
@@ -80,7 +72,16 @@ export class ControllerPlugin extends BaseControllerPlugin {
 	storageDirty = false;
 
 	async init() {
-		this.items = await loadDatabase(this.controller.config, this.logger);
+		this.itemsStore = await this.openStore<number>("items", {
+			migrations: [{
+				version: 1,
+				description: "Import items.json",
+				migrate: transaction => importDatabase(
+					transaction, `${this.info.name}.items`, this.controller.config, this.logger
+				),
+			}],
+		});
+		this.items = new lib.ItemDatabase(Object.fromEntries(this.itemsStore.entries()));
 		this.itemUpdateRateLimiter = new lib.RateLimiter({
 			maxRate: 1,
 			action: () => {
@@ -256,7 +257,15 @@ export class ControllerPlugin extends BaseControllerPlugin {
 	async onSaveData() {
 		if (this.storageDirty) {
 			this.storageDirty = false;
-			await saveDatabase(this.controller.config, this.items, this.logger);
+			for (let [name, count] of this.items.getEntries()) {
+				if (count === 0) {
+					if (this.itemsStore.has(name)) {
+						this.itemsStore.delete(name);
+					}
+				} else if (this.itemsStore.get(name) !== count) {
+					this.itemsStore.set(name, count);
+				}
+			}
 		}
 	}
 }
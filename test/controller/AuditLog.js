@@ -0,0 +1,222 @@
+"use strict";
+const assert = require("assert").strict;
+const events = require("events");
+const fs = require("fs-extra");
+const path = require("path");
+
+const lib = require("@clusterio/lib");
+const { AuditLog, Controller, ControlConnection } = require("@clusterio/controller");
+const { redactParameters } = require("@clusterio/controller/dist/src/AuditLog");
+const WsServerConnector = require("@clusterio/controller/dist/src/WsServerConnector").default;
+
+describe("controller/src/AuditLog", function() {
+	let baseDir = path.join("temp", "test", "audit_log");
+	const day = 24 * 60 * 60e3;
+	const start = Date.UTC(2024, 0, 10, 12);
+	let auditLog;
+	beforeEach(async function() {
+		await fs.remove(baseDir);
+		auditLog = await AuditLog.fromDirectory(baseDir, 30);
+	});
+	after(async function() {
+		await fs.remove(baseDir);
+	});
+
+	function entry(timestampMs, user, action = "InstanceStartRequest", result = "success") {
+		return new lib.AuditLogEntry(timestampMs, user, action, "instance:1", { instanceId: 1 }, result);
+	}
+
+	describe("redactParameters()", function() {
+		it("should redact properties with password in their name", function() {
+			assert.deepEqual(
+				redactParameters({ name: "user", password: "secret", currentPassword: "old", other: undefined }),
+				{ name: "user", password: "[redacted]", currentPassword: "[redacted]", other: undefined }
+			);
+			assert.deepEqual(redactParameters({ name: "user" }), { name: "user" });
+		});
+		it("should redact secrets", function() {
+			assert.deepEqual(
+				redactParameters({ name: "hook", url: "https://example.com", secret: "hmac", events: [] }),
+				{ name: "hook", url: "https://example.com", secret: "[redacted]", events: [] }
+			);
+		});
+		it("should redact values of sensitive config fields", function() {
+			assert.deepEqual(
+				redactParameters({ field: "controller.oidc_client_secret", value: "x" }),
+				{ field: "controller.oidc_client_secret", value: "[redacted]" }
+			);
+			assert.deepEqual(
+				redactParameters({ field: "host.controller_token", prop: "a", value: "x" }),
+				{ field: "host.controller_token", prop: "a", value: "[redacted]" }
+			);
+			assert.deepEqual(
+				redactParameters({ field: "factorio.settings", prop: "game_password", value: "x" }),
+				{ field: "factorio.settings", prop: "game_password", value: "[redacted]" }
+			);
+			assert.deepEqual(
+				redactParameters({ field: "controller.name", value: "x" }),
+				{ field: "controller.name", value: "x" }
+			);
+		});
+		it("should redact nested properties", function() {
+			assert.deepEqual(
+				redactParameters({ users: [{ name: "a", password: "x" }], value: 1 }),
+				{ users: [{ name: "a", password: "[redacted]" }], value: 1 }
+			);
+			assert.equal(redactParameters(null), null);
+			assert.equal(redactParameters("password"), "password");
+		});
+	});
+
+	describe(".add()", function() {
+		it("should append entries to a file per day", async function() {
+			await auditLog.add(entry(start, "a"));
+			await auditLog.add(entry(start + 1, "b"));
+			await auditLog.add(entry(start + day, "c"));
+			assert.deepEqual(await fs.readdir(baseDir), ["audit-2024-01-10.log", "audit-2024-01-11.log"]);
+			let lines = (await fs.readFile(path.join(baseDir, "audit-2024-01-10.log"), "utf8")).split("\n");
+			assert.deepEqual(lines.map(line => line && JSON.parse(line).user), ["a", "b", ""]);
+		});
+		it("should prune old files when the day changes", async function() {
+			await auditLog.add(entry(start, "a"));
+			await auditLog.add(entry(start + 31 * day, "b"));
+			assert.deepEqual(await fs.readdir(baseDir), ["audit-2024-02-10.log"]);
+		});
+	});
+
+	describe(".prune()", function() {
+		it("should keep everything if retention is null", async function() {
+			await auditLog.add(entry(start, "a"));
+			auditLog.retentionDays = null;
+			assert.equal(await auditLog.prune(start + 365 * day), 0);
+			assert.deepEqual(await fs.readdir(baseDir), ["audit-2024-01-10.log"]);
+		});
+	});
+
+	describe(".query()", function() {
+		beforeEach(async function() {
+			auditLog.add(entry(start, "a"));
+			auditLog.add(entry(start + 1000, "b", "UserSetBannedRequest", "denied"));
+			auditLog.add(entry(start + day, "a", "InstanceStopRequest", "error"));
+			await auditLog.add(entry(start + 2 * day, "b"));
+		});
+
+		it("should return entries in the requested order up to the limit", async function() {
+			let entries = await auditLog.query({ limit: 3, order: "asc" });
+			assert.deepEqual(entries.map(e => e.timestampMs), [start, start + 1000, start + day]);
+			entries = await auditLog.query({ limit: 3, order: "desc" });
+			assert.deepEqual(entries.map(e => e.timestampMs), [start + 2 * day, start + day, start + 1000]);
+			assert(entries[0] instanceof lib.AuditLogEntry);
+		});
+		it("should filter entries", async function() {
+			let query = async filter => (await auditLog.query({ limit: 10, order: "asc", ...filter }))
+				.map(e => e.timestampMs);
+			assert.deepEqual(await query({ user: "a" }), [start, start + day]);
+			assert.deepEqual(await query({ action: "UserSetBannedRequest" }), [start + 1000]);
+			assert.deepEqual(await query({ result: "error" }), [start + day]);
+			assert.deepEqual(await query({ target: "instance:2" }), []);
+			assert.deepEqual(
+				await query({ sinceMs: start + 1000, untilMs: start + 2 * day }), [start + 1000, start + day]
+			);
+		});
+	});
+
+	describe("ControlConnection recording", function() {
+		let controller;
+		let connection;
+		let sent;
+		beforeEach(function() {
+			controller = new Controller({}, [], "", new lib.ControllerConfig("controller"));
+			controller.auditLog = auditLog;
+			let connector = new WsServerConnector(new lib.Address(lib.Address.control, 1), 1, 60, 15);
+			sent = [];
+			connector._state = "connected";
+			connector._socket = { send: data => sent.push(JSON.parse(data)) };
+			let user = controller.userManager.createUser("test");
+			connection = new ControlConnection({ version: "2.0.0" }, connector, controller, user, 1);
+		});
+
+		function request(requestId, Request, data) {
+			let name = Request.plugin ? `${Request.plugin}:${Request.name}` : Request.name;
+			connection._processMessage(new lib.MessageRequest(
+				requestId,
+				new lib.Address(lib.Address.control, 1, requestId),
+				new lib.Address(lib.Address.controller, 0),
+				name,
+				data,
+			));
+		}
+
+		async function waitForResponses(count) {
+			while (sent.length < count) {
+				await events.once(connection.connector, "response");
+			}
+			await auditLog.close();
+		}
+
+		it("should record denied requests", async function() {
+			request(1, lib.UserSetBannedRequest, { name: "player", create: true, banned: true, reason: "" });
+			await waitForResponses(1);
+			let [audit] = await auditLog.query({ limit: 10, order: "asc" });
+			assert.equal(audit.user, "test");
+			assert.equal(audit.action, "UserSetBannedRequest");
+			assert.equal(audit.target, "controller");
+			assert.deepEqual(audit.parameters, { name: "player", create: true, banned: true, reason: "" });
+			assert.equal(audit.result, "denied");
+			assert.equal(audit.error, "Permission denied");
+		});
+		it("should redact values of sensitive config props", async function() {
+			request(1, lib.InstanceConfigSetPropRequest, {
+				instanceId: 1, field: "factorio.settings", prop: "game_password", value: "hunter2",
+			});
+			await waitForResponses(1);
+			let [audit] = await auditLog.query({ limit: 10, order: "asc" });
+			assert.equal(audit.action, "InstanceConfigSetPropRequest");
+			assert.deepEqual(
+				audit.parameters,
+				{ instanceId: 1, field: "factorio.settings", prop: "game_password", value: "[redacted]" },
+			);
+		});
+		it("should redact passwords", async function() {
+			request(1, lib.UserSetPasswordRequest, { name: "player", password: "secret", currentPassword: "old" });
+			await waitForResponses(1);
+			let [audit] = await auditLog.query({ limit: 10, order: "asc" });
+			assert.deepEqual(
+				audit.parameters, { name: "player", password: "[redacted]", currentPassword: "[redacted]" }
+			);
+		});
+		it("should redact webhook secrets", async function() {
+			request(1, lib.WebhookCreateRequest, {
+				name: "hook", url: "https://example.com", secret: "hmac", events: [], enabled: true,
+			});
+			await waitForResponses(1);
+			let [audit] = await auditLog.query({ limit: 10, order: "asc" });
+			assert.equal(audit.action, "WebhookCreateRequest");
+			assert.equal(audit.parameters.secret, "[redacted]");
+		});
+		it("should record the outcome of allowed requests", async function() {
+			lib.ensureDefaultAdminRole(controller.userManager.roles);
+			connection.user.roleIds.add(0);
+			request(1, lib.UserSetBannedRequest, { name: "player", create: true, banned: true, reason: "" });
+			request(2, lib.InstanceDeleteRequest, { instanceId: 7 });
+			await waitForResponses(2);
+			let audits = await auditLog.query({ limit: 10, order: "asc" });
+			assert.deepEqual(audits.map(a => [a.action, a.target, a.result, a.error]), [
+				["UserSetBannedRequest", "controller", "success", undefined],
+				["InstanceDeleteRequest", "instance:7", "error", "Instance with ID 7 does not exist"],
+			]);
+		});
+		it("should deny instance requests outside the scope of the user's roles", async function() {
+			controller.userManager.roles.set(5, new lib.Role(5, "Mod", "", new Set(["core.instance.delete"]), [8]));
+			connection.user.roleIds.add(5);
+			request(1, lib.InstanceDeleteRequest, { instanceId: 7 });
+			request(2, lib.InstanceDeleteRequest, { instanceId: 8 });
+			await waitForResponses(2);
+			let audits = await auditLog.query({ limit: 10, order: "asc" });
+			assert.deepEqual(audits.map(a => [a.action, a.target, a.result, a.error]), [
+				["InstanceDeleteRequest", "instance:7", "denied", "Permission denied"],
+				["InstanceDeleteRequest", "instance:8", "error", "Instance with ID 8 does not exist"],
+			]);
+		});
+	});
+});
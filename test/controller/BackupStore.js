@@ -0,0 +1,92 @@
+"use strict";
+const assert = require("assert").strict;
+const fs = require("fs-extra");
+const path = require("path");
+const stream = require("stream");
+
+const { BackupStore } = require("@clusterio/controller");
+
+describe("controller/src/BackupStore", function() {
+	let baseDir = path.join("temp", "test", "backup_store");
+	let store;
+	beforeEach(async function() {
+		await fs.remove(baseDir);
+		store = await BackupStore.fromDirectory(baseDir);
+	});
+
+	function content(text) {
+		return stream.Readable.from([Buffer.from(text)]);
+	}
+
+	describe(".add()", function() {
+		it("should store the save and index it", async function() {
+			let backup = await store.add(1, "world.zip", 1000, content("save"));
+			assert.equal(backup.id, 1);
+			assert.equal(backup.size, 4);
+			assert.equal(await fs.readFile(store.filePath(backup), "utf8"), "save");
+
+			let loaded = await BackupStore.fromDirectory(baseDir);
+			assert.deepEqual(loaded.backups, store.backups);
+		});
+		it("should reuse the latest backup if the save is unchanged", async function() {
+			let first = await store.add(1, "world.zip", 1000, content("save"));
+			let second = await store.add(1, "world.zip", 2000, content("save"));
+			assert.equal(second, first);
+			assert.equal(store.backups.size, 1);
+		});
+		it("should share storage between identical saves", async function() {
+			let first = await store.add(1, "world.zip", 1000, content("save"));
+			let second = await store.add(2, "copy.zip", 1000, content("save"));
+			assert.notEqual(second.id, first.id);
+			assert.equal(store.filePath(second), store.filePath(first));
+			let objects = await fs.readdir(path.join(baseDir, "objects"));
+			assert.deepEqual(objects, [`${first.hash}.zip`]);
+		});
+		it("should give backups added at the same time different ids", async function() {
+			let backups = await Promise.all([
+				store.add(1, "world.zip", 1000, content("save 1")),
+				store.add(2, "world.zip", 1000, content("save 2")),
+				store.add(3, "world.zip", 1000, content("save 2")),
+			]);
+			assert.deepEqual(backups.map(backup => backup.id).sort(), [1, 2, 3]);
+			assert.equal(store.backups.size, 3);
+		});
+		it("should emit change", async function() {
+			let changes = [];
+			store.on("change", backup => changes.push(backup));
+			let backup = await store.add(1, "world.zip", 1000, content("save"));
+			assert.deepEqual(changes, [backup]);
+		});
+	});
+
+	describe(".delete()", function() {
+		it("should only remove the stored save when unreferenced", async function() {
+			let first = await store.add(1, "world.zip", 1000, content("save"));
+			let second = await store.add(2, "copy.zip", 1000, content("save"));
+			await store.delete(first.id);
+			assert(await fs.pathExists(store.filePath(second)));
+			await store.delete(second.id);
+			assert(!await fs.pathExists(store.filePath(second)));
+			assert.equal(second.isDeleted, true);
+		});
+		it("should throw on unknown backup", async function() {
+			await assert.rejects(store.delete(5), new Error("Backup with ID 5 does not exist"));
+		});
+	});
+
+	describe(".prune()", function() {
+		it("should keep the newest backups of the instance", async function() {
+			let a = await store.add(1, "world.zip", 1000, content("a"));
+			let b = await store.add(1, "world.zip", 2000, content("b"));
+			let c = await store.add(1, "world.zip", 3000, content("c"));
+			let other = await store.add(2, "world.zip", 1000, content("a"));
+			a.createdAtMs = 1;
+			b.createdAtMs = 2;
+			c.createdAtMs = 3;
+
+			let pruned = await store.prune(1, 2);
+			assert.deepEqual(pruned, [a]);
+			assert.deepEqual([...store.backups.values()], [b, c, other]);
+		});
+	});
+});
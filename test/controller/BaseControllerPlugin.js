@@ -1,4 +1,6 @@
 "use strict";
+const assert = require("assert").strict;
+const lib = require("@clusterio/lib");
 const mock = require("../mock");
 const controller = require("@clusterio/controller");
 
@@ -18,5 +20,20 @@ describe("controller/src/BaseControllerPlugin", function() {
 			controllerPlugin.onHostConnectionEvent({}, "connect");
 			await controllerPlugin.onPrepareHostDisconnect({});
 		});
+		it("should open namespaced stores saved with the controller data", async function() {
+			let config = new lib.ControllerConfig("controller");
+			let controllerInstance = new controller.Controller({}, [], "", config);
+			let plugin = new controller.BaseControllerPlugin(
+				{ name: "test" }, controllerInstance, {}, new mock.MockLogger()
+			);
+			controllerInstance.plugins.set("test", plugin);
+			let store = await plugin.openStore("data");
+			assert.equal(store.table, "test.data");
+			await assert.rejects(plugin.openStore("data"), new Error("Store data is already open"));
+
+			store.set("key", { value: 1 });
+			await controllerInstance.saveData();
+			assert.deepEqual(await controllerInstance.storage.get("test.data", "key"), { value: 1 });
+		});
 	});
 });
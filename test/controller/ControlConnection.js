@@ -0,0 +1,185 @@
+"use strict";
+const assert = require("assert").strict;
+
+const lib = require("@clusterio/lib");
+const { Controller, ControlConnection, ControllerUser, InstanceInfo } = require("@clusterio/controller");
+const WsServerConnector = require("@clusterio/controller/dist/src/WsServerConnector").default;
+
+describe("controller/src/ControlConnection", function() {
+	describe(".checkApiTokenScope()", function() {
+		let controller;
+		let connection;
+		beforeEach(function() {
+			controller = new Controller({}, [], "", new lib.ControllerConfig("controller"));
+			let connector = new WsServerConnector(new lib.Address(lib.Address.control, 1), 1, 60, 15);
+			let user = controller.userManager.createUser("test");
+			let apiToken = new lib.UserApiToken("id", "token", ["core.admin"], [1], 0);
+			connection = new ControlConnection({ version: "2.0.0" }, connector, controller, user, 1, apiToken);
+		});
+
+		function check(Request, data) {
+			connection.checkApiTokenScope(new lib.MessageRequest(
+				1,
+				new lib.Address(lib.Address.control, 1, 1),
+				new lib.Address(lib.Address.controller, 0),
+				Request.name,
+				data,
+			));
+		}
+		const outside = new lib.PermissionError("Instance is outside the scope of the API token");
+
+		it("should allow requests on instances within the scope", function() {
+			check(lib.InstanceDeleteRequest, { instanceId: 1 });
+			check(lib.FactorioUpgradeStartRequest, { instanceIds: [1], version: "latest", parallel: 1 });
+			check(lib.HostDrainRequest, { hostId: 1, draining: true, action: "none" });
+		});
+		it("should reject requests on instances outside the scope", function() {
+			assert.throws(() => check(lib.InstanceDeleteRequest, { instanceId: 2 }), outside);
+			assert.throws(
+				() => check(lib.FactorioUpgradeStartRequest, { instanceIds: [1, 2], version: "latest", parallel: 1 }),
+				outside,
+			);
+			assert.throws(
+				() => check(lib.ScheduledTaskCreateRequest, {
+					name: "task", cron: "* * * * *", action: "stop", instanceIds: [2], argument: "", enabled: true,
+				}),
+				outside,
+			);
+			assert.throws(
+				() => check(lib.InstanceTransferSaveRequest, {
+					sourceInstanceId: 2, sourceName: "a.zip", targetInstanceId: 1, targetName: "a.zip", copy: true,
+				}),
+				outside,
+			);
+		});
+		it("should reject requests on instances referred to through other objects", function() {
+			controller.scheduledTasks.set(5, new lib.ScheduledTask(5, "task", "* * * * *", "stop", [1, 2]));
+			assert.throws(() => check(lib.ScheduledTaskRunRequest, { id: 5 }), outside);
+			controller.backupStore.backups.set(6, new lib.SaveBackup(6, 2, "a.zip", "hash", 1, 0, 0));
+			assert.throws(() => check(lib.SaveBackupRestoreRequest, { id: 6 }), outside);
+			assert.throws(() => check(lib.SaveBackupRestoreRequest, { id: 6, instanceId: 1 }), outside);
+			controller.backupStore.backups.set(7, new lib.SaveBackup(7, 1, "a.zip", "hash", 1, 0, 0));
+			check(lib.SaveBackupRestoreRequest, { id: 7, instanceId: 1 });
+		});
+		it("should reject changes to scheduled tasks acting on instances outside the scope", function() {
+			controller.scheduledTasks.set(5, new lib.ScheduledTask(5, "task", "* * * * *", "stop", [2]));
+			const update = {
+				name: "task", cron: "* * * * *", action: "stop", instanceIds: [1], argument: "", enabled: true,
+			};
+			assert.throws(() => check(lib.ScheduledTaskUpdateRequest, { id: 5, ...update }), outside);
+			assert.throws(() => check(lib.ScheduledTaskDeleteRequest, { id: 5 }), outside);
+			controller.scheduledTasks.set(6, new lib.ScheduledTask(6, "task", "* * * * *", "stop", [1]));
+			check(lib.ScheduledTaskUpdateRequest, { id: 6, ...update });
+			check(lib.ScheduledTaskDeleteRequest, { id: 6 });
+		});
+		it("should reject requests acting on all instances", function() {
+			assert.throws(
+				() => check(lib.HostDrainRequest, { hostId: 1, draining: true, action: "stop" }),
+				new lib.PermissionError("Acting on all instances is outside the scope of the API token"),
+			);
+		});
+	});
+
+	describe(".handleUserSetPasswordRequest()", function() {
+		let originalParams = ControllerUser.passwordHashParams;
+		let controller;
+		let connection;
+		before(function() {
+			ControllerUser.passwordHashParams = { N: 1024, r: 8, p: 1 };
+		});
+		after(function() {
+			ControllerUser.passwordHashParams = originalParams;
+		});
+		beforeEach(function() {
+			controller = new Controller({}, [], "", new lib.ControllerConfig("controller"));
+			let roles = controller.userManager.roles;
+			lib.ensureDefaultAdminRole(roles);
+			roles.set(5, new lib.Role(5, "Helper", "", new Set(["core.user.set_other_password", "core.user.list"])));
+			roles.set(6, new lib.Role(6, "Viewer", "", new Set(["core.user.list"])));
+			let connector = new WsServerConnector(new lib.Address(lib.Address.control, 1), 1, 60, 15);
+			let user = controller.userManager.createUser("helper");
+			user.roleIds = new Set([5]);
+			connection = new ControlConnection({ version: "2.0.0" }, connector, controller, user, 1);
+		});
+
+		it("should set the password of users with fewer permissions", async function() {
+			let viewer = controller.userManager.createUser("viewer");
+			viewer.roleIds = new Set([6]);
+			await connection.handleUserSetPasswordRequest(new lib.UserSetPasswordRequest("viewer", "password"));
+			assert.equal(await viewer.verifyPassword("password"), true);
+		});
+		it("should refuse to set the password of users with more permissions", async function() {
+			let admin = controller.userManager.createUser("admin");
+			admin.roleIds = new Set([0]);
+			await assert.rejects(
+				connection.handleUserSetPasswordRequest(new lib.UserSetPasswordRequest("admin", "password")),
+				new lib.PermissionError("Cannot set the password of a user with permissions you do not have"),
+			);
+			assert.equal(admin.hasPassword, false);
+		});
+	});
+
+	describe("instance scope filtering", function() {
+		let controller;
+		let connection;
+		let sent;
+		beforeEach(function() {
+			controller = new Controller({}, [], "", new lib.ControllerConfig("controller"));
+			controller.userManager.roles.set(5, new lib.Role(5, "Scoped", "", new Set([
+				"core.instance.list",
+				"core.instance.subscribe",
+				"core.instance.save.list",
+				"core.instance.save.list.subscribe",
+			]), [1], ["event"]));
+			for (let [id, tags] of [[1, ""], [2, ""], [3, "event"]]) {
+				const config = new lib.InstanceConfig("controller");
+				config.set("instance.id", id);
+				config.set("instance.tags", tags);
+				controller.instances.set(id, new InstanceInfo(config, "stopped", undefined, 1));
+				const save = new lib.SaveDetails(id, "file", "a.zip", 1, 0, false, false, 1, false);
+				controller.saves.set(`${id}.a.zip`, save);
+			}
+			let connector = new WsServerConnector(new lib.Address(lib.Address.control, 1), 1, 60, 15);
+			connector._state = "connected";
+			let user = controller.userManager.createUser("test");
+			user.roleIds = new Set([5]);
+			connection = new ControlConnection({ version: "2.0.0" }, connector, controller, user, 1);
+			sent = [];
+			connection.send = event => { sent.push(event); };
+		});
+
+		async function subscribe(Event) {
+			await controller.subscriptions.handleRequest(
+				connection,
+				new lib.SubscriptionRequest(Event.name, true),
+				new lib.Address(lib.Address.control, 1),
+				new lib.Address(lib.Address.controller, 0),
+			);
+		}
+
+		it("should list only instances within the scope", async function() {
+			const instances = await connection.handleInstanceDetailsListRequest();
+			assert.deepEqual(instances.map(instance => instance.id), [1, 3]);
+		});
+		it("should list only saves of instances within the scope", async function() {
+			const saves = await connection.handleInstanceSaveDetailsListRequest();
+			assert.deepEqual(saves.map(save => save.instanceId), [1, 3]);
+		});
+		it("should send only instance updates within the scope", async function() {
+			await subscribe(lib.InstanceDetailsUpdatesEvent);
+			assert.deepEqual(sent[0].updates.map(instance => instance.id), [1, 3]);
+			controller.instanceDetailsUpdated([controller.instances.get(2)]);
+			assert.equal(sent.length, 1);
+			controller.instanceDetailsUpdated([controller.instances.get(2), controller.instances.get(3)]);
+			assert.deepEqual(sent[1].updates.map(instance => instance.id), [3]);
+		});
+		it("should send only save updates of instances within the scope", async function() {
+			await subscribe(lib.InstanceSaveDetailsUpdatesEvent);
+			assert.deepEqual(sent[0].updates.map(save => save.instanceId), [1, 3]);
+			controller.savesUpdated([controller.saves.get("2.a.zip")]);
+			assert.equal(sent.length, 1);
+			controller.savesUpdated([controller.saves.get("1.a.zip"), controller.saves.get("2.a.zip")]);
+			assert.deepEqual(sent[1].updates.map(save => save.instanceId), [1]);
+		});
+	});
+});
@@ -1,7 +1,9 @@
 "use strict";
 const assert = require("assert").strict;
-const { Controller } = require("@clusterio/controller");
-const { ControllerConfig } = require("@clusterio/lib");
+const { Controller, ControlConnection, HostInfo, InstanceInfo } = require("@clusterio/controller");
+const lib = require("@clusterio/lib");
+const WsServerConnector = require("@clusterio/controller/dist/src/WsServerConnector").default;
+const { ControllerConfig } = lib;
 
 describe("controller/src/Controller", function() {
 	describe("class Controller", function() {
@@ -50,5 +52,490 @@ describe("controller/src/Controller", function() {
 				check(list, "192.168.0.18", false);
 			});
 		});
+		describe(".instanceMigrate()", function() {
+			let instance;
+			beforeEach(function() {
+				const config = new lib.InstanceConfig("controller");
+				config.set("instance.id", 7);
+				config.set("instance.assigned_host", 1);
+				instance = new InstanceInfo(config, "stopped");
+				controller.instances.set(7, instance);
+				controller.instanceMigrations.clear();
+				const connection = { connector: { closing: false } };
+				controller.wsServer.hostConnections.set(1, connection);
+				controller.wsServer.hostConnections.set(2, connection);
+			});
+			afterEach(function() {
+				controller.instances.delete(7);
+				controller.wsServer.hostConnections.clear();
+			});
+
+			it("should reject unassigned instances", async function() {
+				instance.config.set("instance.assigned_host", null);
+				await assert.rejects(
+					controller.instanceMigrate(7, 2),
+					new lib.RequestError("Instance is not assigned to a host"),
+				);
+			});
+			it("should reject migrating to the assigned host", async function() {
+				await assert.rejects(
+					controller.instanceMigrate(7, 1),
+					new lib.RequestError("Instance is already assigned to the target host"),
+				);
+			});
+			it("should reject disconnected target hosts", async function() {
+				await assert.rejects(
+					controller.instanceMigrate(7, 3),
+					new lib.RequestError("Target host is not connected to the controller"),
+				);
+			});
+			it("should reject instances already being migrated", async function() {
+				controller.instanceMigrations.set(
+					7, new lib.InstanceMigration(7, 1, 2, "transferring", false, 0, 1, Date.now()),
+				);
+				await assert.rejects(
+					controller.instanceMigrate(7, 2),
+					new lib.RequestError("Instance is already being migrated"),
+				);
+			});
+			it("should reject instances in transitional states", async function() {
+				instance.status = "starting";
+				await assert.rejects(
+					controller.instanceMigrate(7, 2),
+					new lib.RequestError("Instance cannot be migrated while starting"),
+				);
+			});
+		});
+		describe(".factorioUpgrade()", function() {
+			let requests;
+			let failStart;
+			function addInstance(id, status, hostId = 1) {
+				const config = new lib.InstanceConfig("controller");
+				config.set("instance.id", id);
+				config.set("instance.name", `instance-${id}`);
+				config.set("instance.assigned_host", hostId);
+				controller.instances.set(id, new InstanceInfo(config, status));
+			}
+			beforeEach(function() {
+				requests = [];
+				failStart = new Set();
+				controller.factorioUpgrades.clear();
+				controller.hosts.set(1, new HostInfo(1, "host-1", "2.0.0", new Map()));
+				controller.sendTo = async ({ instanceId }, request) => {
+					requests.push([instanceId, request.constructor.name]);
+					const instance = controller.instances.get(instanceId);
+					if (request instanceof lib.InstanceStopRequest) {
+						instance.status = "stopped";
+					} else if (request instanceof lib.InstanceStartRequest) {
+						instance.status = failStart.has(instanceId) ? "stopped" : "running";
+					}
+				};
+				addInstance(1, "running");
+				addInstance(2, "stopped");
+				addInstance(3, "running");
+			});
+			afterEach(function() {
+				delete controller.sendTo;
+				controller.hosts.clear();
+				controller.instances.clear();
+			});
+
+			it("should change the version and restart running instances", async function() {
+				const upgrade = await controller.factorioUpgrade([1, 2, 3], "2.0.10");
+				assert.equal(upgrade.status, "completed");
+				assert.deepEqual(upgrade.instances.map(entry => entry.status), ["completed", "completed", "completed"]);
+				for (let id of [1, 2, 3]) {
+					assert.equal(controller.instances.get(id).config.get("factorio.version"), "2.0.10");
+				}
+				assert.deepEqual(requests, [
+					[1, "InstanceStopRequest"], [1, "InstanceStartRequest"],
+					[3, "InstanceStopRequest"], [3, "InstanceStartRequest"],
+				]);
+				assert.equal(controller.instances.get(2).status, "stopped");
+			});
+			it("should halt when an instance does not start", async function() {
+				failStart.add(1);
+				const upgrade = await controller.factorioUpgrade([1, 2, 3], "2.0.10");
+				assert.equal(upgrade.status, "failed");
+				assert.deepEqual(upgrade.instances.map(entry => entry.status), ["failed", "skipped", "skipped"]);
+				assert.equal(upgrade.instances[0].error, "Instance is stopped after starting");
+				assert.equal(controller.instances.get(3).config.get("factorio.version"), "latest");
+			});
+			it("should upgrade instances in parallel", async function() {
+				const upgrade = await controller.factorioUpgrade([1, 3], "2.0.10", 2);
+				assert.equal(upgrade.status, "completed");
+				assert.deepEqual(requests.slice(0, 2), [[1, "InstanceStopRequest"], [3, "InstanceStopRequest"]]);
+			});
+			it("should reject versions not installed on the assigned host", async function() {
+				controller.hosts.get(1).factorioVersions = ["2.0.10"];
+				await assert.rejects(
+					controller.factorioUpgrade([1], "2.0.11"),
+					new lib.RequestError("Factorio 2.0.11 is not installed on host host-1"),
+				);
+				assert.equal(requests.length, 0);
+			});
+			it("should reject instances in transitional states", async function() {
+				controller.instances.get(2).status = "starting";
+				await assert.rejects(
+					controller.factorioUpgrade([1, 2], "2.0.10"),
+					new lib.RequestError("Instance instance-2 cannot be upgraded while starting"),
+				);
+			});
+			it("should reject starting a second upgrade", async function() {
+				controller.factorioUpgrades.set(1, new lib.FactorioUpgrade(1, "2.0.10", 1, "running", [], Date.now()));
+				await assert.rejects(
+					controller.factorioUpgrade([1], "2.0.10"),
+					new lib.RequestError("A Factorio upgrade is already in progress"),
+				);
+			});
+		});
+		describe(".hostDrain()", function() {
+			beforeEach(function() {
+				for (let id of [1, 2, 3]) {
+					controller.hosts.set(id, new HostInfo(id, `host-${id}`, "2.0.0", new Map()));
+				}
+			});
+			afterEach(function() {
+				controller.hosts.clear();
+				controller.instances.clear();
+				controller.wsServer.hostConnections.clear();
+			});
+
+			it("should set and clear the draining flag", async function() {
+				await controller.hostDrain(1, true);
+				assert.equal(controller.hosts.get(1).draining, true);
+				assert.equal(controller.hosts.get(1).toHostDetails().draining, true);
+				await controller.hostDrain(1, false);
+				assert.equal(controller.hosts.get(1).draining, false);
+			});
+			it("should reject unknown hosts", async function() {
+				await assert.rejects(
+					controller.hostDrain(9, true),
+					new lib.RequestError("Host with ID 9 does not exist"),
+				);
+			});
+			it("should prevent assigning instances to draining hosts", async function() {
+				const config = new lib.InstanceConfig("controller");
+				config.set("instance.id", 7);
+				controller.instances.set(7, new InstanceInfo(config, "unassigned"));
+				await controller.hostDrain(1, true);
+				await assert.rejects(
+					controller.instanceAssign(7, 1),
+					new lib.RequestError("Target host is draining"),
+				);
+			});
+		});
+		describe(".selectHost()", function() {
+			let instance;
+			let portRanges;
+			function addInstance(id, hostId) {
+				const config = new lib.InstanceConfig("controller");
+				config.set("instance.id", id);
+				config.set("instance.assigned_host", hostId);
+				controller.instances.set(id, new InstanceInfo(config, "stopped"));
+			}
+			function addSystem(id, cpuRatio, memoryRatio) {
+				controller.systems.set(id, new lib.SystemInfo(
+					id, "", "", "", "", "", [cpuRatio], 100, 100 - memoryRatio * 100, 0, 0, false, 0, false,
+				));
+			}
+			beforeEach(function() {
+				portRanges = new Map();
+				for (let id of [1, 2, 3]) {
+					controller.hosts.set(id, new HostInfo(id, `host-${id}`, "2.0.0", new Map()));
+					controller.wsServer.hostConnections.set(id, { connector: { closing: false } });
+					portRanges.set(id, "34100-34199");
+				}
+				controller.sendTo = async ({ hostId }) => ({ "host.factorio_port_range": portRanges.get(hostId) });
+				const config = new lib.InstanceConfig("controller");
+				config.set("instance.id", 7);
+				instance = new InstanceInfo(config, "unassigned");
+				controller.instances.set(7, instance);
+				addInstance(10, 1);
+				addInstance(11, 1);
+				addInstance(12, 2);
+			});
+			afterEach(function() {
+				delete controller.sendTo;
+				controller.hosts.clear();
+				controller.instances.clear();
+				controller.systems.clear();
+				controller.wsServer.hostConnections.clear();
+				controller.placementStrategies.delete("test");
+			});
+
+			it("should pick the host with the fewest instances by default", async function() {
+				assert.equal(await controller.selectHost(instance), 3);
+			});
+			it("should pick the host with the lowest load", async function() {
+				addSystem(1, 0.1, 0.2);
+				addSystem(2, 0.5, 0.1);
+				addSystem(3, 0.1, 0.9);
+				assert.equal(await controller.selectHost(instance, "lowest_load"), 1);
+			});
+			it("should skip hosts that are draining, disconnected or excluded", async function() {
+				controller.hosts.get(3).draining = true;
+				assert.equal(await controller.selectHost(instance), 2);
+				controller.wsServer.hostConnections.delete(2);
+				assert.equal(await controller.selectHost(instance), 1);
+				await assert.rejects(
+					controller.selectHost(instance, undefined, [1]),
+					new lib.RequestError("No host available to assign the instance to"),
+				);
+			});
+			it("should skip hosts without a free port", async function() {
+				portRanges.set(2, "34100");
+				portRanges.set(3, "");
+				assert.equal(await controller.selectHost(instance), 1);
+				portRanges.set(1, "34100-34101");
+				await assert.rejects(
+					controller.selectHost(instance),
+					new lib.RequestError("No host available to assign the instance to"),
+				);
+				instance.config.set("factorio.game_port", 34200);
+				assert.equal(await controller.selectHost(instance), 3);
+			});
+			it("should use registered strategies", async function() {
+				controller.registerPlacementStrategy("test", (_instance, candidates) => candidates.find(
+					candidate => candidate.freePorts === 98
+				));
+				assert.equal(await controller.selectHost(instance, "test"), 1);
+				assert.throws(
+					() => controller.registerPlacementStrategy("test", () => undefined),
+					new Error("Placement strategy test is already registered"),
+				);
+			});
+			it("should reject unknown strategies", async function() {
+				await assert.rejects(
+					controller.selectHost(instance, "invalid"),
+					new lib.RequestError("Placement strategy invalid does not exist"),
+				);
+			});
+		});
+		describe(".announceCountdown()", function() {
+			it("should stop when cancelled", async function() {
+				let completed = await controller.announceCountdown([], 60, () => "", () => false);
+				assert.equal(completed, false);
+			});
+			it("should complete a zero length countdown", async function() {
+				let completed = await controller.announceCountdown([], 0, () => "", () => true);
+				assert.equal(completed, true);
+			});
+		});
+		describe(".broadcastRcon()", function() {
+			function addInstance(id, status, tags = null) {
+				const config = new lib.InstanceConfig("controller");
+				config.set("instance.id", id);
+				config.set("instance.tags", tags);
+				controller.instances.set(id, new InstanceInfo(config, status));
+			}
+			beforeEach(function() {
+				controller.sendTo = async ({ instanceId }, request) => {
+					if (instanceId === 3) {
+						throw new lib.RequestError("Instance crashed");
+					}
+					return `${instanceId}: ${request.command}\n`;
+				};
+				addInstance(1, "running", "event");
+				addInstance(2, "stopped", "event");
+				addInstance(3, "running");
+				addInstance(4, "running", "event, modded");
+			});
+			afterEach(function() {
+				delete controller.sendTo;
+				controller.instances.clear();
+			});
+
+			it("should send to all running instances", async function() {
+				assert.deepEqual(await controller.broadcastRcon("/time"), [
+					new lib.InstanceRconResult(1, "1: /time\n"),
+					new lib.InstanceRconResult(3, undefined, "Instance crashed"),
+					new lib.InstanceRconResult(4, "4: /time\n"),
+				]);
+			});
+			it("should send to instances given", async function() {
+				assert.deepEqual(await controller.broadcastRcon("/time", [2, 4]), [
+					new lib.InstanceRconResult(2, undefined, "Instance is not running"),
+					new lib.InstanceRconResult(4, "4: /time\n"),
+				]);
+				await assert.rejects(
+					controller.broadcastRcon("/time", [5]),
+					new lib.RequestError("Instance with ID 5 does not exist"),
+				);
+			});
+			it("should filter instances by tags and the include callback", async function() {
+				assert.deepEqual(
+					(await controller.broadcastRcon("/time", undefined, ["modded", "other"])).map(r => r.instanceId),
+					[4],
+				);
+				assert.deepEqual(
+					(await controller.broadcastRcon("/time", undefined, [], i => i.id !== 1)).map(r => r.instanceId),
+					[3, 4],
+				);
+			});
+			it("should leave out instances outside the API token scope when sent by a control", async function() {
+				let connector = new WsServerConnector(new lib.Address(lib.Address.control, 1), 1, 60, 15);
+				lib.ensureDefaultAdminRole(controller.userManager.roles);
+				let user = controller.userManager.createUser("rcon-test");
+				user.roleIds.add(0);
+				let apiToken = new lib.UserApiToken("id", "token", ["core.admin"], [1, 3], 0);
+				let connection = new ControlConnection({ version: "2.0.0" }, connector, controller, user, 1, apiToken);
+				try {
+					let results = await connection.handleInstanceBroadcastRconRequest(
+						new lib.InstanceBroadcastRconRequest("/time")
+					);
+					assert.deepEqual(results.map(r => r.instanceId), [1, 3]);
+				} finally {
+					controller.userManager.users.delete("rcon-test");
+					controller.userManager.roles.delete(0);
+				}
+			});
+		});
+		describe(".announceRestart()", function() {
+			beforeEach(function() {
+				const config = new lib.InstanceConfig("controller");
+				config.set("instance.id", 7);
+				controller.instances.set(7, new InstanceInfo(config, "running"));
+				controller.sendTo = async () => {};
+			});
+			afterEach(function() {
+				delete controller.sendTo;
+				controller.instances.clear();
+				controller.userManager.users.delete("player");
+			});
+
+			it("should skip the countdown if no players are online", async function() {
+				assert.equal(await controller.announceRestart(60), true);
+				assert.equal(controller.restartCountdown, null);
+			});
+			it("should stop counting down when cancelled", async function() {
+				controller.userManager.users.set("player", { instances: new Set([7]) });
+				let result = controller.announceRestart(60);
+				await assert.rejects(
+					controller.announceRestart(60),
+					new lib.RequestError("Controller is already counting down to restart"),
+				);
+				controller.restartCountdown.cancelled = true;
+				assert.equal(await result, false);
+				assert.equal(controller.restartCountdown, null);
+			});
+		});
+		describe(".liftExpiredBans()", function() {
+			let sent;
+			beforeEach(function() {
+				sent = [];
+				controller.sendTo = (dst, event) => { sent.push([dst, event]); };
+				controller.userManager.createUser("temporary").setBanned(true, "Griefing", "admin", 1000);
+				controller.userManager.createUser("permanent").setBanned(true, "Cheating", "admin");
+			});
+			afterEach(function() {
+				delete controller.sendTo;
+				controller.userManager.users.delete("temporary");
+				controller.userManager.users.delete("permanent");
+			});
+
+			it("should only lift bans that have expired", function() {
+				assert.deepEqual(controller.liftExpiredBans(999), []);
+				let lifted = controller.liftExpiredBans(1000);
+				assert.deepEqual(lifted.map(user => user.name), ["temporary"]);
+				let user = controller.userManager.users.get("temporary");
+				assert.equal(user.isBanned, false);
+				assert.equal(user.banExpiresAtMs, 0);
+				assert.deepEqual(user.banHistory.map(entry => [entry.action, entry.by]), [
+					["ban", "admin"], ["expire", undefined],
+				]);
+				assert.equal(controller.userManager.users.get("permanent").isBanned, true);
+				assert.deepEqual(sent, [
+					["allInstances", new lib.InstanceBanlistUpdateEvent("temporary", false, "")],
+				]);
+			});
+		});
+		describe(".importUserList()", function() {
+			let sent;
+			beforeEach(function() {
+				sent = [];
+				controller.sendTo = (dst, event) => { sent.push(event); };
+				controller.userManager.createUser("admin").isAdmin = true;
+				controller.userManager.createUser("player");
+				controller.userManager.createUser("griefer").setBanned(true, "Griefing", "mod");
+				controller.userManager.createUser("cheater").setBanned(true, "Cheating", "mod");
+			});
+			afterEach(function() {
+				delete controller.sendTo;
+				for (let name of ["admin", "player", "griefer", "cheater", "newbie"]) {
+					controller.userManager.users.delete(name);
+				}
+			});
+			const options = { create: false, overwrite: false, dryRun: false };
+			function summary(results) {
+				return results.map(({ name, status, applied }) => [name, status, applied]);
+			}
+
+			it("should add users to the adminlist", function() {
+				let results = controller.importUserList(
+					"adminlist", ["admin", "player", "newbie"].map(name => new lib.UserListEntry(name)), options, "op"
+				);
+				assert.deepEqual(summary(results), [
+					["admin", "unchanged", false], ["player", "add", true], ["newbie", "create", false],
+				]);
+				assert.equal(controller.userManager.users.get("player").isAdmin, true);
+				assert(!controller.userManager.users.has("newbie"));
+				assert.deepEqual(sent, [new lib.InstanceAdminlistUpdateEvent("player", true)]);
+			});
+			it("should create users if requested", function() {
+				let results = controller.importUserList(
+					"whitelist", [new lib.UserListEntry("newbie")], { ...options, create: true }, "op"
+				);
+				assert.deepEqual(summary(results), [["newbie", "create", true]]);
+				assert.equal(controller.userManager.users.get("newbie").isWhitelisted, true);
+			});
+			it("should report conflicting bans and only replace them with overwrite", function() {
+				let entries = [
+					new lib.UserListEntry("griefer", "Griefing"),
+					new lib.UserListEntry("cheater", "Duping"),
+					new lib.UserListEntry("player", "Spam"),
+				];
+				let results = controller.importUserList("banlist", entries, options, "op");
+				assert.deepEqual(summary(results), [
+					["griefer", "unchanged", false], ["cheater", "conflict", false], ["player", "add", true],
+				]);
+				assert.equal(results[1].currentReason, "Cheating");
+				assert.equal(controller.userManager.users.get("cheater").banReason, "Cheating");
+				let player = controller.userManager.users.get("player");
+				assert.equal(player.banReason, "Spam");
+				assert.equal(player.bannedBy, "op");
+
+				results = controller.importUserList("banlist", entries, { ...options, overwrite: true }, "op");
+				assert.deepEqual(summary(results), [
+					["griefer", "unchanged", false], ["cheater", "conflict", true], ["player", "unchanged", false],
+				]);
+				assert.equal(controller.userManager.users.get("cheater").banReason, "Duping");
+			});
+			it("should not change users on a dry run", function() {
+				let results = controller.importUserList(
+					"banlist", [new lib.UserListEntry("player", "Spam")], { ...options, dryRun: true }, "op"
+				);
+				assert.deepEqual(summary(results), [["player", "add", true]]);
+				assert.equal(controller.userManager.users.get("player").isBanned, false);
+				assert.deepEqual(sent, []);
+			});
+		});
+		describe(".exportUserList()", function() {
+			afterEach(function() {
+				controller.userManager.users.delete("bob");
+				controller.userManager.users.delete("alice");
+			});
+			it("should list users on the list sorted by name", function() {
+				controller.userManager.createUser("bob").setBanned(true, "", "op");
+				let alice = controller.userManager.createUser("alice");
+				alice.setBanned(true, "Griefing", "op");
+				alice.isAdmin = true;
+				assert.deepEqual(controller.exportUserList("banlist"), [
+					new lib.UserListEntry("alice", "Griefing"), new lib.UserListEntry("bob"),
+				]);
+				assert.deepEqual(controller.exportUserList("adminlist"), [new lib.UserListEntry("alice")]);
+				assert.deepEqual(controller.exportUserList("whitelist"), []);
+			});
+		});
 	});
 });
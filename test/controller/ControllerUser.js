@@ -9,6 +9,7 @@ describe("controller/src/ControllerUser", function() {
 			roles = new Map([
 				[1, new lib.Role(1, "a", "a role", new Set(["core.admin"]))],
 				[2, new lib.Role(2, "b", "b role", new Set(["user-test"]))],
+				[3, new lib.Role(3, "c", "c role", new Set(["core.instance.start"]), [10], ["event"])],
 			]);
 		}
 		const userManager = new MockUserManager();
@@ -27,6 +28,72 @@ describe("controller/src/ControllerUser", function() {
 			test_roundtrip({ name: "user", is_admin: true, is_whitelisted: true });
 			test_roundtrip({ name: "user", is_banned: true, ban_reason: "Bad user" });
 			test_roundtrip({ name: "user", instance_stats: [[1, { join_count: 1 }]]});
+			test_roundtrip({ name: "user", oidc_issuer: "https://sso.example.com", oidc_subject: "1234" });
+			test_roundtrip({ name: "user", rcon_history: ["/time", "/players"] });
+		});
+		it("should keep the RCON history unique and limited", function() {
+			let user = ControllerUser.fromJSON({ name: "user" }, userManager);
+			user.addRconCommand("/time");
+			user.addRconCommand("/players");
+			user.addRconCommand("/time");
+			assert.deepEqual(user.rconHistory, ["/players", "/time"]);
+			for (let i = 0; i < ControllerUser.rconHistoryLimit; i++) {
+				user.addRconCommand(`/c game.print(${i})`);
+			}
+			assert.equal(user.rconHistory.length, ControllerUser.rconHistoryLimit);
+			assert.equal(user.rconHistory[0], "/c game.print(0)");
+			assert.equal(user.toJSON().rcon_history, undefined);
+		});
+		it("should round trip serialize API tokens", function() {
+			let serialized = {
+				name: "user",
+				api_tokens: [
+					{ id: "a", name: "ci", permissions: ["core.instance.start"], instanceIds: [1], createdAtMs: 1 },
+					{ id: "b", name: "bot", permissions: [], createdAtMs: 2, expiresAtMs: 3, lastUsedAtMs: 2 },
+				],
+			};
+			let user = ControllerUser.fromJSON(serialized, userManager);
+			assert(user.apiTokens.get("a") instanceof lib.UserApiToken);
+			assert.deepEqual(JSON.parse(JSON.stringify(user.toJSON(true))), serialized);
+			assert.equal(user.toJSON().api_tokens, undefined);
+		});
+		describe("passwords", function() {
+			let originalParams = ControllerUser.passwordHashParams;
+			before(function() {
+				ControllerUser.passwordHashParams = { N: 1024, r: 8, p: 1 };
+			});
+			after(function() {
+				ControllerUser.passwordHashParams = originalParams;
+			});
+
+			it("should verify the password set", async function() {
+				let user = ControllerUser.fromJSON({ name: "user" }, userManager);
+				assert.equal(await user.verifyPassword(""), false);
+				await user.setPassword("correct horse");
+				assert(user.hasPassword);
+				assert(user.passwordHash.startsWith("scrypt$1024$8$1$"));
+				assert.equal(await user.verifyPassword("correct horse"), true);
+				assert.equal(await user.verifyPassword("wrong horse"), false);
+			});
+			it("should clear the password and lockout", async function() {
+				let user = ControllerUser.fromJSON({ name: "user", login_locked_until_ms: 1 }, userManager);
+				await user.setPassword("correct horse");
+				assert.equal(user.loginLockedUntilMs, 0);
+				await user.setPassword(undefined);
+				assert.equal(user.hasPassword, false);
+				assert.equal(await user.verifyPassword("correct horse"), false);
+			});
+			it("should round trip serialize the password hash", async function() {
+				let user = ControllerUser.fromJSON({ name: "user" }, userManager);
+				await user.setPassword("correct horse");
+				let serialized = user.toJSON(true);
+				assert.equal(serialized.has_password, undefined);
+				let loaded = ControllerUser.fromJSON(serialized, userManager);
+				assert(loaded.hasPassword);
+				assert.equal(await loaded.verifyPassword("correct horse"), true);
+				assert.equal(user.toJSON().password_hash, undefined);
+				assert.equal(user.toJSON().has_password, true);
+			});
 		});
 		describe(".checkPermission()", function() {
 			it("should correctly resolve permissions", function() {
@@ -45,6 +112,44 @@ describe("controller/src/ControllerUser", function() {
 
 				assert.throws(() => a.checkPermission("invalid"), new Error("permission invalid does not exist"));
 			});
+			it("should apply the instance scope of roles", function() {
+				let c = ControllerUser.fromJSON({ name: "mod", roles: [2, 3] }, userManager);
+				c.checkPermission("core.instance.start");
+				c.checkPermission("core.instance.start", { id: 10, tags: [] });
+				c.checkPermission("core.instance.start", { id: 11, tags: ["event", "modded"] });
+				assert.throws(
+					() => c.checkPermission("core.instance.start", { id: 11, tags: ["modded"] }),
+					new Error("Permission denied")
+				);
+				c.checkPermission("user-test", { id: 11, tags: [] });
+			});
+		});
+		describe(".forInstance()", function() {
+			it("should check permissions for the given instance", function() {
+				let c = ControllerUser.fromJSON({ name: "mod", roles: [3] }, userManager);
+				c.forInstance({ id: 10, tags: [] }).checkPermission("core.instance.start");
+				assert.throws(
+					() => c.forInstance({ id: 11, tags: [] }).checkPermission("core.instance.start"),
+					new Error("Permission denied")
+				);
+				assert.equal(c.forInstance({ id: 11, tags: [] }).name, "mod");
+			});
+		});
+		describe(".withApiToken()", function() {
+			it("should limit permissions to those of the token", function() {
+				let a = ControllerUser.fromJSON({ name: "admin", roles: [1] }, userManager);
+				let c = ControllerUser.fromJSON({ name: "null", roles: [] }, userManager);
+				let apiToken = new lib.UserApiToken("id", "token", ["core.instance.start"], undefined, 0);
+
+				let scopedA = a.withApiToken(apiToken);
+				scopedA.checkPermission("core.instance.start");
+				assert.throws(
+					() => scopedA.checkPermission("core.instance.stop"), new Error("Permission denied by API token")
+				);
+				assert.equal(scopedA.name, "admin");
+				let scopedC = c.withApiToken(apiToken);
+				assert.throws(() => scopedC.checkPermission("core.instance.start"), new Error("Permission denied"));
+			});
 		});
 	});
 });
@@ -23,6 +23,7 @@ describe("controller/InstanceInfo", function() {
 			check(InstanceInfo.fromJSON({ config, status: "running" }, "controller"));
 			check(InstanceInfo.fromJSON({ config, status: "running", gamePort: 34197 }, "controller"));
 			check(InstanceInfo.fromJSON({ config, status: "running", updatedAtMs: Date.now() }, "controller"));
+			check(InstanceInfo.fromJSON({ config, status: "stopped", crashCount: 2, lastCrashAtMs: 1 }, "controller"));
 
 			// All at once
 			check(InstanceInfo.fromJSON({
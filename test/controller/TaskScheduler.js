@@ -0,0 +1,119 @@
+"use strict";
+const assert = require("assert").strict;
+const { Controller, TaskScheduler } = require("@clusterio/controller");
+const lib = require("@clusterio/lib");
+
+describe("controller/src/TaskScheduler", function() {
+	describe("class TaskScheduler", function() {
+		let controller;
+		let scheduler;
+		let sent;
+		beforeEach(function() {
+			controller = new Controller({}, [], "", new lib.ControllerConfig("controller"));
+			scheduler = controller.taskScheduler;
+			sent = [];
+			controller.sendTo = async (address, request) => {
+				sent.push([address.instanceId, request]);
+				if (address.instanceId === 2) {
+					throw new lib.RequestError("Instance is not running");
+				}
+				return request instanceof lib.InstanceSendRconRequest ? "ok\n" : undefined;
+			};
+		});
+
+		function addTask(task) {
+			controller.scheduledTasks.set(task.id, task);
+			return task;
+		}
+
+		describe(".createRequest()", function() {
+			it("should create the request for each action", function() {
+				let task = new lib.ScheduledTask(1, "t", "* * * * *", "start", [], "");
+				assert.deepEqual(TaskScheduler.createRequest(task), new lib.InstanceStartRequest(undefined));
+				task.argument = "map.zip";
+				assert.deepEqual(TaskScheduler.createRequest(task), new lib.InstanceStartRequest("map.zip"));
+				task.action = "stop";
+				assert.deepEqual(TaskScheduler.createRequest(task), new lib.InstanceStopRequest());
+				task.action = "create_save";
+				assert.deepEqual(TaskScheduler.createRequest(task), new lib.InstanceCreateSaveRequest("map.zip"));
+				task.action = "send_rcon";
+				task.argument = "/time";
+				assert.deepEqual(TaskScheduler.createRequest(task), new lib.InstanceSendRconRequest("/time"));
+			});
+		});
+
+		describe(".checkPermission()", function() {
+			it("should require the permission of the request sent by the action", function() {
+				controller.userManager.roles.set(5, new lib.Role(5, "Stopper", "", new Set(["core.instance.stop"])));
+				let user = controller.userManager.createUser("test");
+				user.roleIds = new Set([5]);
+				scheduler.checkPermission(new lib.ScheduledTask(1, "t", "* * * * *", "stop", [1]), user);
+				assert.throws(
+					() => scheduler.checkPermission(
+						new lib.ScheduledTask(1, "t", "* * * * *", "send_rcon", [1], "/time"), user
+					),
+					new lib.PermissionError("Permission denied"),
+				);
+			});
+			it("should require the permission on each instance of the task", function() {
+				const permissions = new Set(["core.instance.stop"]);
+				controller.userManager.roles.set(5, new lib.Role(5, "Stopper", "", permissions, [1]));
+				let user = controller.userManager.createUser("test");
+				user.roleIds = new Set([5]);
+				scheduler.checkPermission(new lib.ScheduledTask(1, "t", "* * * * *", "stop", [1]), user);
+				assert.throws(
+					() => scheduler.checkPermission(new lib.ScheduledTask(1, "t", "* * * * *", "stop", [1, 2]), user),
+					new lib.PermissionError("Permission denied"),
+				);
+			});
+		});
+
+		describe(".updateNextRun()", function() {
+			it("should set the next run time of enabled tasks", function() {
+				let now = new Date(2024, 0, 1, 12, 0).getTime();
+				let task = new lib.ScheduledTask(1, "t", "0 13 * * *", "stop", []);
+				scheduler.updateNextRun(task, now);
+				assert.equal(task.nextRunMs, new Date(2024, 0, 1, 13, 0).getTime());
+				task.enabled = false;
+				scheduler.updateNextRun(task, now);
+				assert.equal(task.nextRunMs, undefined);
+			});
+		});
+
+		describe(".runTask()", function() {
+			it("should send the action to all instances and record the result", async function() {
+				let task = addTask(new lib.ScheduledTask(1, "t", "* * * * *", "send_rcon", [1, 2], "/time"));
+				let runs = await scheduler.runTask(task);
+				assert.deepEqual(sent.map(([id]) => id), [1, 2]);
+				assert.deepEqual(runs.map(run => [run.instanceId, run.success, run.message]), [
+					[1, true, "ok\n"],
+					[2, false, "Instance is not running"],
+				]);
+				assert.deepEqual(task.history, runs);
+				assert(controller.scheduledTasksDirty);
+				assert(task.updatedAtMs > 0);
+			});
+
+			it("should limit the length of the history", async function() {
+				let task = addTask(new lib.ScheduledTask(1, "t", "* * * * *", "stop", [1]));
+				for (let i = 0; i < lib.ScheduledTask.historyLimit + 5; i++) {
+					await scheduler.runTask(task);
+				}
+				assert.equal(task.history.length, lib.ScheduledTask.historyLimit);
+			});
+		});
+
+		describe(".runDueTasks()", function() {
+			it("should only run enabled tasks that are due", async function() {
+				let now = Date.now();
+				addTask(new lib.ScheduledTask(1, "due", "* * * * *", "stop", [1], "", true, now - 1));
+				addTask(new lib.ScheduledTask(2, "later", "* * * * *", "stop", [3], "", true, now + 60e3));
+				addTask(new lib.ScheduledTask(3, "disabled", "* * * * *", "stop", [4], "", false, now - 1));
+				scheduler.runDueTasks(now);
+				await new Promise(resolve => setImmediate(resolve));
+				assert.deepEqual(sent.map(([id]) => id), [1]);
+				assert(controller.scheduledTasks.get(1).nextRunMs > now);
+			});
+		});
+	});
+});
@@ -1,5 +1,7 @@
 "use strict";
 const assert = require("assert").strict;
+const jwt = require("jsonwebtoken");
+const lib = require("@clusterio/lib");
 const { ControllerUser, UserManager } = require("@clusterio/controller");
 
 describe("controller/src/UserManager", function() {
@@ -32,4 +34,134 @@ describe("controller/src/UserManager", function() {
 			assert.deepEqual(user.instances, new Set());
 		});
 	});
+
+	describe("API tokens", function() {
+		let config;
+		let userManager;
+		let user;
+		beforeEach(function() {
+			config = new lib.ControllerConfig("controller");
+			config.set("controller.auth_secret", Buffer.from("secret").toString("base64"));
+			userManager = new UserManager(config);
+			user = userManager.createUser("test");
+		});
+
+		it("should authenticate user tokens", function() {
+			let [authenticated, apiToken] = userManager.authenticateToken(userManager.signUserToken("test"));
+			assert.equal(authenticated, user);
+			assert.equal(apiToken, undefined);
+		});
+		it("should authenticate API tokens and record their use", function() {
+			let [created, token] = userManager.createApiToken(user, "ci", ["core.instance.start"], [1]);
+			assert.deepEqual(created.instanceIds, [1]);
+			assert.equal(user.apiTokens.get(created.id), created);
+			userManager.dirty = false;
+
+			let [authenticated, apiToken] = userManager.authenticateToken(token);
+			assert.equal(authenticated, user);
+			assert.equal(apiToken, created);
+			assert.equal(typeof apiToken.lastUsedAtMs, "number");
+			assert(userManager.dirty);
+		});
+		it("should reject revoked API tokens", function() {
+			let [created, token] = userManager.createApiToken(user, "ci", []);
+			user.apiTokens.delete(created.id);
+			assert.throws(() => userManager.authenticateToken(token), new Error("invalid token"));
+		});
+		it("should reject expired API tokens", function() {
+			let [, token] = userManager.createApiToken(user, "ci", [], undefined, Date.now() - 1);
+			assert.throws(() => userManager.authenticateToken(token), new Error("token expired"));
+		});
+		it("should remove API tokens when user tokens are invalidated", function() {
+			let [, token] = userManager.createApiToken(user, "ci", []);
+			user.invalidateToken();
+			assert.equal(user.apiTokens.size, 0);
+			assert.throws(() => userManager.authenticateToken(token));
+		});
+		it("should reject unknown permissions", function() {
+			assert.throws(
+				() => userManager.createApiToken(user, "ci", ["invalid"]),
+				new lib.RequestError("Permission invalid does not exist")
+			);
+		});
+		it("should reject tokens signed with another secret", function() {
+			let token = jwt.sign({ aud: "user", user: "test" }, Buffer.from("other"));
+			assert.throws(() => userManager.authenticateToken(token));
+		});
+	});
+
+	describe("password login", function() {
+		let originalParams = ControllerUser.passwordHashParams;
+		let config;
+		let userManager;
+		let user;
+		before(function() {
+			ControllerUser.passwordHashParams = { N: 1024, r: 8, p: 1 };
+		});
+		after(function() {
+			ControllerUser.passwordHashParams = originalParams;
+		});
+		beforeEach(async function() {
+			config = new lib.ControllerConfig("controller");
+			config.set("controller.auth_secret", Buffer.from("secret").toString("base64"));
+			config.set("controller.login_max_attempts", 2);
+			userManager = new UserManager(config);
+			user = userManager.createUser("test");
+			await user.setPassword("password");
+		});
+
+		it("should issue an expiring session token", async function() {
+			let [loggedIn, token] = await userManager.loginWithPassword("test", "password");
+			assert.equal(loggedIn, user);
+			assert.equal(userManager.authenticateToken(token)[0], user);
+			let payload = jwt.decode(token);
+			assert.equal(payload.exp - payload.iat, 168 * 3600);
+		});
+		it("should reject session tokens issued before the password was changed", async function() {
+			let iat = Math.floor(Date.now() / 1000) - 10;
+			user.tokenValidAfter = iat;
+			let token = jwt.sign({ aud: "user", user: "test", iat }, Buffer.from("secret"));
+			assert.equal(userManager.authenticateToken(token)[0], user);
+			await user.setPassword("new password");
+			assert.throws(() => userManager.authenticateToken(token), new Error("invalid token"));
+		});
+		it("should reject wrong passwords and users without a password", async function() {
+			let error = new lib.AuthenticationFailed("Invalid user name or password");
+			await assert.rejects(userManager.loginWithPassword("test", "wrong"), error);
+			await assert.rejects(userManager.loginWithPassword("missing", "password"), error);
+			userManager.createUser("other");
+			await assert.rejects(userManager.loginWithPassword("other", ""), error);
+		});
+		it("should lock login after too many failed attempts", async function() {
+			await assert.rejects(userManager.loginWithPassword("test", "wrong"));
+			assert.equal(user.loginLockedUntilMs, 0);
+			await assert.rejects(userManager.loginWithPassword("test", "wrong"));
+			assert(user.loginLockedUntilMs > Date.now() + 14 * 60e3);
+			await assert.rejects(
+				userManager.loginWithPassword("test", "password"),
+				new lib.AuthenticationFailed("Too many failed login attempts, try again later")
+			);
+			user.loginLockedUntilMs = Date.now() - 1;
+			await userManager.loginWithPassword("test", "password");
+		});
+		it("should lock login when failed attempts are made in parallel", async function() {
+			let results = await Promise.allSettled(
+				Array.from({ length: 10 }, () => userManager.loginWithPassword("test", "wrong"))
+			);
+			assert(results.every(result => result.status === "rejected"));
+			let invalid = results.filter(result => result.reason.message === "Invalid user name or password");
+			assert.equal(invalid.length, 1);
+			assert(user.loginLockedUntilMs > Date.now());
+			await assert.rejects(
+				userManager.loginWithPassword("test", "password"),
+				new lib.AuthenticationFailed("Too many failed login attempts, try again later")
+			);
+		});
+		it("should reset failed attempts on successful login", async function() {
+			await assert.rejects(userManager.loginWithPassword("test", "wrong"));
+			await userManager.loginWithPassword("test", "password");
+			await assert.rejects(userManager.loginWithPassword("test", "wrong"));
+			assert.equal(user.loginLockedUntilMs, 0);
+		});
+	});
 });
@@ -0,0 +1,155 @@
+"use strict";
+const assert = require("assert").strict;
+const crypto = require("crypto");
+const events = require("events");
+const http = require("http");
+
+const { Controller } = require("@clusterio/controller");
+const { signPayload } = require("@clusterio/controller/dist/src/WebhookDispatcher");
+const lib = require("@clusterio/lib");
+
+describe("controller/src/WebhookDispatcher", function() {
+	describe("signPayload()", function() {
+		it("should sign with HMAC-SHA256", function() {
+			let expected = crypto.createHmac("sha256", "secret").update("body").digest("hex");
+			assert.equal(signPayload("secret", "body"), `sha256=${expected}`);
+		});
+	});
+
+	describe("class WebhookDispatcher", function() {
+		let controller;
+		let dispatcher;
+		let server;
+		let url;
+		let received;
+		let statusCodes;
+		beforeEach(async function() {
+			controller = new Controller({}, [], "", new lib.ControllerConfig("controller"));
+			dispatcher = controller.webhookDispatcher;
+			dispatcher.retryDelaysMs = [1, 1];
+			received = [];
+			statusCodes = [];
+			server = http.createServer((req, res) => {
+				let chunks = [];
+				req.on("data", chunk => chunks.push(chunk));
+				req.on("end", () => {
+					received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+					res.statusCode = statusCodes.shift() ?? 200;
+					res.end();
+				});
+			});
+			server.listen(0, "localhost");
+			await events.once(server, "listening");
+			url = `http://localhost:${server.address().port}/hook`;
+		});
+		afterEach(function() {
+			dispatcher.stop();
+			server.close();
+		});
+
+		function addWebhook(webhook) {
+			controller.webhooks.set(webhook.id, webhook);
+			return webhook;
+		}
+
+		describe(".deliver()", function() {
+			it("should POST a signed payload", async function() {
+				let webhook = addWebhook(new lib.Webhook(1, "test", url, ["player_event"], "secret"));
+				let delivery = await dispatcher.deliver(webhook, "ping", { foo: 1 });
+				assert.equal(delivery.success, true);
+				assert.equal(delivery.statusCode, 200);
+				assert.equal(delivery.attempts, 1);
+				assert.equal(received.length, 1);
+				let { headers, body } = received[0];
+				assert.equal(headers["x-clusterio-event"], "ping");
+				assert.equal(headers["x-clusterio-delivery"], delivery.id);
+				assert.equal(headers["x-clusterio-signature"], signPayload("secret", body));
+				let payload = JSON.parse(body);
+				assert.deepEqual(payload.data, { foo: 1 });
+				assert.equal(payload.event, "ping");
+				assert.deepEqual(webhook.history, [delivery]);
+				assert(controller.webhooksDirty);
+			});
+			it("should retry failed deliveries", async function() {
+				dispatcher.start();
+				statusCodes = [500, 503];
+				let webhook = addWebhook(new lib.Webhook(1, "test", url, ["player_event"], "secret"));
+				let delivery = await dispatcher.deliver(webhook, "ping", {});
+				assert.equal(delivery.success, true);
+				assert.equal(delivery.attempts, 3);
+				assert.equal(received.length, 3);
+				assert.equal(new Set(received.map(r => r.headers["x-clusterio-delivery"])).size, 1);
+			});
+			it("should record failure after the last attempt", async function() {
+				dispatcher.start();
+				statusCodes = [500, 500, 500];
+				let webhook = addWebhook(new lib.Webhook(1, "test", url, ["player_event"], "secret"));
+				let delivery = await dispatcher.deliver(webhook, "ping", {});
+				assert.equal(delivery.success, false);
+				assert.equal(delivery.attempts, 3);
+				assert.equal(delivery.statusCode, 500);
+				assert.equal(delivery.error, "Responded with status 500");
+			});
+			it("should not retry when retries are disabled", async function() {
+				dispatcher.start();
+				statusCodes = [500];
+				let webhook = addWebhook(new lib.Webhook(1, "test", url, ["player_event"], "secret"));
+				let delivery = await dispatcher.deliver(webhook, "ping", {}, false);
+				assert.equal(delivery.success, false);
+				assert.equal(delivery.attempts, 1);
+				assert.equal(received.length, 1);
+			});
+			it("should not retry when stopped", async function() {
+				statusCodes = [500];
+				let webhook = addWebhook(new lib.Webhook(1, "test", url, ["player_event"], "secret"));
+				let delivery = await dispatcher.deliver(webhook, "ping", {});
+				assert.equal(delivery.success, false);
+				assert.equal(delivery.attempts, 1);
+			});
+			it("should trim the delivery log", async function() {
+				let webhook = addWebhook(new lib.Webhook(1, "test", url, ["player_event"], "secret"));
+				for (let i = 0; i < lib.Webhook.historyLimit; i++) {
+					webhook.history.push(new lib.WebhookDelivery(String(i), "ping", 0, 1, true));
+				}
+				let delivery = await dispatcher.deliver(webhook, "ping", {});
+				assert.equal(webhook.history.length, lib.Webhook.historyLimit);
+				assert.equal(webhook.history[0].id, "1");
+				assert.equal(webhook.history[webhook.history.length - 1], delivery);
+			});
+		});
+
+		describe(".dispatch()", function() {
+			it("should only deliver to enabled webhooks subscribed to the event", async function() {
+				dispatcher.start();
+				addWebhook(new lib.Webhook(1, "a", url, ["player_event"], "secret"));
+				addWebhook(new lib.Webhook(2, "b", url, ["user_updated"], "secret"));
+				addWebhook(new lib.Webhook(3, "c", url, ["player_event"], "secret", false));
+				dispatcher.dispatch("player_event", {});
+				await events.once(server, "request");
+				await new Promise(resolve => setImmediate(resolve));
+				assert.equal(received.length, 1);
+			});
+			it("should not deliver when not started", function() {
+				let webhook = addWebhook(new lib.Webhook(1, "a", url, ["player_event"], "secret"));
+				dispatcher.dispatch("player_event", {});
+				assert.deepEqual(webhook.history, []);
+			});
+		});
+
+		describe(".usersUpdated()", function() {
+			it("should only dispatch changes to admin, whitelist and ban state", function() {
+				let dispatched = [];
+				dispatcher.dispatch = (event, data) => dispatched.push([event, data.name]);
+				let user = controller.userManager.createUser("player");
+				dispatcher.start();
+				dispatcher.usersUpdated([user]);
+				assert.deepEqual(dispatched, []);
+				user.isBanned = true;
+				dispatcher.usersUpdated([user]);
+				assert.deepEqual(dispatched, [["user_updated", "player"]]);
+				dispatcher.usersUpdated([user]);
+				assert.equal(dispatched.length, 1);
+			});
+		});
+	});
+});
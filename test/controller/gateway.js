@@ -0,0 +1,128 @@
+"use strict";
+const assert = require("assert").strict;
+const events = require("events");
+const http = require("http");
+const phin = require("phin");
+
+const lib = require("@clusterio/lib");
+const { Controller } = require("@clusterio/controller");
+const gateway = require("@clusterio/controller/dist/src/gateway");
+
+
+describe("controller/src/gateway", function() {
+	describe("requestRoute()", function() {
+		function route(Request) {
+			return gateway.requestRoute(lib.Link._requestsByClass.get(Request));
+		}
+		it("should place instance and host requests under their id", function() {
+			assert.deepEqual(
+				route(lib.InstanceStartRequest),
+				{ path: "/instances/{instanceId}/start", entry: route(lib.InstanceStartRequest).entry, dstType: 2 }
+			);
+			assert.equal(route(lib.HostStopRequest).path, "/hosts/{hostId}/stop");
+			assert.equal(route(lib.HostStopRequest).dstType, lib.Address.host);
+		});
+		it("should place controller requests with a required id under the id", function() {
+			assert.equal(route(lib.InstanceDeleteRequest).path, "/instances/{instanceId}/delete");
+			assert.equal(route(lib.InstanceDeleteRequest).idProperty, "instanceId");
+			assert.equal(route(lib.InstanceDeleteRequest).dstType, lib.Address.controller);
+			assert.equal(route(lib.HostDrainRequest).path, "/hosts/{hostId}/drain");
+			assert.equal(route(lib.UserListRequest).path, "/user-list");
+		});
+		it("should not route requests that can't be sent by control links", function() {
+			assert.equal(route(lib.SubscriptionRequest), null);
+			assert.equal(route(lib.HostMetricsRequest), null);
+		});
+	});
+
+	describe("openApiDocument()", function() {
+		it("should describe the routes", function() {
+			let doc = gateway.openApiDocument(gateway.restRoutes());
+			let deleteOp = doc.paths["/api/v1/instances/{instanceId}/delete"].post;
+			assert.equal(deleteOp.operationId, "InstanceDeleteRequest");
+			assert.equal(deleteOp.description, "Requires the `core.instance.delete` permission.");
+			assert.deepEqual(deleteOp.parameters.map(p => p.name), ["instanceId"]);
+			assert.deepEqual(deleteOp.requestBody.content["application/json"].schema.properties, {});
+			assert(deleteOp.responses["204"]);
+			let listOp = doc.paths["/api/v1/instance-details-list"].post;
+			assert.equal(listOp.requestBody, undefined);
+			assert.equal(listOp.responses["200"].content["application/json"].schema.type, "array");
+			assert.equal(JSON.parse(JSON.stringify(doc)).openapi, "3.1.0");
+		});
+	});
+
+	describe("REST gateway", function() {
+		let controller;
+		let server;
+		let port;
+		let token;
+		beforeEach(async function() {
+			let config = new lib.ControllerConfig("controller");
+			config.set("controller.auth_secret", Buffer.from("secret").toString("base64"));
+			controller = new Controller({}, [], "", config);
+			lib.ensureDefaultAdminRole(controller.userManager.roles);
+			controller.userManager.createUser("admin").roleIds.add(0);
+			controller.userManager.createUser("player");
+			token = controller.userManager.signUserToken("admin");
+			gateway.addRouteHandlers(controller.app);
+			server = http.createServer(controller.app);
+			server.listen(0, "localhost");
+			await events.once(server, "listening");
+			port = server.address().port;
+		});
+		afterEach(function() {
+			server.close();
+		});
+
+		async function post(path, data, accessToken = token) {
+			return await phin({
+				url: `http://localhost:${port}/api/v1${path}`,
+				method: "POST",
+				headers: accessToken ? { "X-Access-Token": accessToken } : {},
+				data,
+			});
+		}
+
+		it("should serve the OpenAPI document", async function() {
+			let response = await phin({ url: `http://localhost:${port}/api/v1/openapi.json`, parse: "json" });
+			assert.equal(response.statusCode, 200);
+			assert(response.body.paths["/api/v1/instances/{instanceId}/start"]);
+		});
+		it("should respond with 401 without a valid token", async function() {
+			assert.equal((await post("/instance-details-list", undefined, null)).statusCode, 401);
+			assert.equal((await post("/instance-details-list", undefined, "invalid")).statusCode, 401);
+		});
+		it("should respond with 404 for unknown requests", async function() {
+			assert.equal((await post("/does-not-exist")).statusCode, 404);
+		});
+		it("should respond with 403 when permission is denied", async function() {
+			let playerToken = controller.userManager.signUserToken("player");
+			let response = await post("/instance-details-list", undefined, playerToken);
+			assert.equal(response.statusCode, 403);
+			assert.deepEqual(JSON.parse(response.body), { errors: ["Permission denied"], code: "PermissionError" });
+		});
+		it("should respond with the result of the request", async function() {
+			let response = await post("/user-list");
+			assert.equal(response.statusCode, 200);
+			assert.deepEqual(JSON.parse(response.body).map(user => user.name).sort(), ["admin", "player"]);
+			assert.equal((await post("/ping")).statusCode, 204);
+			assert.equal(controller.wsServer.controlConnections.size, 0);
+		});
+		it("should pass the id from the path and data from the body", async function() {
+			let response = await post("/instances/7/delete");
+			assert.equal(response.statusCode, 400);
+			assert.deepEqual(
+				JSON.parse(response.body), { errors: ["Instance with ID 7 does not exist"], code: "RequestError" }
+			);
+			response = await post("/user-create", { name: "new" });
+			assert.equal(response.statusCode, 204);
+			assert(controller.userManager.users.has("new"));
+		});
+		it("should respond with 400 for invalid data", async function() {
+			let response = await post("/user-create", { name: 1 });
+			assert.equal(response.statusCode, 400);
+			assert.equal(JSON.parse(response.body).code, "InvalidMessage");
+			assert.equal((await post("/instances/x/delete")).statusCode, 400);
+		});
+	});
+});
@@ -0,0 +1,298 @@
+"use strict";
+const assert = require("assert").strict;
+const crypto = require("crypto");
+const events = require("events");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const phin = require("phin");
+const util = require("util");
+
+const lib = require("@clusterio/lib");
+const { Controller } = require("@clusterio/controller");
+const oidc = require("@clusterio/controller/dist/src/oidc");
+
+
+/**
+ * Minimal OpenID Connect provider issuing ID tokens for the claims set
+ */
+class MockProvider {
+	claims = {};
+	subject = "1234";
+	authorization = null;
+
+	async start() {
+		let { privateKey, publicKey } = await util.promisify(crypto.generateKeyPair)("rsa", { modulusLength: 2048 });
+		this.privateKey = privateKey;
+		this.jwk = { ...publicKey.export({ format: "jwk" }), kid: "key-1", use: "sig", alg: "RS256" };
+		this.server = http.createServer((req, res) => { this.handle(req, res); });
+		this.server.listen(0, "localhost");
+		await events.once(this.server, "listening");
+		this.issuer = `http://localhost:${this.server.address().port}`;
+	}
+
+	stop() {
+		this.server.close();
+	}
+
+	handle(req, res) {
+		let chunks = [];
+		req.on("data", chunk => chunks.push(chunk));
+		req.on("end", () => {
+			let url = new URL(req.url, this.issuer);
+			let json = data => { res.setHeader("Content-Type", "application/json"); res.end(JSON.stringify(data)); };
+			if (url.pathname === "/.well-known/openid-configuration") {
+				json({
+					issuer: this.issuer,
+					authorization_endpoint: `${this.issuer}/authorize`,
+					token_endpoint: `${this.issuer}/token`,
+					jwks_uri: `${this.issuer}/jwks`,
+				});
+			} else if (url.pathname === "/jwks") {
+				json({ keys: [this.jwk] });
+			} else if (url.pathname === "/token" && req.method === "POST") {
+				let form = new URLSearchParams(Buffer.concat(chunks).toString());
+				let challenge = crypto.createHash("sha256").update(form.get("code_verifier")).digest("base64url");
+				if (
+					form.get("code") !== "valid-code"
+					|| form.get("client_secret") !== "client-secret"
+					|| challenge !== this.authorization.get("code_challenge")
+				) {
+					res.statusCode = 400;
+					json({ error: "invalid_grant" });
+					return;
+				}
+				json({
+					access_token: "access",
+					token_type: "Bearer",
+					id_token: jwt.sign(
+						{ nonce: this.authorization.get("nonce"), ...this.claims },
+						this.privateKey,
+						{
+							algorithm: "RS256", keyid: "key-1", issuer: this.issuer,
+							audience: form.get("client_id"), subject: this.subject, expiresIn: 300,
+						},
+					),
+				});
+			} else {
+				res.statusCode = 404;
+				res.end();
+			}
+		});
+	}
+}
+
+describe("controller/src/oidc", function() {
+	let provider;
+	let controller;
+	let server;
+	let port;
+	before(async function() {
+		provider = new MockProvider();
+		await provider.start();
+	});
+	after(function() {
+		provider.stop();
+	});
+	beforeEach(async function() {
+		let config = new lib.ControllerConfig("controller");
+		config.set("controller.auth_secret", Buffer.from("secret").toString("base64"));
+		config.set("controller.oidc_issuer", provider.issuer);
+		config.set("controller.oidc_client_id", "clusterio");
+		config.set("controller.oidc_client_secret", "client-secret");
+		config.set("controller.oidc_role_mapping", { "factorio-admins": [0] });
+		config.set("controller.oidc_username_claim", "preferred_username");
+		controller = new Controller({}, [], "", config);
+		lib.ensureDefaultAdminRole(controller.userManager.roles);
+		lib.ensureDefaultPlayerRole(controller.userManager.roles);
+		config.set("controller.default_role_id", 1);
+		oidc.addRouteHandlers(controller.app);
+		server = http.createServer(controller.app);
+		server.listen(0, "localhost");
+		await events.once(server, "listening");
+		port = server.address().port;
+		config.set("controller.external_address", `http://localhost:${port}/`);
+		provider.subject = "1234";
+		provider.claims = { preferred_username: "alice", groups: ["factorio-admins"] };
+	});
+	afterEach(function() {
+		server.close();
+	});
+
+	async function get(path, cookie) {
+		return await phin({ url: `http://localhost:${port}${path}`, headers: cookie ? { cookie } : {} });
+	}
+
+	async function startLogin() {
+		let response = await get("/api/oidc/login");
+		assert.equal(response.statusCode, 302);
+		let location = new URL(response.headers.location);
+		assert.equal(location.origin + location.pathname, `${provider.issuer}/authorize`);
+		assert.equal(location.searchParams.get("redirect_uri"), `http://localhost:${port}/api/oidc/callback`);
+		let [setCookie] = response.headers["set-cookie"];
+		assert.match(setCookie, /; HttpOnly/);
+		provider.authorization = location.searchParams;
+		return [location.searchParams.get("state"), setCookie.split(";")[0]];
+	}
+
+	async function login(code = "valid-code") {
+		let [state, cookie] = await startLogin();
+		return await get(`/api/oidc/callback?state=${state}&code=${code}`, cookie);
+	}
+
+	function linkUser(user, subject = "1234") {
+		user.oidcIssuer = provider.issuer;
+		user.oidcSubject = subject;
+	}
+
+	function tokenFromPage(response) {
+		return /localStorage\.setItem\("controller_token", "([^"]+)"\)/.exec(response.body.toString())[1];
+	}
+
+	it("should report if single sign-on is enabled", async function() {
+		let response = await phin({ url: `http://localhost:${port}/api/oidc/config`, parse: "json" });
+		assert.deepEqual(response.body, { enabled: true, buttonText: "Log in with single sign-on" });
+		controller.config.set("controller.oidc_issuer", null);
+		response = await phin({ url: `http://localhost:${port}/api/oidc/config`, parse: "json" });
+		assert.equal(response.body.enabled, false);
+		assert.equal((await get("/api/oidc/login")).statusCode, 404);
+	});
+	it("should create the user and grant mapped roles", async function() {
+		let response = await login();
+		assert.equal(response.statusCode, 200);
+		let [user] = controller.userManager.authenticateToken(tokenFromPage(response));
+		assert.equal(user.name, "alice");
+		assert.deepEqual([...user.roleIds].sort(), [0, 1]);
+		assert.equal(user.oidcIssuer, provider.issuer);
+		assert.equal(user.oidcSubject, "1234");
+	});
+	it("should link to the user named by the subject by default", async function() {
+		controller.config.set("controller.oidc_username_claim", "sub");
+		let response = await login();
+		assert.equal(response.statusCode, 200);
+		assert.equal(controller.userManager.authenticateToken(tokenFromPage(response))[0].name, "1234");
+	});
+	it("should log in to the user linked to the identity", async function() {
+		let user = controller.userManager.createUser("alice");
+		linkUser(user);
+		provider.claims.preferred_username = "mallory";
+		let response = await login();
+		assert.equal(response.statusCode, 200);
+		assert.equal(controller.userManager.authenticateToken(tokenFromPage(response))[0], user);
+		assert(!controller.userManager.users.has("mallory"));
+	});
+	it("should not link users linked to another identity", async function() {
+		let user = controller.userManager.createUser("alice");
+		linkUser(user, "5678");
+		let response = await login();
+		assert.equal(response.statusCode, 401);
+		assert.match(response.body.toString(), /User alice is linked to another single sign-on identity/);
+		assert.equal(user.oidcSubject, "5678");
+	});
+	it("should not link admins automatically", async function() {
+		let user = controller.userManager.createUser("alice");
+		user.roleIds.add(0);
+		let response = await login();
+		assert.equal(response.statusCode, 401);
+		assert.match(response.body.toString(), /User alice is an admin/);
+		assert.equal(user.oidcSubject, undefined);
+
+		user.roleIds.delete(0);
+		user.isAdmin = true;
+		response = await login();
+		assert.equal(response.statusCode, 401);
+		assert.equal(user.oidcSubject, undefined);
+	});
+	it("should remove mapped roles of groups the user left", async function() {
+		let user = controller.userManager.createUser("alice");
+		linkUser(user);
+		user.roleIds.add(0);
+		provider.claims.groups = [];
+		let response = await login();
+		assert.equal(response.statusCode, 200);
+		assert.deepEqual([...user.roleIds], [1]);
+	});
+	it("should not create users if disabled", async function() {
+		controller.config.set("controller.oidc_create_users", false);
+		let response = await login();
+		assert.equal(response.statusCode, 401);
+		assert.match(response.body.toString(), /User alice does not exist in the cluster/);
+		assert(!controller.userManager.users.has("alice"));
+	});
+	it("should not create or change users that may not connect", async function() {
+		controller.userManager.roles.get(1).permissions.delete("core.control.connect");
+		provider.claims.groups = [];
+		let response = await login();
+		assert.equal(response.statusCode, 401);
+		assert(!controller.userManager.users.has("alice"));
+
+		let user = controller.userManager.createUser("alice");
+		user.roleIds = new Set([0]);
+		linkUser(user);
+		response = await login();
+		assert.equal(response.statusCode, 401);
+		assert.deepEqual([...user.roleIds], [0]);
+	});
+	it("should reject logins not started by the same browser", async function() {
+		let [state, cookie] = await startLogin();
+		let response = await get(`/api/oidc/callback?state=${state}&code=valid-code`);
+		assert.equal(response.statusCode, 401);
+		assert.match(response.body.toString(), /Login expired or is not valid/);
+		let [, otherCookie] = await startLogin();
+		response = await get(`/api/oidc/callback?state=${state}&code=valid-code`, otherCookie);
+		assert.equal(response.statusCode, 401);
+		assert(!controller.userManager.users.has("alice"));
+		assert.notEqual(cookie, otherCookie);
+	});
+	it("should reject unknown state and invalid codes", async function() {
+		let [, cookie] = await startLogin();
+		let response = await get("/api/oidc/callback?state=invalid&code=valid-code", cookie);
+		assert.equal(response.statusCode, 401);
+		assert.match(response.body.toString(), /Login expired or is not valid/);
+		response = await login("invalid-code");
+		assert.equal(response.statusCode, 401);
+		assert.match(response.body.toString(), /Token request responded with status 400/);
+	});
+	it("should reject ID tokens missing the username claim", async function() {
+		provider.claims = {};
+		let response = await login();
+		assert.equal(response.statusCode, 401);
+		assert.match(response.body.toString(), /ID token is missing the preferred_username claim/);
+	});
+	it("should report errors from the provider", async function() {
+		let response = await get("/api/oidc/callback?error=access_denied&error_description=%3Cdenied%3E");
+		assert.equal(response.statusCode, 401);
+		assert.match(response.body.toString(), /Provider responded with access_denied: &#60;denied&#62;/);
+	});
+
+	describe("class OidcClient", function() {
+		it("should reject expired logins", async function() {
+			let client = controller.app.locals.oidcClient;
+			let [url, loginToken] = await client.startLogin();
+			let { exp, iat } = jwt.decode(loginToken);
+			assert.equal(exp - iat, 600);
+			let expired = jwt.sign(
+				{ ...jwt.decode(loginToken), iat: iat - 600, exp: iat - 1 }, Buffer.from("secret"),
+			);
+			await assert.rejects(
+				client.completeLogin(expired, new URL(url).searchParams.get("state"), "valid-code"),
+				new lib.AuthenticationFailed("Login expired or is not valid, try again"),
+			);
+		});
+		it("should reject ID tokens with a wrong nonce or audience", async function() {
+			let client = controller.app.locals.oidcClient;
+			let sign = (claims, audience) => jwt.sign(claims, provider.privateKey, {
+				algorithm: "RS256", keyid: "key-1", issuer: provider.issuer, audience,
+			});
+			await assert.rejects(
+				client.verifyIdToken(sign({ nonce: "a" }, "clusterio"), "b"),
+				new lib.AuthenticationFailed("ID token was not issued for this login")
+			);
+			await assert.rejects(
+				client.verifyIdToken(sign({ nonce: "a" }, "other"), "a"),
+				/ID token is not valid: jwt audience invalid/
+			);
+			let claims = await client.verifyIdToken(sign({ nonce: "a" }, "clusterio"), "a");
+			assert.equal(claims.nonce, "a");
+		});
+	});
+});
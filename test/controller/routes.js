@@ -7,6 +7,7 @@ const http = require("http");
 const phin = require("phin");
 
 const { wait } = require("@clusterio/lib");
+const { ControllerUser } = require("@clusterio/controller");
 const routes = require("@clusterio/controller/dist/src/routes");
 const mock = require("../mock");
 
@@ -75,6 +76,47 @@ describe("controller/src/routes", function() {
 			assert.equal(responses[1].body.toString(), "test content");
 		});
 	});
+	describe("/api/login", function() {
+		let originalParams = ControllerUser.passwordHashParams;
+		let updated;
+		beforeEach(async function() {
+			ControllerUser.passwordHashParams = { N: 1024, r: 8, p: 1 };
+			controller.mockConfigEntries.set("controller.login_session_duration", 1);
+			controller.mockConfigEntries.set("controller.login_max_attempts", 1);
+			controller.mockConfigEntries.set("controller.login_lockout_duration", 15);
+			updated = [];
+			controller.usersUpdated = users => updated.push(...users);
+			await controller.userManager.users.get("player").setPassword("password");
+		});
+		afterEach(function() {
+			ControllerUser.passwordHashParams = originalParams;
+		});
+
+		async function login(data) {
+			return await phin({ url: `http://localhost:${port}/api/login`, method: "POST", parse: "json", data });
+		}
+
+		it("should respond with a session token", async function() {
+			let response = await login({ name: "player", password: "password" });
+			assert.equal(response.statusCode, 200);
+			let payload = jwt.decode(response.body.token);
+			assert.equal(payload.user, "player");
+			assert.equal(payload.exp - payload.iat, 3600);
+		});
+		it("should respond with 400 on invalid data", async function() {
+			let response = await login({ name: "player" });
+			assert.equal(response.statusCode, 400);
+		});
+		it("should respond with 401 and lock out on wrong password", async function() {
+			let response = await login({ name: "player", password: "wrong" });
+			assert.equal(response.statusCode, 401);
+			assert.deepEqual(response.body, { errors: ["Invalid user name or password"] });
+			assert.deepEqual(updated.map(user => user.name), ["player"]);
+			response = await login({ name: "player", password: "password" });
+			assert.equal(response.statusCode, 401);
+			assert.deepEqual(response.body, { errors: ["Too many failed login attempts, try again later"] });
+		});
+	});
 	describe("/api/upload-save", function() {
 		it("should respond with 401 with invalid token", async function() {
 			let response;
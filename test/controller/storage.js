@@ -0,0 +1,243 @@
+"use strict";
+const assert = require("assert").strict;
+const fs = require("fs-extra");
+const path = require("path");
+
+const lib = require("@clusterio/lib");
+const {
+	Controller, HostInfo, Storage, KeyValueStore, MemoryStorageBackend, JsonStorageBackend, SqliteStorageBackend,
+} = require("@clusterio/controller");
+
+describe("controller/src/storage", function() {
+	let baseDir = path.join("temp", "test", "storage");
+	beforeEach(async function() {
+		await fs.remove(baseDir);
+	});
+	after(async function() {
+		await fs.remove(baseDir);
+	});
+
+	const backends = {
+		memory: () => new MemoryStorageBackend(),
+		json: () => new JsonStorageBackend(path.join(baseDir, "tables")),
+		sqlite: () => new SqliteStorageBackend(path.join(baseDir, "controller.sqlite")),
+	};
+
+	for (let [name, createBackend] of Object.entries(backends)) {
+		describe(`${name} backend`, function() {
+			let backend;
+			beforeEach(async function() {
+				backend = createBackend();
+				await backend.open();
+			});
+			afterEach(async function() {
+				await backend.close();
+			});
+
+			it("should read an empty table for unknown tables", async function() {
+				assert.deepEqual(await backend.readTable("missing"), new Map());
+			});
+			it("should apply writes and deletes", async function() {
+				await backend.write([
+					{ table: "a", key: "1", value: "1" },
+					{ table: "a", key: "2", value: "\"two\"" },
+					{ table: "b", key: "1", value: "{}" },
+				]);
+				await backend.write([
+					{ table: "a", key: "1", value: null },
+					{ table: "a", key: "2", value: "2" },
+				]);
+				assert.deepEqual(await backend.readTable("a"), new Map([["2", "2"]]));
+				assert.deepEqual(await backend.readTable("b"), new Map([["1", "{}"]]));
+			});
+			if (name !== "memory") {
+				it("should persist data after being reopened", async function() {
+					await backend.write([{ table: "a", key: "1", value: "[1,2]" }]);
+					await backend.close();
+					backend = createBackend();
+					await backend.open();
+					assert.deepEqual(await backend.readTable("a"), new Map([["1", "[1,2]"]]));
+				});
+			}
+		});
+	}
+
+	describe("class Storage", function() {
+		let backend;
+		let storage;
+		let writes;
+		beforeEach(async function() {
+			backend = new MemoryStorageBackend();
+			writes = [];
+			let write = backend.write.bind(backend);
+			backend.write = async (batch) => {
+				writes.push(batch);
+				await write(batch);
+			};
+			storage = new Storage(backend);
+			await storage.open();
+		});
+
+		describe(".transaction()", function() {
+			it("should write all changes made in one batch", async function() {
+				await storage.transaction(transaction => {
+					transaction.set("a", "x", { value: 1 });
+					transaction.set("b", "y", [1]);
+				});
+				assert.equal(writes.length, 1);
+				assert.deepEqual(await storage.load("a"), new Map([["x", { value: 1 }]]));
+				assert.deepEqual(await storage.get("b", "y"), [1]);
+			});
+			it("should write nothing if the callback throws", async function() {
+				await assert.rejects(
+					storage.transaction(transaction => {
+						transaction.set("a", "x", 1);
+						throw new Error("failed");
+					}),
+					new Error("failed")
+				);
+				assert.equal(writes.length, 0);
+				assert.equal(await storage.get("a", "x"), undefined);
+			});
+			it("should return the result of the callback", async function() {
+				assert.equal(await storage.transaction(() => "result"), "result");
+			});
+		});
+
+		describe("StorageTransaction.saveTable()", function() {
+			it("should only write records that changed", async function() {
+				await storage.transaction(transaction => transaction.saveTable("a", [["1", "one"], ["2", "two"]]));
+				await storage.transaction(transaction => transaction.saveTable("a", [["1", "one"], ["3", "three"]]));
+				assert.deepEqual(writes[1], [
+					{ table: "a", key: "3", value: "\"three\"" },
+					{ table: "a", key: "2", value: null },
+				]);
+				assert.deepEqual(await storage.load("a"), new Map([["1", "one"], ["3", "three"]]));
+			});
+			it("should not write anything if nothing changed", async function() {
+				await storage.transaction(transaction => transaction.saveTable("a", [["1", "one"]]));
+				await storage.transaction(transaction => transaction.saveTable("a", [["1", "one"]]));
+				assert.equal(writes.length, 1);
+			});
+			it("should serialise values with toJSON", async function() {
+				let role = new lib.Role(1, "Role", "", new Set(["core.control.connect"]));
+				await storage.transaction(transaction => transaction.saveTable("roles", [["1", role]]));
+				assert.deepEqual(await storage.get("roles", "1"), role.toJSON());
+			});
+		});
+
+		describe(".migrate()", function() {
+			it("should run pending migrations in order once", async function() {
+				let ran = [];
+				let migrations = [
+					{ version: 2, description: "second", migrate: () => { ran.push(2); } },
+					{ version: 1, description: "first", migrate: transaction => {
+						ran.push(1);
+						transaction.set("a", "x", 1);
+					} },
+				];
+				await storage.migrate("test", migrations);
+				await storage.migrate("test", migrations);
+				assert.deepEqual(ran, [1, 2]);
+				assert.equal(await storage.get("a", "x"), 1);
+				assert.equal(await storage.get("_migrations", "test"), 2);
+			});
+			it("should not record the version of a failed migration", async function() {
+				await assert.rejects(
+					storage.migrate("test", [
+						{ version: 1, description: "fail", migrate: () => { throw new Error("failed"); } },
+					]),
+					new Error("failed")
+				);
+				assert.equal(await storage.get("_migrations", "test"), undefined);
+			});
+		});
+	});
+
+	describe("class KeyValueStore", function() {
+		let storage;
+		beforeEach(async function() {
+			storage = new Storage(new MemoryStorageBackend());
+			await storage.open();
+		});
+
+		it("should only save changed keys", async function() {
+			let store = new KeyValueStore(storage, "store");
+			await store.load();
+			store.set("a", 1);
+			store.set("b", 2);
+			assert(store.dirty);
+			await store.save();
+			assert(!store.dirty);
+
+			let writes = [];
+			let write = storage.backend.write.bind(storage.backend);
+			storage.backend.write = async (batch) => {
+				writes.push(batch);
+				await write(batch);
+			};
+			store.delete("a");
+			await store.save();
+			assert.deepEqual(writes, [[{ table: "store", key: "a", value: null }]]);
+			assert.deepEqual(await storage.load("store"), new Map([["b", 2]]));
+		});
+		it("should save values modified in place after markDirty", async function() {
+			let store = new KeyValueStore(storage, "store");
+			await store.load();
+			let value = { count: 1 };
+			store.set("a", value);
+			await store.save();
+			value.count = 2;
+			store.markDirty("a");
+			await store.save();
+			assert.deepEqual(await storage.get("store", "a"), { count: 2 });
+		});
+		it("should run migrations and deserialize values on load", async function() {
+			await storage.transaction(transaction => transaction.set("store", "a", 1));
+			let store = new KeyValueStore(storage, "store", {
+				migrations: [{
+					version: 1,
+					description: "double",
+					migrate: async transaction => {
+						for (let [key, value] of await storage.load("store")) {
+							transaction.set("store", key, value * 2);
+						}
+					},
+				}],
+				deserialize: json => ({ value: json }),
+			});
+			await store.load();
+			assert.deepEqual([...store], [["a", { value: 2 }]]);
+			assert.equal(await storage.get("_migrations", "store"), 1);
+		});
+	});
+
+	describe("Controller.openStorage()", function() {
+		it("should import the JSON database files", async function() {
+			let databaseDir = path.join(baseDir, "database");
+			let role = new lib.Role(5, "Imported", "", new Set());
+			await fs.outputFile(path.join(databaseDir, "users.json"), JSON.stringify({
+				users: [{ name: "user", roles: [5] }],
+				roles: [role.toJSON()],
+			}));
+			await fs.outputFile(path.join(databaseDir, "hosts.json"), JSON.stringify([
+				[3, new HostInfo(3, "host", "2.0.0", new Map(), true)],
+			]));
+			let config = new lib.ControllerConfig("controller");
+			config.set("controller.database_directory", databaseDir);
+			config.set("controller.storage_backend", "json");
+
+			let storage = await Controller.openStorage(config);
+			try {
+				let hosts = await Controller.loadHosts(storage);
+				assert.deepEqual([...hosts.keys()], [3]);
+				assert.equal(hosts.get(3).connected, false);
+				assert.deepEqual(await storage.get("roles", "5"), role.toJSON());
+				assert.deepEqual([...(await storage.load("users")).keys()], ["user"]);
+				assert(await fs.pathExists(path.join(databaseDir, "tables", "users.json")));
+			} finally {
+				await storage.close();
+			}
+		});
+	});
+});
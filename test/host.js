@@ -103,5 +103,171 @@ describe("Host testing", function() {
 				]);
 			});
 		});
+
+		describe(".handleInstanceCrash()", function() {
+			let mockHost;
+			let config;
+			let originalRandom = Math.random;
+			beforeEach(function() {
+				config = new lib.InstanceConfig("host");
+				config.set("instance.id", 1);
+				config.set("instance.restart_policy", "always");
+				mockHost = {
+					instanceInfos: new Map([[1, { config, path: "" }]]),
+					instanceRestarts: new Map(),
+					_shuttingDown: false,
+					sent: [],
+					restarts: [],
+					send(event) {
+						this.sent.push(event);
+					},
+					instanceLogMeta() {
+						return {};
+					},
+					_restartInstance(instanceId) {
+						this.restarts.push(instanceId);
+					},
+					handleInstanceCrash: Host.prototype.handleInstanceCrash,
+				};
+				// Make the backoff delays predictable
+				Math.random = () => 0.5;
+			});
+			afterEach(function() {
+				Math.random = originalRandom;
+				for (let state of mockHost.instanceRestarts.values()) {
+					clearTimeout(state.timeout);
+				}
+			});
+
+			function delays() {
+				return mockHost.sent.map(event => event.restartDelayMs);
+			}
+
+			it("should only restart as allowed by the restart policy", function() {
+				config.set("instance.restart_policy", "never");
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				config.set("instance.restart_policy", "on-failure");
+				mockHost.handleInstanceCrash(1, "exited", false);
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				config.set("instance.restart_policy", "always");
+				mockHost.handleInstanceCrash(1, "exited", false);
+				assert.deepEqual(mockHost.sent.map(event => [event.reason, event.restartDelayMs !== undefined]), [
+					["crashed", false],
+					["exited", false],
+					["crashed", true],
+					["exited", true],
+				]);
+			});
+			it("should not restart when the host is shutting down", function() {
+				mockHost._shuttingDown = true;
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				assert.deepEqual(delays(), [undefined]);
+			});
+			it("should ignore crashes of unknown instances", function() {
+				mockHost.handleInstanceCrash(2, "crashed", true);
+				assert.deepEqual(mockHost.sent, []);
+			});
+			it("should stop restarting after the retry limit", function() {
+				config.set("instance.restart_max_retries", 2);
+				for (let i = 0; i < 3; i++) {
+					mockHost.handleInstanceCrash(1, "crashed", true);
+				}
+				assert.deepEqual(delays(), [1000, 2000, undefined]);
+			});
+			it("should keep restarting without a retry limit", function() {
+				config.set("instance.restart_max_retries", null);
+				for (let i = 0; i < 10; i++) {
+					mockHost.handleInstanceCrash(1, "crashed", true);
+				}
+				assert(delays().every(delay => delay !== undefined));
+			});
+			it("should double the delay up to the max delay", function() {
+				config.set("instance.restart_max_retries", null);
+				config.set("instance.restart_max_delay", 8);
+				for (let i = 0; i < 5; i++) {
+					mockHost.handleInstanceCrash(1, "crashed", true);
+				}
+				assert.deepEqual(delays(), [1000, 2000, 4000, 4000, 4000]);
+			});
+			it("should start over after running longer than twice the max delay", function() {
+				config.set("instance.restart_max_retries", 2);
+				config.set("instance.restart_max_delay", 8);
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				let state = mockHost.instanceRestarts.get(1);
+				state.lastCrashMs -= 17e3;
+				state.backoff._lastInvocationTimeMs -= 17e3;
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				assert.deepEqual(delays(), [1000, 2000, 1000, 2000, undefined]);
+			});
+			it("should restart the instance after the delay", async function() {
+				Math.random = () => 0;
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				assert.deepEqual(mockHost.restarts, []);
+				await lib.wait(10);
+				assert.deepEqual(mockHost.restarts, [1]);
+				assert.equal(mockHost.instanceRestarts.get(1).timeout, undefined);
+			});
+			it("should replace a pending restart", async function() {
+				Math.random = () => 0;
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				mockHost.handleInstanceCrash(1, "crashed", true);
+				await lib.wait(10);
+				assert.deepEqual(mockHost.restarts, [1]);
+			});
+		});
+
+		describe("._restartInstance()", function() {
+			let mockHost;
+			beforeEach(function() {
+				let config = new lib.InstanceConfig("host");
+				config.set("instance.id", 1);
+				mockHost = {
+					instanceInfos: new Map([[1, { config, path: "" }]]),
+					instanceConnections: new Map(),
+					_shuttingDown: false,
+					sent: [],
+					crashes: [],
+					connectError: null,
+					instanceLogMeta() {
+						return {};
+					},
+					async _connectInstance(instanceId) {
+						if (this.connectError) {
+							throw this.connectError;
+						}
+						return { send: request => { this.sent.push([instanceId, request]); } };
+					},
+					handleInstanceCrash(...args) {
+						this.crashes.push(args);
+					},
+					_restartInstance: Host.prototype._restartInstance,
+				};
+			});
+
+			it("should start the instance from the latest save", async function() {
+				mockHost._restartInstance(1);
+				await lib.wait(0);
+				assert.deepEqual(mockHost.sent, [[1, new lib.InstanceStartRequest()]]);
+			});
+			it("should skip instances that are running, removed or when shutting down", async function() {
+				mockHost.instanceConnections.set(1, {});
+				mockHost._restartInstance(1);
+				mockHost._restartInstance(2);
+				mockHost.instanceConnections.clear();
+				mockHost._shuttingDown = true;
+				mockHost._restartInstance(1);
+				await lib.wait(0);
+				assert.deepEqual(mockHost.sent, []);
+			});
+			it("should count a failed restart as a crash", async function() {
+				mockHost.connectError = new Error("boom");
+				mockHost._restartInstance(1);
+				await lib.wait(0);
+				assert.deepEqual(mockHost.crashes, [[1, "Restart failed: boom", true]]);
+			});
+		});
 	});
 });
@@ -1,5 +1,6 @@
 "use strict";
 const assert = require("assert").strict;
+const fs = require("fs-extra");
 const path = require("path");
 
 const lib = require("@clusterio/lib");
@@ -132,6 +133,134 @@ describe("class Instance", function() {
 		});
 	});
 
+	describe("._autosave()", function() {
+		const baseDir = path.join("temp", "test", "instance_autosave");
+		let originalPruneSaves = Instance.pruneSaves;
+		beforeEach(async function() {
+			await fs.remove(baseDir);
+			await fs.outputFile(path.join(baseDir, "saves", "_autosave1.zip"), "save");
+			instance._dir = baseDir;
+		});
+		afterEach(function() {
+			Instance.pruneSaves = originalPruneSaves;
+		});
+		after(async function() {
+			await fs.remove(baseDir);
+		});
+
+		it("should send the save list even if pruning saves failed", async function() {
+			Instance.pruneSaves = async () => { throw new Error("pruning failed"); };
+			let updates = 0;
+			instance.sendSaveListUpdate = async () => { updates += 1; };
+			await instance._autosave("_autosave1");
+			assert.equal(updates, 1);
+		});
+	});
+
+	describe("._handleServerExit()", function() {
+		let crashes;
+		beforeEach(function() {
+			crashes = [];
+			instance._host.handleInstanceCrash = (...args) => crashes.push(args);
+			instance._saveStats = async () => {};
+		});
+
+		it("should report unexpected exits of a running server", function() {
+			instance._status = "running";
+			instance._handleServerExit({ unexpected: true, code: 1, signal: null });
+			assert.equal(instance.status, "stopped");
+			assert.deepEqual(crashes, [[instance.id, "Factorio exited with code 1", true]]);
+		});
+
+		it("should report clean unexpected exits as not failed", function() {
+			instance._status = "running";
+			instance._handleServerExit({ unexpected: true, code: 0, signal: null });
+			assert.deepEqual(crashes, [[instance.id, "Factorio exited with code 0", false]]);
+		});
+
+		it("should report servers terminated by signals", function() {
+			instance._status = "running";
+			instance._handleServerExit({ unexpected: true, code: null, signal: "SIGSEGV" });
+			assert.deepEqual(crashes, [[instance.id, "Factorio was terminated by signal SIGSEGV", true]]);
+		});
+
+		it("should not report expected exits", function() {
+			instance._status = "stopping";
+			instance._handleServerExit({ unexpected: false, code: 0, signal: null });
+			assert.equal(instance.status, "stopped");
+			assert.deepEqual(crashes, []);
+		});
+
+		it("should not report exits while starting", function() {
+			instance._status = "starting";
+			instance._handleServerExit({ unexpected: true, code: 1, signal: null });
+			assert.deepEqual(crashes, []);
+		});
+	});
+
+	describe(".stopCountdown()", function() {
+		beforeEach(function() {
+			instance._status = "running";
+		});
+		it("should skip the countdown if no players are online", async function() {
+			assert.equal(await instance.stopCountdown(60), true);
+			assert.deepEqual(instance.server.rconCommands, []);
+		});
+		it("should announce the countdown", async function() {
+			instance.playersOnline.add("player");
+			assert.equal(await instance.stopCountdown(1), true);
+			assert.deepEqual(instance.server.rconCommands, ["Server is shutting down in 1 second"]);
+		});
+		it("should stop counting down when cancelled", async function() {
+			instance.playersOnline.add("player");
+			assert.equal(instance.cancelStopCountdown(), false);
+			let result = instance.stopCountdown(60);
+			await assert.rejects(
+				instance.stopCountdown(60),
+				new lib.RequestError("Instance is already counting down to stop"),
+			);
+			assert.equal(instance.cancelStopCountdown(), true);
+			assert.equal(await result, false);
+			assert.equal(instance._stopCountdown, null);
+		});
+	});
+
+	describe(".callLuaRpc()", function() {
+		it("should send the call and resolve with the reply", async function() {
+			let call = instance.callLuaRpc("test", [1, "a\"b"]);
+			instance._handleLuaRpcReply({ id: 1, result: { value: 2 } });
+			assert.deepEqual(await call, { value: 2 });
+			assert.deepEqual(
+				instance.server.rconCommands,
+				['/sc clusterio_private.rpc_call(1, "test", "[1,\\"a\\\\\\"b\\"]")'],
+			);
+		});
+		it("should resolve nil results as null", async function() {
+			let call = instance.callLuaRpc("test");
+			instance._handleLuaRpcReply({ id: 1 });
+			assert.equal(await call, null);
+		});
+		it("should reject with errors raised by the handler", async function() {
+			let call = instance.callLuaRpc("test");
+			instance._handleLuaRpcReply({ id: 1, error: "test.lua:1: boom" });
+			await assert.rejects(call, new lib.RequestError("Lua RPC test failed: test.lua:1: boom"));
+		});
+		it("should reject calls that time out", async function() {
+			await assert.rejects(
+				instance.callLuaRpc("test", [], 10),
+				new lib.RequestError("Lua RPC test timed out after 10ms"),
+			);
+			assert.equal(instance._pendingLuaRpcs.size, 0);
+		});
+		it("should reject pending calls when the instance stops", async function() {
+			instance._saveStats = async () => {};
+			let call = instance.callLuaRpc("test");
+			await wait(0);
+			instance.notifyExit();
+			await assert.rejects(call, new lib.RequestError("Instance stopped before Lua RPC test replied"));
+		});
+	});
+
 	describe("._checkOnlinePlayers()", function() {
 		it("should do nothing on empty server", async function() {
 			await instance._checkOnlinePlayers();
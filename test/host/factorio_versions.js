@@ -0,0 +1,125 @@
+"use strict";
+const assert = require("assert").strict;
+const child_process = require("child_process");
+const fs = require("fs-extra");
+const path = require("path");
+const util = require("util");
+
+const lib = require("@clusterio/lib");
+const {
+	listFactorioVersions, installFactorioVersion, removeFactorioVersion,
+} = require("@clusterio/host/dist/src/factorio_versions");
+
+const execFile = util.promisify(child_process.execFile);
+
+
+describe("host/src/factorio_versions", function() {
+	const baseDir = path.join("temp", "test", "factorio_versions");
+	const factorioDir = path.join(baseDir, "factorio");
+
+	async function createInstall(dir, version) {
+		await fs.outputFile(
+			path.join(dir, "data", "changelog.txt"),
+			`-----------------------\nVersion: ${version}\nDate: 01. 01. 2024\n`
+		);
+	}
+
+	beforeEach(async function() {
+		await fs.remove(baseDir);
+		await fs.ensureDir(factorioDir);
+	});
+	after(async function() {
+		await fs.remove(baseDir);
+	});
+
+	describe("listFactorioVersions()", function() {
+		it("should list installs newest first", async function() {
+			await createInstall(path.join(factorioDir, "a"), "1.1.100");
+			await createInstall(path.join(factorioDir, "b"), "2.0.10");
+			await fs.ensureDir(path.join(factorioDir, "empty"));
+			let installs = await listFactorioVersions(factorioDir);
+			assert.deepEqual(installs.map(install => install.version), ["2.0.10", "1.1.100"]);
+			assert.equal(installs[0].path, path.join(factorioDir, "b"));
+		});
+		it("should handle the directory being a single install", async function() {
+			await createInstall(factorioDir, "1.1.100");
+			assert.deepEqual(await listFactorioVersions(factorioDir), [{ version: "1.1.100", path: factorioDir }]);
+		});
+		it("should return an empty list for a missing directory", async function() {
+			assert.deepEqual(await listFactorioVersions(path.join(baseDir, "missing")), []);
+		});
+	});
+
+	describe("installFactorioVersion()", function() {
+		async function createArchive(version) {
+			let sourceDir = path.join(baseDir, "source");
+			await createInstall(path.join(sourceDir, "factorio"), version);
+			let archivePath = path.join(baseDir, `factorio_${version}.tar`);
+			await execFile("tar", ["-cf", path.resolve(archivePath), "-C", sourceDir, "factorio"]);
+			await fs.remove(sourceDir);
+			return archivePath;
+		}
+
+		it("should install the version in the archive", async function() {
+			let archivePath = await createArchive("2.0.10");
+			let version = await installFactorioVersion(factorioDir, fs.createReadStream(archivePath));
+			assert.equal(version, "2.0.10");
+			assert.deepEqual(await listFactorioVersions(factorioDir), [
+				{ version: "2.0.10", path: path.join(factorioDir, "factorio-2.0.10") },
+			]);
+			assert.deepEqual(await fs.readdir(factorioDir), ["factorio-2.0.10"]);
+		});
+		it("should reject installing an already installed version", async function() {
+			await createInstall(path.join(factorioDir, "existing"), "2.0.10");
+			let archivePath = await createArchive("2.0.10");
+			await assert.rejects(
+				installFactorioVersion(factorioDir, fs.createReadStream(archivePath)),
+				new lib.RequestError("Factorio 2.0.10 is already installed")
+			);
+			assert.deepEqual(await fs.readdir(factorioDir), ["existing"]);
+		});
+		it("should reject archives without a Factorio install", async function() {
+			let archivePath = path.join(baseDir, "other.tar");
+			await fs.outputFile(path.join(baseDir, "source", "file.txt"), "text");
+			await execFile("tar", ["-cf", path.resolve(archivePath), "-C", path.join(baseDir, "source"), "file.txt"]);
+			await assert.rejects(
+				installFactorioVersion(factorioDir, fs.createReadStream(archivePath)),
+				new lib.RequestError("Archive does not contain a Factorio install")
+			);
+			assert.deepEqual(await fs.readdir(factorioDir), []);
+		});
+		it("should reject when the directory is a single install", async function() {
+			await createInstall(factorioDir, "1.1.100");
+			let archivePath = await createArchive("2.0.10");
+			await assert.rejects(
+				installFactorioVersion(factorioDir, fs.createReadStream(archivePath)),
+				new lib.RequestError(
+					"Cannot install Factorio versions when host.factorio_directory points to a single Factorio install"
+				)
+			);
+		});
+	});
+
+	describe("removeFactorioVersion()", function() {
+		it("should remove the given version", async function() {
+			await createInstall(path.join(factorioDir, "a"), "1.1.100");
+			await createInstall(path.join(factorioDir, "b"), "2.0.10");
+			await removeFactorioVersion(factorioDir, "1.1.100");
+			assert.deepEqual(await fs.readdir(factorioDir), ["b"]);
+		});
+		it("should reject versions not installed", async function() {
+			await assert.rejects(
+				removeFactorioVersion(factorioDir, "1.1.100"),
+				new lib.RequestError("Factorio 1.1.100 is not installed")
+			);
+		});
+		it("should refuse to remove the directory itself", async function() {
+			await createInstall(factorioDir, "1.1.100");
+			await assert.rejects(
+				removeFactorioVersion(factorioDir, "1.1.100"),
+				new lib.RequestError("Cannot remove the Factorio install host.factorio_directory points to")
+			);
+			assert(await fs.pathExists(factorioDir));
+		});
+	});
+});
@@ -0,0 +1,108 @@
+"use strict";
+const assert = require("assert").strict;
+
+const lib = require("@clusterio/lib");
+const { selectSavesToPrune } = require("@clusterio/host/dist/src/save_retention");
+
+const dayMs = 24 * 60 * 60e3;
+
+
+describe("host/src/save_retention", function() {
+	describe("selectSavesToPrune()", function() {
+		// Noon on a Wednesday
+		const nowMs = new Date(2024, 0, 17, 12).getTime();
+		function save(name, ageMs, size = 10, type = "file", loaded = false) {
+			return new lib.SaveDetails(1, type, name, size, nowMs - ageMs, loaded, false, 0, false);
+		}
+		function rules(overrides) {
+			return { keepLast: null, dailyDays: null, weeklyDays: null, maxSizeBytes: null, ...overrides };
+		}
+		function prunedNames(saves, retentionRules) {
+			return selectSavesToPrune(saves, retentionRules, nowMs).map(entry => entry.name);
+		}
+
+		it("should keep everything without rules", function() {
+			let saves = [save("a.zip", 0), save("b.zip", dayMs), save("c.zip", 100 * dayMs)];
+			assert.deepEqual(prunedNames(saves, rules({})), []);
+		});
+
+		it("should keep the last N saves", function() {
+			let saves = [save("old.zip", 3000), save("new.zip", 1000), save("mid.zip", 2000)];
+			assert.deepEqual(prunedNames(saves, rules({ keepLast: 2 })), ["old.zip"]);
+		});
+
+		it("should only consider zip files", function() {
+			let saves = [
+				save("a.zip", 1000),
+				save("b.zip", 2000),
+				save("notes.txt", 3000),
+				save("c.tmp.zip", 4000),
+				save("dir.zip", 5000, 0, "directory"),
+			];
+			assert.deepEqual(prunedNames(saves, rules({ keepLast: 1 })), ["b.zip"]);
+		});
+
+		it("should keep the newest save of each day", function() {
+			let saves = [
+				save("today-2.zip", 1000),
+				save("today-1.zip", 2000),
+				save("yesterday-2.zip", dayMs),
+				save("yesterday-1.zip", dayMs + 1000),
+				save("last-week.zip", 7 * dayMs),
+			];
+			assert.deepEqual(
+				prunedNames(saves, rules({ dailyDays: 3 })),
+				["today-1.zip", "yesterday-1.zip", "last-week.zip"],
+			);
+		});
+
+		it("should keep the newest save of each week", function() {
+			let saves = [
+				save("this-week.zip", 1000),
+				save("monday.zip", 2 * dayMs),
+				save("last-week-2.zip", 4 * dayMs),
+				save("last-week-1.zip", 6 * dayMs),
+				save("two-weeks-ago.zip", 10 * dayMs),
+				save("old.zip", 40 * dayMs),
+			];
+			assert.deepEqual(
+				prunedNames(saves, rules({ weeklyDays: 14 })),
+				["monday.zip", "last-week-1.zip", "old.zip"],
+			);
+		});
+
+		it("should combine rules", function() {
+			let saves = [
+				save("a.zip", 1000),
+				save("b.zip", 2000),
+				save("c.zip", 3000),
+				save("yesterday.zip", dayMs),
+			];
+			assert.deepEqual(
+				prunedNames(saves, rules({ keepLast: 1, dailyDays: 2 })),
+				["b.zip", "c.zip"],
+			);
+		});
+
+		it("should limit the total size of saves kept", function() {
+			let saves = [
+				save("a.zip", 1000, 40),
+				save("b.zip", 2000, 40),
+				save("c.zip", 3000, 40),
+				save("d.zip", 4000, 10),
+			];
+			let pruned = selectSavesToPrune(saves, rules({ maxSizeBytes: 100 }), nowMs);
+			assert.deepEqual(pruned.map(entry => entry.name), ["c.zip", "d.zip"]);
+			assert.equal(pruned[0].reason, "exceeds maximum total size");
+		});
+
+		it("should always keep the newest and loaded save", function() {
+			let saves = [
+				save("newest.zip", 1000, 200),
+				save("other.zip", 2000, 10),
+				save("loaded.zip", 3000, 10, "file", true),
+			];
+			assert.deepEqual(prunedNames(saves, rules({ keepLast: 0, maxSizeBytes: 100 })), ["other.zip"]);
+		});
+	});
+});
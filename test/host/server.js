@@ -3,6 +3,8 @@ const assert = require("assert").strict;
 const events = require("events");
 const fs = require("fs-extra");
 const path = require("path");
+const util = require("util");
+const zlib = require("zlib");
 
 const hostServer = require("@clusterio/host/dist/src/server");
 const lib = require("@clusterio/lib");
@@ -207,6 +209,73 @@ describe("host/server", function() {
 				assert.deepEqual(result[0], { "data": "spam" });
 				assert(!await fs.pathExists(filePath), "File was not deleted");
 			});
+
+			async function chunkLines(channel, id, content, parts) {
+				let data = (await util.promisify(zlib.deflate)(JSON.stringify(content))).toString("base64");
+				let size = Math.ceil(data.length / parts);
+				let lines = [];
+				for (let seq = 1; seq <= parts; seq += 1) {
+					let chunk = data.slice((seq - 1) * size, seq * size);
+					lines.push(Buffer.from(`\f$ipc:${channel}?c${id}:${seq}:${parts}:${chunk}`));
+				}
+				return lines;
+			}
+			let largeContent = { data: "spam ".repeat(2000), list: [...Array(100).keys()] };
+
+			it("should reassemble compressed chunked messages", async function() {
+				let emitted = [];
+				server.on("ipc-channel", content => emitted.push(content));
+				let lines = await chunkLines("channel", 1, largeContent, 3);
+				for (let line of lines) {
+					await server._handleIpc(line);
+				}
+				server.removeAllListeners("ipc-channel");
+				assert.deepEqual(emitted, [largeContent]);
+				assert.equal(server._ipcChunks.size, 0);
+			});
+			it("should reassemble chunks received out of order", async function() {
+				let emitted = [];
+				server.on("ipc-channel", content => emitted.push(content));
+				let [first, second, third] = await chunkLines("channel", 2, largeContent, 3);
+				for (let line of [third, first, second]) {
+					await server._handleIpc(line);
+				}
+				server.removeAllListeners("ipc-channel");
+				assert.deepEqual(emitted, [largeContent]);
+			});
+			it("should emit ipc_received with received and payload size", async function() {
+				server.on("ipc-channel", () => {});
+				let lines = await chunkLines("channel", 3, largeContent, 2);
+				let waiter = events.once(server, "ipc_received");
+				for (let line of lines) {
+					await server._handleIpc(line);
+				}
+				server.removeAllListeners("ipc-channel");
+				let [channel, bytes, payloadBytes] = await waiter;
+				assert.equal(channel, "channel");
+				assert.equal(bytes, lines[0].length + lines[1].length);
+				assert.equal(payloadBytes, Buffer.byteLength(JSON.stringify(largeContent)));
+			});
+			it("should throw on malformed chunk", async function() {
+				await assert.rejects(
+					server._handleIpc(Buffer.from("\f$ipc:channel?cfoo")),
+					new Error("Malformed IPC chunk to channel")
+				);
+			});
+			it("should throw on chunk out of range", async function() {
+				await assert.rejects(
+					server._handleIpc(Buffer.from("\f$ipc:channel?c4:3:2:abc")),
+					new Error("Invalid IPC chunk 3 of 2 to channel")
+				);
+			});
+			it("should throw on chunk not matching previous chunks", async function() {
+				await server._handleIpc(Buffer.from("\f$ipc:channel?c5:1:2:abc"));
+				await assert.rejects(
+					server._handleIpc(Buffer.from("\f$ipc:other?c5:2:2:abc")),
+					new Error("IPC chunk to other does not match previous chunks of message 5")
+				);
+				assert.equal(server._ipcChunks.size, 0);
+			});
 		});
 
 		describe(".stop()", function() {
@@ -0,0 +1,81 @@
+"use strict";
+const assert = require("assert").strict;
+
+const { CronSchedule } = require("@clusterio/lib");
+
+describe("lib/CronSchedule", function() {
+	describe("class CronSchedule", function() {
+		function at(...args) {
+			return new Date(...args).getTime();
+		}
+
+		it("should parse simple expressions", function() {
+			let schedule = new CronSchedule("5 4 * * *");
+			assert.deepEqual([...schedule.minutes], [5]);
+			assert.deepEqual([...schedule.hours], [4]);
+			assert.equal(schedule.daysOfMonth.size, 31);
+			assert.equal(schedule.months.size, 12);
+			assert.equal(schedule.daysOfWeek.size, 7);
+		});
+
+		it("should parse lists, ranges and steps", function() {
+			let schedule = new CronSchedule("*/15 1-3,22 10/10 jan-mar mon-fri");
+			assert.deepEqual([...schedule.minutes], [0, 15, 30, 45]);
+			assert.deepEqual([...schedule.hours], [1, 2, 3, 22]);
+			assert.deepEqual([...schedule.daysOfMonth], [10, 20, 30]);
+			assert.deepEqual([...schedule.months], [1, 2, 3]);
+			assert.deepEqual([...schedule.daysOfWeek], [1, 2, 3, 4, 5]);
+		});
+
+		it("should treat 7 as sunday", function() {
+			let schedule = new CronSchedule("0 0 * * 7");
+			assert.deepEqual([...schedule.daysOfWeek], [0]);
+		});
+
+		it("should expand macros", function() {
+			let schedule = new CronSchedule("@daily");
+			assert.deepEqual([...schedule.minutes], [0]);
+			assert.deepEqual([...schedule.hours], [0]);
+		});
+
+		it("should reject invalid expressions", function() {
+			for (let expression of ["", "* * * *", "* * * * * *", "60 * * * *", "* 24 * * *", "* * 0 * *",
+				"*/0 * * * *", "5-1 * * * *", "a * * * *", "1/2/3 * * * *", ",1 * * * *"]) {
+				assert.throws(() => new CronSchedule(expression), Error, `accepted ${expression}`);
+				assert.equal(CronSchedule.isValid(expression), false);
+			}
+			assert.equal(CronSchedule.isValid("* * * * *"), true);
+		});
+
+		describe(".next()", function() {
+			it("should return the next matching minute", function() {
+				let schedule = new CronSchedule("30 4 * * *");
+				assert.equal(schedule.next(at(2024, 0, 1, 0, 0)), at(2024, 0, 1, 4, 30));
+				assert.equal(schedule.next(at(2024, 0, 1, 4, 30)), at(2024, 0, 2, 4, 30));
+				assert.equal(schedule.next(at(2024, 0, 31, 5, 0)), at(2024, 1, 1, 4, 30));
+			});
+
+			it("should ignore seconds of the start time", function() {
+				let schedule = new CronSchedule("* * * * *");
+				assert.equal(schedule.next(at(2024, 0, 1, 0, 0, 59, 999)), at(2024, 0, 1, 0, 1));
+			});
+
+			it("should match either day of month or day of week when both are set", function() {
+				// 2024-01-01 is a Monday
+				let schedule = new CronSchedule("0 0 15 * sun");
+				assert.equal(schedule.next(at(2024, 0, 1)), at(2024, 0, 7));
+				assert.equal(schedule.next(at(2024, 0, 14)), at(2024, 0, 15));
+			});
+
+			it("should find leap days", function() {
+				let schedule = new CronSchedule("0 0 29 2 *");
+				assert.equal(schedule.next(at(2024, 2, 1)), at(2028, 1, 29));
+			});
+
+			it("should return null for schedules that never match", function() {
+				let schedule = new CronSchedule("0 0 30 2 *");
+				assert.equal(schedule.next(at(2024, 0, 1)), null);
+			});
+		});
+	});
+});
@@ -18,6 +18,39 @@ describe("lib/data/User", function() {
 			test_roundtrip({ name: "user", is_admin: true, is_whitelisted: true });
 			test_roundtrip({ name: "user", is_banned: true, ban_reason: "Bad user" });
 			test_roundtrip({ name: "user", instance_stats: [[1, { join_count: 1 }]]});
+			test_roundtrip({
+				name: "user", is_banned: true, ban_reason: "Bad user", ban_expires_at_ms: 2000, banned_by: "admin",
+				ban_history: [{ action: "ban", timestampMs: 1000, by: "admin", reason: "Bad user", expiresAtMs: 2000 }],
+			});
+		});
+		it("should record bans and unbans in the ban history", function() {
+			let user = new lib.User("user");
+			user.setBanned(false, "", "admin");
+			assert.deepEqual(user.banHistory, [], "unbanning an unbanned user was recorded");
+			user.setBanned(true, "Bad user", "admin", 5000);
+			assert.equal(user.isBanned, true);
+			assert.equal(user.bannedBy, "admin");
+			assert.equal(user.banExpiresAtMs, 5000);
+			user.setBanned(false, "", "mod");
+			assert.equal(user.banReason, "");
+			assert.equal(user.bannedBy, "");
+			assert.equal(user.banExpiresAtMs, 0);
+			assert.deepEqual(
+				user.banHistory.map(({ action, by, reason, expiresAtMs }) => ({ action, by, reason, expiresAtMs })),
+				[
+					{ action: "ban", by: "admin", reason: "Bad user", expiresAtMs: 5000 },
+					{ action: "unban", by: "mod", reason: undefined, expiresAtMs: undefined },
+				],
+			);
+		});
+		it("should limit the ban history length", function() {
+			let user = new lib.User("user");
+			for (let i = 0; i < lib.User.banHistoryLimit; i++) {
+				user.setBanned(true, String(i), "admin");
+				user.setBanned(false, "", "admin");
+			}
+			assert.equal(user.banHistory.length, lib.User.banHistoryLimit);
+			assert.equal(user.banHistory[user.banHistory.length - 1].action, "unban");
 		});
 		it("should keep invalid roles", function() {
 			let user = lib.User.fromJSON({ name: "test", roles: [1, 4, 55] });
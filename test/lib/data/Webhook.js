@@ -0,0 +1,16 @@
+"use strict";
+const assert = require("assert").strict;
+const lib = require("@clusterio/lib");
+
+
+describe("lib/data/Webhook", function() {
+	describe("class Webhook", function() {
+		it("should only serialize the secret for the controller", function() {
+			let webhook = new lib.Webhook(1, "test", "https://example.com", ["player_event"], "secret");
+			assert.equal(webhook.toJSON().secret, undefined);
+			assert.equal(JSON.parse(JSON.stringify(webhook)).secret, undefined);
+			assert.equal(webhook.toJSON(true).secret, "secret");
+			assert.deepEqual(lib.Webhook.fromJSON(webhook.toJSON(true)), webhook);
+		});
+	});
+});
@@ -0,0 +1,59 @@
+"use strict";
+const assert = require("assert").strict;
+
+const lib = require("@clusterio/lib");
+
+
+describe("lib/factorio/user_lists", function() {
+	describe("parseUserList()", function() {
+		it("should parse admin and whitelists", function() {
+			assert.deepEqual(
+				lib.parseUserList("adminlist", '["alice", "bob"]'),
+				[new lib.UserListEntry("alice"), new lib.UserListEntry("bob")],
+			);
+			assert.deepEqual(lib.parseUserList("whitelist", "[]"), []);
+		});
+		it("should parse banlists with and without reasons", function() {
+			assert.deepEqual(
+				lib.parseUserList("banlist", JSON.stringify([
+					"alice",
+					{ username: "bob", reason: "Griefing" },
+					{ username: "carol", reason: "", address: "10.0.0.1" },
+				])),
+				[
+					new lib.UserListEntry("alice"),
+					new lib.UserListEntry("bob", "Griefing"),
+					new lib.UserListEntry("carol"),
+				],
+			);
+		});
+		it("should keep the last entry for duplicated names", function() {
+			assert.deepEqual(
+				lib.parseUserList("banlist", '[{ "username": "bob", "reason": "a" }, "alice", { "username": "bob" }]'),
+				[new lib.UserListEntry("alice"), new lib.UserListEntry("bob")],
+			);
+		});
+		it("should reject invalid content", function() {
+			assert.throws(() => lib.parseUserList("adminlist", "not json"), /Invalid JSON/);
+			assert.throws(() => lib.parseUserList("adminlist", "{}"), /Expected adminlist to be an array/);
+			assert.throws(
+				() => lib.parseUserList("adminlist", '[{ "username": "bob" }]'),
+				/Invalid entry at index 0 in adminlist/,
+			);
+			assert.throws(() => lib.parseUserList("banlist", '["alice", 1]'), /Invalid entry at index 1 in banlist/);
+			assert.throws(() => lib.parseUserList("whitelist", '[""]'), /Empty name at index 0 in whitelist/);
+		});
+	});
+
+	describe("formatUserList()", function() {
+		it("should round trip with parseUserList()", function() {
+			let entries = [new lib.UserListEntry("alice", "Griefing"), new lib.UserListEntry("bob")];
+			let content = lib.formatUserList("banlist", entries);
+			assert.deepEqual(JSON.parse(content), [
+				{ username: "alice", reason: "Griefing" }, { username: "bob", reason: "" },
+			]);
+			assert.deepEqual(lib.parseUserList("banlist", content), entries);
+			assert.deepEqual(JSON.parse(lib.formatUserList("whitelist", entries)), ["alice", "bob"]);
+		});
+	});
+});
@@ -28,6 +28,31 @@ describe("lib/helpers", function() {
 		});
 	});
 
+	describe("formatCountdown()", function() {
+		it("should format seconds and whole minutes", function() {
+			assert.equal(lib.formatCountdown(1), "1 second");
+			assert.equal(lib.formatCountdown(30), "30 seconds");
+			assert.equal(lib.formatCountdown(60), "1 minute");
+			assert.equal(lib.formatCountdown(90), "90 seconds");
+			assert.equal(lib.formatCountdown(300), "5 minutes");
+		});
+	});
+
+	describe("countdown()", function() {
+		it("should announce at the start and complete", async function() {
+			let announced = [];
+			let completed = await lib.countdown(1, async remaining => { announced.push(remaining); }, () => true);
+			assert.equal(completed, true);
+			assert.deepEqual(announced, [1]);
+		});
+		it("should return false when cancelled", async function() {
+			let announced = [];
+			let completed = await lib.countdown(60, async remaining => { announced.push(remaining); }, () => false);
+			assert.equal(completed, false);
+			assert.deepEqual(announced, []);
+		});
+	});
+
 	describe("timeout", function() {
 		it("should return the result of an already resolved promise", async function() {
 			assert.equal(await lib.timeout(Promise.resolve("value"), 10, "timeout"), "value");
@@ -236,6 +261,21 @@ describe("lib/helpers", function() {
 		});
 	});
 
+	describe("parseDuration()", function() {
+		it("should parse durations with units", function() {
+			assert.equal(lib.parseDuration("30s"), 30e3);
+			assert.equal(lib.parseDuration("90m"), 5400e3);
+			assert.equal(lib.parseDuration("2h"), 7200e3);
+			assert.equal(lib.parseDuration("1d12h"), 129600e3);
+			assert.equal(lib.parseDuration("1.5w"), 907200e3);
+		});
+		it("should reject invalid durations", function() {
+			for (let text of ["", "10", "d", "1x", "1d 2h", "-1d"]) {
+				assert.throws(() => lib.parseDuration(text), /Invalid duration/, text);
+			}
+		});
+	});
+
 	function parse(input, attributes) {
 		const result = lib.parseSearchString(input, attributes);
 		if (!result.issues.length) {
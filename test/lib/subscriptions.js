@@ -205,6 +205,21 @@ describe("lib/subscriptions", function() {
 				assertNoEvent(0);
 				assertLastEvent(1, RegisteredEvent);
 			});
+			it("should send the event returned by the filter to each link", async function() {
+				subscriptions.handle(StringPermissionEvent, undefined, (link, event) => (
+					link === getLink(0) ? null : event
+				));
+				for (let connectorData of connectorSetupDate) {
+					const request = new lib.SubscriptionRequest(StringPermissionEvent.name, true);
+					await subscriptions.handleRequest(
+						getLink(connectorData.id), request, connectorData.src, connectorData.dst
+					);
+				}
+				subscriptions.broadcast(new StringPermissionEvent());
+				await onceConnectorSend(1);
+				assertNoEvent(0);
+				assertLastEvent(1, StringPermissionEvent);
+			});
 		});
 
 		describe("unsubscribe()", function() {